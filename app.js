@@ -1,17 +1,168 @@
 // Required packages
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const { Web3 } = require('web3'); 
 const dotenv = require('dotenv');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const {
+    buildBallotTypedData,
+    buildCommitTypedData,
+    buildCommitment,
+    buildInvitationTypedData,
+    buildMultiBallotTypedData,
+    buildProposalApprovalTypedData,
+    generateSalt,
+    recoverBallotSigner,
+    splitSignature
+} = require('./lib/ballot');
+const { parseVoterJson, parseVoterList } = require('./lib/voterList');
+const { createIndexer } = require('./lib/indexer');
+const { MESSAGE_TYPES, createFeed } = require('./lib/feed');
+const { createTransactionManager } = require('./lib/txManager');
+const { createBatchReader } = require('./lib/multicall');
+const { createReadCache } = require('./lib/readCache');
+const { tallyInstantRunoff, formatPercentage, decideOutcome } = require('./lib/tally');
+const { RESULT_EXPORT_FORMATS, toResultsCsv, toResultsHtml, toResultsJsonLd } = require('./lib/resultsExport');
+const { AUDIT_REPORT_VERSION, buildMerkleRoot, findMismatches, hashBallot, recountBallots, signAuditReport } = require('./lib/audit');
+const { createKeeper } = require('./lib/keeper');
+const { EMPTY_HASH, createContentStore, hashDocument } = require('./lib/contentStore');
+const { API_KEY_SCOPES, createApiKeyStore } = require('./lib/apiKeys');
+const { PROPOSAL_ACTIONS, createProposalStore } = require('./lib/proposals');
+const { createSessionManager, parseSiweMessage } = require('./lib/siwe');
+const { createHttpError, createValidationError, describeError, isRevert, isMissingFunctionError } = require('./lib/errors');
+const { WEBHOOK_EVENTS, createWebhookManager } = require('./lib/webhooks');
+const { INVITATION_STATUSES, createInvitationStore, normalizeCode, toInvitationsCsv } = require('./lib/invitations');
+const { loadNetwork, readManifest } = require('./lib/deployments');
+const { MAX_MINED_BLOCKS, getChainClock, getDevEnvironment, increaseTime, mineBlocks, runInDevMode } = require('./lib/devMode');
+const { logger } = require('./lib/logger');
+const { createMetricsRegistry, instrumentWeb3 } = require('./lib/metrics');
+const { createHealthChecks } = require('./lib/health');
+const { createProviderPool } = require('./lib/providerPool');
+const { createRateLimiter } = require('./lib/rateLimiter');
+const { createIdempotencyStore, fingerprintRequest } = require('./lib/idempotency');
 
 // Load environment variables
 dotenv.config();
 
+// node app.js --dev runs the API against an in-process chain with a fixture election,
+// loading this module again once the chain is up
+if (require.main === module && process.argv.includes('--dev')) {
+    runInDevMode(__filename);
+    return;
+}
+
+// Prometheus metrics served by /metrics
+const metrics = createMetricsRegistry();
+const httpRequestDuration = metrics.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Latency of HTTP requests by method, route and status',
+    labelNames: ['method', 'route', 'status']
+});
+const rpcRequests = metrics.counter({
+    name: 'rpc_requests_total',
+    help: 'JSON-RPC requests sent to the provider, by method',
+    labelNames: ['method']
+});
+const rpcErrors = metrics.counter({
+    name: 'rpc_errors_total',
+    help: 'Failed JSON-RPC requests, by method and type (revert or provider)',
+    labelNames: ['method', 'type']
+});
+const transactionsTotal = metrics.counter({
+    name: 'transactions_total',
+    help: 'Settled transaction jobs, by label and status (confirmed or failed)',
+    labelNames: ['label', 'status']
+});
+const transactionGasUsed = metrics.counter({
+    name: 'transaction_gas_used_total',
+    help: 'Gas used by mined transactions, by label',
+    labelNames: ['label']
+});
+const transactionFees = metrics.counter({
+    name: 'transaction_fees_wei_total',
+    help: 'Fees paid for mined transactions in wei, by label',
+    labelNames: ['label']
+});
+const electionVotes = metrics.gauge({
+    name: 'election_votes',
+    help: 'Ballots cast in an election',
+    labelNames: ['election']
+});
+const electionRegisteredVoters = metrics.gauge({
+    name: 'election_registered_voters',
+    help: 'Voters registered in an election',
+    labelNames: ['election']
+});
+const electionTurnout = metrics.gauge({
+    name: 'election_turnout_ratio',
+    help: 'Ballots cast per registered voter in an election',
+    labelNames: ['election']
+});
+const rpcProviderErrors = metrics.counter({
+    name: 'rpc_provider_errors_total',
+    help: 'Requests an RPC provider of the pool failed to answer (down, timed out or rate limited), by provider',
+    labelNames: ['provider']
+});
+const rpcFailovers = metrics.counter({
+    name: 'rpc_provider_failovers_total',
+    help: 'Failovers from a failed RPC provider to another',
+    labelNames: ['from', 'to']
+});
+const rpcProviderUp = metrics.gauge({
+    name: 'rpc_provider_up',
+    help: 'Whether an RPC provider of the pool is healthy (1) or not (0)',
+    labelNames: ['provider']
+});
+const processUptime = metrics.gauge({ name: 'process_uptime_seconds', help: 'Seconds since the process started' });
+const processMemory = metrics.gauge({ name: 'process_resident_memory_bytes', help: 'Resident memory of the process' });
+
+// Route of a request for metrics and logs: its route pattern, with the election
+// ID of scoped routes as a parameter, or "unmatched"
+function getRouteLabel(req) {
+    if (!req.route) {
+        return 'unmatched';
+    }
+    return `${req.baseUrl.replace(/^\/api\/elections\/[^/]+/, '/api/elections/:electionId')}${req.route.path}`;
+}
+
 // Initialize express app
 const app = express();
+
+// Trust X-Forwarded-For from the proxies in TRUST_PROXY (true, a hop count, or
+// addresses and subnets), so rate limits apply to the client's IP
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// Give every request an ID (the client's X-Request-Id when it is a sane one, else a
+// new UUID) and a logger carrying it, and record its latency once it is answered
+app.use((req, res, next) => {
+    const clientId = req.get('x-request-id');
+    req.id = clientId && /^[\w.:-]{1,128}$/.test(clientId) ? clientId : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    res.locals.log = logger.child({ requestId: req.id });
+    
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const duration = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        const route = getRouteLabel(req);
+        httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, duration);
+        res.locals.log.info('Request completed', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(duration * 1000)
+        });
+    });
+    next();
+});
+
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: process.env.BODY_SIZE_LIMIT || '5mb' }));
+app.use(express.text({ type: 'text/csv', limit: process.env.BODY_SIZE_LIMIT || '5mb' }));
 
 // Utility function to convert BigInt values to strings
 function sanitizeBigInt(obj) {
@@ -38,15 +189,137 @@ function sanitizeBigInt(obj) {
     return obj;
 }
 
+// Network the API serves (a profile in networks.json, chosen by NETWORK) and the
+// deployment manifest written for it by npm run deploy, if any
+const network = loadNetwork();
+const deployment = readManifest(network.name);
+
+// Chain ID the API pins: the network profile's, else the one the manifest was deployed to
+const expectedChainId = network.chainId !== null ? network.chainId : (deployment ? deployment.chainId : null);
+
+// RPC providers of the network, failing over to one another. None is used before it
+// reports the pinned chain ID
+const providerPool = createProviderPool({
+    providers: network.providers,
+    chainId: expectedChainId,
+    retries: Number(process.env.RPC_RETRIES || 2),
+    retryDelay: Number(process.env.RPC_RETRY_DELAY_MS) || 200,
+    timeout: Number(process.env.RPC_TIMEOUT_MS) || 10000,
+    cooldown: Number(process.env.RPC_COOLDOWN_MS) || 30000,
+    healthInterval: Number(process.env.RPC_HEALTH_INTERVAL_MS) || 15000,
+    onProviderError: provider => rpcProviderErrors.inc({ provider }),
+    onFailover: (from, to) => rpcFailovers.inc({ from, to })
+});
+
 // Web3 configuration
-const web3 = new Web3(process.env.BLOCKCHAIN_PROVIDER_URL || 'http://localhost:8545');
+const web3 = new Web3(providerPool.provider);
+
+// Count every RPC request, and the failed ones by whether the contract reverted
+instrumentWeb3(web3, {
+    onRequest: method => rpcRequests.inc({ method }),
+    onError: (method, error) => rpcErrors.inc({ method, type: isRevert(error) ? 'revert' : 'provider' })
+});
 
 // Contract ABI and address (to be filled after deployment)
 const contractABI = require('./contract/Voting.json').abi;
 const contractAddress = process.env.CONTRACT_ADDRESS;
 
-// Initialize contract instance
-const votingContract = new web3.eth.Contract(contractABI, contractAddress);
+// Election factory ABI and address (enables the /api/elections routes). The
+// address and deploy block come from the manifest unless set in the environment
+const factoryABI = require('./contract/ElectionFactory.json').abi;
+const factoryAddress = process.env.FACTORY_ADDRESS || (deployment ? deployment.contracts.ElectionFactory.address : undefined);
+
+// Block the contracts were deployed at, where event scans start
+const DEPLOY_BLOCK = Number(process.env.DEPLOY_BLOCK || (deployment ? deployment.contracts.ElectionFactory.deployBlock : 0)) || 0;
+
+// Initialize factory contract instance
+const factoryContract = factoryAddress ? new web3.eth.Contract(factoryABI, factoryAddress) : null;
+
+// Voting contract instances, cached by election address
+const electionContracts = new Map();
+
+// Get the contract instance for an election address
+function getElectionContract(address) {
+    const key = address.toLowerCase();
+    if (!electionContracts.has(key)) {
+        electionContracts.set(key, new web3.eth.Contract(contractABI, address));
+    }
+    return electionContracts.get(key);
+}
+
+// Get the address of the election used by the unscoped /api routes:
+// CONTRACT_ADDRESS if set, otherwise the latest election created by the factory
+async function getDefaultElectionAddress() {
+    if (contractAddress) {
+        return contractAddress;
+    }
+    
+    if (factoryContract) {
+        const electionCount = Number(await factoryContract.methods.getElectionCount().call());
+        if (electionCount > 0) {
+            const election = await factoryContract.methods.getElection(electionCount - 1).call();
+            return election[0];
+        }
+    }
+    
+    return null;
+}
+
+// Get the addresses of every election the API serves: the factory's elections and CONTRACT_ADDRESS
+async function getElectionAddresses() {
+    const addresses = factoryContract ? [...await factoryContract.methods.getElectionAddresses().call()] : [];
+    
+    if (contractAddress && !addresses.some(address => address.toLowerCase() === contractAddress.toLowerCase())) {
+        addresses.push(contractAddress);
+    }
+    
+    return addresses;
+}
+
+// Background indexer for contract events (started with the server)
+const indexer = createIndexer({
+    web3,
+    votingABI: contractABI,
+    factoryABI,
+    factoryAddress,
+    contractAddress,
+    startBlock: DEPLOY_BLOCK,
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS) || 6,
+    pollInterval: Number(process.env.INDEXER_POLL_INTERVAL_MS) || 5000
+});
+app.locals.indexer = indexer;
+
+// Real-time feed of indexed events over SSE and WebSocket
+const feed = createFeed({
+    indexer,
+    resolveElectionAddress,
+    getVotingMethod: election => getVotingMethod(getElectionContract(election))
+});
+
+// Outbound webhooks for election events and transaction jobs
+const webhooks = createWebhookManager({
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    baseDelay: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+    timeout: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+});
+app.locals.webhooks = webhooks;
+
+// Deliver indexed contract events to webhooks, under their feed message types, once
+// they reach INDEXER_CONFIRMATIONS: deliveries can't be recalled after a reorg
+indexer.subscribe({
+    onConfirmed(event) {
+        if (WEBHOOK_EVENTS.includes(MESSAGE_TYPES[event.type])) {
+            webhooks.publish(MESSAGE_TYPES[event.type], {
+                id: event.id,
+                election: event.election,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash,
+                timestamp: event.timestamp,
+                data: event.args
+            });
+        }
+    }
+});
 
 // Admin wallet setup (from environment variables)
 const adminWallet = {
@@ -54,312 +327,3493 @@ const adminWallet = {
     privateKey: process.env.ADMIN_PRIVATE_KEY
 };
 
-// Middleware for admin authentication
-const adminAuth = (req, res, next) => {
-    const apiKey = req.headers['x-api-key'];
+// Relayer wallet paying the gas of signed ballots (defaults to the admin wallet)
+const relayerWallet = {
+    address: process.env.RELAYER_ADDRESS || adminWallet.address,
+    privateKey: process.env.RELAYER_PRIVATE_KEY || adminWallet.privateKey
+};
+
+// Batched contract reads through a Multicall3 aggregator, where one is deployed
+const batchReader = createBatchReader({
+    web3,
+    multicallAddress: process.env.MULTICALL_ADDRESS || undefined
+});
+
+// Elections deployed before getAllCandidates, found on their first candidate read:
+// 'batched' when getCandidate has the current outputs, 'original' when it returns
+// only the five outputs of the first contract version
+const legacyElections = new Map();
+
+// getCandidate as the first contract version declares it, without withdrawn and metadataHash
+const ORIGINAL_CANDIDATE_ABI = [{
+    type: 'function',
+    name: 'getCandidate',
+    stateMutability: 'view',
+    inputs: [{ name: '_candidateId', type: 'uint256' }],
+    outputs: [
+        { name: '', type: 'uint256' },
+        { name: '', type: 'string' },
+        { name: '', type: 'string' },
+        { name: '', type: 'string' },
+        { name: '', type: 'uint256' }
+    ]
+}];
+
+// Cache of election, candidate and results reads, invalidated by contract events
+const readCache = createReadCache({
+    web3,
+    votingABI: contractABI,
+    pollInterval: Number(process.env.READ_CACHE_POLL_INTERVAL_MS) || 1000
+});
+
+// Events that change the cached candidate list and results of an election
+const CANDIDATE_EVENTS = ['CandidateAdded', 'CandidateUpdated', 'CandidateWithdrawn', 'VoteCast', 'BallotCast'];
+const RESULT_EVENTS = [...CANDIDATE_EVENTS, 'VoterRegistered', 'ResultRulesSet', 'ElectionEnded'];
+
+// Voter invitation codes, redeemed by voters to register their own address
+const invitations = createInvitationStore();
+
+// How long an invitation code can be redeemed, by default
+const INVITATION_TTL_HOURS = Number(process.env.INVITATION_TTL_HOURS) || 168;
+
+// Maximum number of invitations issued per batch
+const INVITATION_BATCH_LIMIT = 10000;
+
+// Transaction manager signing and sending admin and relayer transactions
+const txManager = createTransactionManager({
+    web3,
+    signers: [adminWallet, relayerWallet],
+    bumpPercent: Number(process.env.TX_GAS_BUMP_PERCENT) || 20,
+    maxAttempts: Number(process.env.TX_MAX_ATTEMPTS) || 5,
+    confirmationTimeout: Number(process.env.TX_CONFIRMATION_TIMEOUT_MS) || 60000,
+    pollInterval: Number(process.env.TX_POLL_INTERVAL_MS) || 1000,
+    jobLimit: Number(process.env.TX_JOB_LIMIT) || 1000,
+    onSettled: job => {
+        readCache.expire();
+        transactionsTotal.inc({ label: job.label, status: job.status });
+        if (job.receipt) {
+            transactionGasUsed.inc({ label: job.label }, job.receipt.gasUsed);
+            if (job.receipt.effectiveGasPrice) {
+                transactionFees.inc({ label: job.label }, BigInt(job.receipt.gasUsed) * BigInt(job.receipt.effectiveGasPrice));
+            }
+        }
+        if (job.requestedBy && job.requestedBy.invitationId) {
+            invitations.settle(job.requestedBy.invitationId, job);
+        }
+        webhooks.publish(`transaction.${job.status}`, {
+            id: job.id,
+            label: job.label,
+            status: job.status,
+            from: job.from,
+            to: job.to,
+            transactionHash: job.transactionHash,
+            blockNumber: job.receipt ? job.receipt.blockNumber : null,
+            revertReason: job.revertReason,
+            error: job.error,
+            requestedBy: job.requestedBy
+        });
+    }
+});
+
+// Keeper finalizing elections whose voting window has passed (started with the server)
+const keeper = createKeeper({
+    txManager,
+    getElectionAddresses,
+    getElectionContract,
+    account: relayerWallet.address,
+    interval: Number(process.env.KEEPER_INTERVAL_MS) || 60000
+});
+app.locals.keeper = keeper;
+
+// Off-chain candidate metadata, addressed by the hash anchored on-chain
+const contentStore = createContentStore();
+
+// Number of addresses registered per registerVoters transaction
+const VOTER_BATCH_SIZE = Number(process.env.VOTER_BATCH_SIZE) || 100;
+
+// Voting method names, in the order of the VotingMethod enum in Voting.sol
+const VOTING_METHODS = ['plurality', 'approval', 'rankedChoice', 'weighted'];
+
+// Winning rule names, in the order of the WinningRule enum in Voting.sol
+const WINNING_RULES = ['plurality', 'absoluteMajority', 'supermajority'];
+
+// Number of ranked ballots read per getBallots call when counting rounds
+const BALLOT_PAGE_SIZE = 500;
+
+// Key signing audit reports (defaults to the admin key)
+const AUDIT_SIGNER_PRIVATE_KEY = process.env.AUDIT_SIGNER_PRIVATE_KEY || adminWallet.privateKey;
+
+// Number of blocks read per log query when an audit recounts an election
+const AUDIT_BLOCK_RANGE = Number(process.env.AUDIT_BLOCK_RANGE) || 5000;
+
+// How long a ballot built by /vote/typed-data stays valid
+const BALLOT_TTL_SECONDS = Number(process.env.BALLOT_TTL_SECONDS) || 600;
+
+// Proposals of critical admin actions, executed once enough distinct signers approve them
+const proposals = createProposalStore();
+
+// Approvals every proposal needs. Above 1, the direct routes of proposable
+// actions are closed so they can only run through an approved proposal
+const PROPOSAL_THRESHOLD = Number(process.env.PROPOSAL_THRESHOLD) || 1;
+
+// How long a proposal can collect approvals
+const PROPOSAL_TTL_MINUTES = Number(process.env.PROPOSAL_TTL_MINUTES) || 1440;
+
+// Addresses allowed to approve proposals by signed message
+const PROPOSAL_SIGNERS = new Set((process.env.PROPOSAL_SIGNERS || '')
+    .split(',')
+    .map(address => address.trim().toLowerCase())
+    .filter(Boolean));
+
+// API keys allowed to approve proposals, by ID, with the address of their owner
+// (<id>=<address>) or null. Keys are only approvers when listed here, so a key able
+// to create keys cannot mint its own approvers. An owner's key and signature count
+// as one approval; entries naming an invalid address are dropped
+const PROPOSAL_APPROVER_KEYS = new Map((process.env.PROPOSAL_APPROVER_KEYS || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([id, owner]) => id && (owner === undefined || web3.utils.isAddress(owner)))
+    .map(([id, owner]) => [id, owner ? web3.utils.toChecksumAddress(owner) : null]));
+
+// Sign-In With Ethereum nonces and voter sessions
+const sessions = createSessionManager({
+    sessionTtl: (Number(process.env.SESSION_TTL_MINUTES) || 60) * 60000
+});
+
+// Whether voting and voter status routes require a session of the voter
+const REQUIRE_VOTER_SESSION = process.env.REQUIRE_VOTER_SESSION === 'true';
+
+// API key scope needed to propose (or cancel) each action
+const PROPOSAL_ACTION_SCOPES = {
+    startElection: 'elections',
+    scheduleElection: 'elections',
+    endElection: 'elections',
+    registerVoters: 'voters',
+    grantRole: 'roles',
+    revokeRole: 'roles'
+};
+
+// Contract roles by API name, with the role ID constant they are granted as
+const CONTRACT_ROLES = {
+    admin: web3.utils.sha3Raw('ADMIN_ROLE'),
+    electionManager: web3.utils.sha3Raw('ELECTION_MANAGER_ROLE'),
+    registrar: web3.utils.sha3Raw('REGISTRAR_ROLE'),
+    candidateManager: web3.utils.sha3Raw('CANDIDATE_MANAGER_ROLE')
+};
+
+// Readiness checks of the provider, chain, contracts, admin key and role and signer balances
+const healthChecks = createHealthChecks({
+    web3,
+    expectedChainId,
+    providerPool,
+    getContracts: async () => [
+        ...(factoryAddress ? [{ name: 'ElectionFactory', address: factoryAddress }] : []),
+        ...(contractAddress ? [{ name: 'Voting', address: contractAddress }] : [])
+    ],
+    getElection: getDefaultElectionAddress,
+    votingABI: contractABI,
+    adminRole: CONTRACT_ROLES.admin,
+    adminWallet,
+    signers: [adminWallet.address, relayerWallet.address],
+    minSignerBalance: BigInt(web3.utils.toWei(process.env.SIGNER_MIN_BALANCE_ETH || '0.01', 'ether')),
+    timeout: Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000,
+    cacheTtl: Number(process.env.HEALTH_CACHE_MS) || 5000
+});
+
+// Read the ballots cast and voters registered in an election, cached until they change
+async function readTurnout(votingContract) {
+    const { value } = await readCache.read(votingContract.options.address, 'turnout', RESULT_EVENTS, async () => {
+        const [totalVotes, registeredVoters] = await batchReader.callAll([
+            { contract: votingContract, method: 'totalVotes' },
+            { contract: votingContract, method: 'registeredVoterCount', defaultValue: 0 }
+        ]);
+        return { totalVotes: Number(totalVotes), registeredVoters: Number(registeredVoters) };
+    });
+    return value;
+}
+
+// Set the process and election gauges when metrics are scraped
+metrics.addCollector(() => {
+    processUptime.set({}, process.uptime());
+    processMemory.set({}, process.memoryUsage().rss);
+    providerPool.getStatus().forEach(provider => rpcProviderUp.set({ provider: provider.name }, provider.status === 'healthy' ? 1 : 0));
+});
+metrics.addCollector(async () => {
+    const addresses = await getElectionAddresses();
+    const turnouts = await Promise.all(addresses.map(address => readTurnout(getElectionContract(address))));
+    
+    [electionVotes, electionRegisteredVoters, electionTurnout].forEach(gauge => gauge.reset());
+    addresses.forEach((address, i) => {
+        const { totalVotes, registeredVoters } = turnouts[i];
+        electionVotes.set({ election: address }, totalVotes);
+        electionRegisteredVoters.set({ election: address }, registeredVoters);
+        electionTurnout.set({ election: address }, registeredVoters > 0 ? totalVotes / registeredVoters : 0);
+    });
+});
+
+// Admin API keys. ADMIN_API_KEY keeps working as a key with every scope
+const apiKeys = createApiKeyStore({ rootKey: process.env.ADMIN_API_KEY });
+
+// Middleware for admin authentication: requires an API key holding a scope.
+// Writes, including ones refused for a missing scope, are logged with the
+// identity of the key once the response is sent
+const requireScope = scope => (req, res, next) => {
+    const { apiKey } = req;
+    const scopes = [].concat(scope);
+    
+    if (!apiKey) {
+        return sendError(res, createHttpError(401, 'INVALID_API_KEY', 'Unauthorized: Admin access required'));
+    }
+    
+    res.locals.jobIds = res.locals.jobIds || [];
+    
+    if (req.method !== 'GET') {
+        res.on('finish', () => {
+            apiKeys.logWrite({
+                keyId: apiKey.id,
+                keyLabel: apiKey.label,
+                method: req.method,
+                path: req.originalUrl,
+                status: res.statusCode,
+                jobIds: res.locals.jobIds
+            });
+        });
+    }
+    
+    if (!scopes.some(name => apiKey.scopes.includes(name))) {
+        return sendError(res, createHttpError(403, 'MISSING_SCOPE', `Forbidden: API key lacks the ${scopes.join(' or ')} scope`));
+    }
+    
+    next();
+};
+
+// Read the bearer token of a request, if any
+function getBearerToken(req) {
+    const match = /^Bearer (\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+}
+
+// Middleware reading the voter session of a Bearer token into req.voterSession.
+// An invalid or expired token is refused rather than ignored
+const voterSession = (req, res, next) => {
+    const token = getBearerToken(req);
+    
+    if (token) {
+        req.voterSession = sessions.authenticate(token);
+        if (!req.voterSession) {
+            return sendError(res, createHttpError(401, 'INVALID_SESSION', 'Invalid or expired session'));
+        }
+    }
+    
+    next();
+};
+
+// Middleware requiring a voter session
+const requireVoterSession = [voterSession, (req, res, next) => {
+    if (!req.voterSession) {
+        return sendError(res, createHttpError(401, 'SESSION_REQUIRED', 'Sign in with Ethereum first'));
+    }
+    
+    next();
+}];
+
+// Middleware checking that the session belongs to the voter a request acts for
+// (given by getVoterAddress). Sessions are required with REQUIRE_VOTER_SESSION
+const authorizeVoter = getVoterAddress => [voterSession, (req, res, next) => {
+    if (!req.voterSession) {
+        if (REQUIRE_VOTER_SESSION) {
+            return sendError(res, createHttpError(401, 'SESSION_REQUIRED', 'Sign in with Ethereum first'));
+        }
+        return next();
+    }
+    
+    const voterAddress = getVoterAddress(req);
+    if (typeof voterAddress === 'string' && voterAddress.toLowerCase() !== req.voterSession.address.toLowerCase()) {
+        return sendError(res, createHttpError(403, 'SESSION_ADDRESS_MISMATCH', 'Session address does not match the voter'));
+    }
+    
+    next();
+}];
+
+// Middleware closing the direct route of a proposable action when proposals need
+// more than one approval
+const requireNoApprovals = action => (req, res, next) => {
+    if (PROPOSAL_THRESHOLD > 1) {
+        return sendError(res, createHttpError(
+            403,
+            'APPROVALS_REQUIRED',
+            `${action} needs ${PROPOSAL_THRESHOLD} approvals; propose it through POST /api/proposals`
+        ));
+    }
+    
+    next();
+};
+
+// Rate limits per RATE_LIMIT_WINDOW_MS: requests with an API key count against the
+// key's limits (or the key's own rateLimit), others against their IP's. Writes also
+// count against a stricter limit
+const RATE_LIMITS = {
+    ip: {
+        requests: Number(process.env.RATE_LIMIT_PER_IP) || 300,
+        writes: Number(process.env.RATE_LIMIT_WRITES_PER_IP) || 30
+    },
+    key: {
+        requests: Number(process.env.RATE_LIMIT_PER_KEY) || 1200,
+        writes: Number(process.env.RATE_LIMIT_WRITES_PER_KEY) || 300
+    }
+};
+const rateLimiter = createRateLimiter({ windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60000 });
+
+// Probes and scrapes are not rate limited
+const RATE_LIMIT_EXEMPT_PATHS = new Set(['/health', '/ready', '/metrics']);
+
+// Methods that don't write
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Identify the API key of every request (req.apiKey, null without a valid one) and
+// apply the rate limits, answering 429 with Retry-After once a limit is reached
+app.use((req, res, next) => {
+    req.apiKey = apiKeys.authenticate(req.headers['x-api-key']);
+    
+    if (process.env.RATE_LIMIT_ENABLED === 'false' || RATE_LIMIT_EXEMPT_PATHS.has(req.path)) {
+        return next();
+    }
+    
+    const client = req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+    const limits = req.apiKey ? RATE_LIMITS.key : RATE_LIMITS.ip;
+    const requests = (req.apiKey && req.apiKey.rateLimit) || limits.requests;
+    const buckets = [{ key: client, limit: requests }];
+    if (!SAFE_METHODS.has(req.method)) {
+        buckets.push({ key: `${client}:writes`, limit: Math.min(limits.writes, requests) });
+    }
+    
+    const { allowed, limit, remaining, resetAt } = rateLimiter.consume(buckets);
+    const resetIn = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+    res.set({
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetIn)
+    });
+    
+    if (!allowed) {
+        res.set('Retry-After', String(resetIn));
+        return sendError(res, createHttpError(429, 'RATE_LIMITED', `Too many requests; retry in ${resetIn} seconds`, { retryAfter: resetIn }));
+    }
+    
+    next();
+});
+
+// Stored responses of writes sent with an Idempotency-Key
+const idempotency = createIdempotencyStore({ ttl: (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000 });
+
+// Honor Idempotency-Key on POST requests. Keys belong to the API key that sent them
+// (or are shared by requests without one) and to one request: its method, path and
+// body. A retry gets the stored response, marked Idempotent-Replayed, and a retry
+// arriving while the first request runs waits for it. Responses are stored when the
+// request queued a transaction or succeeded; other failures (validation, auth,
+// server errors before anything was sent) are forgotten, so a retry runs again
+app.use(async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (req.method !== 'POST' || key === undefined) {
+        return next();
+    }
+    if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+        return sendError(res, createHttpError(400, 'INVALID_IDEMPOTENCY_KEY', 'Idempotency-Key must be 1 to 255 visible ASCII characters'));
+    }
+    
+    const storeKey = `${req.apiKey ? req.apiKey.id : 'public'}:${key}`;
+    const fingerprint = fingerprintRequest({ method: req.method, path: req.originalUrl, body: req.body });
+    
+    let started = idempotency.begin(storeKey, fingerprint);
+    while (started.state === 'running') {
+        await started.wait;
+        started = idempotency.begin(storeKey, fingerprint);
+    }
+    
+    if (started.state === 'mismatch') {
+        return sendError(res, createHttpError(422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used for another request'));
+    }
+    if (started.state === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(started.record.status).json(started.record.body);
+    }
+    if (started.state === 'interrupted') {
+        return sendError(res, createHttpError(409, 'IDEMPOTENT_REQUEST_INTERRUPTED', 'The request with this Idempotency-Key was interrupted; check its transaction jobs', {
+            jobIds: started.record.jobIds
+        }));
+    }
+    
+    res.locals.idempotencyKey = storeKey;
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = body => {
+        responseBody = body;
+        return json(body);
+    };
+    
+    res.on('close', () => {
+        const queued = started.record.jobIds.length > 0;
+        if (responseBody !== undefined && (queued || res.statusCode < 400)) {
+            idempotency.complete(storeKey, { status: res.statusCode, body: responseBody });
+        } else {
+            idempotency.abandon(storeKey);
+        }
+    });
+    next();
+});
+
+// Transactions of the votes being relayed, by election and voter address
+const pendingVotes = new Map();
+
+// Middleware allowing one pending vote transaction per voter (given by getVoterAddress)
+// and election: a retry sent while the voter's vote is still being relayed gets 409
+// instead of racing the first to the contract. The lock is held until the
+// transactions the request queued settle
+const lockVoter = getVoterAddress => (req, res, next) => {
+    const voterAddress = getVoterAddress(req);
+    if (typeof voterAddress !== 'string' || !web3.utils.isAddress(voterAddress)) {
+        return next();
+    }
+    
+    const key = `${req.votingContract.options.address}:${voterAddress}`.toLowerCase();
+    const pending = pendingVotes.get(key);
+    if (pending) {
+        const [queued] = pending;
+        return sendError(res, createHttpError(409, 'VOTE_IN_PROGRESS', 'A vote of this voter is already being relayed', queued ? {
+            jobId: queued.job.id,
+            statusUrl: `/api/transactions/${queued.job.id}`
+        } : undefined));
+    }
+    
+    // The transactions the request queues, as submitTransaction adds them
+    const transactions = [];
+    pendingVotes.set(key, transactions);
+    res.locals.transactions = transactions;
+    
+    res.on('close', () => {
+        Promise.all(transactions.map(({ completion }) => completion.catch(() => {})))
+            .then(() => pendingVotes.delete(key));
+    });
+    next();
+};
+
+// Custom errors the contracts may revert with, decoded by name
+const contractErrorABIs = [...contractABI, ...factoryABI].filter(item => item.type === 'error');
+
+// Respond with an error in the API's envelope: { error, code } and any extra fields.
+// Server errors are logged with the request's ID
+function sendError(res, error) {
+    const { status, body } = describeError(error, contractErrorABIs);
+    if (status >= 500) {
+        (res.locals.log || logger).error('Request failed', { code: body.code, error });
+    }
+    res.status(status).json(body);
+}
+
+// Resolve an election ID from the factory, or the default election when the
+// ID is undefined, to its contract address
+async function resolveElectionAddress(electionId) {
+    if (electionId === undefined) {
+        const address = await getDefaultElectionAddress();
+        if (!address) {
+            throw createHttpError(404, 'ELECTION_NOT_CONFIGURED', 'No election is configured');
+        }
+        return address;
+    }
+    
+    if (!factoryContract) {
+        throw createHttpError(404, 'FACTORY_NOT_CONFIGURED', 'Election factory is not configured');
+    }
+    
+    if (!/^\d+$/.test(electionId)) {
+        throw createHttpError(400, 'INVALID_ELECTION_ID', 'Election ID must be a non-negative integer');
+    }
+    
+    const electionCount = await factoryContract.methods.getElectionCount().call();
+    if (Number(electionId) >= Number(electionCount)) {
+        throw createHttpError(404, 'ELECTION_NOT_FOUND', 'Election not found');
+    }
+    
+    const election = await factoryContract.methods.getElection(Number(electionId)).call();
+    return election[0];
+}
+
+// Middleware resolving the election a request targets into req.votingContract
+const resolveElection = async (req, res, next) => {
+    try {
+        const address = await resolveElectionAddress(req.params.electionId);
+        req.votingContract = getElectionContract(address);
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Whether the client asked for a 202 with a job ID instead of waiting for the receipt
+function wantsAsyncResponse(req) {
+    return req.query.async === 'true' || /respond-async/i.test(req.get('Prefer') || '');
+}
+
+// Whether the client asked to simulate a write instead of sending it
+function wantsDryRun(req) {
+    return req.query.dryRun === 'true';
+}
+
+// Format a call's decoded return value: null for functions without outputs, and
+// several outputs as an object of the named ones or a list of unnamed ones
+function formatCallResult(result) {
+    if (!result || typeof result !== 'object' || result.__length__ === undefined) {
+        return sanitizeBigInt(result);
+    }
+    if (result.__length__ === 0) {
+        return null;
+    }
+    
+    const names = Object.keys(result).filter(key => key !== '__length__' && !/^\d+$/.test(key));
+    if (names.length === 0) {
+        return sanitizeBigInt(Array.from({ length: result.__length__ }, (value, i) => result[i]));
+    }
+    
+    const named = {};
+    names.forEach(name => {
+        named[name] = result[name];
+    });
+    return sanitizeBigInt(named);
+}
+
+// Format a wei amount in wei and ether
+function formatWei(wei) {
+    return { wei: wei.toString(), eth: web3.utils.fromWei(wei, 'ether') };
+}
+
+// Simulate transactions ({ method, to, label }) from an account without sending
+// them. Each gets its decoded result or revert, its gas and the most it can cost
+// at current fees (its gas limit at the maximum fee per gas); the total is checked
+// against the account's balance
+async function previewTransactions(account, transactions) {
+    const [fees, balance] = await Promise.all([txManager.getNetworkFees(), web3.eth.getBalance(account)]);
+    const feePerGas = fees.maxFeePerGas !== undefined ? fees.maxFeePerGas : fees.gasPrice;
+    let totalCost = 0n;
+    
+    const previews = [];
+    for (const { method, to, label } of transactions) {
+        const preview = { label, to, success: true, result: null, revert: null, gas: null, cost: null };
+        try {
+            preview.result = formatCallResult(await method.call({ from: account }));
+            const gas = await txManager.estimateGas({ from: account, to, data: method.encodeABI() });
+            preview.gas = { estimate: gas.estimate.toString(), limit: gas.limit.toString() };
+            preview.cost = formatWei(gas.limit * feePerGas);
+            totalCost += gas.limit * feePerGas;
+        } catch (error) {
+            if (!isRevert(error)) {
+                throw error;
+            }
+            preview.success = false;
+            preview.revert = describeError(error, contractErrorABIs).body;
+        }
+        previews.push(preview);
+    }
+    
+    return {
+        dryRun: true,
+        success: previews.every(preview => preview.success),
+        from: account,
+        transactions: previews,
+        fees: sanitizeBigInt(fees),
+        totalCost: formatWei(totalCost),
+        balance: { ...formatWei(BigInt(balance)), sufficient: BigInt(balance) >= totalCost }
+    };
+}
+
+// Queue a transaction for a request, recording the API key that asked for it
+// (or the given requestedBy) on the job and the job on the request's admin log entry
+function submitTransaction(req, res, { from, to, data, label, requestedBy }) {
+    const requester = requestedBy || (req.apiKey ? { keyId: req.apiKey.id, keyLabel: req.apiKey.label } : null);
+    const submitted = txManager.submit({ from, to, data, label, requestedBy: requester });
+    
+    if (res.locals.jobIds) {
+        res.locals.jobIds.push(submitted.job.id);
+    }
+    if (res.locals.transactions) {
+        res.locals.transactions.push(submitted);
+    }
+    if (res.locals.idempotencyKey) {
+        idempotency.addJob(res.locals.idempotencyKey, submitted.job.id);
+    }
+    
+    return submitted;
+}
+
+// Submit a contract transaction and respond: 202 with the job ID when the client
+// asked for an async response, otherwise the route's body once it is mined.
+// Reverts found by the preflight call are thrown before a job is created, and
+// dry runs respond with the simulation alone
+async function respondWithTransaction(req, res, { method, account, to, label, requestedBy, status = 200, body }) {
+    if (wantsDryRun(req)) {
+        return res.json(await previewTransactions(account, [{ method, to, label }]));
+    }
+    
+    const data = method.encodeABI();
+    
+    // Simulate the transaction first, so a predictable revert is reported before
+    // anything is signed or queued
+    await web3.eth.call({ from: account, to, data });
+    
+    const { job, completion } = submitTransaction(req, res, { from: account, to, data, label, requestedBy });
+    
+    if (wantsAsyncResponse(req)) {
+        return res.status(202).json({
+            message: 'Transaction queued',
+            jobId: job.id,
+            statusUrl: `/api/transactions/${job.id}`
+        });
+    }
+    
+    const confirmed = await completion;
+    res.status(status).json(sanitizeBigInt(body(confirmed.receipt)));
+}
+
+// Get the timestamp of the latest block, which contracts compare deadlines against
+async function getChainTime() {
+    const block = await web3.eth.getBlock('latest');
+    return block.timestamp;
+}
+
+// Parse an ISO 8601 date or a Unix timestamp in seconds into seconds, or null
+function parseTimestamp(value) {
+    if (typeof value === 'number' || /^\d+$/.test(value || '')) {
+        return Number.isSafeInteger(Number(value)) ? Number(value) : null;
+    }
+    
+    const time = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+// Summarize an election's status as pending, active, closed (voting window
+// passed but not yet ended by the admin) or ended
+function getElectionStatusLabel(status) {
+    if (status.isEnded) {
+        return 'ended';
+    }
+    if (!status.isStarted) {
+        return 'pending';
+    }
+    return Number(status.currentTime) <= Number(status.end) ? 'active' : 'closed';
+}
+
+// Read an election's status and ballot mode, and derive its phase: pending
+// (no voting window yet), scheduled, open (commit for secret ballots), reveal
+// (secret ballots), closed-pending-finalization or finalized. The phase moves
+// with time, so it is only cached until the next check of the chain head
+async function getVotingPhase(votingContract) {
+    const { value } = await readCache.read(votingContract.options.address, 'phase', null, () => readVotingPhase(votingContract));
+    return value;
+}
+
+// Read the voting phase of an election from the chain
+async function readVotingPhase(votingContract) {
+    const [electionStatus, secretBallot, endOfReveal] = await batchReader.callAll([
+        { contract: votingContract, method: 'getElectionStatus' },
+        { contract: votingContract, method: 'secretBallot', defaultValue: false },
+        { contract: votingContract, method: 'revealEndTime', defaultValue: 0 }
+    ]);
+    const status = sanitizeBigInt(electionStatus);
+    const revealEndTime = Number(endOfReveal);
+    const currentTime = Number(status.currentTime);
+    const hasWindow = Number(status.start) > 0;
+    const votingOpen = status.isStarted && !status.isEnded && currentTime <= Number(status.end);
+    
+    let phase = 'closed-pending-finalization';
+    if (!hasWindow) {
+        phase = 'pending';
+    } else if (status.isEnded && (!secretBallot || currentTime > revealEndTime)) {
+        phase = 'finalized';
+    } else if (!status.isStarted && !status.isEnded) {
+        phase = 'scheduled';
+    } else if (votingOpen) {
+        phase = secretBallot ? 'commit' : 'open';
+    } else if (secretBallot && currentTime <= revealEndTime) {
+        phase = 'reveal';
+    }
+    
+    return {
+        status,
+        secretBallot,
+        revealEndTime,
+        phase,
+        // Secret ballot results unlock once the reveal window has passed
+        resultsAvailable: secretBallot ? hasWindow && currentTime > revealEndTime : status.isEnded
+    };
+}
+
+// Read the voting method of an election by name. It never changes, so it stays cached.
+// Elections deployed before voting methods were added are plurality elections
+async function getVotingMethod(votingContract) {
+    const { value } = await readCache.read(votingContract.options.address, 'votingMethod', [], async () => {
+        const [votingMethod] = await batchReader.callAll([
+            { contract: votingContract, method: 'votingMethod', defaultValue: 0 }
+        ]);
+        return VOTING_METHODS[Number(votingMethod)];
+    });
+    return value;
+}
+
+// Read the result rules of an election, with shares in basis points
+async function getResultRules(votingContract) {
+    const { value } = await readCache.read(votingContract.options.address, 'resultRules', ['ResultRulesSet'], async () => {
+        const [quorumBasisPoints, winningRule, supermajorityBasisPoints] = await batchReader.callAll([
+            { contract: votingContract, method: 'quorumBasisPoints', defaultValue: 0 },
+            { contract: votingContract, method: 'winningRule', defaultValue: 0 },
+            { contract: votingContract, method: 'supermajorityBasisPoints', defaultValue: 0 }
+        ]);
+        return {
+            quorumBasisPoints: Number(quorumBasisPoints),
+            winningRule: WINNING_RULES[Number(winningRule)],
+            supermajorityBasisPoints: Number(supermajorityBasisPoints)
+        };
+    });
+    return value;
+}
+
+// Format result rules for responses, with shares as percentages
+function formatResultRules(rules) {
+    return {
+        quorum: formatPercentage(rules.quorumBasisPoints, 10000),
+        winningRule: rules.winningRule,
+        supermajority: rules.winningRule === 'supermajority' ? formatPercentage(rules.supermajorityBasisPoints, 10000) : null
+    };
+}
+
+// Read and format the information of an election
+async function getElectionInfo(votingContract) {
+    const [electionName, registeredVoters, totalCommits] = await batchReader.callAll([
+        { contract: votingContract, method: 'electionName' },
+        { contract: votingContract, method: 'registeredVoterCount', defaultValue: 0 },
+        { contract: votingContract, method: 'totalCommits', defaultValue: 0 }
+    ]);
+    const { status, secretBallot, revealEndTime, phase, resultsAvailable } = await getVotingPhase(votingContract);
+    
+    const info = {
+        name: electionName,
+        votingMethod: await getVotingMethod(votingContract),
+        status: getElectionStatusLabel(status),
+        phase,
+        secretBallot,
+        resultsAvailable,
+        isStarted: status.isStarted,
+        isEnded: status.isEnded,
+        startTime: new Date(Number(status.start) * 1000).toISOString(),
+        endTime: new Date(Number(status.end) * 1000).toISOString(),
+        currentTime: new Date(Number(status.currentTime) * 1000).toISOString(),
+        registeredVoters: Number(registeredVoters),
+        resultRules: formatResultRules(await getResultRules(votingContract))
+    };
+    
+    if (secretBallot) {
+        info.revealEndTime = status.isStarted ? new Date(revealEndTime * 1000).toISOString() : null;
+        info.totalCommits = Number(totalCommits);
+    }
+    
+    // Sanitize and format the response
+    return sanitizeBigInt(info);
+}
+
+// Read the information of an election through the read cache, as { value, blockNumber }.
+// It includes the current time, so it lasts until the next check of the chain head
+function readElectionInfo(votingContract) {
+    return readCache.read(votingContract.options.address, 'info', null, () => getElectionInfo(votingContract));
+}
+
+// Read every candidate of an election, formatted with their vote counts. Elections
+// deployed before getAllCandidates read them through the batch reader instead
+async function readAllCandidates(votingContract) {
+    const address = votingContract.options.address.toLowerCase();
+    
+    if (!legacyElections.has(address)) {
+        try {
+            const candidates = await votingContract.methods.getAllCandidates().call();
+            return candidates.map(candidate => formatCandidate(candidate));
+        } catch (error) {
+            if (!isMissingFunctionError(error)) {
+                throw error;
+            }
+            legacyElections.set(address, 'batched');
+        }
+    }
+    
+    const candidateCount = Number(await votingContract.methods.getCandidateCount().call());
+    const readBatch = contract => batchReader.callAll([...Array(candidateCount).keys()].map(candidateId => ({
+        contract,
+        method: 'getCandidate',
+        args: [candidateId]
+    })));
+    
+    if (legacyElections.get(address) === 'batched') {
+        try {
+            return (await readBatch(votingContract)).map(candidate => formatCandidate(candidate));
+        } catch (error) {
+            // The five outputs of the first version don't decode with the current ABI
+            if (!isMissingFunctionError(error)) {
+                throw error;
+            }
+            legacyElections.set(address, 'original');
+        }
+    }
+    
+    const candidates = await readBatch(getOriginalCandidateContract(votingContract));
+    return candidates.map(candidate => formatCandidate(candidate));
+}
+
+// Get a contract that reads an election's candidates with the original getCandidate ABI
+function getOriginalCandidateContract(votingContract) {
+    return new web3.eth.Contract(ORIGINAL_CANDIDATE_ABI, votingContract.options.address);
+}
+
+// Read every candidate of an election through the read cache, as { value, blockNumber }
+function readCandidates(votingContract) {
+    return readCache.read(votingContract.options.address, 'candidates', CANDIDATE_EVENTS, () => readAllCandidates(votingContract));
+}
+
+// Send a read with the block it reflects. Clients revalidate it with its ETag
+function sendRead(res, { value, blockNumber }) {
+    res.set({
+        'Cache-Control': 'no-cache',
+        'X-Block-Number': String(blockNumber)
+    });
+    res.json(value);
+}
+
+// Format a getCandidate result. Secret ballot tallies stay hidden until reveals have closed.
+// Results of the original getCandidate have no withdrawn flag or metadata hash
+function formatCandidate(candidate, hideVoteCount = false) {
+    return {
+        id: Number(candidate[0]),
+        name: candidate[1],
+        party: candidate[2],
+        proposal: candidate[3],
+        voteCount: hideVoteCount ? null : Number(candidate[4]),
+        withdrawn: Boolean(candidate[5]),
+        metadataHash: !candidate[6] || candidate[6] === EMPTY_HASH ? null : candidate[6]
+    };
+}
+
+// Read a candidate by its ID route parameter, throwing 404 when there is no such candidate
+async function findCandidate(votingContract, candidateId) {
+    const candidateCount = Number(await votingContract.methods.getCandidateCount().call());
+    
+    if (!/^\d+$/.test(candidateId) || Number(candidateId) >= candidateCount) {
+        throw createHttpError(404, 'CANDIDATE_NOT_FOUND', 'Candidate not found');
+    }
+    
+    if (legacyElections.get(votingContract.options.address.toLowerCase()) === 'original') {
+        return getOriginalCandidateContract(votingContract).methods.getCandidate(candidateId).call();
+    }
+    return votingContract.methods.getCandidate(candidateId).call();
+}
+
+// Read a candidate that can still be edited or withdrawn: the election has not
+// started (or been scheduled) and the candidate has not withdrawn
+async function findEditableCandidate(votingContract, candidateId) {
+    const candidate = await findCandidate(votingContract, candidateId);
+    
+    if (await votingContract.methods.electionStarted().call()) {
+        throw createHttpError(409, 'ELECTION_ALREADY_STARTED', 'Candidates cannot be changed after the election has started');
+    }
+    if (candidate[5]) {
+        throw createHttpError(409, 'CANDIDATE_WITHDRAWN', 'Candidate has withdrawn');
+    }
+    
+    return candidate;
+}
+
+// Validators of the optional candidate metadata document
+const candidateMetadataValidators = [
+    body('metadata').optional({ values: 'null' }).isObject().withMessage('Metadata must be an object'),
+    body('metadata.photo').optional().isURL().withMessage('Photo must be a URL'),
+    body('metadata.bio').optional().isString().withMessage('Bio must be a string'),
+    body('metadata.links').optional().isArray().withMessage('Links must be an array of URLs'),
+    body('metadata.links.*').isURL().withMessage('Links must be an array of URLs'),
+    body('metadata.proposalDocument').optional().isString().withMessage('Proposal document must be a string')
+];
+
+// Pick the known fields of a validated metadata document, so only they are stored and hashed
+function getCandidateMetadata(metadata) {
+    const document = {};
+    ['photo', 'bio', 'links', 'proposalDocument'].forEach(field => {
+        if (metadata[field] !== undefined) {
+            document[field] = metadata[field];
+        }
+    });
+    return document;
+}
+
+// Store a candidate's metadata document and get its hash. Dry runs only hash it
+function storeCandidateMetadata(req, metadata) {
+    const document = getCandidateMetadata(metadata);
+    return wantsDryRun(req) ? hashDocument(document) : contentStore.put(document);
+}
+
+// Read and format the status of a voter. Secret ballots disclose the candidate
+// only once reveals have closed
+async function getVoterStatus(votingContract, address) {
+    const voter = await votingContract.methods.voters(address).call();
+    const { secretBallot, resultsAvailable } = await getVotingPhase(votingContract);
+    const votingMethod = await getVotingMethod(votingContract);
+    
+    // Sanitize voter data
+    const sanitizedVoter = sanitizeBigInt(voter);
+    const sanitizedHasVoted = sanitizedVoter.hasVoted;
+    
+    const disclosed = sanitizedHasVoted && (!secretBallot || (resultsAvailable && sanitizedVoter.hasRevealed));
+    
+    const voterStatus = {
+        address,
+        isRegistered: sanitizedVoter.isRegistered,
+        hasVoted: sanitizedHasVoted
+    };
+    
+    if (secretBallot) {
+        voterStatus.hasCommitted = sanitizedHasVoted;
+        voterStatus.hasRevealed = sanitizedVoter.hasRevealed;
+    }
+    
+    // votedFor is the first choice of approval and ranked ballots, listed in full as ballot
+    voterStatus.votedFor = disclosed ? Number(sanitizedVoter.votedCandidateId) : null;
+    
+    if (votingMethod === 'approval' || votingMethod === 'rankedChoice') {
+        voterStatus.ballot = disclosed ? (await votingContract.methods.getBallot(address).call()).map(Number) : null;
+    }
+    
+    if (votingMethod === 'weighted') {
+        voterStatus.weight = Number(sanitizedVoter.weight);
+    }
+    
+    return sanitizeBigInt(voterStatus);
+}
+
+// API endpoints
+
+// List all elections created by the factory
+app.get('/api/elections', async (req, res) => {
+    try {
+        if (!factoryContract) {
+            return sendError(res, createHttpError(404, 'FACTORY_NOT_CONFIGURED', 'Election factory is not configured'));
+        }
+        
+        const electionCount = await factoryContract.methods.getElectionCount().call();
+        const elections = [];
+        
+        for (let i = 0; i < Number(electionCount); i++) {
+            const election = await factoryContract.methods.getElection(i).call();
+            const { value: info } = await readElectionInfo(getElectionContract(election[0]));
+            elections.push({
+                id: i,
+                address: election[0],
+                admin: election[2],
+                createdAt: new Date(Number(election[3]) * 1000).toISOString(),
+                ...info
+            });
+        }
+        
+        res.json(sanitizeBigInt(elections));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Create a new election through the factory (admin only)
+app.post('/api/elections',
+    requireScope('elections'),
+    [
+        body('name').notEmpty().withMessage('Election name is required'),
+        body('votingMethod').optional().isIn(VOTING_METHODS).withMessage(`Voting method must be one of ${VOTING_METHODS.join(', ')}`),
+        body('secretBallot').optional().isBoolean({ strict: true }).withMessage('secretBallot must be a boolean'),
+        body('revealDurationInMinutes')
+            .if(body('secretBallot').equals('true'))
+            .isInt({ min: 1 }).withMessage('Reveal duration is required for secret ballots and must be a positive integer')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            if (!factoryContract) {
+                return sendError(res, createHttpError(404, 'FACTORY_NOT_CONFIGURED', 'Election factory is not configured'));
+            }
+            
+            const { name, votingMethod = 'plurality', secretBallot = false, revealDurationInMinutes = 0 } = req.body;
+            
+            const method = factoryContract.methods.createElection(
+                name,
+                VOTING_METHODS.indexOf(votingMethod),
+                secretBallot,
+                secretBallot ? revealDurationInMinutes : 0
+            );
+            await respondWithTransaction(req, res, {
+                method,
+                account: adminWallet.address,
+                to: factoryAddress,
+                label: 'createElection',
+                status: 201,
+                body: receipt => {
+                    // Read the new election ID and address from the ElectionCreated event
+                    const eventABI = factoryABI.find(item => item.type === 'event' && item.name === 'ElectionCreated');
+                    const eventSignature = web3.eth.abi.encodeEventSignature(eventABI);
+                    const log = receipt.logs.find(entry => entry.topics[0] === eventSignature);
+                    const created = web3.eth.abi.decodeLog(eventABI.inputs, log.data, log.topics.slice(1));
+                    
+                    return {
+                        message: 'Election created successfully',
+                        electionId: Number(created.electionId),
+                        address: created.election,
+                        transactionHash: receipt.transactionHash
+                    };
+                }
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// Get the status, receipt and revert reason of a transaction job. Anyone holding the
+// job ID can poll it; who requested it is only shown to keys with the transactions scope
+app.get('/api/transactions/:id', (req, res) => {
+    const job = txManager.getJob(req.params.id);
+    
+    if (!job) {
+        return sendError(res, createHttpError(404, 'JOB_NOT_FOUND', 'Transaction job not found'));
+    }
+    
+    if (req.apiKey && req.apiKey.scopes.includes('transactions')) {
+        return res.json(job);
+    }
+    
+    const { requestedBy, ...publicJob } = job;
+    res.json(publicJob);
+});
+
+// List transaction jobs, newest first (admin only)
+app.get('/api/transactions',
+    requireScope('transactions'),
+    [
+        query('status').optional().isIn(['queued', 'pending', 'confirmed', 'failed']).withMessage('Invalid job status'),
+        query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000')
+    ],
+    (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        const { status, limit } = req.query;
+        res.json(txManager.listJobs({ status, limit: limit ? Number(limit) : 100 }));
+    }
+);
+
+// Create an admin API key with scopes (admin only). The secret is only shown in this response
+app.post('/api/keys',
+    requireScope('keys'),
+    [
+        body('label').isString().notEmpty().withMessage('Key label is required'),
+        body('scopes').isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+        body('scopes.*').isIn(API_KEY_SCOPES).withMessage(`Scopes must be among ${API_KEY_SCOPES.join(', ')}`),
+        body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('Expiry must be an ISO 8601 date')
+            .custom(value => Date.parse(value) > Date.now()).withMessage('Expiry must be in the future'),
+        body('rateLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Rate limit must be a positive integer')
+    ],
+    (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        const { label, scopes, expiresAt, rateLimit } = req.body;
+        const { key, secret } = apiKeys.create({
+            label,
+            scopes,
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            rateLimit: rateLimit ? Number(rateLimit) : null
+        });
+        
+        res.status(201).json({
+            message: 'API key created successfully',
+            key,
+            secret
+        });
+    }
+);
+
+// List admin API keys, newest first (admin only)
+app.get('/api/keys', requireScope('keys'), (req, res) => {
+    res.json(apiKeys.list());
+});
+
+// Revoke an admin API key (admin only)
+app.delete('/api/keys/:keyId', requireScope('keys'), (req, res) => {
+    const key = apiKeys.revoke(req.params.keyId);
+    
+    if (!key) {
+        return sendError(res, createHttpError(404, 'API_KEY_NOT_FOUND', 'API key not found'));
+    }
+    
+    res.json({
+        message: 'API key revoked successfully',
+        key
+    });
+});
+
+// Get the log of admin writes with the key that made each one, newest first (admin only)
+app.get('/api/admin/log',
+    requireScope('keys'),
+    [
+        query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000')
+    ],
+    (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        const { keyId, limit } = req.query;
+        res.json(apiKeys.getLog({ keyId, limit: limit ? Number(limit) : 100 }));
+    }
+);
+
+// Subscribe a URL to webhook events (admin only). The signing secret is only shown in this response
+app.post('/api/webhooks',
+    requireScope('webhooks'),
+    [
+        body('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+            .withMessage('Webhook URL must be an http or https URL'),
+        body('events').isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+        body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`Events must be among ${WEBHOOK_EVENTS.join(', ')}`),
+        body('secret').optional().isString().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters'),
+        body('description').optional().isString().withMessage('Description must be a string')
+    ],
+    (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        const { url, events, secret, description } = req.body;
+        const { subscription, secret: signingSecret } = webhooks.createSubscription({ url, events, secret, description });
+        
+        res.status(201).json({
+            message: 'Webhook created successfully',
+            webhook: subscription,
+            secret: signingSecret
+        });
+    }
+);
+
+// List webhook subscriptions, newest first (admin only)
+app.get('/api/webhooks', requireScope('webhooks'), (req, res) => {
+    res.json(webhooks.listSubscriptions());
+});
+
+// List the deliveries that ran out of attempts, newest first (admin only)
+app.get('/api/webhooks/dead-letters', requireScope('webhooks'), (req, res) => {
+    res.json(webhooks.listDeliveries({ status: 'failed' }));
+});
+
+// Queue a dead-lettered delivery again (admin only)
+app.post('/api/webhooks/deliveries/:deliveryId/retry', requireScope('webhooks'), (req, res) => {
+    const delivery = webhooks.retryDelivery(req.params.deliveryId);
+    
+    if (!delivery) {
+        return sendError(res, createHttpError(404, 'DEAD_LETTER_NOT_FOUND', 'No dead-lettered delivery with this ID'));
+    }
+    
+    res.json({
+        message: 'Delivery queued for retry',
+        delivery
+    });
+});
+
+// Get a webhook subscription (admin only)
+app.get('/api/webhooks/:webhookId', requireScope('webhooks'), (req, res) => {
+    const subscription = webhooks.getSubscription(req.params.webhookId);
+    
+    if (!subscription) {
+        return sendError(res, createHttpError(404, 'WEBHOOK_NOT_FOUND', 'Webhook not found'));
+    }
+    
+    res.json(subscription);
+});
+
+// Delete a webhook subscription and its undelivered deliveries (admin only)
+app.delete('/api/webhooks/:webhookId', requireScope('webhooks'), (req, res) => {
+    if (!webhooks.deleteSubscription(req.params.webhookId)) {
+        return sendError(res, createHttpError(404, 'WEBHOOK_NOT_FOUND', 'Webhook not found'));
+    }
+    
+    res.json({ message: 'Webhook deleted successfully' });
+});
+
+// Get the delivery log of a webhook subscription, newest first (admin only)
+app.get('/api/webhooks/:webhookId/deliveries',
+    requireScope('webhooks'),
+    [
+        query('status').optional().isIn(['pending', 'delivered', 'failed']).withMessage('Invalid delivery status'),
+        query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000')
+    ],
+    (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        if (!webhooks.getSubscription(req.params.webhookId)) {
+            return sendError(res, createHttpError(404, 'WEBHOOK_NOT_FOUND', 'Webhook not found'));
+        }
+        
+        const { status, limit } = req.query;
+        res.json(webhooks.listDeliveries({
+            subscriptionId: req.params.webhookId,
+            status,
+            limit: limit ? Number(limit) : 100
+        }));
+    }
+);
+
+// Issue a one-time nonce for a Sign-In With Ethereum message, with the domain
+// and chain ID the message must name
+app.get('/api/auth/nonce', async (req, res) => {
+    try {
+        const { nonce, expiresAt } = sessions.issueNonce();
+        
+        res.json({
+            nonce,
+            expiresAt,
+            domain: process.env.SIWE_DOMAIN || req.get('host'),
+            chainId: Number(await web3.eth.getChainId())
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Verify a signed Sign-In With Ethereum (EIP-4361) message and start a voter session
+app.post('/api/auth/verify',
+    [
+        body('message').isString().withMessage('SIWE message is required'),
+        body('signature').matches(/^0x[0-9a-fA-F]{130}$/).withMessage('Signature must be a 65-byte hex string')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            const { message, signature } = req.body;
+            const fields = parseSiweMessage(message);
+            
+            if (!fields || fields.version !== '1' || !web3.utils.isAddress(fields.address) || Number.isNaN(Date.parse(fields.issuedAt))) {
+                return sendError(res, createHttpError(400, 'INVALID_SIWE_MESSAGE', 'Invalid SIWE message'));
+            }
+            
+            if (fields.domain !== (process.env.SIWE_DOMAIN || req.get('host'))) {
+                return sendError(res, createHttpError(401, 'SIWE_DOMAIN_MISMATCH', 'Message is for another domain'));
+            }
+            if (fields.chainId !== Number(await web3.eth.getChainId())) {
+                return sendError(res, createHttpError(401, 'SIWE_CHAIN_MISMATCH', 'Message is for another chain'));
+            }
+            if (fields.expirationTime && !(Date.parse(fields.expirationTime) > Date.now())) {
+                return sendError(res, createHttpError(401, 'SIWE_MESSAGE_EXPIRED', 'Message has expired'));
+            }
+            if (fields.notBefore && !(Date.parse(fields.notBefore) <= Date.now())) {
+                return sendError(res, createHttpError(401, 'SIWE_MESSAGE_NOT_YET_VALID', 'Message is not valid yet'));
+            }
+            
+            // SIWE messages are signed with personal_sign (EIP-191)
+            const signer = web3.eth.accounts.recover(message, signature);
+            if (signer.toLowerCase() !== fields.address.toLowerCase()) {
+                return sendError(res, createHttpError(401, 'INVALID_SIGNATURE', 'Signature does not match the address'));
+            }
+            
+            if (!sessions.consumeNonce(fields.nonce)) {
+                return sendError(res, createHttpError(401, 'INVALID_NONCE', 'Invalid or expired nonce'));
+            }
+            
+            const session = sessions.createSession({
+                address: web3.utils.toChecksumAddress(fields.address),
+                chainId: fields.chainId,
+                expiresAt: fields.expirationTime ? Date.parse(fields.expirationTime) : undefined
+            });
+            
+            res.json(session);
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// End the voter session of the Bearer token
+app.post('/api/auth/logout', (req, res) => {
+    const token = getBearerToken(req);
+    
+    if (!token || !sessions.revoke(token)) {
+        return sendError(res, createHttpError(401, 'INVALID_SESSION', 'Invalid or expired session'));
+    }
+    
+    res.json({ message: 'Signed out successfully' });
+});
+
+// Middleware requiring the scope of the action a proposal performs: the action
+// in the request body when proposing, otherwise the action of the proposal
+const requireActionScope = (req, res, next) => {
+    const proposal = req.params.proposalId ? proposals.get(req.params.proposalId) : null;
+    const action = proposal ? proposal.action : (req.body || {}).action;
+    requireScope(PROPOSAL_ACTION_SCOPES[action] || 'elections')(req, res, next);
+};
+
+// Build the typed data a signer signs to approve a proposal
+async function getProposalApprovalTypedData(proposal) {
+    return buildProposalApprovalTypedData({
+        chainId: await web3.eth.getChainId(),
+        election: proposal.election,
+        proposalId: proposal.id,
+        action: proposal.action,
+        paramsHash: proposal.paramsHash,
+        expiresAt: Math.floor(Date.parse(proposal.expiresAt) / 1000)
+    });
+}
+
+// Send the transactions of a proposal that reached its threshold, recording its
+// jobs and outcome on it. Resolves once they are mined; failures are recorded, not thrown
+async function executeProposal(proposal) {
+    const votingContract = getElectionContract(proposal.election);
+    const submit = fields => txManager.submit({ ...fields, requestedBy: { proposalId: proposal.id } });
+    
+    try {
+        let submitted;
+        if (proposal.action === 'registerVoters') {
+            const { isWeighted, pending } = await prepareVoterRegistration(votingContract, proposal.params.voters);
+            submitted = submitVoterBatches(votingContract, pending, isWeighted, submit);
+        } else {
+            const methods = {
+                startElection: () => votingContract.methods.startElection(proposal.params.durationInMinutes),
+                scheduleElection: () => votingContract.methods.scheduleElection(proposal.params.startTime, proposal.params.endTime),
+                endElection: () => votingContract.methods.endElection(),
+                grantRole: () => votingContract.methods.grantRole(CONTRACT_ROLES[proposal.params.role], proposal.params.address),
+                revokeRole: () => votingContract.methods.revokeRole(CONTRACT_ROLES[proposal.params.role], proposal.params.address)
+            };
+            const method = methods[proposal.action]();
+            submitted = [submit({
+                from: adminWallet.address,
+                to: proposal.election,
+                data: method.encodeABI(),
+                label: proposal.action
+            })];
+        }
+        
+        proposal.jobIds = submitted.map(({ job }) => job.id);
+        proposals.save(proposal);
+        
+        await Promise.all(submitted.map(({ completion }) => completion));
+        proposal.status = 'executed';
+        proposal.executedAt = new Date().toISOString();
+    } catch (error) {
+        proposal.status = 'failed';
+        proposal.error = error.message;
+    }
+    
+    proposals.save(proposal);
+}
+
+// Propose a critical admin action, to be executed once enough distinct signers approve it
+app.post('/api/proposals',
+    requireActionScope,
+    [
+        body('action').isIn(PROPOSAL_ACTIONS).withMessage(`Action must be one of ${PROPOSAL_ACTIONS.join(', ')}`),
+        body('electionId').optional().isInt({ min: 0 }).withMessage('Election ID must be a non-negative integer'),
+        body('threshold').optional().isInt({ min: PROPOSAL_THRESHOLD }).withMessage(`Threshold must be an integer of at least ${PROPOSAL_THRESHOLD}`),
+        body('expiresInMinutes').optional().isInt({ min: 1 }).withMessage('Expiry must be a positive number of minutes'),
+        body('params.durationInMinutes')
+            .if(body('action').equals('startElection'))
+            .isInt({ min: 1 }).withMessage('Duration must be a positive integer'),
+        body('params.startTime')
+            .if(body('action').equals('scheduleElection'))
+            .custom(value => parseTimestamp(value) !== null).withMessage('Start time must be an ISO 8601 date or a Unix timestamp'),
+        body('params.endTime')
+            .if(body('action').equals('scheduleElection'))
+            .custom(value => parseTimestamp(value) !== null).withMessage('End time must be an ISO 8601 date or a Unix timestamp'),
+        body('params.role')
+            .if(body('action').isIn(['grantRole', 'revokeRole']))
+            .isIn(Object.keys(CONTRACT_ROLES)).withMessage(`Role must be one of ${Object.keys(CONTRACT_ROLES).join(', ')}`),
+        body('params.address')
+            .if(body('action').isIn(['grantRole', 'revokeRole']))
+            .custom(value => web3.utils.isAddress(value || '')).withMessage('Invalid Ethereum address')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            const { action, electionId, threshold = PROPOSAL_THRESHOLD, expiresInMinutes = PROPOSAL_TTL_MINUTES } = req.body;
+            const election = await resolveElectionAddress(electionId === undefined ? undefined : String(electionId));
+            
+            let params = {};
+            let report;
+            if (action === 'startElection') {
+                params = { durationInMinutes: Number(req.body.params.durationInMinutes) };
+            } else if (action === 'scheduleElection') {
+                params = { startTime: parseTimestamp(req.body.params.startTime), endTime: parseTimestamp(req.body.params.endTime) };
+                
+                // The start is checked again when the approved proposal is sent
+                if (params.startTime < Number(await getChainTime())) {
+                    return sendError(res, createHttpError(400, 'INVALID_SCHEDULE', 'Start time must not be in the past'));
+                }
+                if (params.endTime <= params.startTime) {
+                    return sendError(res, createHttpError(400, 'INVALID_SCHEDULE', 'End time must be after the start time'));
+                }
+            } else if (action === 'registerVoters') {
+                const voterList = parseVoterJson(req.body.params);
+                if (!voterList || voterList.length === 0) {
+                    return sendError(res, createHttpError(400, 'VOTERS_REQUIRED', 'A list of voter addresses is required in params.voters'));
+                }
+                
+                // Only the voters left to register are proposed, and signed off by approvers
+                const prepared = await prepareVoterRegistration(getElectionContract(election), voterList);
+                report = prepared.report;
+                if (prepared.pending.length === 0) {
+                    return sendError(res, createHttpError(400, 'NO_VOTERS_TO_REGISTER', 'No voters are left to register', { voters: report }));
+                }
+                params = {
+                    voters: prepared.pending.map(({ address, weight }) => (weight !== undefined ? { address, weight } : { address }))
+                };
+            } else if (action === 'grantRole' || action === 'revokeRole') {
+                const { role, address } = req.body.params;
+                await checkRoleChange(getElectionContract(election), action, role, address);
+                params = { role, address: web3.utils.toChecksumAddress(address) };
+            }
+            
+            const proposal = proposals.create({
+                action,
+                election,
+                params,
+                paramsHash: hashDocument(params),
+                threshold: Number(threshold),
+                expiresAt: new Date(Date.now() + Number(expiresInMinutes) * 60000).toISOString(),
+                proposedBy: { keyId: req.apiKey.id, keyLabel: req.apiKey.label }
+            });
+            
+            res.status(201).json({
+                message: 'Proposal created successfully',
+                proposal,
+                ...(report ? { voters: report } : {})
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// Keys that propose or approve actions can read proposals, which list voters and key labels
+const requireProposalAccess = requireScope(['approvals', ...new Set(Object.values(PROPOSAL_ACTION_SCOPES))]);
+
+// List proposals, newest first
+app.get('/api/proposals',
+    requireProposalAccess,
+    [
+        query('status').optional().isIn(['pending', 'executing', 'executed', 'failed', 'cancelled', 'expired']).withMessage('Invalid proposal status'),
+        query('electionId').optional().isInt({ min: 0 }).withMessage('Election ID must be a non-negative integer'),
+        query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            const { status, electionId, limit } = req.query;
+            const election = electionId !== undefined ? await resolveElectionAddress(electionId) : undefined;
+            
+            res.json(proposals.list({ status, election, limit: limit ? Number(limit) : 100 }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// Get a proposal with its approvals
+app.get('/api/proposals/:proposalId', requireProposalAccess, (req, res) => {
+    const proposal = proposals.get(req.params.proposalId);
+    
+    if (!proposal) {
+        return sendError(res, createHttpError(404, 'PROPOSAL_NOT_FOUND', 'Proposal not found'));
+    }
+    
+    res.json(proposal);
+});
+
+// Build the EIP-712 typed data a signer signs in their wallet to approve a proposal
+app.get('/api/proposals/:proposalId/typed-data', async (req, res) => {
+    try {
+        const proposal = proposals.get(req.params.proposalId);
+        
+        if (!proposal) {
+            return sendError(res, createHttpError(404, 'PROPOSAL_NOT_FOUND', 'Proposal not found'));
+        }
+        
+        res.json({ typedData: await getProposalApprovalTypedData(proposal) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Approve a proposal, with a key holding the approvals scope and listed in
+// PROPOSAL_APPROVER_KEYS, or a signature from one of PROPOSAL_SIGNERS. The key that
+// proposed it and keys created after it cannot approve. Keys approve as their owner's
+// address, so with PROPOSAL_SIGNERS set every key needs one: otherwise one person
+// could approve by key and by signature. The approval reaching the threshold executes it
+app.post('/api/proposals/:proposalId/approve',
+    (req, res, next) => (req.body && req.body.signature !== undefined ? next() : requireScope('approvals')(req, res, next)),
+    async (req, res) => {
+        try {
+            const proposal = proposals.get(req.params.proposalId);
+            
+            if (!proposal) {
+                return sendError(res, createHttpError(404, 'PROPOSAL_NOT_FOUND', 'Proposal not found'));
+            }
+            
+            const { signer, signature } = req.body || {};
+            let approval;
+            if (signature !== undefined) {
+                if (!web3.utils.isAddress(signer || '')) {
+                    return sendError(res, createHttpError(400, 'INVALID_ADDRESS', 'Invalid Ethereum address'));
+                }
+                
+                let recovered;
+                try {
+                    recovered = recoverBallotSigner(await getProposalApprovalTypedData(proposal), signature);
+                } catch (error) {
+                    return sendError(res, createHttpError(400, 'INVALID_SIGNATURE', 'Invalid signature'));
+                }
+                
+                if (recovered.toLowerCase() !== signer.toLowerCase()) {
+                    return sendError(res, createHttpError(401, 'INVALID_SIGNATURE', 'Signature does not match the signer'));
+                }
+                if (!PROPOSAL_SIGNERS.has(signer.toLowerCase())) {
+                    return sendError(res, createHttpError(403, 'NOT_AN_APPROVER', 'Signer is not an authorized approver'));
+                }
+                
+                approval = { signer: web3.utils.toChecksumAddress(signer), method: 'signature', label: null };
+            } else {
+                if (!PROPOSAL_APPROVER_KEYS.has(req.apiKey.id)) {
+                    return sendError(res, createHttpError(403, 'NOT_AN_APPROVER', 'API key is not an authorized approver'));
+                }
+                if (req.apiKey.id === proposal.proposedBy.keyId) {
+                    return sendError(res, createHttpError(403, 'SELF_APPROVAL', 'A proposal cannot be approved by the key that proposed it'));
+                }
+                if (req.apiKey.createdAt && req.apiKey.createdAt > proposal.createdAt) {
+                    return sendError(res, createHttpError(403, 'NOT_AN_APPROVER', 'API key was created after the proposal'));
+                }
+                
+                const owner = PROPOSAL_APPROVER_KEYS.get(req.apiKey.id);
+                if (!owner && PROPOSAL_SIGNERS.size > 0) {
+                    return sendError(res, createHttpError(403, 'NOT_AN_APPROVER', 'API key has no owner address in PROPOSAL_APPROVER_KEYS'));
+                }
+                
+                approval = { signer: owner || `key:${req.apiKey.id}`, method: 'apiKey', label: req.apiKey.label };
+            }
+            
+            // No awaits from here until execution starts, so concurrent approvals
+            // cannot execute a proposal twice
+            if (proposal.status !== 'pending') {
+                return sendError(res, createHttpError(409, 'PROPOSAL_CLOSED', `Proposal is ${proposal.status}`));
+            }
+            if (!proposals.addApproval(proposal, approval)) {
+                return sendError(res, createHttpError(409, 'ALREADY_APPROVED', 'Signer has already approved this proposal'));
+            }
+            
+            if (proposal.approvals.length >= proposal.threshold) {
+                proposal.status = 'executing';
+                proposals.save(proposal);
+                
+                const execution = executeProposal(proposal);
+                if (!wantsAsyncResponse(req)) {
+                    await execution;
+                }
+                if (res.locals.jobIds) {
+                    res.locals.jobIds.push(...proposal.jobIds);
+                }
+            }
+            
+            const messages = {
+                pending: `Proposal approved (${proposal.approvals.length} of ${proposal.threshold} approvals)`,
+                executing: 'Proposal approved and executing',
+                executed: 'Proposal approved and executed',
+                failed: 'Proposal approved, but its execution failed'
+            };
+            
+            res.json({
+                message: messages[proposal.status],
+                proposal
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// Cancel a pending proposal, with a key holding the scope of its action
+app.post('/api/proposals/:proposalId/cancel', requireActionScope, (req, res) => {
+    const proposal = proposals.get(req.params.proposalId);
+    
+    if (!proposal) {
+        return sendError(res, createHttpError(404, 'PROPOSAL_NOT_FOUND', 'Proposal not found'));
+    }
+    if (proposal.status !== 'pending') {
+        return sendError(res, createHttpError(409, 'PROPOSAL_CLOSED', `Proposal is ${proposal.status}`));
+    }
+    
+    proposal.status = 'cancelled';
+    proposal.cancelledAt = new Date().toISOString();
+    proposal.cancelledBy = { keyId: req.apiKey.id, keyLabel: req.apiKey.label };
+    proposals.save(proposal);
+    
+    res.json({
+        message: 'Proposal cancelled successfully',
+        proposal
+    });
+});
+
+// Routes operating on a single election. They are mounted at the end of this
+// file under /api (the default election) and /api/elections/:electionId
+const electionRouter = express.Router({ mergeParams: true });
+
+// Get election information
+const getElection = async (req, res) => {
+    try {
+        sendRead(res, await readElectionInfo(req.votingContract));
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+electionRouter.get('/election', getElection);
+app.get('/api/elections/:electionId', resolveElection, getElection);
+
+// Get all candidates. Withdrawn candidates are listed only with ?includeWithdrawn=true
+electionRouter.get('/candidates', async (req, res) => {
+    try {
+        const { value, blockNumber } = await readCandidates(req.votingContract);
+        const { secretBallot, resultsAvailable } = await getVotingPhase(req.votingContract);
+        const hideVoteCount = secretBallot && !resultsAvailable;
+        const includeWithdrawn = req.query.includeWithdrawn === 'true';
+        
+        const candidates = value
+            .filter(candidate => includeWithdrawn || !candidate.withdrawn)
+            .map(candidate => (hideVoteCount ? { ...candidate, voteCount: null } : candidate));
+        
+        sendRead(res, { value: candidates, blockNumber });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Add a candidate (admin only)
+electionRouter.post('/candidates', 
+    requireScope('candidates'),
+    [
+        body('name').notEmpty().withMessage('Candidate name is required'),
+        body('party').notEmpty().withMessage('Party name is required'),
+        body('proposal').notEmpty().withMessage('Proposal is required'),
+        ...candidateMetadataValidators
+    ], 
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            const { name, party, proposal, metadata } = req.body;
+            const metadataHash = metadata ? storeCandidateMetadata(req, metadata) : EMPTY_HASH;
+            
+            const method = req.votingContract.methods.addCandidate(name, party, proposal, metadataHash);
+            await respondWithTransaction(req, res, {
+                method,
+                account: adminWallet.address,
+                to: req.votingContract.options.address,
+                label: 'addCandidate',
+                status: 201,
+                body: receipt => ({
+                    message: 'Candidate added successfully',
+                    metadataHash: metadata ? metadataHash : null,
+                    transactionHash: receipt.transactionHash
+                })
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// Get a candidate with its metadata document, checked against the hash anchored on-chain
+electionRouter.get('/candidates/:candidateId', async (req, res) => {
+    try {
+        const { value, blockNumber } = await readCandidates(req.votingContract);
+        const candidate = /^\d+$/.test(req.params.candidateId) ? value[Number(req.params.candidateId)] : undefined;
+        if (!candidate) {
+            return sendError(res, createHttpError(404, 'CANDIDATE_NOT_FOUND', 'Candidate not found'));
+        }
+        
+        const { secretBallot, resultsAvailable } = await getVotingPhase(req.votingContract);
+        const response = { ...candidate };
+        if (secretBallot && !resultsAvailable) {
+            response.voteCount = null;
+        }
+        
+        // metadataVerified is null when the candidate has no metadata, and false when
+        // the document is missing here or no longer matches the on-chain hash
+        response.metadata = null;
+        response.metadataVerified = null;
+        if (response.metadataHash) {
+            const stored = contentStore.get(response.metadataHash);
+            response.metadata = stored && stored.verified ? stored.document : null;
+            response.metadataVerified = Boolean(stored && stored.verified);
+        }
+        
+        sendRead(res, { value: response, blockNumber });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Edit a candidate before the election starts (admin only). Omitted fields keep
+// their current value; metadata replaces the whole document, or removes it when null
+electionRouter.patch('/candidates/:candidateId',
+    requireScope('candidates'),
+    [
+        body('name').optional().notEmpty().withMessage('Candidate name must not be empty'),
+        body('party').optional().notEmpty().withMessage('Party name must not be empty'),
+        body('proposal').optional().notEmpty().withMessage('Proposal must not be empty'),
+        ...candidateMetadataValidators
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            const candidate = formatCandidate(await findEditableCandidate(req.votingContract, req.params.candidateId));
+            const { name = candidate.name, party = candidate.party, proposal = candidate.proposal, metadata } = req.body;
+            
+            let metadataHash = candidate.metadataHash || EMPTY_HASH;
+            if (metadata === null) {
+                metadataHash = EMPTY_HASH;
+            } else if (metadata !== undefined) {
+                metadataHash = storeCandidateMetadata(req, metadata);
+            }
+            
+            const method = req.votingContract.methods.updateCandidate(candidate.id, name, party, proposal, metadataHash);
+            await respondWithTransaction(req, res, {
+                method,
+                account: adminWallet.address,
+                to: req.votingContract.options.address,
+                label: 'updateCandidate',
+                body: receipt => ({
+                    message: 'Candidate updated successfully',
+                    metadataHash: metadataHash === EMPTY_HASH ? null : metadataHash,
+                    transactionHash: receipt.transactionHash
+                })
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// Withdraw a candidate before the election starts (admin only). Its ID stays
+// reserved, but ballots can no longer select it and results leave it out
+electionRouter.delete('/candidates/:candidateId', requireScope('candidates'), async (req, res) => {
+    try {
+        const candidate = formatCandidate(await findEditableCandidate(req.votingContract, req.params.candidateId));
+        
+        const method = req.votingContract.methods.withdrawCandidate(candidate.id);
+        await respondWithTransaction(req, res, {
+            method,
+            account: adminWallet.address,
+            to: req.votingContract.options.address,
+            label: 'withdrawCandidate',
+            body: receipt => ({
+                message: 'Candidate withdrawn successfully',
+                transactionHash: receipt.transactionHash
+            })
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Get the contract roles an account holds in the election. The election admin holds every role
+electionRouter.get('/roles/:address', async (req, res) => {
+    try {
+        const { address } = req.params;
+        
+        if (!web3.utils.isAddress(address)) {
+            return sendError(res, createHttpError(400, 'INVALID_ADDRESS', 'Invalid Ethereum address'));
+        }
+        
+        const roles = [];
+        for (const [name, role] of Object.entries(CONTRACT_ROLES)) {
+            if (await req.votingContract.methods.hasRole(role, address).call()) {
+                roles.push(name);
+            }
+        }
+        
+        const admin = await req.votingContract.methods.admin().call();
+        res.json({
+            address,
+            isElectionAdmin: admin.toLowerCase() === address.toLowerCase(),
+            roles
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Check that a role can be granted to (grantRole) or revoked from (revokeRole) an
+// account, throwing 409 when it already holds it, lacks it or is the election admin
+async function checkRoleChange(votingContract, action, role, address) {
+    const hasRole = await votingContract.methods.hasRole(CONTRACT_ROLES[role], address).call();
+    
+    if (action === 'grantRole') {
+        if (hasRole) {
+            throw createHttpError(409, 'ROLE_ALREADY_GRANTED', 'Account already has the role');
+        }
+        return;
+    }
+    
+    const admin = await votingContract.methods.admin().call();
+    if (admin.toLowerCase() === address.toLowerCase()) {
+        throw createHttpError(409, 'ADMIN_ROLE_PROTECTED', 'The election admin\'s roles cannot be revoked');
+    }
+    if (!hasRole) {
+        throw createHttpError(409, 'ROLE_NOT_GRANTED', 'Account does not have the role');
+    }
+}
+
+// Grant a contract role to an account (admin only). Roles can start and end
+// elections directly on the contract, so grants go through proposals like those actions
+electionRouter.post('/roles',
+    requireScope('roles'),
+    requireNoApprovals('grantRole'),
+    [
+        body('role').isIn(Object.keys(CONTRACT_ROLES)).withMessage(`Role must be one of ${Object.keys(CONTRACT_ROLES).join(', ')}`),
+        body('address').custom(value => web3.utils.isAddress(value || '')).withMessage('Invalid Ethereum address')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            const { role, address } = req.body;
+            await checkRoleChange(req.votingContract, 'grantRole', role, address);
+            
+            const method = req.votingContract.methods.grantRole(CONTRACT_ROLES[role], address);
+            await respondWithTransaction(req, res, {
+                method,
+                account: adminWallet.address,
+                to: req.votingContract.options.address,
+                label: 'grantRole',
+                status: 201,
+                body: receipt => ({
+                    message: 'Role granted successfully',
+                    transactionHash: receipt.transactionHash
+                })
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// Revoke a contract role from an account (admin only)
+electionRouter.delete('/roles/:role/:address', requireScope('roles'), requireNoApprovals('revokeRole'), async (req, res) => {
+    try {
+        const { role, address } = req.params;
+        
+        if (!CONTRACT_ROLES[role]) {
+            return sendError(res, createHttpError(404, 'ROLE_NOT_FOUND', 'Role not found'));
+        }
+        if (!web3.utils.isAddress(address)) {
+            return sendError(res, createHttpError(400, 'INVALID_ADDRESS', 'Invalid Ethereum address'));
+        }
+        await checkRoleChange(req.votingContract, 'revokeRole', role, address);
+        
+        const method = req.votingContract.methods.revokeRole(CONTRACT_ROLES[role], address);
+        await respondWithTransaction(req, res, {
+            method,
+            account: adminWallet.address,
+            to: req.votingContract.options.address,
+            label: 'revokeRole',
+            body: receipt => ({
+                message: 'Role revoked successfully',
+                transactionHash: receipt.transactionHash
+            })
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Register a voter (admin only)
+electionRouter.post('/voters/register', 
+    requireScope('voters'),
+    [
+        body('voterAddress').notEmpty().withMessage('Voter Ethereum address is required'),
+        body('weight').optional().isInt({ min: 1 }).withMessage('Weight must be a positive integer')
+    ], 
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            const { voterAddress, weight } = req.body;
+            
+            // Validate address format
+            if (!web3.utils.isAddress(voterAddress)) {
+                return sendError(res, createHttpError(400, 'INVALID_ADDRESS', 'Invalid Ethereum address'));
+            }
+            
+            const isWeighted = await getVotingMethod(req.votingContract) === 'weighted';
+            
+            if (weight !== undefined && !isWeighted) {
+                return sendError(res, createHttpError(400, 'WEIGHTS_NOT_SUPPORTED', 'Weights apply to weighted elections only'));
+            }
+            
+            const method = isWeighted ?
+                req.votingContract.methods.registerVoterWithWeight(voterAddress, weight || 1) :
+                req.votingContract.methods.registerVoter(voterAddress);
+            await respondWithTransaction(req, res, {
+                method,
+                account: adminWallet.address,
+                to: req.votingContract.options.address,
+                label: 'registerVoter',
+                status: 201,
+                body: receipt => ({
+                    message: 'Voter registered successfully',
+                    transactionHash: receipt.transactionHash
+                })
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// Validate a voter list for registration: checksum every address, check weights,
+// and skip duplicates and voters who are already registered. Returns the report
+// entry of every listed voter and the entries left to register
+async function prepareVoterRegistration(votingContract, voterList) {
+    const isWeighted = await getVotingMethod(votingContract) === 'weighted';
+    
+    if (!isWeighted && voterList.some(voter => voter.weight !== undefined)) {
+        throw createHttpError(400, 'WEIGHTS_NOT_SUPPORTED', 'Weights apply to weighted elections only');
+    }
+    
+    const report = [];
+    const seen = new Set();
+    const candidates = [];
+    
+    // Validate and checksum every address, dropping duplicates within the list
+    for (const { address: rawAddress, weight } of voterList) {
+        const entry = { address: rawAddress };
+        report.push(entry);
+        
+        if (!web3.utils.isAddress(rawAddress)) {
+            entry.status = 'invalid';
+            entry.reason = 'Invalid Ethereum address';
+            continue;
+        }
+        
+        // The contract reverts the whole batch holding it
+        if (/^(0x)?0{40}$/i.test(rawAddress)) {
+            entry.status = 'invalid';
+            entry.reason = 'Voter cannot be the zero address';
+            continue;
+        }
+        
+        if (isWeighted) {
+            if (weight !== undefined && !/^[1-9]\d*$/.test(weight)) {
+                entry.status = 'invalid';
+                entry.reason = 'Weight must be a positive integer';
+                continue;
+            }
+            entry.weight = Number(weight || 1);
+        }
+        
+        entry.address = web3.utils.toChecksumAddress(rawAddress);
+        
+        if (seen.has(entry.address)) {
+            entry.status = 'skipped';
+            entry.reason = 'Duplicate address in request';
+            continue;
+        }
+        
+        seen.add(entry.address);
+        candidates.push(entry);
+    }
+    
+    // Skip voters who are already registered
+    const pending = [];
+    for (let i = 0; i < candidates.length; i += VOTER_BATCH_SIZE) {
+        const chunk = candidates.slice(i, i + VOTER_BATCH_SIZE);
+        const voters = await Promise.all(chunk.map(entry => votingContract.methods.voters(entry.address).call()));
+        
+        chunk.forEach((entry, index) => {
+            if (voters[index].isRegistered) {
+                entry.status = 'skipped';
+                entry.reason = 'Voter is already registered';
+            } else {
+                pending.push(entry);
+            }
+        });
+    }
+    
+    return { isWeighted, report, pending };
+}
+
+// Split voters into registration transactions of VOTER_BATCH_SIZE voters each
+function buildVoterBatches(votingContract, entries, isWeighted) {
+    const batches = [];
+    for (let i = 0; i < entries.length; i += VOTER_BATCH_SIZE) {
+        const chunk = entries.slice(i, i + VOTER_BATCH_SIZE);
+        const addresses = chunk.map(entry => entry.address);
+        const method = isWeighted ?
+            votingContract.methods.registerVotersWithWeights(addresses, chunk.map(entry => entry.weight)) :
+            votingContract.methods.registerVoters(addresses);
+        batches.push({
+            chunk,
+            method,
+            to: votingContract.options.address,
+            label: isWeighted ? 'registerVotersWithWeights' : 'registerVoters'
+        });
+    }
+    
+    return batches;
+}
+
+// Queue the registration transactions of voters back to back. submit sends one
+// transaction ({ from, to, data, label }) and returns { job, completion }
+function submitVoterBatches(votingContract, entries, isWeighted, submit) {
+    return buildVoterBatches(votingContract, entries, isWeighted).map(({ chunk, method, to, label }) => ({
+        chunk,
+        ...submit({ from: adminWallet.address, to, data: method.encodeABI(), label })
+    }));
+}
+
+// Register voters in bulk from a CSV upload or JSON list (admin only)
+electionRouter.post('/voters/register/bulk', requireScope('voters'), requireNoApprovals('registerVoters'), async (req, res) => {
+    try {
+        const voterList = parseVoterList(req);
+        
+        if (!voterList || voterList.length === 0) {
+            return sendError(res, createHttpError(400, 'VOTERS_REQUIRED', 'A CSV body or a JSON list of voter addresses is required'));
+        }
+        
+        const { isWeighted, report, pending } = await prepareVoterRegistration(req.votingContract, voterList);
+        
+        // Dry runs project the cost of every batch against the admin balance
+        if (wantsDryRun(req)) {
+            const preview = await previewTransactions(adminWallet.address, buildVoterBatches(req.votingContract, pending, isWeighted));
+            pending.forEach(entry => {
+                entry.status = 'pending';
+            });
+            return res.json(sanitizeBigInt({ ...preview, voters: report }));
+        }
+        
+        const batches = submitVoterBatches(req.votingContract, pending, isWeighted, fields => submitTransaction(req, res, fields));
+        
+        // Async clients get the job of each batch and poll /api/transactions/:id
+        if (wantsAsyncResponse(req)) {
+            batches.forEach(({ chunk, job }) => {
+                chunk.forEach(entry => {
+                    entry.status = 'queued';
+                    entry.jobId = job.id;
+                });
+            });
+        } else {
+            for (const { chunk, completion } of batches) {
+                try {
+                    const { receipt } = await completion;
+                    
+                    chunk.forEach(entry => {
+                        entry.status = 'registered';
+                        entry.transactionHash = receipt.transactionHash;
+                    });
+                } catch (error) {
+                    chunk.forEach(entry => {
+                        entry.status = 'failed';
+                        entry.reason = error.message;
+                        entry.transactionHash = error.job.transactionHash;
+                    });
+                }
+            }
+        }
+        
+        const summary = { registered: 0, queued: 0, skipped: 0, invalid: 0, failed: 0 };
+        report.forEach(entry => summary[entry.status]++);
+        
+        let status = summary.registered > 0 ? 201 : 200;
+        if (summary.queued > 0) {
+            status = 202;
+        }
+        
+        res.status(status).json(sanitizeBigInt({
+            message: summary.queued > 0 ?
+                `Queued ${summary.queued} of ${report.length} voters for registration` :
+                `Registered ${summary.registered} of ${report.length} voters`,
+            summary,
+            voters: report
+        }));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Columns of the CSV of a new batch of invitations, with their codes
+const INVITATION_CODE_COLUMNS = ['id', 'recipient', 'code', 'weight', 'expiresAt'];
+
+// Columns of the CSV export of invitation states
+const INVITATION_STATE_COLUMNS = ['id', 'batchId', 'recipient', 'status', 'voterAddress', 'weight', 'expiresAt', 'redeemedAt', 'revokedAt', 'transactionHash'];
+
+// Issue a batch of single-use voter invitation codes (admin only): one per recipient
+// (an email, member ID or other label), or count unlabelled ones. Codes are only
+// shown in this response, as JSON or, with ?format=csv, a CSV file
+electionRouter.post('/invitations',
+    requireScope('voters'),
+    requireNoApprovals('registerVoters'),
+    [
+        body('count').optional().isInt({ min: 1, max: INVITATION_BATCH_LIMIT }).withMessage(`Count must be between 1 and ${INVITATION_BATCH_LIMIT}`),
+        body('recipients').optional().isArray({ min: 1, max: INVITATION_BATCH_LIMIT }).withMessage(`Recipients must be a list of 1 to ${INVITATION_BATCH_LIMIT} entries`),
+        body('recipients.*.weight').optional().isInt({ min: 1 }).withMessage('Weight must be a positive integer'),
+        body('expiresInHours').optional().isInt({ min: 1 }).withMessage('Expiry must be a positive number of hours'),
+        query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            const { count, recipients, expiresInHours = INVITATION_TTL_HOURS } = req.body;
+            
+            if ((count === undefined) === (recipients === undefined)) {
+                return sendError(res, createHttpError(400, 'RECIPIENTS_REQUIRED', 'Either count or recipients is required'));
+            }
+            
+            // Recipients are labels or objects with a label and an optional weight
+            const entries = recipients ?
+                recipients.map(entry => (entry && typeof entry === 'object' ?
+                    { recipient: entry.recipient !== undefined ? String(entry.recipient) : null, weight: entry.weight } :
+                    { recipient: String(entry) })) :
+                Array.from({ length: Number(count) }, () => ({}));
+            
+            if (entries.some(entry => entry.weight !== undefined) && await getVotingMethod(req.votingContract) !== 'weighted') {
+                return sendError(res, createHttpError(400, 'WEIGHTS_NOT_SUPPORTED', 'Weights apply to weighted elections only'));
+            }
+            
+            const { batchId, invitations: issued } = invitations.createBatch({
+                election: req.votingContract.options.address,
+                recipients: entries,
+                expiresAt: new Date(Date.now() + Number(expiresInHours) * 3600000).toISOString(),
+                createdBy: { keyId: req.apiKey.id, keyLabel: req.apiKey.label }
+            });
+            
+            if (req.query.format === 'csv') {
+                return res.status(201)
+                    .attachment(`invitations-${batchId}.csv`)
+                    .type('text/csv')
+                    .send(toInvitationsCsv(issued, INVITATION_CODE_COLUMNS));
+            }
+            
+            res.status(201).json({
+                message: `Issued ${issued.length} invitations`,
+                batchId,
+                invitations: issued
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// List the invitations of an election and their state, newest first (admin only).
+// ?format=csv exports them as CSV, without codes
+electionRouter.get('/invitations',
+    requireScope('voters'),
+    [
+        query('status').optional().isIn(INVITATION_STATUSES).withMessage('Invalid invitation status'),
+        query('limit').optional().isInt({ min: 1, max: INVITATION_BATCH_LIMIT }).withMessage(`limit must be between 1 and ${INVITATION_BATCH_LIMIT}`),
+        query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+    ],
+    (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        const { status, batchId, limit, format } = req.query;
+        const list = invitations.list({
+            election: req.votingContract.options.address,
+            batchId,
+            status,
+            limit: limit ? Number(limit) : 1000
+        });
+        
+        if (format === 'csv') {
+            return res.attachment(`invitations-${req.votingContract.options.address}.csv`)
+                .type('text/csv')
+                .send(toInvitationsCsv(list, INVITATION_STATE_COLUMNS));
+        }
+        
+        res.json(list);
+    }
+);
+
+// Build the EIP-712 typed data a voter signs to redeem an invitation code for their address
+electionRouter.get('/invitations/typed-data', async (req, res) => {
+    try {
+        const { code, voterAddress } = req.query;
+        
+        if (!voterAddress || !web3.utils.isAddress(voterAddress)) {
+            return sendError(res, createHttpError(400, 'INVALID_ADDRESS', 'Invalid Ethereum address'));
+        }
+        if (typeof code !== 'string' || !normalizeCode(code)) {
+            return sendError(res, createHttpError(400, 'INVITATION_CODE_REQUIRED', 'Invitation code is required'));
+        }
+        
+        res.json({
+            typedData: buildInvitationTypedData({
+                chainId: await web3.eth.getChainId(),
+                election: req.votingContract.options.address,
+                code: normalizeCode(code),
+                voter: voterAddress
+            })
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Redeem an invitation code: register the address whose owner signed the
+// redemption, once per code
+electionRouter.post('/invitations/redeem',
+    [
+        body('code').isString().notEmpty().withMessage('Invitation code is required'),
+        body('voterAddress').custom(value => web3.utils.isAddress(value || '')).withMessage('Invalid Ethereum address'),
+        body('signature').matches(/^0x[0-9a-fA-F]{130}$/).withMessage('Signature must be a 65-byte hex string')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        let claimed = null;
+        try {
+            const { code, signature } = req.body;
+            const voterAddress = web3.utils.toChecksumAddress(req.body.voterAddress);
+            const election = req.votingContract.options.address;
+            const isWeighted = await getVotingMethod(req.votingContract) === 'weighted';
+            const typedData = buildInvitationTypedData({
+                chainId: await web3.eth.getChainId(),
+                election,
+                code: normalizeCode(code),
+                voter: voterAddress
+            });
+            
+            let signer;
+            try {
+                signer = recoverBallotSigner(typedData, signature);
+            } catch (error) {
+                return sendError(res, createHttpError(400, 'INVALID_SIGNATURE', 'Invalid signature'));
+            }
+            if (signer.toLowerCase() !== voterAddress.toLowerCase()) {
+                return sendError(res, createHttpError(401, 'INVALID_SIGNATURE', 'Signature does not match the voter address'));
+            }
+            
+            // No awaits from the lookup until the code is claimed, so concurrent
+            // redemptions of one code cannot register two addresses
+            const invitation = invitations.findByCode(election, code);
+            if (!invitation) {
+                return sendError(res, createHttpError(404, 'INVITATION_NOT_FOUND', 'Invalid invitation code'));
+            }
+            if (invitation.status === 'expired') {
+                return sendError(res, createHttpError(410, 'INVITATION_EXPIRED', 'Invitation code has expired'));
+            }
+            if (invitation.status === 'revoked') {
+                return sendError(res, createHttpError(410, 'INVITATION_REVOKED', 'Invitation code has been revoked'));
+            }
+            if (invitation.status !== 'issued') {
+                return sendError(res, createHttpError(409, 'INVITATION_ALREADY_REDEEMED', 'Invitation code has already been redeemed'));
+            }
+            
+            const method = isWeighted ?
+                req.votingContract.methods.registerVoterWithWeight(voterAddress, invitation.weight || 1) :
+                req.votingContract.methods.registerVoter(voterAddress);
+            if (!wantsDryRun(req)) {
+                claimed = invitations.claim(invitation, voterAddress);
+            }
+            
+            await respondWithTransaction(req, res, {
+                method,
+                account: adminWallet.address,
+                to: election,
+                label: 'registerVoter',
+                requestedBy: { invitationId: invitation.id },
+                status: 201,
+                body: receipt => ({
+                    message: 'Invitation redeemed and voter registered successfully',
+                    invitationId: invitation.id,
+                    voterAddress,
+                    transactionHash: receipt.transactionHash
+                })
+            });
+        } catch (error) {
+            // A registration that was never sent frees the code again; sent ones
+            // are settled with their job
+            if (claimed && !error.job) {
+                invitations.release(claimed);
+            }
+            sendError(res, error);
+        }
+    }
+);
+
+// Get an invitation of an election (admin only)
+electionRouter.get('/invitations/:invitationId', requireScope('voters'), (req, res) => {
+    const invitation = invitations.get(req.params.invitationId);
+    
+    if (!invitation || invitation.election.toLowerCase() !== req.votingContract.options.address.toLowerCase()) {
+        return sendError(res, createHttpError(404, 'INVITATION_NOT_FOUND', 'Invitation not found'));
+    }
+    
+    res.json(invitation);
+});
+
+// Revoke an invitation that has not been redeemed (admin only)
+electionRouter.delete('/invitations/:invitationId', requireScope('voters'), (req, res) => {
+    const invitation = invitations.get(req.params.invitationId);
+    
+    if (!invitation || invitation.election.toLowerCase() !== req.votingContract.options.address.toLowerCase()) {
+        return sendError(res, createHttpError(404, 'INVITATION_NOT_FOUND', 'Invitation not found'));
+    }
+    
+    const revoked = invitations.revoke(invitation.id);
+    if (!revoked) {
+        return sendError(res, createHttpError(409, 'INVITATION_NOT_REVOCABLE', `Invitation is ${invitation.status}`));
+    }
+    
+    res.json({
+        message: 'Invitation revoked successfully',
+        invitation: revoked
+    });
+});
+
+// Start election (admin only)
+electionRouter.post('/election/start', 
+    requireScope('elections'),
+    requireNoApprovals('startElection'),
+    [
+        body('durationInMinutes').isInt({ min: 1 }).withMessage('Duration must be a positive integer')
+    ], 
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            const { durationInMinutes } = req.body;
+            
+            const method = req.votingContract.methods.startElection(durationInMinutes);
+            await respondWithTransaction(req, res, {
+                method,
+                account: adminWallet.address,
+                to: req.votingContract.options.address,
+                label: 'startElection',
+                body: receipt => ({
+                    message: 'Election started successfully',
+                    transactionHash: receipt.transactionHash
+                })
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// Schedule the voting window ahead of time (admin only). Times are ISO 8601
+// strings or Unix timestamps in seconds
+electionRouter.post('/election/schedule',
+    requireScope('elections'),
+    requireNoApprovals('scheduleElection'),
+    [
+        body('startTime').custom(value => parseTimestamp(value) !== null).withMessage('Start time must be an ISO 8601 date or a Unix timestamp'),
+        body('endTime').custom(value => parseTimestamp(value) !== null).withMessage('End time must be an ISO 8601 date or a Unix timestamp')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            const startTime = parseTimestamp(req.body.startTime);
+            const endTime = parseTimestamp(req.body.endTime);
+            
+            if (startTime < Number(await getChainTime())) {
+                return sendError(res, createHttpError(400, 'INVALID_SCHEDULE', 'Start time must not be in the past'));
+            }
+            
+            if (endTime <= startTime) {
+                return sendError(res, createHttpError(400, 'INVALID_SCHEDULE', 'End time must be after the start time'));
+            }
+            
+            const method = req.votingContract.methods.scheduleElection(startTime, endTime);
+            await respondWithTransaction(req, res, {
+                method,
+                account: adminWallet.address,
+                to: req.votingContract.options.address,
+                label: 'scheduleElection',
+                body: receipt => ({
+                    message: 'Election scheduled successfully',
+                    startTime: new Date(startTime * 1000).toISOString(),
+                    endTime: new Date(endTime * 1000).toISOString(),
+                    transactionHash: receipt.transactionHash
+                })
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// Set the quorum and winning rule results are judged by, until the election starts (admin only).
+// Shares are percentages with up to two decimals
+electionRouter.put('/election/rules',
+    requireScope('elections'),
+    [
+        body('quorum').optional().isFloat({ min: 0, max: 100 }).withMessage('Quorum must be a percentage between 0 and 100'),
+        body('winningRule').isIn(WINNING_RULES).withMessage(`Winning rule must be one of ${WINNING_RULES.join(', ')}`),
+        body('supermajority')
+            .if(body('winningRule').equals('supermajority'))
+            .isFloat({ gt: 50, max: 100 }).withMessage('Supermajority must be a percentage over 50 and at most 100')
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            if (await req.votingContract.methods.electionStarted().call()) {
+                return sendError(res, createHttpError(409, 'ELECTION_ALREADY_STARTED', 'Cannot change result rules after election has started'));
+            }
+            
+            const { quorum = 0, winningRule, supermajority = 0 } = req.body;
+            const rules = {
+                quorumBasisPoints: Math.round(Number(quorum) * 100),
+                winningRule,
+                supermajorityBasisPoints: winningRule === 'supermajority' ? Math.round(Number(supermajority) * 100) : 0
+            };
+            
+            const method = req.votingContract.methods.setResultRules(
+                rules.quorumBasisPoints,
+                WINNING_RULES.indexOf(winningRule),
+                rules.supermajorityBasisPoints
+            );
+            await respondWithTransaction(req, res, {
+                method,
+                account: adminWallet.address,
+                to: req.votingContract.options.address,
+                label: 'setResultRules',
+                body: receipt => ({
+                    message: 'Result rules set successfully',
+                    resultRules: formatResultRules(rules),
+                    transactionHash: receipt.transactionHash
+                })
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// End election (admin only)
+electionRouter.post('/election/end', requireScope('elections'), requireNoApprovals('endElection'), async (req, res) => {
+    try {
+        const method = req.votingContract.methods.endElection();
+        await respondWithTransaction(req, res, {
+            method,
+            account: adminWallet.address,
+            to: req.votingContract.options.address,
+            label: 'endElection',
+            body: receipt => ({
+                message: 'Election ended successfully',
+                transactionHash: receipt.transactionHash
+            })
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Finalize an election whose voting window has passed. Anyone may call it;
+// the relayer pays the gas
+electionRouter.post('/election/finalize', async (req, res) => {
+    try {
+        const status = sanitizeBigInt(await req.votingContract.methods.getElectionStatus().call());
+        
+        if (status.isEnded) {
+            return sendError(res, createHttpError(409, 'ELECTION_ALREADY_ENDED', 'Election has already ended'));
+        }
+        
+        if (Number(status.start) === 0 || Number(status.currentTime) <= Number(status.end)) {
+            return sendError(res, createHttpError(403, 'VOTING_WINDOW_OPEN', 'Voting window has not passed yet'));
+        }
+        
+        const method = req.votingContract.methods.finalize();
+        await respondWithTransaction(req, res, {
+            method,
+            account: relayerWallet.address,
+            to: req.votingContract.options.address,
+            label: 'finalize',
+            body: receipt => ({
+                message: 'Election finalized successfully',
+                transactionHash: receipt.transactionHash
+            })
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Validators of a ballot given as one candidateId, or as a candidateIds list
+// (an approval set or a ranking, most preferred first)
+const ballotValidators = [
+    body('candidateId').if(body('candidateIds').not().exists()).isInt({ min: 0 }).withMessage('Candidate ID must be a non-negative integer'),
+    body('candidateIds').optional().isArray({ min: 1 }).withMessage('Candidate IDs must be a non-empty array'),
+    body('candidateIds.*').isInt({ min: 0 }).withMessage('Candidate IDs must be non-negative integers')
+];
+
+// Get the candidate IDs of a validated ballot
+function getBallotCandidateIds(ballot) {
+    return ballot.candidateIds !== undefined ? ballot.candidateIds.map(Number) : [Number(ballot.candidateId)];
+}
+
+// Check a ballot against the election's voting method and candidates, so
+// invalid ballots are rejected before paying for (or committing to) them.
+// Throws an error carrying the HTTP status
+async function verifyBallot(votingContract, candidateIds) {
+    const votingMethod = await getVotingMethod(votingContract);
+    const candidateCount = Number(await votingContract.methods.getCandidateCount().call());
     
-    if (!apiKey || apiKey !== process.env.ADMIN_API_KEY) {
-        return res.status(401).json({ error: 'Unauthorized: Admin access required' });
+    if ((votingMethod === 'plurality' || votingMethod === 'weighted') && candidateIds.length !== 1) {
+        throw createHttpError(400, 'TOO_MANY_CANDIDATES', 'Ballot must select exactly one candidate');
     }
     
-    next();
-};
+    if (candidateIds.some(candidateId => candidateId >= candidateCount)) {
+        throw createHttpError(422, 'INVALID_CANDIDATE', 'Invalid candidate');
+    }
+    
+    for (const candidateId of candidateIds) {
+        if ((await votingContract.methods.getCandidate(candidateId).call())[5]) {
+            throw createHttpError(400, 'CANDIDATE_WITHDRAWN', 'Candidate has withdrawn');
+        }
+    }
+    
+    if (new Set(candidateIds).size !== candidateIds.length) {
+        throw createHttpError(400, 'DUPLICATE_CANDIDATE', 'Ballot lists a candidate more than once');
+    }
+}
 
-// Helper function to handle contract transactions
-async function sendTransaction(method, account, privateKey) {
-    const gasEstimate = await method.estimateGas({ from: account });
-    const data = method.encodeABI();
-    const nonce = await web3.eth.getTransactionCount(account);
-    const gasPrice = await web3.eth.getGasPrice();
+// Verify a voter's signed ballot or commitment before relaying it: expiry,
+// signer, nonce and registration. Throws an error carrying the HTTP status
+async function verifySignedRequest(votingContract, { typedData, voterAddress, nonce, deadline, signature }) {
+    // Reject expired signatures before paying for a transaction
+    if (Number(await getChainTime()) > Number(deadline)) {
+        throw createHttpError(400, 'BALLOT_EXPIRED', 'Ballot signature has expired');
+    }
     
-    const tx = {
-        from: account,
-        to: contractAddress,
-        gas: Math.round(Number(gasEstimate) * 1.2).toString(), // Convert to Number then to string
-        gasPrice: gasPrice.toString(), // Convert BigInt to string
-        data,
-        nonce: nonce.toString() // Convert to string in case it's a BigInt
-    };
+    // Verify the request was signed by the voter
+    const signer = recoverBallotSigner(typedData, signature);
+    
+    if (signer.toLowerCase() !== voterAddress.toLowerCase()) {
+        throw createHttpError(401, 'INVALID_SIGNATURE', 'Invalid ballot signature');
+    }
+    
+    // Reject reused or out-of-order nonces
+    const expectedNonce = await votingContract.methods.nonces(voterAddress).call();
+    
+    if (BigInt(nonce) < BigInt(expectedNonce)) {
+        throw createHttpError(409, 'NONCE_ALREADY_USED', 'Ballot nonce has already been used');
+    }
     
-    const signedTx = await web3.eth.accounts.signTransaction(tx, privateKey);
-    const receipt = await web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+    if (BigInt(nonce) > BigInt(expectedNonce)) {
+        throw createHttpError(400, 'INVALID_NONCE', 'Invalid ballot nonce');
+    }
+    
+    // Verify voter is registered and hasn't voted yet
+    const voter = sanitizeBigInt(await votingContract.methods.voters(voterAddress).call());
+    
+    if (!voter.isRegistered) {
+        throw createHttpError(403, 'VOTER_NOT_REGISTERED', 'Voter is not registered');
+    }
     
-    // Sanitize the receipt before returning
-    return sanitizeBigInt(receipt);
+    if (voter.hasVoted) {
+        throw createHttpError(403, 'VOTER_ALREADY_VOTED', 'Voter has already cast a vote');
+    }
 }
 
-// API endpoints
-
-// Get election information
-app.get('/api/election', async (req, res) => {
+// Build the ballot typed data a voter signs in their wallet: a Ballot for one
+// candidateId, or a MultiBallot for a comma-separated candidateIds list
+electionRouter.get('/vote/typed-data', async (req, res) => {
     try {
-        const electionName = await votingContract.methods.electionName().call();
-        const status = await votingContract.methods.getElectionStatus().call();
-        
-        // Sanitize and format the response
-        const responseData = sanitizeBigInt({
-            name: electionName,
-            isStarted: status.isStarted,
-            isEnded: status.isEnded,
-            startTime: new Date(Number(status.start) * 1000).toISOString(),
-            endTime: new Date(Number(status.end) * 1000).toISOString(),
-            currentTime: new Date(Number(status.currentTime) * 1000).toISOString()
-        });
+        const { voterAddress, candidateId, candidateIds } = req.query;
         
-        res.json(responseData);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// Get all candidates
-app.get('/api/candidates', async (req, res) => {
-    try {
-        const candidateCount = await votingContract.methods.getCandidateCount().call();
-        const candidates = [];
-        
-        for (let i = 0; i < Number(candidateCount); i++) {
-            const candidate = await votingContract.methods.getCandidate(i).call();
-            candidates.push({
-                id: Number(candidate[0]),
-                name: candidate[1],
-                party: candidate[2],
-                proposal: candidate[3],
-                voteCount: Number(candidate[4])
-            });
+        // Validate address format and candidate IDs
+        if (!voterAddress || !web3.utils.isAddress(voterAddress)) {
+            return sendError(res, createHttpError(400, 'INVALID_ADDRESS', 'Invalid Ethereum address'));
+        }
+        if (candidateIds !== undefined ? !/^\d+(,\d+)*$/.test(candidateIds) : !/^\d+$/.test(candidateId || '')) {
+            return sendError(res, createHttpError(400, 'INVALID_CANDIDATE', 'Candidate ID must be a non-negative integer'));
         }
         
-        // Sanitize any remaining BigInt values
-        res.json(sanitizeBigInt(candidates));
+        if (await req.votingContract.methods.secretBallot().call()) {
+            return sendError(res, createHttpError(400, 'SECRET_BALLOT_REQUIRED', 'Election uses secret ballots; commit the vote through /vote/commit'));
+        }
+        
+        const ballot = getBallotCandidateIds(candidateIds !== undefined ? { candidateIds: candidateIds.split(',') } : { candidateId });
+        await verifyBallot(req.votingContract, ballot);
+        
+        const fields = {
+            chainId: await web3.eth.getChainId(),
+            election: req.votingContract.options.address,
+            voter: voterAddress,
+            nonce: await req.votingContract.methods.nonces(voterAddress).call(),
+            deadline: Number(await getChainTime()) + BALLOT_TTL_SECONDS
+        };
+        
+        res.json(sanitizeBigInt({
+            typedData: candidateIds !== undefined ?
+                buildMultiBallotTypedData({ ...fields, candidateIds: ballot }) :
+                buildBallotTypedData({ ...fields, candidateId })
+        }));
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-// Add a candidate (admin only)
-app.post('/api/candidates', 
-    adminAuth,
+// Cast vote from an EIP-712 signed ballot, relayed on the voter's behalf
+electionRouter.post('/vote', 
+    authorizeVoter(req => (req.body || {}).voterAddress),
     [
-        body('name').notEmpty().withMessage('Candidate name is required'),
-        body('party').notEmpty().withMessage('Party name is required'),
-        body('proposal').notEmpty().withMessage('Proposal is required')
+        ...ballotValidators,
+        body('voterAddress').notEmpty().withMessage('Voter address is required'),
+        body('nonce').isInt({ min: 0 }).withMessage('Nonce must be a non-negative integer'),
+        body('deadline').isInt({ min: 0 }).withMessage('Deadline must be a Unix timestamp in seconds'),
+        body('signature').matches(/^0x[0-9a-fA-F]{130}$/).withMessage('Signature must be a 65-byte hex string')
     ], 
+    lockVoter(req => (req.body || {}).voterAddress),
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
+            return sendError(res, createValidationError(errors));
         }
         
         try {
-            const { name, party, proposal } = req.body;
+            const { candidateId, candidateIds, voterAddress, nonce, deadline, signature } = req.body;
+            
+            // Validate address format
+            if (!web3.utils.isAddress(voterAddress)) {
+                return sendError(res, createHttpError(400, 'INVALID_ADDRESS', 'Invalid Ethereum address'));
+            }
             
-            const method = votingContract.methods.addCandidate(name, party, proposal);
-            const receipt = await sendTransaction(method, adminWallet.address, adminWallet.privateKey);
+            if (await req.votingContract.methods.secretBallot().call()) {
+                return sendError(res, createHttpError(400, 'SECRET_BALLOT_REQUIRED', 'Election uses secret ballots; commit the vote through /vote/commit'));
+            }
             
-            res.status(201).json(sanitizeBigInt({ 
-                message: 'Candidate added successfully',
-                transactionHash: receipt.transactionHash
-            }));
+            const ballot = getBallotCandidateIds(req.body);
+            await verifyBallot(req.votingContract, ballot);
+            
+            // A candidateIds list is signed as a MultiBallot, one candidateId as a Ballot
+            const fields = {
+                chainId: await web3.eth.getChainId(),
+                election: req.votingContract.options.address,
+                voter: voterAddress,
+                nonce,
+                deadline
+            };
+            await verifySignedRequest(req.votingContract, {
+                typedData: candidateIds !== undefined ?
+                    buildMultiBallotTypedData({ ...fields, candidateIds: ballot }) :
+                    buildBallotTypedData({ ...fields, candidateId }),
+                voterAddress,
+                nonce,
+                deadline,
+                signature
+            });
+            
+            const { v, r, s } = splitSignature(signature);
+            const method = candidateIds !== undefined ?
+                req.votingContract.methods.voteBallotBySig(voterAddress, ballot, nonce, deadline, v, r, s) :
+                req.votingContract.methods.voteBySig(voterAddress, candidateId, nonce, deadline, v, r, s);
+            await respondWithTransaction(req, res, {
+                method,
+                account: relayerWallet.address,
+                to: req.votingContract.options.address,
+                label: candidateIds !== undefined ? 'voteBallotBySig' : 'voteBySig',
+                body: receipt => ({
+                    message: 'Vote cast successfully',
+                    relayer: relayerWallet.address,
+                    transactionHash: receipt.transactionHash
+                })
+            });
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            sendError(res, error);
         }
     }
 );
 
-// Register a voter (admin only)
-app.post('/api/voters/register', 
-    adminAuth,
+// Build the commitment of a secret vote. The salt is generated when omitted;
+// voters must keep it to reveal their vote
+electionRouter.post('/vote/commitment',
     [
-        body('voterAddress').notEmpty().withMessage('Voter Ethereum address is required')
-    ], 
+        ...ballotValidators,
+        body('voterAddress').custom(value => web3.utils.isAddress(value || '')).withMessage('Invalid Ethereum address'),
+        body('salt').optional().matches(/^0x[0-9a-fA-F]{64}$/).withMessage('Salt must be a 32-byte hex string')
+    ],
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
+            return sendError(res, createValidationError(errors));
         }
         
         try {
             const { voterAddress } = req.body;
+            const salt = req.body.salt || generateSalt();
+            
+            const candidateIds = getBallotCandidateIds(req.body);
+            await verifyBallot(req.votingContract, candidateIds);
+            
+            res.json({
+                commitment: buildCommitment({
+                    election: req.votingContract.options.address,
+                    voter: voterAddress,
+                    candidateIds,
+                    salt
+                }),
+                salt
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
+// Build the commitment typed data a voter signs in their wallet
+electionRouter.get('/vote/commit/typed-data', async (req, res) => {
+    try {
+        const { voterAddress, commitment } = req.query;
+        
+        // Validate address format and commitment
+        if (!voterAddress || !web3.utils.isAddress(voterAddress)) {
+            return sendError(res, createHttpError(400, 'INVALID_ADDRESS', 'Invalid Ethereum address'));
+        }
+        if (!/^0x[0-9a-fA-F]{64}$/.test(commitment || '')) {
+            return sendError(res, createHttpError(400, 'INVALID_COMMITMENT', 'Commitment must be a 32-byte hex string'));
+        }
+        
+        if (!await req.votingContract.methods.secretBallot().call()) {
+            return sendError(res, createHttpError(400, 'NOT_SECRET_BALLOT', 'Election does not use secret ballots'));
+        }
+        
+        const nonce = await req.votingContract.methods.nonces(voterAddress).call();
+        const deadline = Number(await getChainTime()) + BALLOT_TTL_SECONDS;
+        
+        res.json(sanitizeBigInt({
+            typedData: buildCommitTypedData({
+                chainId: await web3.eth.getChainId(),
+                election: req.votingContract.options.address,
+                voter: voterAddress,
+                commitment,
+                nonce,
+                deadline
+            })
+        }));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Commit a secret vote from an EIP-712 signed commitment, relayed on the voter's behalf
+electionRouter.post('/vote/commit',
+    authorizeVoter(req => (req.body || {}).voterAddress),
+    [
+        body('voterAddress').notEmpty().withMessage('Voter address is required'),
+        body('commitment').matches(/^0x[0-9a-fA-F]{64}$/).withMessage('Commitment must be a 32-byte hex string'),
+        body('nonce').isInt({ min: 0 }).withMessage('Nonce must be a non-negative integer'),
+        body('deadline').isInt({ min: 0 }).withMessage('Deadline must be a Unix timestamp in seconds'),
+        body('signature').matches(/^0x[0-9a-fA-F]{130}$/).withMessage('Signature must be a 65-byte hex string')
+    ],
+    lockVoter(req => (req.body || {}).voterAddress),
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return sendError(res, createValidationError(errors));
+        }
+        
+        try {
+            const { voterAddress, commitment, nonce, deadline, signature } = req.body;
             
             // Validate address format
             if (!web3.utils.isAddress(voterAddress)) {
-                return res.status(400).json({ error: 'Invalid Ethereum address' });
+                return sendError(res, createHttpError(400, 'INVALID_ADDRESS', 'Invalid Ethereum address'));
             }
             
-            const method = votingContract.methods.registerVoter(voterAddress);
-            const receipt = await sendTransaction(method, adminWallet.address, adminWallet.privateKey);
+            const { secretBallot, phase } = await getVotingPhase(req.votingContract);
             
-            res.status(201).json(sanitizeBigInt({ 
-                message: 'Voter registered successfully',
-                transactionHash: receipt.transactionHash
-            }));
+            if (!secretBallot) {
+                return sendError(res, createHttpError(400, 'NOT_SECRET_BALLOT', 'Election does not use secret ballots'));
+            }
+            
+            if (phase !== 'commit') {
+                return sendError(res, createHttpError(403, 'ELECTION_NOT_ACTIVE', 'Election is not accepting commitments'));
+            }
+            
+            await verifySignedRequest(req.votingContract, {
+                typedData: buildCommitTypedData({
+                    chainId: await web3.eth.getChainId(),
+                    election: req.votingContract.options.address,
+                    voter: voterAddress,
+                    commitment,
+                    nonce,
+                    deadline
+                }),
+                voterAddress,
+                nonce,
+                deadline,
+                signature
+            });
+            
+            const { v, r, s } = splitSignature(signature);
+            const method = req.votingContract.methods.commitVoteBySig(voterAddress, commitment, nonce, deadline, v, r, s);
+            await respondWithTransaction(req, res, {
+                method,
+                account: relayerWallet.address,
+                to: req.votingContract.options.address,
+                label: 'commitVoteBySig',
+                body: receipt => ({
+                    message: 'Vote committed successfully',
+                    relayer: relayerWallet.address,
+                    transactionHash: receipt.transactionHash
+                })
+            });
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            sendError(res, error);
         }
     }
 );
 
-// Start election (admin only)
-app.post('/api/election/start', 
-    adminAuth,
+// Reveal a committed secret vote during the reveal phase
+electionRouter.post('/vote/reveal',
+    authorizeVoter(req => (req.body || {}).voterAddress),
     [
-        body('durationInMinutes').isInt({ min: 1 }).withMessage('Duration must be a positive integer')
-    ], 
+        ...ballotValidators,
+        body('voterAddress').custom(value => web3.utils.isAddress(value || '')).withMessage('Invalid Ethereum address'),
+        body('salt').matches(/^0x[0-9a-fA-F]{64}$/).withMessage('Salt must be a 32-byte hex string')
+    ],
+    lockVoter(req => (req.body || {}).voterAddress),
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
+            return sendError(res, createValidationError(errors));
         }
         
         try {
-            const { durationInMinutes } = req.body;
+            const { voterAddress, salt } = req.body;
+            const candidateIds = getBallotCandidateIds(req.body);
             
-            const method = votingContract.methods.startElection(durationInMinutes);
-            const receipt = await sendTransaction(method, adminWallet.address, adminWallet.privateKey);
+            const { secretBallot, phase } = await getVotingPhase(req.votingContract);
             
-            res.json(sanitizeBigInt({ 
-                message: 'Election started successfully',
-                transactionHash: receipt.transactionHash
-            }));
+            if (!secretBallot) {
+                return sendError(res, createHttpError(400, 'NOT_SECRET_BALLOT', 'Election does not use secret ballots'));
+            }
+            
+            if (phase !== 'reveal') {
+                const revealEnded = phase === 'finalized' || phase === 'closed-pending-finalization';
+                return sendError(res, revealEnded ?
+                    createHttpError(403, 'REVEAL_ENDED', 'Reveal phase has ended') :
+                    createHttpError(403, 'REVEAL_NOT_STARTED', 'Reveal phase has not started yet'));
+            }
+            
+            // Check the reveal opens the voter's commitment before paying for a transaction
+            const voter = sanitizeBigInt(await req.votingContract.methods.voters(voterAddress).call());
+            
+            if (/^0x0*$/.test(voter.commitment)) {
+                return sendError(res, createHttpError(404, 'COMMITMENT_NOT_FOUND', 'No vote committed'));
+            }
+            
+            if (voter.hasRevealed) {
+                return sendError(res, createHttpError(409, 'VOTE_ALREADY_REVEALED', 'Vote has already been revealed'));
+            }
+            
+            const commitment = buildCommitment({
+                election: req.votingContract.options.address,
+                voter: voterAddress,
+                candidateIds,
+                salt
+            });
+            
+            if (commitment.toLowerCase() !== voter.commitment.toLowerCase()) {
+                return sendError(res, createHttpError(400, 'COMMITMENT_MISMATCH', 'Commitment does not match'));
+            }
+            
+            await verifyBallot(req.votingContract, candidateIds);
+            
+            const method = req.votingContract.methods.revealVote(voterAddress, candidateIds, salt);
+            await respondWithTransaction(req, res, {
+                method,
+                account: relayerWallet.address,
+                to: req.votingContract.options.address,
+                label: 'revealVote',
+                body: receipt => ({
+                    message: 'Vote revealed successfully',
+                    relayer: relayerWallet.address,
+                    transactionHash: receipt.transactionHash
+                })
+            });
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            sendError(res, error);
         }
     }
 );
 
-// End election (admin only)
-app.post('/api/election/end', adminAuth, async (req, res) => {
+// Only continue once results are available: the election has ended (and, for
+// secret ballots, the reveal phase too)
+const requireResults = async (req, res, next) => {
+    try {
+        const { secretBallot, resultsAvailable } = await getVotingPhase(req.votingContract);
+        
+        if (!resultsAvailable) {
+            return sendError(res, secretBallot ?
+                createHttpError(403, 'REVEAL_NOT_ENDED', 'Reveal phase has not ended yet') :
+                createHttpError(403, 'ELECTION_NOT_ENDED', 'Election has not ended yet'));
+        }
+        
+        next();
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Count the results of an election: the candidates' counts from getResults() sorted
+// by vote count, the instant-runoff rounds of ranked elections, turnout, and the
+// outcome under the election's result rules
+async function getElectionResults(votingContract) {
+    const votingMethod = await getVotingMethod(votingContract);
+    const results = sanitizeBigInt(await votingContract.methods.getResults().call());
+    const totalVotes = Number(await votingContract.methods.totalVotes().call());
+    const [registeredVoters] = (await batchReader.callAll([
+        { contract: votingContract, method: 'registeredVoterCount', defaultValue: 0 }
+    ])).map(Number);
+    const rules = await getResultRules(votingContract);
+    
+    // Vote counts are votes, approvals, first preferences or weight by method;
+    // percentages are of the ballots cast, or of the total weight
+    const response = {
+        votingMethod,
+        totalVotes,
+        registeredVoters,
+        turnout: formatPercentage(totalVotes, registeredVoters),
+        rules: formatResultRules(rules)
+    };
+    let base = totalVotes;
+    
+    if (votingMethod === 'weighted') {
+        response.totalWeight = Number(await votingContract.methods.totalWeight().call());
+        base = response.totalWeight;
+    }
+    
+    // Format results
+    const formattedResults = [];
+    for (let i = 0; i < results[0].length; i++) {
+        formattedResults.push({
+            id: Number(results[0][i]),
+            name: results[1][i],
+            voteCount: Number(results[2][i]),
+            percentage: formatPercentage(results[2][i], base)
+        });
+    }
+    
+    const names = new Map(formattedResults.map(candidate => [candidate.id, candidate.name]));
+    const describe = candidateId => ({ id: candidateId, name: names.get(candidateId) });
+    
+    // The outcome is decided on the counts, or on the final round of a ranked count
+    let decisive = {
+        candidates: formattedResults.map(candidate => ({ id: candidate.id, votes: candidate.voteCount })),
+        base
+    };
+    
+    // Count ranked ballots in instant-runoff rounds
+    if (votingMethod === 'rankedChoice') {
+        const ballotCount = Number(await votingContract.methods.getBallotCount().call());
+        const ballots = [];
+        
+        for (let offset = 0; offset < ballotCount; offset += BALLOT_PAGE_SIZE) {
+            const page = await votingContract.methods.getBallots(offset, BALLOT_PAGE_SIZE).call();
+            page.forEach(ballot => ballots.push(ballot.map(Number)));
+        }
+        
+        const runoff = tallyInstantRunoff([...names.keys()], ballots);
+        
+        response.rounds = runoff.rounds.map(round => ({
+            round: round.round,
+            candidates: round.votes
+                .map(({ candidateId, votes }) => ({ ...describe(candidateId), votes }))
+                .sort((a, b) => b.votes - a.votes),
+            exhausted: round.exhausted,
+            eliminated: round.eliminated.map(describe)
+        }));
+        
+        const finalRound = runoff.rounds[runoff.rounds.length - 1];
+        if (finalRound) {
+            decisive = {
+                candidates: finalRound.votes.map(({ candidateId, votes }) => ({ id: candidateId, votes })),
+                base: ballots.length - finalRound.exhausted
+            };
+        }
+    }
+    
+    const decision = decideOutcome({ ...decisive, ballots: totalVotes, registeredVoters, ...rules });
+    response.outcome = decision.outcome;
+    response.quorumMet = decision.quorumMet;
+    response.winner = decision.winner !== null ? describe(decision.winner) : null;
+    response.tied = decision.tied.map(describe);
+    
+    // Sort by vote count (descending)
+    formattedResults.sort((a, b) => b.voteCount - a.voteCount);
+    response.candidates = formattedResults;
+    
+    return response;
+}
+
+// Get results (only after election ends)
+electionRouter.get('/results', requireResults, async (req, res) => {
+    try {
+        const address = req.votingContract.options.address;
+        sendRead(res, await readCache.read(address, 'results', RESULT_EVENTS, () => getElectionResults(req.votingContract)));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Export results as a CSV table, a JSON-LD document or a printable HTML certificate
+// naming the election, its voting window and the transaction that finalized it
+electionRouter.get('/results/export/:format', requireResults, async (req, res) => {
     try {
-        const method = votingContract.methods.endElection();
-        const receipt = await sendTransaction(method, adminWallet.address, adminWallet.privateKey);
+        const { format } = req.params;
+        if (!RESULT_EXPORT_FORMATS.includes(format)) {
+            return sendError(res, createHttpError(400, 'UNSUPPORTED_EXPORT_FORMAT', `Export format must be one of ${RESULT_EXPORT_FORMATS.join(', ')}`));
+        }
         
-        res.json(sanitizeBigInt({ 
-            message: 'Election ended successfully',
-            transactionHash: receipt.transactionHash
+        const address = req.votingContract.options.address;
+        const info = await getElectionInfo(req.votingContract);
+        const toBlock = Number(await web3.eth.getBlockNumber());
+        const fromBlock = Math.min(DEPLOY_BLOCK, toBlock);
+        const ended = await getContractEvents(req.votingContract, fromBlock, toBlock, 'ElectionEnded');
+        const finalization = ended.length > 0 ? ended[ended.length - 1] : null;
+        
+        const certificate = {
+            election: {
+                name: info.name,
+                address,
+                chainId: Number(await web3.eth.getChainId()),
+                startTime: info.startTime,
+                endTime: info.endTime
+            },
+            finalization: finalization && {
+                transactionHash: finalization.transactionHash,
+                blockNumber: finalization.blockNumber,
+                endedAt: new Date(Number(finalization.args.endTime) * 1000).toISOString()
+            },
+            generatedAt: new Date().toISOString(),
+            results: await getElectionResults(req.votingContract)
+        };
+        
+        if (format === 'csv') {
+            res.attachment(`results-${address}.csv`).type('text/csv').send(toResultsCsv(certificate));
+        } else if (format === 'json') {
+            res.attachment(`results-${address}.jsonld`).type('application/ld+json').send(JSON.stringify(toResultsJsonLd(certificate), null, 2));
+        } else {
+            res.type('html').send(toResultsHtml(certificate));
+        }
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Read the contract events of an election (all, or those of one name) between two
+// blocks, AUDIT_BLOCK_RANGE blocks per query, in chain order and in the indexer's shape.
+// Audits and exports read the chain directly rather than trusting the index
+async function getContractEvents(votingContract, fromBlock, toBlock, eventName = 'allEvents') {
+    const events = [];
+    
+    for (let start = fromBlock; start <= toBlock; start += AUDIT_BLOCK_RANGE) {
+        const logs = await votingContract.getPastEvents(eventName, {
+            fromBlock: start,
+            toBlock: Math.min(start + AUDIT_BLOCK_RANGE - 1, toBlock)
+        });
+        logs.forEach(log => events.push({
+            type: log.event,
+            args: sanitizeBigInt(log.returnValues),
+            blockNumber: Number(log.blockNumber),
+            logIndex: Number(log.logIndex),
+            transactionHash: log.transactionHash
         }));
+    }
+    
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+// Recount the election from its contract events, cross-check the recount against
+// getResults() and totalVotes, and return the report signed with the audit key.
+// ?download=true serves it as a file attachment
+electionRouter.get('/results/audit', requireResults, async (req, res) => {
+    try {
+        if (!AUDIT_SIGNER_PRIVATE_KEY) {
+            return sendError(res, createHttpError(503, 'AUDIT_SIGNER_NOT_CONFIGURED', 'No audit signing key is configured'));
+        }
+        
+        const address = req.votingContract.options.address;
+        const votingMethod = await getVotingMethod(req.votingContract);
+        const toBlock = Number(await web3.eth.getBlockNumber());
+        const fromBlock = Math.min(DEPLOY_BLOCK, toBlock);
+        
+        const results = sanitizeBigInt(await req.votingContract.methods.getResults().call());
+        const reported = {
+            candidates: results[0].map((id, i) => ({ id: Number(id), name: results[1][i], voteCount: Number(results[2][i]) })),
+            totalVotes: Number(await req.votingContract.methods.totalVotes().call())
+        };
+        if (votingMethod === 'weighted') {
+            reported.totalWeight = Number(await req.votingContract.methods.totalWeight().call());
+        }
+        
+        const recount = recountBallots(await getContractEvents(req.votingContract, fromBlock, toBlock), votingMethod);
+        const mismatches = findMismatches(recount, reported);
+        const base = votingMethod === 'weighted' ? recount.totalWeight : recount.ballots.length;
+        
+        const report = {
+            version: AUDIT_REPORT_VERSION,
+            generatedAt: new Date().toISOString(),
+            chainId: Number(await web3.eth.getChainId()),
+            contract: {
+                address,
+                codeHash: web3.utils.keccak256(await web3.eth.getCode(address, toBlock))
+            },
+            blockRange: { fromBlock, toBlock },
+            votingMethod,
+            totalVotes: recount.ballots.length,
+            totalWeight: votingMethod === 'weighted' ? recount.totalWeight : undefined,
+            candidates: reported.candidates.map(candidate => {
+                const votes = recount.counts.get(candidate.id) || 0;
+                return {
+                    id: candidate.id,
+                    name: candidate.name,
+                    votes,
+                    reportedVotes: candidate.voteCount,
+                    percentage: formatPercentage(votes, base)
+                };
+            }),
+            ballotMerkleRoot: buildMerkleRoot(recount.ballots.map(hashBallot)),
+            ballots: recount.ballots,
+            consistent: mismatches.length === 0,
+            mismatches
+        };
+        
+        if (req.query.download === 'true') {
+            res.attachment(`audit-${address}-${toBlock}.json`);
+        }
+        
+        res.json({ report, signature: signAuditReport(report, AUDIT_SIGNER_PRIVATE_KEY) });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
-// Cast vote
-app.post('/api/vote', 
+// Get indexed contract events of the election
+electionRouter.get('/events',
     [
-        body('candidateId').isInt({ min: 0 }).withMessage('Candidate ID must be a non-negative integer'),
-        body('voterAddress').notEmpty().withMessage('Voter address is required'),
-        body('privateKey').notEmpty().withMessage('Private key is required')
-    ], 
+        query('address').optional().custom(value => web3.utils.isAddress(value)).withMessage('Invalid Ethereum address'),
+        query('fromBlock').optional().isInt({ min: 0 }).withMessage('fromBlock must be a non-negative integer'),
+        query('toBlock').optional().isInt({ min: 0 }).withMessage('toBlock must be a non-negative integer'),
+        query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000')
+    ],
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
+            return sendError(res, createValidationError(errors));
         }
         
         try {
-            const { candidateId, voterAddress, privateKey } = req.body;
-            
-            // Verify voter is registered and hasn't voted yet
-            const voter = await votingContract.methods.voters(voterAddress).call();
-            
-            // Sanitize the voter data
-            const sanitizedVoter = sanitizeBigInt(voter);
-            
-            if (!sanitizedVoter.isRegistered) {
-                return res.status(403).json({ error: 'Voter is not registered' });
-            }
-            
-            if (sanitizedVoter.hasVoted) {
-                return res.status(403).json({ error: 'Voter has already cast a vote' });
-            }
+            const { type, address, fromBlock, toBlock, cursor, limit } = req.query;
             
-            const method = votingContract.methods.vote(candidateId);
-            const receipt = await sendTransaction(method, voterAddress, privateKey);
+            const page = indexer.getEvents({
+                types: type ? type.split(',') : null,
+                election: req.votingContract.options.address,
+                address,
+                fromBlock: fromBlock !== undefined ? Number(fromBlock) : undefined,
+                toBlock: toBlock !== undefined ? Number(toBlock) : undefined,
+                cursor,
+                limit: limit ? Number(limit) : 100
+            });
             
-            res.json(sanitizeBigInt({ 
-                message: 'Vote cast successfully',
-                transactionHash: receipt.transactionHash
-            }));
+            res.json({
+                ...page,
+                indexer: indexer.getStatus()
+            });
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            sendError(res, error);
         }
     }
 );
 
-// Get results (only after election ends)
-app.get('/api/results', async (req, res) => {
+// List registered voters from the event index
+electionRouter.get('/voters', async (req, res) => {
     try {
-        // Check if election has ended
-        const status = await votingContract.methods.getElectionStatus().call();
-        const sanitizedStatus = sanitizeBigInt(status);
-        
-        if (!sanitizedStatus.isEnded) {
-            return res.status(403).json({ error: 'Election has not ended yet' });
-        }
-        
-        const results = await votingContract.methods.getResults().call();
-        const totalVotes = await votingContract.methods.totalVotes().call();
-        
-        // Sanitize results and totalVotes
-        const sanitizedResults = sanitizeBigInt(results);
-        const sanitizedTotalVotes = sanitizeBigInt(totalVotes);
-        
-        // Format results
-        const formattedResults = [];
-        for (let i = 0; i < sanitizedResults[0].length; i++) {
-            formattedResults.push({
-                id: Number(sanitizedResults[0][i]),
-                name: sanitizedResults[1][i],
-                voteCount: Number(sanitizedResults[2][i]),
-                percentage: Number(sanitizedTotalVotes) > 0 ? 
-                    (Number(sanitizedResults[2][i]) / Number(sanitizedTotalVotes) * 100).toFixed(2) : 
-                    '0.00'
-            });
-        }
-        
-        // Sort by vote count (descending)
-        formattedResults.sort((a, b) => b.voteCount - a.voteCount);
+        const voters = indexer.getVoters(req.votingContract.options.address);
         
-        res.json(sanitizeBigInt({
-            totalVotes: Number(sanitizedTotalVotes),
-            candidates: formattedResults
-        }));
+        res.json({
+            count: voters.length,
+            voters,
+            indexer: indexer.getStatus()
+        });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
+// Stream election events as Server-Sent Events (WebSocket clients connect to the same path)
+electionRouter.get('/stream', (req, res) => {
+    feed.handleSse(req, res, req.votingContract.options.address);
+});
+
 // Check if a voter has voted
-app.get('/api/voters/:address/status', async (req, res) => {
+electionRouter.get('/voters/:address/status', authorizeVoter(req => req.params.address), async (req, res) => {
     try {
         const address = req.params.address;
         
         // Validate address format
         if (!web3.utils.isAddress(address)) {
-            return res.status(400).json({ error: 'Invalid Ethereum address' });
+            return sendError(res, createHttpError(400, 'INVALID_ADDRESS', 'Invalid Ethereum address'));
         }
         
-        const hasVoted = await votingContract.methods.hasVoted(address).call();
-        const voter = await votingContract.methods.voters(address).call();
-        
-        // Sanitize voter data
-        const sanitizedVoter = sanitizeBigInt(voter);
-        const sanitizedHasVoted = sanitizeBigInt(hasVoted);
+        res.json(await getVoterStatus(req.votingContract, address));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Get the signed-in voter's registration, voting status and the receipts of
+// their registration and vote transactions, as indexed
+electionRouter.get('/voters/me', requireVoterSession, async (req, res) => {
+    try {
+        const { address } = req.voterSession;
+        const voterStatus = await getVoterStatus(req.votingContract, address);
         
-        res.json(sanitizeBigInt({
+        const { events } = indexer.getEvents({
+            election: req.votingContract.options.address,
             address,
-            isRegistered: sanitizedVoter.isRegistered,
-            hasVoted: sanitizedHasVoted,
-            votedFor: sanitizedHasVoted ? Number(sanitizedVoter.votedCandidateId) : null
+            types: ['VoterRegistered', 'VoteCommitted', 'VoteCast', 'BallotCast'],
+            limit: 1000
+        });
+        
+        voterStatus.transactions = events.map(event => ({
+            event: event.type,
+            transactionHash: event.transactionHash,
+            blockNumber: event.blockNumber,
+            timestamp: event.timestamp,
+            confirmations: event.confirmations,
+            confirmed: event.confirmed
         }));
+        
+        res.json(voterStatus);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Liveness and a summary of the latest readiness checks. Always 200 while the
+// process serves requests, so a failing dependency doesn't get it restarted
+app.get('/health', async (req, res) => {
+    const report = await healthChecks.check();
+    res.json({
+        status: report.status,
+        uptime: Math.round(process.uptime()),
+        checkedAt: report.checkedAt,
+        checks: Object.fromEntries(Object.entries(report.checks).map(([name, check]) => [name, check.status])),
+        services: {
+            indexer: indexer.getStatus(),
+            keeper: keeper.getStatus()
+        }
+    });
+});
+
+// Readiness: 200 when no dependency check fails (warnings included), 503 otherwise
+app.get('/ready', async (req, res) => {
+    const report = await healthChecks.check();
+    res.status(report.status === 'fail' ? 503 : 200).json(report);
+});
+
+// Metrics in the Prometheus text format
+app.get('/metrics', async (req, res) => {
+    try {
+        res.type('text/plain; version=0.0.4').send(await metrics.render());
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendError(res, error);
     }
 });
 
+// Dev mode routes, only mounted when the API runs against the in-process chain of
+// node app.js --dev: the generated accounts and control of the chain's clock
+if (process.env.DEV_MODE === 'true') {
+    // List the generated admin and voter accounts with their private keys (admin only)
+    app.get('/api/dev/accounts', requireScope('elections'), (req, res) => {
+        const { admin, voters, election } = getDevEnvironment();
+        res.json({ admin, voters, election });
+    });
+    
+    // Get the number and time of the latest block
+    app.get('/api/dev/time', async (req, res) => {
+        try {
+            res.json(await getChainClock(web3));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+    
+    // Move the chain's clock forward by a number of seconds and mine a block (admin only).
+    // Only block timestamps move; the API's own clock is unchanged
+    app.post('/api/dev/time/increase',
+        requireScope('elections'),
+        [
+            body('seconds').isInt({ min: 1 }).withMessage('Seconds must be a positive integer')
+        ],
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return sendError(res, createValidationError(errors));
+            }
+            
+            try {
+                const clock = await increaseTime(web3, Number(req.body.seconds));
+                readCache.expire();
+                res.json({ message: `Chain time increased by ${req.body.seconds} seconds`, ...clock });
+            } catch (error) {
+                sendError(res, error);
+            }
+        }
+    );
+    
+    // Mine empty blocks (admin only), such as to confirm indexed events
+    app.post('/api/dev/mine',
+        requireScope('elections'),
+        [
+            body('blocks').optional().isInt({ min: 1, max: MAX_MINED_BLOCKS })
+                .withMessage(`Blocks must be between 1 and ${MAX_MINED_BLOCKS}`)
+        ],
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return sendError(res, createValidationError(errors));
+            }
+            
+            try {
+                const blocks = Number((req.body || {}).blocks) || 1;
+                const clock = await mineBlocks(web3, blocks);
+                readCache.expire();
+                res.json({ message: `Mined ${blocks} block${blocks === 1 ? '' : 's'}`, ...clock });
+            } catch (error) {
+                sendError(res, error);
+            }
+        }
+    );
+}
+
+// Mount the election-scoped routes
+app.use('/api/elections/:electionId', resolveElection, electionRouter);
+app.use('/api', resolveElection, electionRouter);
+
+// Unknown routes get the error envelope too
+app.use((req, res) => {
+    sendError(res, createHttpError(404, 'ROUTE_NOT_FOUND', `Cannot ${req.method} ${req.path}`));
+});
+
+// Errors passed on by middleware, such as malformed or oversized request bodies
+app.use((error, req, res, next) => {
+    sendError(res, error);
+});
+
 // Start the server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Voting DApp API server running on port ${PORT}`);
+const server = app.listen(PORT, () => {
+    logger.info('Voting DApp API server running', { port: Number(PORT), network: network.name });
+    
+    // Report misconfiguration at startup; STARTUP_CHECKS=strict exits on a failed check
+    if (process.env.STARTUP_CHECKS !== 'off') {
+        healthChecks.check({ fresh: true }).then(report => {
+            Object.entries(report.checks).filter(([, check]) => check.status !== 'pass').forEach(([name, check]) => {
+                logger[check.status === 'fail' ? 'error' : 'warn'](`Startup check ${name} ${check.status === 'fail' ? 'failed' : 'warned'}: ${check.error}`, { check: name });
+            });
+            if (report.status === 'fail' && process.env.STARTUP_CHECKS === 'strict') {
+                logger.error('Exiting: startup checks failed (STARTUP_CHECKS=strict)');
+                process.exit(1);
+            }
+        });
+    }
+    
+    providerPool.start();
+    txManager.resume();
+    
+    if (process.env.INDEXER_ENABLED !== 'false') {
+        indexer.start().catch(error => {
+            logger.error('Indexer failed to start', { error });
+        });
+    }
+    
+    if (process.env.KEEPER_ENABLED !== 'false') {
+        keeper.start().catch(error => {
+            logger.error('Keeper failed to start', { error });
+        });
+    }
+    
+    if (process.env.WEBHOOKS_ENABLED !== 'false') {
+        webhooks.start().catch(error => {
+            logger.error('Webhook delivery failed to start', { error });
+        });
+    }
 });
 
+feed.attachWebSocket(server);
+
 module.exports = app; // For testing purposes
\ No newline at end of file
@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./Voting.sol";
+
+/**
+ * @title ElectionFactory
+ * @dev Creates and keeps a registry of Voting elections
+ */
+contract ElectionFactory {
+    // Structure to store information about each created election
+    struct ElectionRecord {
+        address election;
+        string name;
+        address admin;
+        uint createdAt;
+    }
+
+    // State variables
+    address public owner;
+
+    // Store created elections, indexed by election ID
+    ElectionRecord[] public elections;
+
+    // Events
+    event ElectionCreated(uint indexed electionId, address indexed election, string name, address admin);
+
+    // Modifiers
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner can perform this action");
+        _;
+    }
+
+    // Constructor - Set the factory owner
+    constructor() {
+        owner = msg.sender;
+    }
+
+    // Create a new election administered by the caller, counted with the given
+    // voting method. Secret-ballot elections use commit-reveal voting with a
+    // reveal phase after voting closes
+    function createElection(string memory _electionName, Voting.VotingMethod _votingMethod, bool _secretBallot, uint _revealDurationInMinutes) public onlyOwner returns (uint, address) {
+        require(bytes(_electionName).length > 0, "Election name is required");
+
+        Voting election = new Voting(_electionName, msg.sender, _votingMethod, _secretBallot, _revealDurationInMinutes);
+        uint electionId = elections.length;
+        elections.push(ElectionRecord({
+            election: address(election),
+            name: _electionName,
+            admin: msg.sender,
+            createdAt: block.timestamp
+        }));
+
+        emit ElectionCreated(electionId, address(election), _electionName, msg.sender);
+        return (electionId, address(election));
+    }
+
+    // Get election details
+    function getElection(uint _electionId) public view returns (address, string memory, address, uint) {
+        require(_electionId < elections.length, "Invalid election ID");
+
+        ElectionRecord memory record = elections[_electionId];
+        return (record.election, record.name, record.admin, record.createdAt);
+    }
+
+    // Get total number of elections
+    function getElectionCount() public view returns (uint) {
+        return elections.length;
+    }
+
+    // Get the addresses of all elections
+    function getElectionAddresses() public view returns (address[] memory) {
+        address[] memory addresses = new address[](elections.length);
+
+        for (uint i = 0; i < elections.length; i++) {
+            addresses[i] = elections[i].election;
+        }
+
+        return addresses;
+    }
+}
@@ -6,6 +6,15 @@ pragma solidity ^0.8.0;
  * @dev A decentralized voting system
  */
 contract Voting {
+    // Ways a ballot can be cast and counted: one candidate, a set of approved
+    // candidates, a full or partial ranking (instant runoff), or one candidate
+    // counted with the weight the voter was registered with
+    enum VotingMethod { Plurality, Approval, RankedChoice, Weighted }
+    
+    // How much support a winner needs: the most votes, more than half of the
+    // votes, or at least the supermajority share of the votes
+    enum WinningRule { Plurality, AbsoluteMajority, Supermajority }
+    
     // Structure to store information about each candidate
     struct Candidate {
         uint id;
@@ -13,6 +22,9 @@ contract Voting {
         string party;
         string proposal;
         uint voteCount;
+        bool withdrawn;
+        // keccak256 of the candidate's off-chain metadata document (zero when none)
+        bytes32 metadataHash;
     }
 
     // Structure to store information about voters
@@ -20,6 +32,9 @@ contract Voting {
         bool hasVoted;
         uint votedCandidateId;
         bool isRegistered;
+        bytes32 commitment;
+        bool hasRevealed;
+        uint weight;
     }
 
     // State variables
@@ -27,28 +42,76 @@ contract Voting {
     string public electionName;
     uint public startTime;
     uint public endTime;
+    // Set once the voting window is scheduled (or started right away)
     bool public electionStarted;
     bool public electionEnded;
+    VotingMethod public votingMethod;
     
     // Store candidates
     Candidate[] public candidates;
+    uint public activeCandidateCount;
     
     // Map voter address to voter info
     mapping(address => Voter) public voters;
+    uint public registeredVoterCount;
     
-    // Total votes cast
+    // Result rules, fixed once the election starts. Shares are in basis points:
+    // the quorum is of registered voters, the supermajority of the votes
+    uint public quorumBasisPoints;
+    WinningRule public winningRule;
+    uint public supermajorityBasisPoints;
+    
+    // Total votes cast (valid reveals for secret ballots)
     uint public totalVotes;
     
+    // Total weight of the ballots cast in weighted elections
+    uint public totalWeight;
+    
+    // Approval and ranked ballots, in the order they were cast
+    address[] public ballotVoters;
+    mapping(address => uint[]) private ballots;
+    
+    // Secret-ballot (commit-reveal) settings
+    bool public secretBallot;
+    uint public revealDuration;
+    uint public revealEndTime;
+    uint public totalCommits;
+    
+    // EIP-712 typed data hashes for signed ballots
+    bytes32 public constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant BALLOT_TYPEHASH = keccak256("Ballot(address election,address voter,uint256 candidateId,uint256 nonce,uint256 deadline)");
+    bytes32 public constant MULTI_BALLOT_TYPEHASH = keccak256("MultiBallot(address election,address voter,uint256[] candidateIds,uint256 nonce,uint256 deadline)");
+    bytes32 public constant COMMIT_TYPEHASH = keccak256("Commit(address election,address voter,bytes32 commitment,uint256 nonce,uint256 deadline)");
+    
+    // Next expected signed ballot nonce per voter (replay protection)
+    mapping(address => uint) public nonces;
+    
+    // Roles the admin grants to other accounts, each allowing one group of admin
+    // actions. ADMIN_ROLE holders may grant and revoke roles themselves
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant ELECTION_MANAGER_ROLE = keccak256("ELECTION_MANAGER_ROLE");
+    bytes32 public constant REGISTRAR_ROLE = keccak256("REGISTRAR_ROLE");
+    bytes32 public constant CANDIDATE_MANAGER_ROLE = keccak256("CANDIDATE_MANAGER_ROLE");
+    mapping(bytes32 => mapping(address => bool)) private roles;
+    
     // Events
     event VoterRegistered(address indexed voterAddress);
     event CandidateAdded(uint candidateId, string name);
+    event CandidateUpdated(uint candidateId, string name, bytes32 metadataHash);
+    event CandidateWithdrawn(uint candidateId);
     event VoteCast(address indexed voter, uint candidateId);
+    event BallotCast(address indexed voter, uint[] candidateIds, uint weight);
+    event VoteCommitted(address indexed voter);
     event ElectionStarted(uint startTime);
+    event ElectionScheduled(uint startTime, uint endTime);
     event ElectionEnded(uint endTime);
+    event ResultRulesSet(uint quorumBasisPoints, WinningRule winningRule, uint supermajorityBasisPoints);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
     
     // Modifiers
-    modifier onlyAdmin() {
-        require(msg.sender == admin, "Only admin can perform this action");
+    modifier onlyRole(bytes32 _role) {
+        require(hasRole(_role, msg.sender), "Caller is missing the required role");
         _;
     }
     
@@ -59,16 +122,59 @@ contract Voting {
         _;
     }
     
+    modifier revealOpen() {
+        require(secretBallot, "Election does not use secret ballots");
+        require(electionStarted, "Election has not started yet");
+        require(electionEnded || block.timestamp > endTime, "Reveal phase has not started yet");
+        require(block.timestamp <= revealEndTime, "Reveal phase has ended");
+        _;
+    }
+    
     // Constructor - Set up the election
-    constructor(string memory _electionName) {
-        admin = msg.sender;
+    // The admin is passed explicitly so a factory can deploy on behalf of its caller
+    constructor(string memory _electionName, address _admin, VotingMethod _votingMethod, bool _secretBallot, uint _revealDurationInMinutes) {
+        require(_admin != address(0), "Admin cannot be the zero address");
+        require(!_secretBallot || _revealDurationInMinutes > 0, "Reveal duration is required for secret ballots");
+        admin = _admin;
         electionName = _electionName;
+        votingMethod = _votingMethod;
+        secretBallot = _secretBallot;
+        revealDuration = _revealDurationInMinutes * 1 minutes;
         electionStarted = false;
         electionEnded = false;
     }
     
-    // Add a candidate
-    function addCandidate(string memory _name, string memory _party, string memory _proposal) public onlyAdmin {
+    // Check whether an account holds a role. The election admin holds every role
+    function hasRole(bytes32 _role, address _account) public view returns (bool) {
+        return _account == admin || roles[_role][_account];
+    }
+    
+    // Grant a role to an account
+    function grantRole(bytes32 _role, address _account) public onlyRole(ADMIN_ROLE) {
+        require(_role == ADMIN_ROLE || _role == ELECTION_MANAGER_ROLE || _role == REGISTRAR_ROLE || _role == CANDIDATE_MANAGER_ROLE, "Unknown role");
+        require(!hasRole(_role, _account), "Account already has the role");
+        roles[_role][_account] = true;
+        
+        emit RoleGranted(_role, _account, msg.sender);
+    }
+    
+    // Revoke a role from an account. The election admin's own roles cannot be revoked
+    function revokeRole(bytes32 _role, address _account) public onlyRole(ADMIN_ROLE) {
+        require(roles[_role][_account], "Account does not have the role");
+        roles[_role][_account] = false;
+        
+        emit RoleRevoked(_role, _account, msg.sender);
+    }
+    
+    modifier candidatesEditable(uint _candidateId) {
+        require(!electionStarted, "Cannot change candidates after election has started");
+        require(_candidateId < candidates.length, "Invalid candidate ID");
+        require(!candidates[_candidateId].withdrawn, "Candidate has withdrawn");
+        _;
+    }
+    
+    // Add a candidate, with the hash of its off-chain metadata (zero when none)
+    function addCandidate(string memory _name, string memory _party, string memory _proposal, bytes32 _metadataHash) public onlyRole(CANDIDATE_MANAGER_ROLE) {
         require(!electionStarted, "Cannot add candidate after election has started");
         uint candidateId = candidates.length;
         candidates.push(Candidate({
@@ -76,63 +182,321 @@ contract Voting {
             name: _name,
             party: _party,
             proposal: _proposal,
-            voteCount: 0
+            voteCount: 0,
+            withdrawn: false,
+            metadataHash: _metadataHash
         }));
+        activeCandidateCount++;
         
         emit CandidateAdded(candidateId, _name);
     }
     
+    // Correct a candidate's details before the election starts
+    function updateCandidate(uint _candidateId, string memory _name, string memory _party, string memory _proposal, bytes32 _metadataHash) public onlyRole(CANDIDATE_MANAGER_ROLE) candidatesEditable(_candidateId) {
+        Candidate storage candidate = candidates[_candidateId];
+        candidate.name = _name;
+        candidate.party = _party;
+        candidate.proposal = _proposal;
+        candidate.metadataHash = _metadataHash;
+        
+        emit CandidateUpdated(_candidateId, _name, _metadataHash);
+    }
+    
+    // Withdraw a candidate before the election starts. The ID stays taken so
+    // other candidate IDs don't change, but ballots can no longer select it
+    function withdrawCandidate(uint _candidateId) public onlyRole(CANDIDATE_MANAGER_ROLE) candidatesEditable(_candidateId) {
+        candidates[_candidateId].withdrawn = true;
+        activeCandidateCount--;
+        
+        emit CandidateWithdrawn(_candidateId);
+    }
+    
     // Register a voter
-    function registerVoter(address _voter) public onlyAdmin {
+    function registerVoter(address _voter) public onlyRole(REGISTRAR_ROLE) {
+        require(_voter != address(0), "Voter cannot be the zero address");
         require(!voters[_voter].isRegistered, "Voter is already registered");
+        addVoter(_voter, 1);
+    }
+    
+    // Register a voter of a weighted election with their vote weight
+    function registerVoterWithWeight(address _voter, uint _weight) public onlyRole(REGISTRAR_ROLE) {
+        require(votingMethod == VotingMethod.Weighted, "Weights apply to weighted elections only");
+        require(_voter != address(0), "Voter cannot be the zero address");
+        require(!voters[_voter].isRegistered, "Voter is already registered");
+        addVoter(_voter, _weight);
+    }
+    
+    // Register a batch of voters, skipping addresses that are already registered
+    function registerVoters(address[] calldata _voters) public onlyRole(REGISTRAR_ROLE) {
+        for (uint i = 0; i < _voters.length; i++) {
+            require(_voters[i] != address(0), "Voter cannot be the zero address");
+            
+            if (!voters[_voters[i]].isRegistered) {
+                addVoter(_voters[i], 1);
+            }
+        }
+    }
+    
+    // Register a batch of voters of a weighted election with their vote weights,
+    // skipping addresses that are already registered
+    function registerVotersWithWeights(address[] calldata _voters, uint[] calldata _weights) public onlyRole(REGISTRAR_ROLE) {
+        require(votingMethod == VotingMethod.Weighted, "Weights apply to weighted elections only");
+        require(_voters.length == _weights.length, "Every voter needs a weight");
+        
+        for (uint i = 0; i < _voters.length; i++) {
+            require(_voters[i] != address(0), "Voter cannot be the zero address");
+            
+            if (!voters[_voters[i]].isRegistered) {
+                addVoter(_voters[i], _weights[i]);
+            }
+        }
+    }
+    
+    // Record a voter registration
+    function addVoter(address _voter, uint _weight) internal {
+        require(_weight > 0, "Voter weight must be positive");
         
         voters[_voter].isRegistered = true;
         voters[_voter].hasVoted = false;
+        voters[_voter].weight = _weight;
+        registeredVoterCount++;
         
         emit VoterRegistered(_voter);
     }
     
+    // Set the quorum and winning rule the results are judged by
+    function setResultRules(uint _quorumBasisPoints, WinningRule _winningRule, uint _supermajorityBasisPoints) public onlyRole(ELECTION_MANAGER_ROLE) {
+        require(!electionStarted, "Cannot change result rules after election has started");
+        require(_quorumBasisPoints <= 10000, "Quorum cannot exceed 100%");
+        if (_winningRule == WinningRule.Supermajority) {
+            require(_supermajorityBasisPoints > 5000 && _supermajorityBasisPoints <= 10000, "Supermajority must be over 50% and at most 100%");
+        } else {
+            _supermajorityBasisPoints = 0;
+        }
+        
+        quorumBasisPoints = _quorumBasisPoints;
+        winningRule = _winningRule;
+        supermajorityBasisPoints = _supermajorityBasisPoints;
+        
+        emit ResultRulesSet(_quorumBasisPoints, _winningRule, _supermajorityBasisPoints);
+    }
+    
     // Start the election
-    function startElection(uint _durationInMinutes) public onlyAdmin {
+    function startElection(uint _durationInMinutes) public onlyRole(ELECTION_MANAGER_ROLE) {
+        setVotingWindow(block.timestamp, block.timestamp + (_durationInMinutes * 1 minutes));
+        
+        emit ElectionStarted(startTime);
+    }
+    
+    // Schedule the voting window of the election ahead of time
+    function scheduleElection(uint _startTime, uint _endTime) public onlyRole(ELECTION_MANAGER_ROLE) {
+        require(_startTime >= block.timestamp, "Start time must not be in the past");
+        require(_endTime > _startTime, "End time must be after the start time");
+        setVotingWindow(_startTime, _endTime);
+        
+        emit ElectionScheduled(_startTime, _endTime);
+    }
+    
+    // Set the voting window, which locks the candidate list
+    function setVotingWindow(uint _startTime, uint _endTime) internal {
         require(!electionStarted, "Election has already started");
-        require(candidates.length > 0, "No candidates registered");
+        require(activeCandidateCount > 0, "No candidates registered");
         
         electionStarted = true;
-        startTime = block.timestamp;
-        endTime = startTime + (_durationInMinutes * 1 minutes);
-        
-        emit ElectionStarted(startTime);
+        startTime = _startTime;
+        endTime = _endTime;
+        revealEndTime = endTime + revealDuration;
     }
     
-    // Cast a vote
+    // Cast a vote for one candidate
     function vote(uint _candidateId) public electionActive {
-        Voter storage sender = voters[msg.sender];
+        require(!secretBallot, "Election uses secret ballots");
+        castVote(msg.sender, singleBallot(_candidateId));
+    }
+    
+    // Cast an approval set or a ranking (most preferred first)
+    function voteBallot(uint[] calldata _candidateIds) public electionActive {
+        require(!secretBallot, "Election uses secret ballots");
+        castVote(msg.sender, _candidateIds);
+    }
+    
+    // Cast a vote from an EIP-712 signed ballot, relayed by any account that pays the gas
+    function voteBySig(address _voter, uint _candidateId, uint _nonce, uint _deadline, uint8 _v, bytes32 _r, bytes32 _s) public electionActive {
+        require(!secretBallot, "Election uses secret ballots");
         
+        bytes32 structHash = keccak256(abi.encode(BALLOT_TYPEHASH, address(this), _voter, _candidateId, _nonce, _deadline));
+        useSignature(_voter, structHash, _nonce, _deadline, _v, _r, _s);
+        castVote(_voter, singleBallot(_candidateId));
+    }
+    
+    // Cast an approval set or a ranking from an EIP-712 signed ballot, relayed by any account
+    function voteBallotBySig(address _voter, uint[] calldata _candidateIds, uint _nonce, uint _deadline, uint8 _v, bytes32 _r, bytes32 _s) public electionActive {
+        require(!secretBallot, "Election uses secret ballots");
+        
+        bytes32 structHash = keccak256(abi.encode(MULTI_BALLOT_TYPEHASH, address(this), _voter, keccak256(abi.encodePacked(_candidateIds)), _nonce, _deadline));
+        useSignature(_voter, structHash, _nonce, _deadline, _v, _r, _s);
+        castVote(_voter, _candidateIds);
+    }
+    
+    // Commit to a secret vote while voting is open
+    function commitVote(bytes32 _commitment) public electionActive {
+        castCommitment(msg.sender, _commitment);
+    }
+    
+    // Commit to a secret vote from an EIP-712 signed commitment, relayed by any account
+    function commitVoteBySig(address _voter, bytes32 _commitment, uint _nonce, uint _deadline, uint8 _v, bytes32 _r, bytes32 _s) public electionActive {
+        bytes32 structHash = keccak256(abi.encode(COMMIT_TYPEHASH, address(this), _voter, _commitment, _nonce, _deadline));
+        useSignature(_voter, structHash, _nonce, _deadline, _v, _r, _s);
+        castCommitment(_voter, _commitment);
+    }
+    
+    // Reveal a committed vote during the reveal phase. Anyone holding the
+    // ballot and salt may reveal, since they can only open the voter's commitment
+    function revealVote(address _voter, uint[] calldata _candidateIds, bytes32 _salt) public revealOpen {
+        Voter storage voter = voters[_voter];
+        
+        require(voter.commitment != bytes32(0), "No vote committed");
+        require(!voter.hasRevealed, "Vote has already been revealed");
+        require(computeCommitment(_voter, _candidateIds, _salt) == voter.commitment, "Commitment does not match");
+        
+        voter.hasRevealed = true;
+        recordBallot(_voter, _candidateIds);
+    }
+    
+    // Compute the commitment of a secret ballot (one candidate, an approval set or a ranking)
+    function computeCommitment(address _voter, uint[] memory _candidateIds, bytes32 _salt) public view returns (bytes32) {
+        return keccak256(abi.encode(address(this), _voter, _candidateIds, _salt));
+    }
+    
+    // Verify an EIP-712 signature of a voter and consume its nonce
+    function useSignature(address _voter, bytes32 _structHash, uint _nonce, uint _deadline, uint8 _v, bytes32 _r, bytes32 _s) internal {
+        require(block.timestamp <= _deadline, "Ballot signature has expired");
+        require(_nonce == nonces[_voter], "Invalid ballot nonce");
+        // Reject malleable signatures (upper-range s values)
+        require(uint(_s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0, "Invalid ballot signature");
+        
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), _structHash));
+        address signer = ecrecover(digest, _v, _r, _s);
+        require(signer != address(0) && signer == _voter, "Invalid ballot signature");
+        
+        nonces[_voter]++;
+    }
+    
+    // Record a secret vote commitment for a voter
+    function castCommitment(address _voter, bytes32 _commitment) internal {
+        Voter storage sender = voters[_voter];
+        
+        require(secretBallot, "Election does not use secret ballots");
         require(sender.isRegistered, "You are not registered to vote");
         require(!sender.hasVoted, "You have already voted");
-        require(_candidateId < candidates.length, "Invalid candidate");
+        require(_commitment != bytes32(0), "Invalid commitment");
         
         sender.hasVoted = true;
-        sender.votedCandidateId = _candidateId;
+        sender.commitment = _commitment;
+        totalCommits++;
+        
+        emit VoteCommitted(_voter);
+    }
+    
+    // Record a vote for a voter
+    function castVote(address _voter, uint[] memory _candidateIds) internal {
+        Voter storage sender = voters[_voter];
+        
+        require(sender.isRegistered, "You are not registered to vote");
+        require(!sender.hasVoted, "You have already voted");
+        
+        sender.hasVoted = true;
+        recordBallot(_voter, _candidateIds);
+    }
+    
+    // Validate a ballot for the voting method and add it to the tallies. Candidate
+    // vote counts hold votes, approvals, first preferences or weight by method
+    function recordBallot(address _voter, uint[] memory _candidateIds) internal {
+        require(_candidateIds.length > 0, "Ballot must select a candidate");
+        if (votingMethod == VotingMethod.Plurality || votingMethod == VotingMethod.Weighted) {
+            require(_candidateIds.length == 1, "Ballot must select exactly one candidate");
+        }
+        for (uint i = 0; i < _candidateIds.length; i++) {
+            require(_candidateIds[i] < candidates.length, "Invalid candidate");
+            require(!candidates[_candidateIds[i]].withdrawn, "Candidate has withdrawn");
+            for (uint j = 0; j < i; j++) {
+                require(_candidateIds[j] != _candidateIds[i], "Ballot lists a candidate more than once");
+            }
+        }
         
-        candidates[_candidateId].voteCount++;
+        Voter storage voter = voters[_voter];
+        voter.votedCandidateId = _candidateIds[0];
         totalVotes++;
         
-        emit VoteCast(msg.sender, _candidateId);
+        if (votingMethod == VotingMethod.Plurality) {
+            candidates[_candidateIds[0]].voteCount++;
+            emit VoteCast(_voter, _candidateIds[0]);
+            return;
+        }
+        
+        if (votingMethod == VotingMethod.Weighted) {
+            candidates[_candidateIds[0]].voteCount += voter.weight;
+            totalWeight += voter.weight;
+        } else {
+            uint counted = votingMethod == VotingMethod.Approval ? _candidateIds.length : 1;
+            for (uint i = 0; i < counted; i++) {
+                candidates[_candidateIds[i]].voteCount++;
+            }
+            ballotVoters.push(_voter);
+            ballots[_voter] = _candidateIds;
+        }
+        
+        emit BallotCast(_voter, _candidateIds, voter.weight);
+    }
+    
+    // Wrap one candidate in a ballot
+    function singleBallot(uint _candidateId) internal pure returns (uint[] memory) {
+        uint[] memory ballot = new uint[](1);
+        ballot[0] = _candidateId;
+        return ballot;
+    }
+    
+    // Get the EIP-712 domain separator of this election
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256(bytes("Voting")), keccak256(bytes("1")), block.chainid, address(this)));
+    }
+    
+    // End the election, closing voting early when the window is still open
+    function endElection() public onlyRole(ELECTION_MANAGER_ROLE) {
+        if (block.timestamp < endTime) {
+            endTime = block.timestamp < startTime ? startTime : block.timestamp;
+            revealEndTime = endTime + revealDuration;
+        }
+        closeElection();
+    }
+    
+    // Mark an election whose voting window has passed as ended. Anyone may
+    // call it, so results never stay locked waiting for the admin
+    function finalize() public {
+        require(block.timestamp > endTime, "Voting window has not passed yet");
+        closeElection();
     }
     
-    // End the election
-    function endElection() public onlyAdmin electionActive {
+    // Mark the election as ended
+    function closeElection() internal {
+        require(electionStarted, "Election has not started yet");
+        require(!electionEnded, "Election has already ended");
+        
         electionEnded = true;
         emit ElectionEnded(block.timestamp);
     }
     
     // Get candidate details
-    function getCandidate(uint _candidateId) public view returns (uint, string memory, string memory, string memory, uint) {
+    function getCandidate(uint _candidateId) public view returns (uint, string memory, string memory, string memory, uint, bool, bytes32) {
         require(_candidateId < candidates.length, "Invalid candidate ID");
         
         Candidate memory candidate = candidates[_candidateId];
-        return (candidate.id, candidate.name, candidate.party, candidate.proposal, candidate.voteCount);
+        return (candidate.id, candidate.name, candidate.party, candidate.proposal, candidate.voteCount, candidate.withdrawn, candidate.metadataHash);
+    }
+    
+    // Get every candidate, withdrawn ones included, in one call
+    function getAllCandidates() public view returns (Candidate[] memory) {
+        return candidates;
     }
     
     // Get total number of candidates
@@ -142,28 +506,60 @@ contract Voting {
     
     // Get election results (only after election ends)
     function getResults() public view returns (uint[] memory, string[] memory, uint[] memory) {
-        require(electionEnded, "Election has not ended yet");
+        if (secretBallot) {
+            require(electionStarted && block.timestamp > revealEndTime, "Reveal phase has not ended yet");
+        } else {
+            require(electionEnded, "Election has not ended yet");
+        }
         
-        uint[] memory ids = new uint[](candidates.length);
-        string[] memory names = new string[](candidates.length);
-        uint[] memory voteCounts = new uint[](candidates.length);
+        // Withdrawn candidates are left out of the results
+        uint[] memory ids = new uint[](activeCandidateCount);
+        string[] memory names = new string[](activeCandidateCount);
+        uint[] memory voteCounts = new uint[](activeCandidateCount);
+        uint index = 0;
         
         for (uint i = 0; i < candidates.length; i++) {
-            ids[i] = candidates[i].id;
-            names[i] = candidates[i].name;
-            voteCounts[i] = candidates[i].voteCount;
+            if (candidates[i].withdrawn) {
+                continue;
+            }
+            ids[index] = candidates[i].id;
+            names[index] = candidates[i].name;
+            voteCounts[index] = candidates[i].voteCount;
+            index++;
         }
         
         return (ids, names, voteCounts);
     }
     
+    // Get the approval set or ranking a voter cast
+    function getBallot(address _voter) public view returns (uint[] memory) {
+        return ballots[_voter];
+    }
+    
+    // Get total number of approval and ranked ballots cast
+    function getBallotCount() public view returns (uint) {
+        return ballotVoters.length;
+    }
+    
+    // Get a page of the approval and ranked ballots cast, for counting rounds off-chain
+    function getBallots(uint _offset, uint _limit) public view returns (uint[][] memory) {
+        uint end = _offset + _limit > ballotVoters.length ? ballotVoters.length : _offset + _limit;
+        uint[][] memory page = new uint[][](end > _offset ? end - _offset : 0);
+        
+        for (uint i = 0; i < page.length; i++) {
+            page[i] = ballots[ballotVoters[_offset + i]];
+        }
+        
+        return page;
+    }
+    
     // Check if a voter has voted
     function hasVoted(address _voter) public view returns (bool) {
         return voters[_voter].hasVoted;
     }
     
-    // Check election status
+    // Check election status. isStarted turns true once a scheduled start time is reached
     function getElectionStatus() public view returns (bool isStarted, bool isEnded, uint start, uint end, uint currentTime) {
-        return (electionStarted, electionEnded, startTime, endTime, block.timestamp);
+        return (electionStarted && block.timestamp >= startTime, electionEnded, startTime, endTime, block.timestamp);
     }
 }
\ No newline at end of file
@@ -1,122 +1,274 @@
-const fs = require('fs');
+// Deployment CLI: compiles the contracts, deploys the election factory to a network
+// profile from networks.json, seeds elections from a file and checks a deployment.
+// Each deployment is recorded in deployments/<network>.json, which the API loads
 const path = require('path');
-const { Web3 } = require('web3'); 
+const { parseArgs } = require('util');
+const { Web3 } = require('web3');
 const dotenv = require('dotenv');
-const solc = require('solc');
+const { compileContracts, writeAbis } = require('./lib/compiler');
+const { loadNetwork, getManifestPath, readManifest, writeManifest, hashBytecode } = require('./lib/deployments');
+const { deployFactory, createElection, loadElectionFile, seedElection } = require('./lib/provisioning');
 
 // Load environment variables
 dotenv.config();
 
-async function deployContract() {
-    try {
-        // Connect to blockchain
-        const web3 = new Web3(process.env.BLOCKCHAIN_PROVIDER_URL || 'http://localhost:8545');
-        
-        // Get private key and handle format
+// Number of addresses registered per registerVoters transaction
+const VOTER_BATCH_SIZE = Number(process.env.VOTER_BATCH_SIZE) || 100;
+
+// How often to check for confirmations after deploying
+const CONFIRMATION_POLL_MS = 2000;
+
+const USAGE = `Usage: node deploy.js <command> [options]
+
+Commands:
+  compile              Compile the contracts and write their ABIs to contract/
+  deploy [name]        Deploy the election factory and create a first election
+  seed <file>          Create an election with candidates and voters from a JSON or YAML file
+  status               Check a network's deployment manifest against the chain
+
+Options:
+  -n, --network <name> Network profile from networks.json (default: NETWORK, or development)
+  --name <name>        Name of the first election (deploy; default: General Election 2025)
+  --skip-election      Deploy the factory without creating an election (deploy)
+  --election <id>      Seed an existing election instead of creating one (seed)
+  -h, --help           Show this help
+`;
+
+// Print compiler warnings; they don't stop a build
+function printWarnings(warnings) {
+    warnings.forEach(warning => console.warn(warning));
+}
+
+// Connect to a network, checking the chain ID its profile pins. With a signer,
+// the admin key is added to the wallet
+async function connect(network, { signer = false } = {}) {
+    const web3 = new Web3(network.providerUrl);
+    const chainId = Number(await web3.eth.getChainId());
+    
+    if (network.chainId !== null && chainId !== network.chainId) {
+        throw new Error(`Network ${network.name} expects chain ID ${network.chainId}, but its provider is on chain ${chainId}`);
+    }
+    
+    let account = null;
+    if (signer) {
         let privateKey = process.env.ADMIN_PRIVATE_KEY;
+        if (!privateKey) {
+            throw new Error('ADMIN_PRIVATE_KEY is required');
+        }
         if (!privateKey.startsWith('0x')) {
             privateKey = '0x' + privateKey;
         }
-        
-        // Set up deployer account
-        const deployerAccount = web3.eth.accounts.privateKeyToAccount(privateKey);
-        web3.eth.accounts.wallet.add(deployerAccount);
-        
-        console.log(`Deploying from address: ${deployerAccount.address}`);
-        
-        // Read the Solidity source code
-        const contractPath = path.resolve(__dirname, 'contracts', 'Voting.sol');
-        const source = fs.readFileSync(contractPath, 'utf8');
-        
-        // Compile the source code
-        const input = {
-            language: 'Solidity',
-            sources: {
-                'Voting.sol': {
-                    content: source
-                }
+        account = web3.eth.accounts.privateKeyToAccount(privateKey);
+        web3.eth.accounts.wallet.add(account);
+    }
+    
+    return { web3, chainId, account };
+}
+
+// Wait until a block has the network's number of confirmations
+async function waitForConfirmations(web3, network, blockNumber) {
+    if (network.confirmations === 0) {
+        return;
+    }
+    
+    console.log(`Waiting for ${network.confirmations} confirmations...`);
+    while (Number(await web3.eth.getBlockNumber()) < Number(blockNumber) + network.confirmations) {
+        await new Promise(resolve => setTimeout(resolve, CONFIRMATION_POLL_MS));
+    }
+}
+
+// Create an election through the factory, reporting it on the console
+async function createLoggedElection(web3, factory, account, definition) {
+    console.log(`Creating election: ${definition.name}`);
+    const election = await createElection(web3, factory, account, definition);
+    console.log(`Election ${election.id} created at: ${election.address}`);
+    return election;
+}
+
+// Compile the contracts and write their ABIs
+function compile(network) {
+    const { compiler, contracts, warnings } = compileContracts({ evmVersion: network.evmVersion });
+    printWarnings(warnings);
+    writeAbis(contracts);
+    
+    Object.entries(contracts).forEach(([name, { deployedBytecode }]) => {
+        console.log(`${name}: ${(deployedBytecode.length - 2) / 2} bytes deployed`);
+    });
+    console.log(`Compiled with solc ${compiler.version}; ABIs written to contract/`);
+}
+
+// Deploy the election factory, create the first election and write the manifest
+async function deploy(network, options, args) {
+    console.log('Compiling contracts...');
+    const build = compileContracts({ evmVersion: network.evmVersion });
+    printWarnings(build.warnings);
+    writeAbis(build.contracts);
+    
+    const { web3, chainId, account } = await connect(network, { signer: true });
+    console.log(`Deploying election factory to ${network.name} (chain ${chainId}) from ${account.address}`);
+    
+    const { ElectionFactory: factoryBuild, Voting: votingBuild } = build.contracts;
+    const receipt = await deployFactory(web3, account, factoryBuild);
+    await waitForConfirmations(web3, network, receipt.blockNumber);
+    
+    const factoryAddress = Web3.utils.toChecksumAddress(receipt.contractAddress);
+    console.log(`Election factory deployed at: ${factoryAddress}`);
+    
+    const manifest = {
+        network: network.name,
+        chainId,
+        deployer: account.address,
+        deployedAt: new Date().toISOString(),
+        compiler: build.compiler,
+        contracts: {
+            ElectionFactory: {
+                address: factoryAddress,
+                deployBlock: Number(receipt.blockNumber),
+                transactionHash: receipt.transactionHash,
+                bytecodeHash: hashBytecode(factoryBuild.bytecode),
+                deployedBytecodeHash: hashBytecode(factoryBuild.deployedBytecode),
+                abi: factoryBuild.abi
             },
-            settings: {
-                outputSelection: {
-                    '*': {
-                        '*': ['*']
-                    }
-                }
+            // Elections are deployed by the factory, so only their build is recorded
+            Voting: {
+                bytecodeHash: hashBytecode(votingBuild.bytecode),
+                deployedBytecodeHash: hashBytecode(votingBuild.deployedBytecode),
+                abi: votingBuild.abi
             }
-        };
-        
-        console.log('Compiling contract...');
-        const compiledContract = JSON.parse(solc.compile(JSON.stringify(input)));
-        
-        // Check for compilation errors
-        if (compiledContract.errors) {
-            compiledContract.errors.forEach(error => {
-                console.error(error.formattedMessage);
-            });
-            throw new Error('Contract compilation failed');
+        },
+        elections: []
+    };
+    const manifestPath = writeManifest(network.name, manifest);
+    
+    if (!options['skip-election']) {
+        const factory = new web3.eth.Contract(factoryBuild.abi, factoryAddress);
+        manifest.elections.push(await createLoggedElection(web3, factory, account, {
+            name: options.name || args[0] || 'General Election 2025'
+        }));
+        writeManifest(network.name, manifest);
+    }
+    
+    console.log(`Deployment manifest written to ${path.relative(process.cwd(), manifestPath)}`);
+    
+    // Addresses set in the environment take precedence over the manifest
+    if (process.env.FACTORY_ADDRESS && process.env.FACTORY_ADDRESS.toLowerCase() !== factoryAddress.toLowerCase()) {
+        console.warn('FACTORY_ADDRESS in the environment overrides the manifest; remove it (and CONTRACT_ADDRESS, DEPLOY_BLOCK) from .env to use this deployment');
+    }
+}
+
+// Create or fill an election from a file: candidates first, then voters in batches
+async function seed(network, options, args) {
+    if (!args[0]) {
+        throw new Error('An election file is required: node deploy.js seed <file>');
+    }
+    
+    const manifest = readManifest(network.name);
+    if (!manifest) {
+        throw new Error(`Network ${network.name} has no deployment; run node deploy.js deploy first`);
+    }
+    
+    const definition = loadElectionFile(args[0], options.election === undefined);
+    const { web3, chainId, account } = await connect(network, { signer: true });
+    if (chainId !== manifest.chainId) {
+        throw new Error(`The manifest of ${network.name} is for chain ${manifest.chainId}, but its provider is on chain ${chainId}`);
+    }
+    
+    const factory = new web3.eth.Contract(manifest.contracts.ElectionFactory.abi, manifest.contracts.ElectionFactory.address);
+    let election;
+    if (options.election !== undefined) {
+        if (!/^\d+$/.test(options.election)) {
+            throw new Error('Election ID must be a non-negative integer');
         }
+        const record = await factory.methods.getElection(options.election).call();
+        election = { id: Number(options.election), name: record[1], address: record[0] };
+        console.log(`Seeding election ${election.id}: ${election.name}`);
+    } else {
+        election = await createLoggedElection(web3, factory, account, definition);
+        manifest.elections.push(election);
+        writeManifest(network.name, manifest);
+    }
+    
+    const voting = new web3.eth.Contract(manifest.contracts.Voting.abi, election.address);
+    await seedElection(web3, voting, account, definition, {
+        batchSize: VOTER_BATCH_SIZE,
+        onProgress: message => console.log(message)
+    });
+    
+    console.log(`Seeded election ${election.id} at ${election.address}`);
+}
+
+// Compare a network's manifest with the chain, exiting with 1 when they disagree
+async function status(network) {
+    const manifest = readManifest(network.name);
+    if (!manifest) {
+        throw new Error(`Network ${network.name} has no deployment manifest at ${getManifestPath(network.name)}`);
+    }
+    
+    const { web3, chainId } = await connect(network);
+    const { address, deployBlock, deployedBytecodeHash } = manifest.contracts.ElectionFactory;
+    const problems = [];
+    
+    console.log(`Network:          ${network.name} (chain ${chainId})`);
+    console.log(`Deployed:         ${manifest.deployedAt} by ${manifest.deployer}, solc ${manifest.compiler.version}`);
+    console.log(`Election factory: ${address} (block ${deployBlock})`);
+    console.log(`Latest block:     ${await web3.eth.getBlockNumber()}`);
+    
+    if (chainId !== manifest.chainId) {
+        problems.push(`The manifest is for chain ${manifest.chainId}, but the provider is on chain ${chainId}`);
+    }
+    
+    const code = await web3.eth.getCode(address);
+    if (code === '0x') {
+        problems.push(`No contract code at ${address}`);
+    } else if (hashBytecode(code) !== deployedBytecodeHash) {
+        problems.push(`The code at ${address} does not match the manifest's build`);
+    }
+    
+    if (problems.length === 0) {
+        const factory = new web3.eth.Contract(manifest.contracts.ElectionFactory.abi, address);
+        const electionCount = Number(await factory.methods.getElectionCount().call());
+        console.log(`Elections:        ${electionCount}`);
         
-        // Get contract data
-        const contractName = 'Voting';
-        const contractData = compiledContract.contracts['Voting.sol'][contractName];
-        
-        // Save ABI to file
-        const contractDir = path.resolve(__dirname, 'contract');
-        if (!fs.existsSync(contractDir)) {
-            fs.mkdirSync(contractDir);
+        for (let id = 0; id < electionCount; id++) {
+            const record = await factory.methods.getElection(id).call();
+            console.log(`  ${id}: ${record[1]} (${record[0]})`);
         }
-        
-        fs.writeFileSync(
-            path.resolve(contractDir, 'Voting.json'),
-            JSON.stringify({ abi: contractData.abi }, null, 2)
-        );
-        
-        // Create contract instance for deployment
-        const contract = new web3.eth.Contract(contractData.abi);
-        
-        // Prompt for election name
-        const electionName = process.argv[2] || 'General Election 2025';
-        
-        // Deploy the contract
-        console.log(`Deploying with election name: ${electionName}`);
-        
-        const deployTx = contract.deploy({
-            data: '0x' + contractData.evm.bytecode.object,
-            arguments: [electionName]
-        });
-        
-        // Estimate gas - Handle BigInt conversion properly
-        const gasEstimate = await deployTx.estimateGas({ from: deployerAccount.address });
-        console.log(`Estimated gas: ${gasEstimate.toString()}`);
-        
-        // Add 20% buffer using proper BigInt arithmetic
-        const gasBuffer = gasEstimate / BigInt(5); // 20% = 1/5
-        const totalGas = gasEstimate + gasBuffer;
-        console.log(`Gas with buffer: ${totalGas.toString()}`);
-        
-        // Send deployment transaction
-        const deployedContract = await deployTx.send({
-            from: deployerAccount.address,
-            gas: totalGas
-        });
-        
-        console.log(`Contract deployed successfully at: ${deployedContract.options.address}`);
-        console.log(`Update your .env file with the new contract address.`);
-        
-        // Update .env file with contract address
-        let envContent = fs.readFileSync('.env', 'utf8');
-        envContent = envContent.replace(
-            /CONTRACT_ADDRESS=.*/,
-            `CONTRACT_ADDRESS=${deployedContract.options.address}`
-        );
-        fs.writeFileSync('.env', envContent);
-        
-        console.log('Environment file updated with contract address.');
-        
-    } catch (error) {
-        console.error('Deployment failed:', error);
-        console.error(error.stack);
     }
+    
+    problems.forEach(problem => console.error(`Problem: ${problem}`));
+    if (problems.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+// Commands by name
+const COMMANDS = { compile, deploy, seed, status };
+
+// Run the command given on the command line
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        options: {
+            network: { type: 'string', short: 'n' },
+            name: { type: 'string' },
+            'skip-election': { type: 'boolean' },
+            election: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        },
+        allowPositionals: true
+    });
+    const [command, ...args] = positionals;
+    
+    if (options.help || !COMMANDS[command]) {
+        console.log(USAGE);
+        process.exitCode = options.help ? 0 : 1;
+        return;
+    }
+    
+    await COMMANDS[command](loadNetwork(options.network), options, args);
 }
 
-deployContract();
\ No newline at end of file
+main().catch(error => {
+    console.error(`${process.argv[2] || 'Command'} failed: ${error.message}`);
+    (error.diagnostics || []).forEach(diagnostic => console.error(diagnostic));
+    process.exitCode = 1;
+});
@@ -0,0 +1,143 @@
+// Scoped admin API keys, stored as hashes under DATA_DIR, and the log of admin writes made with them
+const crypto = require('crypto');
+const { openStore } = require('./store');
+
+// Scopes an API key can be granted
+const API_KEY_SCOPES = ['elections', 'candidates', 'voters', 'roles', 'keys', 'transactions', 'approvals', 'webhooks'];
+
+// Hash an API key secret. Secrets are random, so a plain SHA-256 is enough
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Compare two equal-length hex digests in constant time
+function digestsEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+// Public fields of a key record (never the secret hash)
+function describeKey(record) {
+    const { secretHash, ...key } = record;
+    return key;
+}
+
+// Create the API key store. rootKey (ADMIN_API_KEY) keeps working as a key with
+// every scope, so existing deployments and bootstrapping need no stored key.
+// lastUsedAt is saved at most once per usageSaveInterval for each key
+function createApiKeyStore({ rootKey, storeName = 'apiKeys', logLimit = 10000, usageSaveInterval = 60000 } = {}) {
+    const store = openStore(storeName, { keys: {}, log: [] });
+    const rootKeyHash = rootKey ? hashSecret(rootKey) : null;
+    
+    // When each key's lastUsedAt was last saved
+    const usageSavedAt = new Map();
+    
+    // Create a key, returning its record and the secret, which is only shown once.
+    // rateLimit overrides the requests per window the key is allowed
+    function create({ label, scopes, expiresAt = null, rateLimit = null }) {
+        const id = crypto.randomBytes(8).toString('hex');
+        const secret = `vk_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+        const record = {
+            id,
+            label,
+            scopes: [...new Set(scopes)],
+            secretHash: hashSecret(secret),
+            createdAt: new Date().toISOString(),
+            expiresAt,
+            rateLimit,
+            revokedAt: null,
+            lastUsedAt: null
+        };
+        
+        store.data.keys[id] = record;
+        store.save();
+        
+        return { key: describeKey(record), secret };
+    }
+    
+    // Find the identity ({ id, label, scopes, rateLimit, createdAt }) of a secret, or null
+    // when it is unknown, revoked or expired. The root key has no createdAt
+    function authenticate(secret) {
+        if (typeof secret !== 'string' || !secret) {
+            return null;
+        }
+        
+        const secretHash = hashSecret(secret);
+        if (rootKeyHash && digestsEqual(secretHash, rootKeyHash)) {
+            return { id: 'root', label: 'ADMIN_API_KEY', scopes: API_KEY_SCOPES, rateLimit: null, createdAt: null };
+        }
+        
+        const match = /^vk_([0-9a-f]{16})_/.exec(secret);
+        const record = match && store.data.keys[match[1]];
+        if (!record || !digestsEqual(secretHash, record.secretHash) || record.revokedAt) {
+            return null;
+        }
+        if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+            return null;
+        }
+        
+        // Every request authenticates, so its use is only kept in memory between
+        // saves; any other save of the store writes it too
+        const now = Date.now();
+        record.lastUsedAt = new Date(now).toISOString();
+        if (now - (usageSavedAt.get(record.id) || 0) >= usageSaveInterval) {
+            usageSavedAt.set(record.id, now);
+            store.save();
+        }
+        
+        return { id: record.id, label: record.label, scopes: record.scopes, rateLimit: record.rateLimit || null, createdAt: record.createdAt };
+    }
+    
+    // List keys, newest first
+    function list() {
+        return Object.values(store.data.keys)
+            .map(describeKey)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+    
+    // Revoke a key, returning its record, or null when there is no such key
+    function revoke(id) {
+        const record = store.data.keys[id];
+        if (!record) {
+            return null;
+        }
+        
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+            store.save();
+        }
+        
+        return describeKey(record);
+    }
+    
+    // Record an admin write with the identity of the key that made it,
+    // keeping the newest logLimit entries
+    function logWrite(entry) {
+        store.data.log.push({ at: new Date().toISOString(), ...entry });
+        if (store.data.log.length > logLimit) {
+            store.data.log.splice(0, store.data.log.length - logLimit);
+        }
+        store.save();
+    }
+    
+    // Get logged admin writes, newest first, optionally of one key
+    function getLog({ keyId, limit = 100 } = {}) {
+        return store.data.log
+            .filter(entry => !keyId || entry.keyId === keyId)
+            .slice(-limit)
+            .reverse();
+    }
+    
+    return {
+        create,
+        authenticate,
+        list,
+        revoke,
+        logWrite,
+        getLog
+    };
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    createApiKeyStore
+};
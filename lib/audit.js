@@ -0,0 +1,174 @@
+// Independent audit of an election: a recount from its contract events, cross-checked
+// against the contract's own tallies, in a report signed so it can be verified offline
+const { eth, utils } = require('web3');
+const { EMPTY_HASH, canonicalize } = require('./contentStore');
+
+// Version of the report format (2: leaves and nodes are hashed with distinct prefixes)
+const AUDIT_REPORT_VERSION = 2;
+
+// Prefixes of the hashed Merkle leaves and internal nodes. They keep the two domains
+// apart, so an internal node cannot be passed off as a ballot (a second preimage)
+const MERKLE_LEAF_PREFIX = '0x00';
+const MERKLE_NODE_PREFIX = '0x01';
+
+// Hash a ballot into a Merkle leaf: keccak256(0x00 ‖ abi.encode(voter, candidateIds, weight))
+function hashBallot({ voter, candidateIds, weight }) {
+    const encoded = eth.abi.encodeParameters(['address', 'uint256[]', 'uint256'], [voter, candidateIds, weight]);
+    return utils.keccak256(`${MERKLE_LEAF_PREFIX}${encoded.slice(2)}`);
+}
+
+// Hash two Merkle nodes, smaller first, so proofs need no left/right flags:
+// keccak256(0x01 ‖ smaller ‖ larger)
+function hashPair(a, b) {
+    const [first, second] = a < b ? [a, b] : [b, a];
+    return utils.keccak256(`${MERKLE_NODE_PREFIX}${first.slice(2)}${second.slice(2)}`);
+}
+
+// Merkle root of a set of leaves. Leaves are sorted first and an odd node is
+// carried up a level unchanged; an empty set has the zero hash as its root
+function buildMerkleRoot(leaves) {
+    if (leaves.length === 0) {
+        return EMPTY_HASH;
+    }
+    
+    let level = leaves.map(leaf => leaf.toLowerCase()).sort();
+    while (level.length > 1) {
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        level = next;
+    }
+    
+    return level[0];
+}
+
+// Recount an election from its VoterRegistered, VoteCast and BallotCast events, in
+// chain order. Counts follow the voting method like the contract's: votes, approvals,
+// first preferences or weight. Ballots from voters who already voted or were never
+// registered are still counted, and reported
+function recountBallots(events, votingMethod) {
+    const registered = new Set();
+    const voted = new Map();
+    const counts = new Map();
+    const ballots = [];
+    const duplicateVoters = [];
+    const unregisteredVoters = [];
+    let totalWeight = 0;
+    
+    for (const event of events) {
+        if (event.type === 'VoterRegistered') {
+            registered.add(event.args.voterAddress.toLowerCase());
+            continue;
+        }
+        if (event.type !== 'VoteCast' && event.type !== 'BallotCast') {
+            continue;
+        }
+        
+        const ballot = {
+            voter: event.args.voter,
+            candidateIds: event.type === 'VoteCast' ? [Number(event.args.candidateId)] : event.args.candidateIds.map(Number),
+            weight: event.type === 'VoteCast' ? 1 : Number(event.args.weight),
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash
+        };
+        const voterKey = ballot.voter.toLowerCase();
+        
+        if (voted.has(voterKey)) {
+            duplicateVoters.push({ voter: ballot.voter, firstTransactionHash: voted.get(voterKey), transactionHash: ballot.transactionHash });
+        } else {
+            voted.set(voterKey, ballot.transactionHash);
+        }
+        if (!registered.has(voterKey)) {
+            unregisteredVoters.push({ voter: ballot.voter, transactionHash: ballot.transactionHash });
+        }
+        
+        let counted = [ballot.candidateIds[0]];
+        let amount = 1;
+        if (votingMethod === 'approval') {
+            counted = ballot.candidateIds;
+        } else if (votingMethod === 'weighted') {
+            amount = ballot.weight;
+            totalWeight += ballot.weight;
+        }
+        counted.forEach(candidateId => counts.set(candidateId, (counts.get(candidateId) || 0) + amount));
+        
+        ballots.push(ballot);
+    }
+    
+    return { ballots, counts, totalWeight, duplicateVoters, unregisteredVoters };
+}
+
+// Compare a recount with the contract's results ({ candidates: [{ id, name, voteCount }],
+// totalVotes, totalWeight }), listing every difference
+function findMismatches(recount, reported) {
+    const mismatches = [];
+    const reportedIds = new Set(reported.candidates.map(candidate => candidate.id));
+    
+    reported.candidates.forEach(candidate => {
+        const recounted = recount.counts.get(candidate.id) || 0;
+        if (recounted !== candidate.voteCount) {
+            mismatches.push({ check: 'candidateVotes', candidateId: candidate.id, recounted, reported: candidate.voteCount });
+        }
+    });
+    recount.counts.forEach((recounted, candidateId) => {
+        if (!reportedIds.has(candidateId)) {
+            mismatches.push({ check: 'candidateVotes', candidateId, recounted, reported: null });
+        }
+    });
+    
+    if (recount.ballots.length !== reported.totalVotes) {
+        mismatches.push({ check: 'totalVotes', recounted: recount.ballots.length, reported: reported.totalVotes });
+    }
+    if (reported.totalWeight !== undefined && recount.totalWeight !== reported.totalWeight) {
+        mismatches.push({ check: 'totalWeight', recounted: recount.totalWeight, reported: reported.totalWeight });
+    }
+    
+    recount.duplicateVoters.forEach(duplicate => mismatches.push({ check: 'duplicateVoter', ...duplicate }));
+    recount.unregisteredVoters.forEach(unregistered => mismatches.push({ check: 'unregisteredVoter', ...unregistered }));
+    
+    return mismatches;
+}
+
+// Hash of a report: keccak256 of its canonical JSON
+function hashReport(report) {
+    return utils.keccak256(utils.utf8ToBytes(canonicalize(report)));
+}
+
+// Sign a report hash with personal_sign (EIP-191)
+function signAuditReport(report, privateKey) {
+    const reportHash = hashReport(report);
+    const { signature } = eth.accounts.sign(reportHash, privateKey);
+    
+    return {
+        scheme: 'eip191-keccak256-canonical-json',
+        signer: eth.accounts.privateKeyToAccount(privateKey).address,
+        reportHash,
+        signature
+    };
+}
+
+// Check a signed report ({ report, signature }) offline. Returns the signer's address,
+// or null when the report was changed or the signature was not made by its signer
+function verifyAuditReport({ report, signature }) {
+    if (!report || !signature || hashReport(report) !== signature.reportHash) {
+        return null;
+    }
+    
+    try {
+        const signer = eth.accounts.recover(signature.reportHash, signature.signature);
+        return signer.toLowerCase() === String(signature.signer).toLowerCase() ? signer : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    AUDIT_REPORT_VERSION,
+    hashBallot,
+    buildMerkleRoot,
+    recountBallots,
+    findMismatches,
+    signAuditReport,
+    verifyAuditReport
+};
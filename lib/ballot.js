@@ -0,0 +1,222 @@
+// EIP-712 signed ballot helpers shared by the API and its clients
+const crypto = require('crypto');
+const { eth, utils } = require('web3');
+
+// EIP-712 domain fields, matching DOMAIN_TYPEHASH in Voting.sol
+const DOMAIN_TYPE = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+];
+
+// Typed data definitions, matching BALLOT_TYPEHASH in Voting.sol
+const BALLOT_TYPES = {
+    EIP712Domain: DOMAIN_TYPE,
+    Ballot: [
+        { name: 'election', type: 'address' },
+        { name: 'voter', type: 'address' },
+        { name: 'candidateId', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// Typed data definitions of approval sets and rankings, matching MULTI_BALLOT_TYPEHASH in Voting.sol
+const MULTI_BALLOT_TYPES = {
+    EIP712Domain: DOMAIN_TYPE,
+    MultiBallot: [
+        { name: 'election', type: 'address' },
+        { name: 'voter', type: 'address' },
+        { name: 'candidateIds', type: 'uint256[]' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// Typed data definitions of secret-ballot commitments, matching COMMIT_TYPEHASH in Voting.sol
+const COMMIT_TYPES = {
+    EIP712Domain: DOMAIN_TYPE,
+    Commit: [
+        { name: 'election', type: 'address' },
+        { name: 'voter', type: 'address' },
+        { name: 'commitment', type: 'bytes32' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+// Typed data definitions of an approval of an admin action proposal. Approvals
+// are checked by the API, not the contract, so no typehash matches them
+const PROPOSAL_APPROVAL_TYPES = {
+    EIP712Domain: DOMAIN_TYPE,
+    ProposalApproval: [
+        { name: 'proposalId', type: 'string' },
+        { name: 'action', type: 'string' },
+        { name: 'paramsHash', type: 'bytes32' },
+        { name: 'expiresAt', type: 'uint256' }
+    ]
+};
+
+// Typed data definitions of a redemption of a voter invitation code, checked by
+// the API like proposal approvals
+const INVITATION_TYPES = {
+    EIP712Domain: DOMAIN_TYPE,
+    InvitationRedemption: [
+        { name: 'code', type: 'string' },
+        { name: 'voter', type: 'address' }
+    ]
+};
+
+// Build the EIP-712 domain of an election
+function buildDomain(chainId, election) {
+    return {
+        name: 'Voting',
+        version: '1',
+        chainId: Number(chainId),
+        verifyingContract: election
+    };
+}
+
+// Build the typed data a voter signs in their wallet (eth_signTypedData_v4)
+function buildBallotTypedData({ chainId, election, voter, candidateId, nonce, deadline }) {
+    return {
+        types: BALLOT_TYPES,
+        primaryType: 'Ballot',
+        domain: buildDomain(chainId, election),
+        message: {
+            election,
+            voter,
+            candidateId: candidateId.toString(),
+            nonce: nonce.toString(),
+            deadline: deadline.toString()
+        }
+    };
+}
+
+// Build the typed data of an approval set or ranking (most preferred first)
+function buildMultiBallotTypedData({ chainId, election, voter, candidateIds, nonce, deadline }) {
+    return {
+        types: MULTI_BALLOT_TYPES,
+        primaryType: 'MultiBallot',
+        domain: buildDomain(chainId, election),
+        message: {
+            election,
+            voter,
+            candidateIds: candidateIds.map(candidateId => candidateId.toString()),
+            nonce: nonce.toString(),
+            deadline: deadline.toString()
+        }
+    };
+}
+
+// Build the typed data a voter signs to commit to a secret vote
+function buildCommitTypedData({ chainId, election, voter, commitment, nonce, deadline }) {
+    return {
+        types: COMMIT_TYPES,
+        primaryType: 'Commit',
+        domain: buildDomain(chainId, election),
+        message: {
+            election,
+            voter,
+            commitment,
+            nonce: nonce.toString(),
+            deadline: deadline.toString()
+        }
+    };
+}
+
+// Build the typed data a signer signs to approve a proposal on an election
+function buildProposalApprovalTypedData({ chainId, election, proposalId, action, paramsHash, expiresAt }) {
+    return {
+        types: PROPOSAL_APPROVAL_TYPES,
+        primaryType: 'ProposalApproval',
+        domain: buildDomain(chainId, election),
+        message: {
+            proposalId,
+            action,
+            paramsHash,
+            expiresAt: expiresAt.toString()
+        }
+    };
+}
+
+// Build the typed data a voter signs to redeem an invitation code (in its
+// normalized form) for their address
+function buildInvitationTypedData({ chainId, election, code, voter }) {
+    return {
+        types: INVITATION_TYPES,
+        primaryType: 'InvitationRedemption',
+        domain: buildDomain(chainId, election),
+        message: {
+            code,
+            voter
+        }
+    };
+}
+
+// Generate a random 32-byte salt for a secret-ballot commitment
+function generateSalt() {
+    return `0x${crypto.randomBytes(32).toString('hex')}`;
+}
+
+// Compute a secret-ballot commitment to one candidate, an approval set or a
+// ranking, matching computeCommitment in Voting.sol
+function buildCommitment({ election, voter, candidateIds, salt }) {
+    return utils.keccak256(eth.abi.encodeParameters(
+        ['address', 'address', 'uint256[]', 'bytes32'],
+        [election, voter, candidateIds.map(candidateId => candidateId.toString()), salt]
+    ));
+}
+
+// Get the EIP-712 digest of a ballot or commitment
+function hashBallot(typedData) {
+    return eth.abi.getEncodedEip712Data(typedData, true);
+}
+
+// Recover the address that signed a ballot, commitment, proposal approval or invitation redemption
+function recoverBallotSigner(typedData, signature) {
+    return eth.accounts.recover(hashBallot(typedData), signature, true);
+}
+
+// Sign a ballot with a private key (for scripts and tests; voters sign in their wallet)
+function signBallot(typedData, privateKey) {
+    return eth.accounts.signMessageWithPrivateKey(hashBallot(typedData), privateKey).signature;
+}
+
+// Split a 65-byte signature into the v, r and s values expected by voteBySig
+function splitSignature(signature) {
+    if (!/^0x[0-9a-fA-F]{130}$/.test(signature)) {
+        throw new Error('Signature must be a 65-byte hex string');
+    }
+    
+    let v = parseInt(signature.slice(130, 132), 16);
+    if (v < 27) {
+        v += 27;
+    }
+    
+    return {
+        v,
+        r: `0x${signature.slice(2, 66)}`,
+        s: `0x${signature.slice(66, 130)}`
+    };
+}
+
+module.exports = {
+    BALLOT_TYPES,
+    COMMIT_TYPES,
+    INVITATION_TYPES,
+    MULTI_BALLOT_TYPES,
+    PROPOSAL_APPROVAL_TYPES,
+    buildBallotTypedData,
+    buildCommitTypedData,
+    buildCommitment,
+    buildInvitationTypedData,
+    buildMultiBallotTypedData,
+    buildProposalApprovalTypedData,
+    generateSalt,
+    hashBallot,
+    recoverBallotSigner,
+    signBallot,
+    splitSignature
+};
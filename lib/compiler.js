@@ -0,0 +1,85 @@
+// Solidity compilation of the contracts under contracts/
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+// Directory of the Solidity sources, and of the ABIs the API loads
+const CONTRACTS_DIR = path.join(__dirname, '..', 'contracts');
+const ABI_DIR = path.join(__dirname, '..', 'contract');
+
+// Source files and the contracts built from them
+const CONTRACT_SOURCES = {
+    Voting: 'Voting.sol',
+    ElectionFactory: 'ElectionFactory.sol'
+};
+
+// The factory embeds the Voting bytecode, which only fits the 24 KB contract
+// size limit when optimized
+const OPTIMIZER = { enabled: true, runs: 200 };
+
+// Compile the contracts, targeting evmVersion when given (the compiler's default
+// otherwise). Errors throw with every diagnostic in error.diagnostics; warnings
+// are returned alongside the contracts ({ abi, bytecode, deployedBytecode })
+function compileContracts({ evmVersion } = {}) {
+    const sources = {};
+    Object.values(CONTRACT_SOURCES).forEach(fileName => {
+        sources[fileName] = { content: fs.readFileSync(path.join(CONTRACTS_DIR, fileName), 'utf8') };
+    });
+    
+    const input = {
+        language: 'Solidity',
+        sources,
+        settings: {
+            optimizer: OPTIMIZER,
+            ...(evmVersion ? { evmVersion } : {}),
+            outputSelection: {
+                '*': {
+                    '*': ['abi', 'evm.bytecode.object', 'evm.deployedBytecode.object']
+                }
+            }
+        }
+    };
+    
+    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    const diagnostics = output.errors || [];
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+    
+    if (errors.length > 0) {
+        const error = new Error(`Compilation failed with ${errors.length} error${errors.length === 1 ? '' : 's'}`);
+        error.diagnostics = diagnostics.map(diagnostic => diagnostic.formattedMessage);
+        throw error;
+    }
+    
+    const contracts = {};
+    Object.entries(CONTRACT_SOURCES).forEach(([name, fileName]) => {
+        const compiled = output.contracts[fileName][name];
+        contracts[name] = {
+            abi: compiled.abi,
+            bytecode: `0x${compiled.evm.bytecode.object}`,
+            deployedBytecode: `0x${compiled.evm.deployedBytecode.object}`
+        };
+    });
+    
+    return {
+        compiler: {
+            version: solc.version(),
+            evmVersion: evmVersion || null,
+            optimizer: OPTIMIZER
+        },
+        contracts,
+        warnings: diagnostics.map(diagnostic => diagnostic.formattedMessage)
+    };
+}
+
+// Write the ABI of each contract to contract/<name>.json
+function writeAbis(contracts) {
+    fs.mkdirSync(ABI_DIR, { recursive: true });
+    Object.entries(contracts).forEach(([name, { abi }]) => {
+        fs.writeFileSync(path.join(ABI_DIR, `${name}.json`), JSON.stringify({ abi }, null, 2));
+    });
+}
+
+module.exports = {
+    compileContracts,
+    writeAbis
+};
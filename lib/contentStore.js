@@ -0,0 +1,96 @@
+// Content-addressed store for off-chain documents such as candidate metadata.
+// Documents are kept under DATA_DIR/content, named by the keccak256 hash of their
+// canonical JSON; the contract only anchors that hash
+const fs = require('fs');
+const path = require('path');
+const { utils } = require('web3');
+const { getDataDir } = require('./store');
+
+// Matches a 32-byte hex hash
+const HASH_PATTERN = /^0x[0-9a-f]{64}$/;
+
+// Zero hash, anchored on-chain when a candidate has no metadata
+const EMPTY_HASH = `0x${'0'.repeat(64)}`;
+
+// Serialize a JSON value with object keys sorted, so equal documents always hash the same
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Hash a document's canonical JSON
+function hashDocument(document) {
+    return utils.keccak256(utils.utf8ToBytes(canonicalize(document)));
+}
+
+// Open the store in a subdirectory of the data directory
+function createContentStore({ name = 'content' } = {}) {
+    const dir = path.join(getDataDir(), name);
+    
+    // Path of the document with a hash
+    function filePath(hash) {
+        return path.join(dir, `${hash}.json`);
+    }
+    
+    // Store a document, returning its hash. Storing the same document twice is a no-op
+    function put(document) {
+        const content = canonicalize(document);
+        const hash = utils.keccak256(utils.utf8ToBytes(content));
+        const target = filePath(hash);
+        
+        if (!fs.existsSync(target)) {
+            fs.mkdirSync(dir, { recursive: true });
+            const tempPath = `${target}.tmp`;
+            fs.writeFileSync(tempPath, content);
+            fs.renameSync(tempPath, target);
+        }
+        
+        return hash;
+    }
+    
+    // Get a document by hash as { document, verified }, or null when it is not stored.
+    // verified is false when the stored content no longer matches its hash
+    function get(hash) {
+        const key = String(hash).toLowerCase();
+        if (!HASH_PATTERN.test(key)) {
+            return null;
+        }
+        
+        let content;
+        try {
+            content = fs.readFileSync(filePath(key), 'utf8');
+        } catch (error) {
+            return null;
+        }
+        
+        let document;
+        try {
+            document = JSON.parse(content);
+        } catch (error) {
+            return { document: null, verified: false };
+        }
+        
+        return { document, verified: hashDocument(document) === key };
+    }
+    
+    return {
+        put,
+        get
+    };
+}
+
+module.exports = {
+    EMPTY_HASH,
+    canonicalize,
+    hashDocument,
+    createContentStore
+};
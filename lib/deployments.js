@@ -0,0 +1,141 @@
+// Network profiles (networks.json) and the deployment manifest of each network
+// (deployments/<network>.json), written by the deploy CLI and loaded by the API
+const fs = require('fs');
+const path = require('path');
+const { utils } = require('web3');
+
+// File of the network profiles
+const NETWORKS_FILE = path.join(__dirname, '..', 'networks.json');
+
+// Network used when NETWORK is not set
+const DEFAULT_NETWORK = 'development';
+
+// Directory holding the manifests
+function getDeploymentsDir() {
+    return path.resolve(process.env.DEPLOYMENTS_DIR || path.join(__dirname, '..', 'deployments'));
+}
+
+// Replace ${VAR} references in a profile value with environment variables
+function interpolate(value, network) {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+        if (!process.env[name]) {
+            throw new Error(`Network ${network} needs ${name} to be set`);
+        }
+        return process.env[name];
+    });
+}
+
+// Check a provider entry ({ url, name, priority, weight }, or a URL), filling in the
+// defaults: priority 0 (lower priorities are preferred) and weight 1
+function normalizeProvider(entry, network) {
+    const provider = typeof entry === 'string' ? { url: entry } : { ...entry };
+    if (typeof provider.url !== 'string' || !provider.url) {
+        throw new Error(`Every provider of network ${network} needs a url`);
+    }
+    
+    const priority = provider.priority === undefined ? 0 : Number(provider.priority);
+    const weight = provider.weight === undefined ? 1 : Number(provider.weight);
+    if (!Number.isInteger(priority) || priority < 0) {
+        throw new Error(`Provider priority must be a non-negative integer (network ${network})`);
+    }
+    if (!(weight > 0)) {
+        throw new Error(`Provider weight must be positive (network ${network})`);
+    }
+    
+    return {
+        url: interpolate(provider.url, network),
+        name: provider.name || null,
+        priority,
+        weight
+    };
+}
+
+// Parse BLOCKCHAIN_PROVIDER_URLS: comma-separated URLs, each optionally followed by
+// ;priority=<n> and ;weight=<n>
+function parseProviderList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+        const [url, ...options] = item.split(';');
+        const provider = { url: url.trim() };
+        options.forEach(option => {
+            const [key, optionValue] = option.split('=').map(part => part.trim());
+            if (key !== 'priority' && key !== 'weight') {
+                throw new Error(`Unknown provider option ${key} in BLOCKCHAIN_PROVIDER_URLS`);
+            }
+            provider[key] = optionValue;
+        });
+        return provider;
+    });
+}
+
+// Load a network profile as { name, providerUrl, providers, chainId, confirmations,
+// evmVersion }. Providers come from the profile's providers list or providerUrl;
+// a profile with neither uses BLOCKCHAIN_PROVIDER_URLS, or BLOCKCHAIN_PROVIDER_URL.
+// providerUrl is the preferred provider, used by the deploy CLI
+function loadNetwork(name = process.env.NETWORK || DEFAULT_NETWORK) {
+    const profiles = JSON.parse(fs.readFileSync(NETWORKS_FILE, 'utf8'));
+    const profile = profiles[name];
+    if (!profile) {
+        throw new Error(`Unknown network ${name}; networks.json defines ${Object.keys(profiles).join(', ')}`);
+    }
+    
+    let entries;
+    if (Array.isArray(profile.providers) && profile.providers.length > 0) {
+        entries = profile.providers;
+    } else if (profile.providerUrl) {
+        entries = [profile.providerUrl];
+    } else if (process.env.BLOCKCHAIN_PROVIDER_URLS) {
+        entries = parseProviderList(process.env.BLOCKCHAIN_PROVIDER_URLS);
+    } else {
+        entries = [process.env.BLOCKCHAIN_PROVIDER_URL || 'http://localhost:8545'];
+    }
+    const providers = entries.map(entry => normalizeProvider(entry, name));
+    
+    return {
+        name,
+        providerUrl: [...providers].sort((a, b) => a.priority - b.priority)[0].url,
+        providers,
+        chainId: profile.chainId !== undefined ? Number(profile.chainId) : null,
+        confirmations: Number(profile.confirmations) || 0,
+        evmVersion: profile.evmVersion || null
+    };
+}
+
+// Path of the manifest of a network
+function getManifestPath(network) {
+    return path.join(getDeploymentsDir(), `${network}.json`);
+}
+
+// Read the manifest of a network, or null when it has no deployment
+function readManifest(network) {
+    try {
+        return JSON.parse(fs.readFileSync(getManifestPath(network), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Invalid deployment manifest ${getManifestPath(network)}: ${error.message}`);
+    }
+}
+
+// Write the manifest of a network atomically (write to a temp file, then rename)
+function writeManifest(network, manifest) {
+    const filePath = getManifestPath(network);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(`${filePath}.tmp`, `${JSON.stringify(manifest, null, 2)}\n`);
+    fs.renameSync(`${filePath}.tmp`, filePath);
+    return filePath;
+}
+
+// Hash contract bytecode, to tell which build a deployment came from
+function hashBytecode(bytecode) {
+    return utils.keccak256(bytecode);
+}
+
+module.exports = {
+    DEFAULT_NETWORK,
+    loadNetwork,
+    getManifestPath,
+    readManifest,
+    writeManifest,
+    hashBytecode
+};
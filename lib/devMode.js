@@ -0,0 +1,204 @@
+// Dev mode: an in-process chain with generated, funded accounts, the contracts compiled
+// and deployed to it and a fixture election loaded, so the API and its tests run
+// without an external node or a prior deployment
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Web3 } = require('web3');
+const { compileContracts } = require('./compiler');
+const { loadNetwork } = require('./deployments');
+const { deployFactory, createElection, loadElectionFile, seedElection } = require('./provisioning');
+const { logger } = require('./logger');
+
+// Election loaded when no fixture file is given
+const DEFAULT_FIXTURE = path.join(__dirname, '..', 'fixtures', 'dev-election.yaml');
+
+// Most blocks mined by one mineBlocks call
+const MAX_MINED_BLOCKS = 1000;
+
+// The running dev environment, once started
+let environment = null;
+
+// Start a ganache chain in this process, listening on a port, with funded accounts
+// ({ address, privateKey }). Ganache is a dev dependency, so it is only loaded here
+async function startDevChain({ port, accountCount, balance, mnemonic }) {
+    const ganache = require('ganache');
+    const server = ganache.server({
+        logging: { quiet: true },
+        chain: { hardfork: loadNetwork('development').evmVersion || 'shanghai' },
+        wallet: {
+            totalAccounts: accountCount,
+            defaultBalance: balance,
+            ...(mnemonic ? { mnemonic } : {})
+        }
+    });
+    await server.listen(port);
+    
+    const accounts = Object.entries(await server.provider.getInitialAccounts())
+        .map(([address, { secretKey }]) => ({
+            address: Web3.utils.toChecksumAddress(address),
+            privateKey: secretKey
+        }));
+    
+    return {
+        providerUrl: `http://127.0.0.1:${port}`,
+        accounts,
+        close: () => server.close()
+    };
+}
+
+// Start dev mode: boot the chain, deploy the election factory, create the fixture
+// election and point the API's configuration (process.env) at them. The first account
+// administers the contracts; the others are voters, registered in the fixture election
+// along with any voters the fixture lists. Each start gets a fresh DATA_DIR
+async function startDevMode({
+    port = 8545,
+    accountCount = 10,
+    balance = 1000,
+    mnemonic,
+    fixture = DEFAULT_FIXTURE,
+    log = () => {}
+} = {}) {
+    if (environment) {
+        throw new Error('Dev mode is already running');
+    }
+    
+    const definition = loadElectionFile(fixture, true);
+    const chain = await startDevChain({ port, accountCount, balance, mnemonic });
+    const [admin, ...voters] = chain.accounts;
+    
+    try {
+        const web3 = new Web3(chain.providerUrl);
+        web3.eth.accounts.wallet.add(admin.privateKey);
+        
+        log('Compiling contracts...');
+        const { contracts } = compileContracts({ evmVersion: loadNetwork('development').evmVersion });
+        
+        const receipt = await deployFactory(web3, admin, contracts.ElectionFactory);
+        const factoryAddress = Web3.utils.toChecksumAddress(receipt.contractAddress);
+        const factory = new web3.eth.Contract(contracts.ElectionFactory.abi, factoryAddress);
+        log(`Election factory deployed at: ${factoryAddress}`);
+        
+        const election = await createElection(web3, factory, admin, definition);
+        const voting = new web3.eth.Contract(contracts.Voting.abi, election.address);
+        await seedElection(web3, voting, admin, {
+            candidates: definition.candidates,
+            voters: [...voters.map(voter => ({ address: voter.address })), ...definition.voters]
+        });
+        log(`Fixture election "${election.name}" created at: ${election.address}`);
+        
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voting-dapp-dev-'));
+        process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+        
+        Object.assign(process.env, {
+            DEV_MODE: 'true',
+            NETWORK: 'development',
+            BLOCKCHAIN_PROVIDER_URL: chain.providerUrl,
+            BLOCKCHAIN_PROVIDER_URLS: '',
+            FACTORY_ADDRESS: factoryAddress,
+            CONTRACT_ADDRESS: election.address,
+            DEPLOY_BLOCK: String(receipt.blockNumber),
+            ADMIN_ADDRESS: admin.address,
+            ADMIN_PRIVATE_KEY: admin.privateKey,
+            RELAYER_ADDRESS: '',
+            RELAYER_PRIVATE_KEY: '',
+            DATA_DIR: dataDir
+        });
+        if (!process.env.ADMIN_API_KEY) {
+            process.env.ADMIN_API_KEY = crypto.randomBytes(24).toString('hex');
+        }
+        
+        environment = {
+            providerUrl: chain.providerUrl,
+            admin,
+            voters,
+            factoryAddress,
+            election,
+            dataDir,
+            close: chain.close
+        };
+        return environment;
+    } catch (error) {
+        await chain.close();
+        throw error;
+    }
+}
+
+// Get the running dev environment, or null outside dev mode
+function getDevEnvironment() {
+    return environment;
+}
+
+// Stop the dev chain
+async function stopDevMode() {
+    if (environment) {
+        await environment.close();
+        environment = null;
+    }
+}
+
+// Get the number and timestamp of the latest block
+async function getChainClock(web3) {
+    const block = await web3.eth.getBlock('latest');
+    return {
+        blockNumber: Number(block.number),
+        timestamp: Number(block.timestamp),
+        time: new Date(Number(block.timestamp) * 1000).toISOString()
+    };
+}
+
+// Mine blocks on a dev chain (at most MAX_MINED_BLOCKS), resolving with the clock of the last one
+async function mineBlocks(web3, count = 1) {
+    for (let i = 0; i < count; i++) {
+        await web3.requestManager.send({ method: 'evm_mine', params: [] });
+    }
+    return getChainClock(web3);
+}
+
+// Move a dev chain's clock forward and mine a block at the new time, so contracts
+// see it. Resolves with the clock of the new block
+async function increaseTime(web3, seconds) {
+    await web3.requestManager.send({ method: 'evm_increaseTime', params: [seconds] });
+    return mineBlocks(web3, 1);
+}
+
+// Run the API in dev mode: start the dev environment, then load the app module again,
+// now configured for it
+function runInDevMode(appPath) {
+    const hasApiKey = Boolean(process.env.ADMIN_API_KEY);
+    
+    startDevMode({
+        port: Number(process.env.DEV_CHAIN_PORT) || 8545,
+        accountCount: Number(process.env.DEV_ACCOUNT_COUNT) || 10,
+        mnemonic: process.env.DEV_MNEMONIC || undefined,
+        fixture: process.env.DEV_FIXTURE || DEFAULT_FIXTURE,
+        log: message => logger.info(message)
+    }).then(({ providerUrl, admin, voters }) => {
+        logger.info('Dev chain running; list its accounts with GET /api/dev/accounts', {
+            providerUrl,
+            admin: admin.address,
+            voters: voters.length
+        });
+        if (!hasApiKey) {
+            logger.info('Generated an admin API key', { adminApiKey: process.env.ADMIN_API_KEY });
+        }
+        
+        delete require.cache[appPath];
+        require(appPath);
+    }).catch(error => {
+        logger.error('Dev mode failed to start', { error });
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    MAX_MINED_BLOCKS,
+    startDevMode,
+    getDevEnvironment,
+    stopDevMode,
+    getChainClock,
+    mineBlocks,
+    increaseTime,
+    runInDevMode
+};
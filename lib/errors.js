@@ -0,0 +1,246 @@
+// Structured API errors: every failure is reported as { error, code } with a stable,
+// machine-readable code. Contract reverts and provider failures are decoded into codes
+const { eth } = require('web3');
+
+// Selectors of the standard Error(string) and Panic(uint256) revert payloads
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Contract revert reasons (require messages, or the names of custom errors) and
+// the status and code each is reported with
+const REVERT_ERRORS = {
+    'Only owner can perform this action': [403, 'NOT_OWNER'],
+    'Caller is missing the required role': [403, 'MISSING_ROLE'],
+    'Unknown role': [400, 'UNKNOWN_ROLE'],
+    'Account already has the role': [409, 'ROLE_ALREADY_GRANTED'],
+    'Account does not have the role': [409, 'ROLE_NOT_GRANTED'],
+    'Admin cannot be the zero address': [400, 'INVALID_ADDRESS'],
+    'Election name is required': [400, 'ELECTION_NAME_REQUIRED'],
+    'Invalid election ID': [404, 'ELECTION_NOT_FOUND'],
+    'Election has already started': [409, 'ELECTION_ALREADY_STARTED'],
+    'Election has not started yet': [403, 'ELECTION_NOT_STARTED'],
+    'Election has already ended': [409, 'ELECTION_ALREADY_ENDED'],
+    'Election has not ended yet': [403, 'ELECTION_NOT_ENDED'],
+    'Election is not active': [403, 'ELECTION_NOT_ACTIVE'],
+    'Voting window has not passed yet': [403, 'VOTING_WINDOW_OPEN'],
+    'Start time must not be in the past': [400, 'INVALID_SCHEDULE'],
+    'End time must be after the start time': [400, 'INVALID_SCHEDULE'],
+    'Reveal duration is required for secret ballots': [400, 'INVALID_SCHEDULE'],
+    'No candidates registered': [409, 'NO_CANDIDATES'],
+    'Cannot change result rules after election has started': [409, 'ELECTION_ALREADY_STARTED'],
+    'Quorum cannot exceed 100%': [400, 'INVALID_RESULT_RULES'],
+    'Supermajority must be over 50% and at most 100%': [400, 'INVALID_RESULT_RULES'],
+    'Cannot add candidate after election has started': [409, 'ELECTION_ALREADY_STARTED'],
+    'Cannot change candidates after election has started': [409, 'ELECTION_ALREADY_STARTED'],
+    'Invalid candidate': [422, 'INVALID_CANDIDATE'],
+    'Invalid candidate ID': [422, 'INVALID_CANDIDATE'],
+    'Candidate has withdrawn': [422, 'CANDIDATE_WITHDRAWN'],
+    'Voter cannot be the zero address': [400, 'INVALID_ADDRESS'],
+    'Voter is already registered': [409, 'VOTER_ALREADY_REGISTERED'],
+    'You are not registered to vote': [403, 'VOTER_NOT_REGISTERED'],
+    'You have already voted': [403, 'VOTER_ALREADY_VOTED'],
+    'Every voter needs a weight': [400, 'WEIGHT_REQUIRED'],
+    'Voter weight must be positive': [400, 'INVALID_WEIGHT'],
+    'Weights apply to weighted elections only': [400, 'WEIGHTS_NOT_SUPPORTED'],
+    'Ballot must select a candidate': [400, 'EMPTY_BALLOT'],
+    'Ballot must select exactly one candidate': [400, 'TOO_MANY_CANDIDATES'],
+    'Ballot lists a candidate more than once': [400, 'DUPLICATE_CANDIDATE'],
+    'Ballot signature has expired': [400, 'BALLOT_EXPIRED'],
+    'Invalid ballot signature': [401, 'INVALID_SIGNATURE'],
+    'Invalid ballot nonce': [400, 'INVALID_NONCE'],
+    'Election uses secret ballots': [400, 'SECRET_BALLOT_REQUIRED'],
+    'Election does not use secret ballots': [400, 'NOT_SECRET_BALLOT'],
+    'Invalid commitment': [400, 'INVALID_COMMITMENT'],
+    'No vote committed': [404, 'COMMITMENT_NOT_FOUND'],
+    'Vote has already been revealed': [409, 'VOTE_ALREADY_REVEALED'],
+    'Commitment does not match': [400, 'COMMITMENT_MISMATCH'],
+    'Reveal phase has not started yet': [403, 'REVEAL_NOT_STARTED'],
+    'Reveal phase has ended': [403, 'REVEAL_ENDED'],
+    'Reveal phase has not ended yet': [403, 'REVEAL_NOT_ENDED']
+};
+
+// Codes of errors that carry a status but no code of their own
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    422: 'UNPROCESSABLE',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+// Codes of request body parsing failures, by body-parser error type
+const BODY_ERROR_CODES = {
+    'entity.parse.failed': 'INVALID_JSON',
+    'entity.too.large': 'PAYLOAD_TOO_LARGE'
+};
+
+// Error names and system error codes of an unreachable or failing provider
+const PROVIDER_ERROR_NAMES = new Set(['ProviderUnavailableError', 'FetchError', 'ConnectionError', 'ConnectionNotOpenError', 'ConnectionTimeoutError', 'ConnectionCloseError']);
+const NETWORK_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH']);
+
+// Create an error carrying the HTTP status and code to respond with, and any
+// extra fields for the response body
+function createHttpError(status, code, message, fields) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    if (fields) {
+        error.fields = fields;
+    }
+    return error;
+}
+
+// Create the error of a request that failed express-validator checks
+function createValidationError(errors) {
+    return createHttpError(400, 'VALIDATION_FAILED', 'Request validation failed', { errors: errors.array() });
+}
+
+// Walk an error and its nested causes (web3 wraps RPC errors several levels deep)
+function* errorChain(error) {
+    const seen = new Set();
+    const pending = [error];
+    
+    while (pending.length > 0) {
+        const current = pending.shift();
+        if (!current || typeof current !== 'object' || seen.has(current)) {
+            continue;
+        }
+        seen.add(current);
+        yield current;
+        pending.push(current.innerError, current.cause, current.error);
+    }
+}
+
+// Decode revert data: Error(string) gives its reason, Panic(uint256) gives Panic(<code>)
+// and a custom error listed in errorAbis gives its name. Returns null for other data
+function decodeRevertData(data, errorAbis = []) {
+    try {
+        if (data.startsWith(ERROR_STRING_SELECTOR)) {
+            return eth.abi.decodeParameter('string', `0x${data.slice(10)}`);
+        }
+        if (data.startsWith(PANIC_SELECTOR)) {
+            return `Panic(0x${BigInt(eth.abi.decodeParameter('uint256', `0x${data.slice(10)}`)).toString(16)})`;
+        }
+    } catch (decodeError) {
+        return null;
+    }
+    
+    const customError = errorAbis.find(item => data.startsWith(eth.abi.encodeFunctionSignature(item)));
+    return customError ? customError.name : null;
+}
+
+// Get a readable revert reason from a failed call, estimate or transaction.
+// errorAbis lists the ABI entries of custom errors the contract may revert with
+function decodeRevertReason(error, errorAbis = []) {
+    for (const current of errorChain(error)) {
+        if (typeof current.data === 'string' && current.data.length >= 10) {
+            const reason = decodeRevertData(current.data, errorAbis);
+            if (reason) {
+                return reason;
+            }
+        }
+        if (typeof current.reason === 'string' && current.reason) {
+            return current.reason;
+        }
+        const match = /revert(?:ed)?:? (.+)$/.exec(current.message || '');
+        if (match) {
+            return match[1];
+        }
+    }
+    
+    for (const current of errorChain(error)) {
+        if (current.message && !/^Error happened while trying to execute/.test(current.message)) {
+            return current.message;
+        }
+    }
+    
+    return error && error.message;
+}
+
+// Check whether an error is a contract revert rather than a provider or signing failure
+function isRevert(error) {
+    for (const current of errorChain(error)) {
+        if (current.name === 'ContractExecutionError' || /revert/i.test(current.message || '')) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Check whether a call failed because the contract has no such function: a revert
+// without data (no matching function or fallback) or a result that doesn't decode
+function isMissingFunctionError(error) {
+    return error.name === 'AbiError' || (error.name === 'ContractExecutionError' && Boolean(error.cause) && error.cause.data === '0x');
+}
+
+// Check whether an error comes from an unreachable or failing provider
+function isProviderFailure(error) {
+    for (const current of errorChain(error)) {
+        if (PROVIDER_ERROR_NAMES.has(current.name) || NETWORK_ERROR_CODES.has(current.code)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Describe a contract revert reason as { status, code, message }
+function describeRevert(reason) {
+    if (REVERT_ERRORS[reason]) {
+        const [status, code] = REVERT_ERRORS[reason];
+        return { status, code, message: reason };
+    }
+    if (/^Panic\(/.test(reason)) {
+        return { status: 500, code: 'CONTRACT_PANIC', message: `Contract failed with ${reason}` };
+    }
+    return { status: 422, code: 'CONTRACT_REVERTED', message: reason || 'Transaction reverted' };
+}
+
+// Describe any error as the status and body to respond with. Errors made by
+// createHttpError keep their code; body parser errors, provider failures and
+// contract reverts (from a call, or a failed transaction job) are decoded
+function describeError(error, errorAbis = []) {
+    let described;
+    
+    if (typeof error.status === 'number' && typeof error.code === 'string') {
+        described = { status: error.status, code: error.code, message: error.message };
+    } else if (error.type && BODY_ERROR_CODES[error.type]) {
+        described = { status: error.status, code: BODY_ERROR_CODES[error.type], message: error.message };
+    } else if (error.job && error.job.revertReason) {
+        described = describeRevert(error.job.revertReason);
+    } else if (isProviderFailure(error)) {
+        described = { status: 503, code: 'PROVIDER_UNAVAILABLE', message: 'Blockchain node is unavailable' };
+    } else if (isRevert(error)) {
+        described = describeRevert(decodeRevertReason(error, errorAbis));
+    } else {
+        const reason = decodeRevertReason(error, errorAbis) || 'Internal server error';
+        if (/insufficient funds/i.test(reason)) {
+            described = { status: 503, code: 'INSUFFICIENT_FUNDS', message: 'Transaction signer cannot pay for gas' };
+        } else if (/out of gas/i.test(reason)) {
+            described = { status: 500, code: 'OUT_OF_GAS', message: reason };
+        } else {
+            const status = typeof error.status === 'number' ? error.status : 500;
+            described = { status, code: STATUS_CODES[status] || STATUS_CODES[500], message: reason };
+        }
+    }
+    
+    return {
+        status: described.status,
+        body: { error: described.message, code: described.code, ...error.fields }
+    };
+}
+
+module.exports = {
+    REVERT_ERRORS,
+    createHttpError,
+    createValidationError,
+    decodeRevertReason,
+    isRevert,
+    isMissingFunctionError,
+    isProviderFailure,
+    describeError
+};
@@ -0,0 +1,302 @@
+// Real-time election feed over Server-Sent Events and WebSocket, driven by the event indexer
+const { STATUS_CODES } = require('http');
+const { WebSocketServer } = require('ws');
+const { logger } = require('./logger');
+
+// Feed message types for indexed contract events
+const MESSAGE_TYPES = {
+    ElectionStarted: 'election.started',
+    ElectionScheduled: 'election.scheduled',
+    ElectionEnded: 'election.ended',
+    ResultRulesSet: 'rules.changed',
+    CandidateAdded: 'candidate.added',
+    CandidateUpdated: 'candidate.updated',
+    CandidateWithdrawn: 'candidate.withdrawn',
+    VoterRegistered: 'voter.registered',
+    VoteCast: 'vote.cast',
+    BallotCast: 'ballot.cast',
+    VoteCommitted: 'vote.committed',
+    RoleGranted: 'role.granted',
+    RoleRevoked: 'role.revoked'
+};
+
+// Compare two event positions: block number first, then log index
+function comparePosition(a, b) {
+    return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+// Parse a "<blockNumber>-<logIndex>" event ID
+function parseEventId(id) {
+    const match = /^(\d+)-(\d+)$/.exec(id || '');
+    if (!match) {
+        return null;
+    }
+    return { blockNumber: Number(match[1]), logIndex: Number(match[2]) };
+}
+
+// Running vote counts of an election, as of the last applied event
+function createTally() {
+    return { position: null, totalVotes: 0, byCandidate: {} };
+}
+
+// Get what a BallotCast adds to the count of each candidate, the way the contract
+// counts it: every approval, the first preference, or the weight of the only choice
+function getBallotCounts(event, votingMethod) {
+    const { candidateIds, weight } = event.args;
+    if (votingMethod === 'approval') {
+        return candidateIds.map(candidateId => [candidateId, 1]);
+    }
+    if (votingMethod === 'weighted') {
+        return [[candidateIds[0], Number(weight)]];
+    }
+    return votingMethod === 'rankedChoice' ? [[candidateIds[0], 1]] : [];
+}
+
+// Apply an event to a tally, ignoring events it already includes. BallotCast
+// counts need the election's votingMethod
+function applyToTally(tally, event, votingMethod) {
+    if (tally.position && comparePosition(event, tally.position) <= 0) {
+        return;
+    }
+    
+    tally.position = { blockNumber: event.blockNumber, logIndex: event.logIndex };
+    
+    if (event.type === 'VoteCast') {
+        const candidateId = event.args.candidateId;
+        tally.byCandidate[candidateId] = (tally.byCandidate[candidateId] || 0) + 1;
+        tally.totalVotes++;
+    } else if (event.type === 'BallotCast') {
+        getBallotCounts(event, votingMethod).forEach(([candidateId, count]) => {
+            tally.byCandidate[candidateId] = (tally.byCandidate[candidateId] || 0) + count;
+        });
+        tally.totalVotes++;
+    }
+}
+
+// Build the feed message of an indexed event
+function toMessage(event, tally, votingMethod) {
+    const message = {
+        id: event.id,
+        type: MESSAGE_TYPES[event.type],
+        election: event.election,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        timestamp: event.timestamp,
+        confirmations: event.confirmations,
+        data: { ...event.args }
+    };
+    
+    if (event.type === 'VoteCast') {
+        message.data.candidateVoteCount = tally.byCandidate[event.args.candidateId];
+        message.data.totalVotes = tally.totalVotes;
+    } else if (event.type === 'BallotCast') {
+        message.data.candidateVoteCounts = {};
+        getBallotCounts(event, votingMethod).forEach(([candidateId]) => {
+            message.data.candidateVoteCounts[candidateId] = tally.byCandidate[candidateId];
+        });
+        message.data.totalVotes = tally.totalVotes;
+    }
+    
+    return message;
+}
+
+// Create the feed. resolveElectionAddress maps an election ID (undefined for
+// the default election) to its contract address for WebSocket upgrades, and
+// getVotingMethod an election address to its voting method
+function createFeed({ indexer, resolveElectionAddress, getVotingMethod, heartbeatInterval = 25000 }) {
+    const clients = new Set();
+    const liveTallies = new Map();
+    const votingMethods = new Map();
+    
+    // Indexed events are handled in order, each once the voting method of its
+    // election is known
+    let queue = Promise.resolve();
+    
+    // Get the voting method of an election, once per election. Without it (when
+    // it can't be read), ballots are sent without candidate counts
+    function resolveVotingMethod(election) {
+        const key = election.toLowerCase();
+        if (!votingMethods.has(key)) {
+            votingMethods.set(key, Promise.resolve()
+                .then(() => getVotingMethod(election))
+                .catch(() => {
+                    votingMethods.delete(key);
+                    return null;
+                }));
+        }
+        return votingMethods.get(key);
+    }
+    
+    // Visit the indexed events of an election in order, page by page
+    function forEachEvent(election, visit) {
+        let cursor = null;
+        do {
+            const page = indexer.getEvents({ election, cursor, limit: 1000 });
+            for (const event of page.events) {
+                if (visit(event) === false) {
+                    return;
+                }
+            }
+            cursor = page.nextCursor;
+        } while (cursor);
+    }
+    
+    // Get the running tally of an election, built from the events before a position
+    function getLiveTally(election, before, votingMethod) {
+        const key = election.toLowerCase();
+        
+        if (!liveTallies.has(key)) {
+            const tally = createTally();
+            forEachEvent(election, event => {
+                if (comparePosition(event, before) >= 0) {
+                    return false;
+                }
+                applyToTally(tally, event, votingMethod);
+            });
+            liveTallies.set(key, tally);
+        }
+        
+        return liveTallies.get(key);
+    }
+    
+    // Send a message to every client following an election (or all clients),
+    // skipping events a client was already sent when it resumed
+    function broadcast(message, election) {
+        const position = parseEventId(message.id);
+        for (const client of clients) {
+            if (election && client.election !== election.toLowerCase()) {
+                continue;
+            }
+            if (!position) {
+                client.position = null;
+            } else if (client.position && comparePosition(position, client.position) <= 0) {
+                continue;
+            }
+            client.send(message);
+        }
+    }
+    
+    indexer.subscribe({
+        onEvent(event) {
+            if (!MESSAGE_TYPES[event.type]) {
+                return;
+            }
+            
+            queue = queue.then(async () => {
+                const votingMethod = await resolveVotingMethod(event.election);
+                const tally = getLiveTally(event.election, event, votingMethod);
+                applyToTally(tally, event, votingMethod);
+                broadcast(toMessage(event, tally, votingMethod), event.election);
+            }).catch(error => {
+                logger.error('Feed failed to send an event', { error });
+            });
+        },
+        
+        onReorg({ blockNumber }) {
+            queue = queue.then(() => {
+                liveTallies.clear();
+                broadcast({ type: 'chain.reorg', data: { blockNumber } });
+            });
+        }
+    });
+    
+    // Register a client, replaying the events after lastEventId first when resuming.
+    // Resolves with a function removing the client
+    async function addClient(election, lastEventId, send) {
+        const after = parseEventId(lastEventId);
+        const client = { election: election.toLowerCase(), position: null, send };
+        
+        if (after) {
+            const votingMethod = await resolveVotingMethod(election);
+            const tally = createTally();
+            forEachEvent(election, event => {
+                applyToTally(tally, event, votingMethod);
+                if (MESSAGE_TYPES[event.type] && comparePosition(event, after) > 0) {
+                    send(toMessage(event, tally, votingMethod));
+                    client.position = { blockNumber: event.blockNumber, logIndex: event.logIndex };
+                }
+            });
+        }
+        
+        clients.add(client);
+        
+        return () => clients.delete(client);
+    }
+    
+    // Serve the feed of an election as Server-Sent Events
+    function handleSse(req, res, election) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+        
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+        const added = addClient(election, lastEventId, message => {
+            // Reorg notices carry no ID so they don't move the resume position
+            const idLine = message.id ? `id: ${message.id}\n` : '';
+            res.write(`${idLine}event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+        });
+        
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatInterval);
+        
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            added.then(removeClient => removeClient());
+        });
+    }
+    
+    // Serve the feed over WebSocket on the /api/stream and
+    // /api/elections/:electionId/stream paths of an HTTP server
+    function attachWebSocket(server) {
+        const wss = new WebSocketServer({ noServer: true });
+        
+        server.on('upgrade', async (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            const match = /^\/api(?:\/elections\/([^/]+))?\/stream\/?$/.exec(url.pathname);
+            
+            if (!match) {
+                socket.destroy();
+                return;
+            }
+            
+            let election;
+            try {
+                election = await resolveElectionAddress(match[1]);
+            } catch (error) {
+                const status = error.status || 500;
+                socket.write(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n\r\n`);
+                socket.destroy();
+                return;
+            }
+            
+            wss.handleUpgrade(req, socket, head, ws => {
+                const added = addClient(election, url.searchParams.get('lastEventId'), message => {
+                    ws.send(JSON.stringify(message));
+                });
+                
+                const heartbeat = setInterval(() => ws.ping(), heartbeatInterval);
+                
+                ws.on('close', () => {
+                    clearInterval(heartbeat);
+                    added.then(removeClient => removeClient());
+                });
+            });
+        });
+        
+        return wss;
+    }
+    
+    return {
+        handleSse,
+        attachWebSocket
+    };
+}
+
+module.exports = {
+    MESSAGE_TYPES,
+    createFeed
+};
@@ -0,0 +1,209 @@
+// Readiness checks of the API's dependencies: the RPC providers, the chain they are on,
+// the contracts, the admin key and role, and the balance of the signing accounts
+
+// Combine check statuses: fail if any check failed, else warn if any warned
+function combineStatuses(statuses) {
+    if (statuses.includes('fail')) {
+        return 'fail';
+    }
+    return statuses.includes('warn') ? 'warn' : 'pass';
+}
+
+// Reject a promise that takes longer than a timeout
+function withTimeout(promise, timeout, what) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`${what} timed out after ${timeout} ms`)), timeout);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+// Create the readiness checks. getContracts resolves with the contracts to look for
+// ({ name, address }), and getElection with the address of the election whose admin
+// is checked (or null); adminRole is the hash of its ADMIN_ROLE. With a providerPool,
+// each of its providers is probed. Results are cached for cacheTtl ms, so probes
+// don't load the provider
+function createHealthChecks({
+    web3,
+    expectedChainId = null,
+    providerPool = null,
+    getContracts,
+    getElection,
+    votingABI,
+    adminRole,
+    adminWallet,
+    signers,
+    minSignerBalance = 0n,
+    timeout = 5000,
+    cacheTtl = 5000
+}) {
+    let cached = null;
+    
+    // Check that the provider answers, and how far its chain is
+    async function checkRpc() {
+        const startedAt = Date.now();
+        const blockNumber = await withTimeout(web3.eth.getBlockNumber(), timeout, 'RPC request');
+        return { status: 'pass', blockNumber: Number(blockNumber), latencyMs: Date.now() - startedAt };
+    }
+    
+    // Check every provider of the pool: fail when none is healthy, warn when some are
+    // down or on the wrong chain
+    async function checkProviders() {
+        const providers = await providerPool.probe();
+        const healthy = providers.filter(provider => provider.status === 'healthy');
+        const unhealthy = providers.filter(provider => provider.status !== 'healthy');
+        
+        let status = 'pass';
+        if (healthy.length === 0) {
+            status = 'fail';
+        } else if (unhealthy.length > 0) {
+            status = 'warn';
+        }
+        return {
+            status,
+            providers,
+            ...(unhealthy.length > 0 ? { error: `Unhealthy providers: ${unhealthy.map(provider => `${provider.name} (${provider.status})`).join(', ')}` } : {})
+        };
+    }
+    
+    // Check the chain ID against the one the network profile or manifest pins
+    async function checkChainId() {
+        const chainId = Number(await web3.eth.getChainId());
+        if (expectedChainId !== null && chainId !== expectedChainId) {
+            return { status: 'fail', chainId, expected: expectedChainId, error: `Provider is on chain ${chainId}, not ${expectedChainId}` };
+        }
+        return { status: 'pass', chainId, expected: expectedChainId };
+    }
+    
+    // Check that every configured contract has code
+    async function checkContracts() {
+        const contracts = await getContracts();
+        if (contracts.length === 0) {
+            return { status: 'fail', contracts: [], error: 'Neither FACTORY_ADDRESS nor CONTRACT_ADDRESS is configured' };
+        }
+        
+        const results = await Promise.all(contracts.map(async ({ name, address }) => {
+            const code = await web3.eth.getCode(address);
+            return { name, address, hasCode: code !== '0x' && code !== '0x0' };
+        }));
+        const missing = results.filter(result => !result.hasCode);
+        return {
+            status: missing.length > 0 ? 'fail' : 'pass',
+            contracts: results,
+            ...(missing.length > 0 ? { error: `No contract code at ${missing.map(result => result.address).join(', ')}` } : {})
+        };
+    }
+    
+    // Check that ADMIN_PRIVATE_KEY is set and belongs to ADMIN_ADDRESS
+    function checkAdminKey() {
+        if (!adminWallet.privateKey) {
+            return { status: 'fail', address: adminWallet.address || null, error: 'ADMIN_PRIVATE_KEY is not set' };
+        }
+        
+        let derived;
+        try {
+            const privateKey = adminWallet.privateKey.startsWith('0x') ? adminWallet.privateKey : `0x${adminWallet.privateKey}`;
+            derived = web3.eth.accounts.privateKeyToAccount(privateKey).address;
+        } catch (error) {
+            return { status: 'fail', address: adminWallet.address || null, error: 'ADMIN_PRIVATE_KEY is not a valid private key' };
+        }
+        
+        if (!adminWallet.address || derived.toLowerCase() !== adminWallet.address.toLowerCase()) {
+            return { status: 'fail', address: adminWallet.address || null, keyAddress: derived, error: 'ADMIN_ADDRESS does not match ADMIN_PRIVATE_KEY' };
+        }
+        return { status: 'pass', address: derived };
+    }
+    
+    // Check that the admin account administers the election: as its admin(), or
+    // holding ADMIN_ROLE (a warning, as admin() is someone else)
+    async function checkAdminRole() {
+        const election = await getElection();
+        if (!election) {
+            return { status: 'warn', election: null, error: 'No election to check the admin of' };
+        }
+        
+        const voting = new web3.eth.Contract(votingABI, election);
+        const admin = await voting.methods.admin().call();
+        if (adminWallet.address && admin.toLowerCase() === adminWallet.address.toLowerCase()) {
+            return { status: 'pass', election, admin };
+        }
+        
+        const hasRole = adminWallet.address ? await voting.methods.hasRole(adminRole, adminWallet.address).call() : false;
+        return hasRole ?
+            { status: 'warn', election, admin, error: 'ADMIN_ADDRESS holds ADMIN_ROLE but is not the election admin()' } :
+            { status: 'fail', election, admin, error: 'ADMIN_ADDRESS is neither the election admin() nor holds ADMIN_ROLE' };
+    }
+    
+    // Check the balance of each signing account: empty fails, below the minimum warns
+    async function checkSignerBalance() {
+        const accounts = [...new Set(signers.filter(Boolean).map(address => address.toLowerCase()))];
+        const balances = await Promise.all(accounts.map(async address => {
+            const balance = BigInt(await web3.eth.getBalance(address));
+            return {
+                address: web3.utils.toChecksumAddress(address),
+                balance: balance.toString(),
+                status: balance === 0n ? 'fail' : balance < minSignerBalance ? 'warn' : 'pass'
+            };
+        }));
+        const low = balances.filter(balance => balance.status !== 'pass');
+        return {
+            status: combineStatuses(balances.map(balance => balance.status)),
+            minimum: minSignerBalance.toString(),
+            signers: balances,
+            ...(low.length > 0 ? { error: `Low balance on ${low.map(balance => balance.address).join(', ')}` } : {})
+        };
+    }
+    
+    // Run a check, failing it on errors and timeouts
+    async function runCheck(check) {
+        try {
+            return await withTimeout(Promise.resolve().then(check), timeout, 'Check');
+        } catch (error) {
+            return { status: 'fail', error: error.message };
+        }
+    }
+    
+    // Run every check, as { status, checkedAt, checks }. The chain checks are
+    // skipped when the provider can't be reached
+    async function run() {
+        const rpc = await runCheck(checkRpc);
+        const chainChecks = { chainId: checkChainId, contracts: checkContracts, adminRole: checkAdminRole, signerBalance: checkSignerBalance };
+        const results = await Promise.all(Object.values(chainChecks).map(check => (rpc.status === 'fail' ?
+            { status: 'fail', error: 'Skipped: RPC provider is unreachable' } :
+            runCheck(check))));
+        
+        const checks = { rpc };
+        if (providerPool) {
+            checks.providers = await runCheck(checkProviders);
+        }
+        checks.adminKey = checkAdminKey();
+        Object.keys(chainChecks).forEach((name, i) => {
+            checks[name] = results[i];
+        });
+        
+        return {
+            status: combineStatuses(Object.values(checks).map(check => check.status)),
+            checkedAt: new Date().toISOString(),
+            checks
+        };
+    }
+    
+    // Get the latest report, running the checks when it is older than cacheTtl
+    function check({ fresh = false } = {}) {
+        if (fresh || !cached || Date.now() - cached.startedAt >= cacheTtl) {
+            cached = { startedAt: Date.now(), report: run() };
+        }
+        return cached.report;
+    }
+    
+    return {
+        check
+    };
+}
+
+module.exports = {
+    combineStatuses,
+    createHealthChecks
+};
@@ -0,0 +1,130 @@
+// Idempotency keys: the response to a write sent with an Idempotency-Key header is
+// stored under DATA_DIR, and retries with the same key get it back instead of
+// running the write again
+const crypto = require('crypto');
+const { openStore } = require('./store');
+
+// Hash what a request asks for, so a key reused for another request is refused
+function fingerprintRequest({ method, path, body }) {
+    return crypto.createHash('sha256').update(JSON.stringify([method, path, body === undefined ? null : body])).digest('hex');
+}
+
+// Create the idempotency store. Records expire ttl ms after the request began
+function createIdempotencyStore({ ttl = 24 * 60 * 60 * 1000, storeName = 'idempotency' } = {}) {
+    const store = openStore(storeName, { records: {} });
+    
+    // Requests running in this process, by key: resolved when they complete or are abandoned
+    const running = new Map();
+    
+    // Drop expired records
+    function prune() {
+        const now = Date.now();
+        let pruned = false;
+        Object.entries(store.data.records).forEach(([key, record]) => {
+            if (Date.parse(record.expiresAt) <= now) {
+                delete store.data.records[key];
+                pruned = true;
+            }
+        });
+        return pruned;
+    }
+    
+    // Settle the running request of a key, letting requests waiting on it go on
+    function settle(key) {
+        const request = running.get(key);
+        if (request) {
+            running.delete(key);
+            request.resolve();
+        }
+    }
+    
+    // Begin a request under a key. Returns its state:
+    // - new: no request used the key; this one runs, and must complete or abandon it
+    // - completed: the response to the first request is in record
+    // - running: the first request is still running here; wait for it, then begin again
+    // - interrupted: the first request never completed (the server stopped); record
+    //   lists the jobs it queued
+    // - mismatch: the key was used for another request
+    function begin(key, fingerprint) {
+        const pruned = prune();
+        const record = store.data.records[key];
+        
+        if (record) {
+            if (pruned) {
+                store.save();
+            }
+            if (record.fingerprint !== fingerprint) {
+                return { state: 'mismatch' };
+            }
+            if (record.completedAt) {
+                return { state: 'completed', record };
+            }
+            if (running.has(key)) {
+                return { state: 'running', wait: running.get(key).promise };
+            }
+            return { state: 'interrupted', record };
+        }
+        
+        const now = Date.now();
+        store.data.records[key] = {
+            fingerprint,
+            jobIds: [],
+            status: null,
+            body: null,
+            createdAt: new Date(now).toISOString(),
+            completedAt: null,
+            expiresAt: new Date(now + ttl).toISOString()
+        };
+        store.save();
+        
+        let resolve;
+        const promise = new Promise(done => {
+            resolve = done;
+        });
+        running.set(key, { promise, resolve });
+        
+        return { state: 'new', record: store.data.records[key] };
+    }
+    
+    // Record a transaction job queued by the request of a key, as soon as it is queued
+    function addJob(key, jobId) {
+        const record = store.data.records[key];
+        if (record) {
+            record.jobIds.push(jobId);
+            store.save();
+        }
+    }
+    
+    // Store the response to the request of a key
+    function complete(key, { status, body }) {
+        const record = store.data.records[key];
+        if (record) {
+            record.status = status;
+            record.body = body;
+            record.completedAt = new Date().toISOString();
+            store.save();
+        }
+        settle(key);
+    }
+    
+    // Forget the request of a key, so a retry runs it again
+    function abandon(key) {
+        if (store.data.records[key]) {
+            delete store.data.records[key];
+            store.save();
+        }
+        settle(key);
+    }
+    
+    return {
+        begin,
+        addJob,
+        complete,
+        abandon
+    };
+}
+
+module.exports = {
+    fingerprintRequest,
+    createIdempotencyStore
+};
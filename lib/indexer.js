@@ -0,0 +1,427 @@
+// Background indexer storing Voting contract events in a local store
+const { EventEmitter } = require('events');
+const { openStore } = require('./store');
+const { logger } = require('./logger');
+
+// Convert decoded event values (BigInt, nested arrays) to JSON-friendly values
+function normalizeValue(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(normalizeValue);
+    }
+    return value;
+}
+
+// Compare two event positions: block number first, then log index
+function comparePosition(a, b) {
+    return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+// Parse a "<blockNumber>-<logIndex>" cursor
+function parseCursor(cursor) {
+    const match = /^(\d+)-(\d+)$/.exec(cursor || '');
+    if (!match) {
+        return null;
+    }
+    return { blockNumber: Number(match[1]), logIndex: Number(match[2]) };
+}
+
+// Create an indexer that backfills events from startBlock, follows new blocks
+// and rolls back events from blocks reorganized within the confirmation depth
+function createIndexer({
+    web3,
+    votingABI,
+    factoryABI,
+    factoryAddress,
+    contractAddress,
+    startBlock = 0,
+    confirmations = 6,
+    batchSize = 2000,
+    pollInterval = 5000,
+    storeName = 'events'
+}) {
+    const store = openStore(storeName, {
+        anchor: null,
+        lastBlock: null,
+        confirmedBlock: null,
+        recentBlocks: [],
+        elections: [],
+        events: []
+    });
+    
+    // Voting events by topic, and the factory event announcing new elections
+    const eventsByTopic = new Map();
+    votingABI.filter(item => item.type === 'event').forEach(item => {
+        eventsByTopic.set(web3.eth.abi.encodeEventSignature(item), item);
+    });
+    const electionCreatedABI = factoryABI.find(item => item.type === 'event' && item.name === 'ElectionCreated');
+    const electionCreatedTopic = web3.eth.abi.encodeEventSignature(electionCreatedABI);
+    
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    
+    let headBlock = null;
+    let savedBlock = store.data.lastBlock;
+    let changed = false;
+    let timer = null;
+    let queue = Promise.resolve();
+    let lastError = null;
+    
+    // Stores indexed before confirmed events were announced delivered their events as
+    // they were indexed: start after their last block rather than announce them again
+    if (store.data.confirmedBlock === undefined) {
+        store.data.confirmedBlock = store.data.lastBlock;
+    }
+    
+    // Reset the store when it was built for another chain or deployment
+    async function checkAnchor() {
+        const chainId = Number(await web3.eth.getChainId());
+        const block = await web3.eth.getBlock(startBlock);
+        const anchor = {
+            chainId,
+            factoryAddress: factoryAddress ? factoryAddress.toLowerCase() : null,
+            contractAddress: contractAddress ? contractAddress.toLowerCase() : null,
+            startBlock,
+            startBlockHash: block.hash
+        };
+        
+        if (JSON.stringify(store.data.anchor) !== JSON.stringify(anchor)) {
+            store.reset();
+            store.data.anchor = anchor;
+            store.save();
+            savedBlock = null;
+        }
+    }
+    
+    // Addresses of all elections whose events are indexed, including elections
+    // discovered in the range being indexed
+    function getWatchedAddresses(newElections = []) {
+        const addresses = new Set([...store.data.elections, ...newElections].map(election => election.address.toLowerCase()));
+        if (contractAddress) {
+            addresses.add(contractAddress.toLowerCase());
+        }
+        return [...addresses];
+    }
+    
+    // Drop everything indexed after a block
+    function rollback(blockNumber) {
+        emitter.emit('reorg', { blockNumber });
+        store.data.events = store.data.events.filter(event => event.blockNumber <= blockNumber);
+        store.data.elections = store.data.elections.filter(election => election.blockNumber <= blockNumber);
+        store.data.recentBlocks = store.data.recentBlocks.filter(block => block.number <= blockNumber);
+        store.data.lastBlock = blockNumber < startBlock ? null : blockNumber;
+        if (store.data.confirmedBlock !== null && store.data.confirmedBlock > blockNumber) {
+            store.data.confirmedBlock = store.data.lastBlock;
+        }
+        changed = true;
+    }
+    
+    // Detect a reorg by comparing recorded block hashes with the chain
+    async function handleReorg() {
+        for (const recorded of store.data.recentBlocks) {
+            const block = await web3.eth.getBlock(recorded.number);
+            
+            if (!block || block.hash !== recorded.hash) {
+                const oldest = store.data.recentBlocks[0];
+                if (recorded === oldest) {
+                    logger.warn(`Indexer: reorg deeper than ${confirmations} blocks detected`, { blockNumber: recorded.number });
+                }
+                rollback(recorded.number - 1);
+                return;
+            }
+        }
+    }
+    
+    // Record the hashes of the unconfirmed blocks up to lastBlock
+    async function recordRecentBlocks() {
+        const lastBlock = store.data.lastBlock;
+        const fromBlock = Math.max(startBlock, lastBlock - confirmations + 1);
+        const known = new Map(store.data.recentBlocks.map(block => [block.number, block.hash]));
+        const recentBlocks = [];
+        
+        for (let number = fromBlock; number <= lastBlock; number++) {
+            let hash = known.get(number);
+            if (!hash) {
+                hash = (await web3.eth.getBlock(number)).hash;
+            }
+            recentBlocks.push({ number, hash });
+        }
+        
+        store.data.recentBlocks = recentBlocks;
+    }
+    
+    // Index the events of a block range. Nothing is stored until every query of
+    // the range succeeded, so a failed range can be retried
+    async function indexRange(fromBlock, toBlock) {
+        // Discover elections created by the factory first, so their events
+        // in the same range are picked up
+        const elections = [];
+        if (factoryAddress) {
+            const logs = await web3.eth.getPastLogs({
+                fromBlock,
+                toBlock,
+                address: factoryAddress,
+                topics: [electionCreatedTopic]
+            });
+            
+            for (const log of logs) {
+                const decoded = web3.eth.abi.decodeLog(electionCreatedABI.inputs, log.data, log.topics.slice(1));
+                elections.push({
+                    id: Number(decoded.electionId),
+                    address: decoded.election,
+                    name: decoded.name,
+                    blockNumber: Number(log.blockNumber)
+                });
+            }
+        }
+        
+        const addresses = getWatchedAddresses(elections);
+        const logs = addresses.length === 0 ? [] : await web3.eth.getPastLogs({ fromBlock, toBlock, address: addresses });
+        const timestamps = new Map();
+        const events = [];
+        
+        for (const log of logs) {
+            const eventABI = eventsByTopic.get(log.topics[0]);
+            if (!eventABI || log.removed) {
+                continue;
+            }
+            
+            const blockNumber = Number(log.blockNumber);
+            if (!timestamps.has(blockNumber)) {
+                const block = await web3.eth.getBlock(blockNumber);
+                timestamps.set(blockNumber, new Date(Number(block.timestamp) * 1000).toISOString());
+            }
+            
+            const decoded = web3.eth.abi.decodeLog(eventABI.inputs, log.data, log.topics.slice(1));
+            const args = {};
+            eventABI.inputs.forEach(input => {
+                args[input.name] = normalizeValue(decoded[input.name]);
+            });
+            
+            events.push({
+                id: `${blockNumber}-${Number(log.logIndex)}`,
+                type: eventABI.name,
+                election: web3.utils.toChecksumAddress(log.address),
+                blockNumber,
+                blockHash: log.blockHash,
+                transactionHash: log.transactionHash,
+                logIndex: Number(log.logIndex),
+                timestamp: timestamps.get(blockNumber),
+                args
+            });
+        }
+        
+        events.sort(comparePosition);
+        if (elections.length > 0 || events.length > 0) {
+            store.data.elections.push(...elections);
+            store.data.events.push(...events);
+            changed = true;
+        }
+        events.forEach(event => emitter.emit('event', withConfirmations(event)));
+    }
+    
+    // Bring the store up to the current head block
+    async function runSync() {
+        if (!store.data.anchor) {
+            await checkAnchor();
+        }
+        
+        headBlock = Number(await web3.eth.getBlockNumber());
+        await handleReorg();
+        
+        let fromBlock = store.data.lastBlock === null ? startBlock : store.data.lastBlock + 1;
+        
+        while (fromBlock <= headBlock) {
+            const toBlock = Math.min(fromBlock + batchSize - 1, headBlock);
+            await indexRange(fromBlock, toBlock);
+            store.data.lastBlock = toBlock;
+            fromBlock = toBlock + 1;
+        }
+        
+        if (store.data.lastBlock !== null) {
+            await recordRecentBlocks();
+            announceConfirmed();
+        }
+        
+        // The store is one document holding every event: only rewrite it when
+        // something was indexed or rolled back, or the last save is a batch behind
+        const unsavedBlocks = store.data.lastBlock === null ? 0 : store.data.lastBlock - (savedBlock === null ? startBlock : savedBlock);
+        if (changed || unsavedBlocks >= batchSize) {
+            store.save();
+            savedBlock = store.data.lastBlock;
+            changed = false;
+        }
+        lastError = null;
+    }
+    
+    // Announce the stored events that reached the confirmation depth since the last
+    // announcement. Only the new announcements need saving: an unsaved confirmedBlock
+    // means a few more blocks without events to check again after a restart
+    function announceConfirmed() {
+        const fromBlock = store.data.confirmedBlock === null ? startBlock : store.data.confirmedBlock + 1;
+        const toBlock = Math.min(store.data.lastBlock, headBlock - confirmations + 1);
+        if (toBlock < fromBlock) {
+            return;
+        }
+        
+        const events = store.data.events.filter(event => event.blockNumber >= fromBlock && event.blockNumber <= toBlock);
+        store.data.confirmedBlock = toBlock;
+        if (events.length > 0) {
+            changed = true;
+        }
+        events.forEach(event => emitter.emit('confirmed', withConfirmations(event)));
+    }
+    
+    // Run a sync after any sync already in progress
+    function sync() {
+        const run = queue.then(runSync);
+        queue = run.catch(error => {
+            lastError = error;
+            logger.error('Indexer sync failed', { error });
+        });
+        return run;
+    }
+    
+    // Start backfilling and following new blocks
+    async function start() {
+        await checkAnchor();
+        
+        if (!timer) {
+            timer = setInterval(() => sync().catch(() => {}), pollInterval);
+            timer.unref();
+        }
+        
+        return sync();
+    }
+    
+    // Stop following new blocks
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+    
+    // Add confirmation details to a stored event
+    function withConfirmations(event) {
+        const eventConfirmations = headBlock === null ? 0 : headBlock - event.blockNumber + 1;
+        return {
+            ...event,
+            confirmations: eventConfirmations,
+            confirmed: eventConfirmations >= confirmations
+        };
+    }
+    
+    // Query indexed events, oldest first, with cursor pagination
+    function getEvents({ types, election, address, fromBlock, toBlock, cursor, limit = 100 } = {}) {
+        const after = parseCursor(cursor);
+        const electionKey = election ? election.toLowerCase() : null;
+        const addressKey = address ? address.toLowerCase() : null;
+        
+        const matching = store.data.events.filter(event => {
+            if (types && types.length > 0 && !types.includes(event.type)) {
+                return false;
+            }
+            if (electionKey && event.election.toLowerCase() !== electionKey) {
+                return false;
+            }
+            if (addressKey && ![event.args.voter, event.args.voterAddress].some(value => value && value.toLowerCase() === addressKey)) {
+                return false;
+            }
+            if (fromBlock !== undefined && event.blockNumber < fromBlock) {
+                return false;
+            }
+            if (toBlock !== undefined && event.blockNumber > toBlock) {
+                return false;
+            }
+            return !after || comparePosition(event, after) > 0;
+        });
+        
+        const page = matching.slice(0, limit);
+        
+        return {
+            events: page.map(withConfirmations),
+            nextCursor: matching.length > limit ? page[page.length - 1].id : null
+        };
+    }
+    
+    // List the registered voters of an election, which the voters mapping cannot enumerate
+    function getVoters(election) {
+        const electionKey = election.toLowerCase();
+        const voters = new Map();
+        
+        store.data.events
+            .filter(event => event.election.toLowerCase() === electionKey)
+            .forEach(event => {
+                if (event.type === 'VoterRegistered') {
+                    voters.set(event.args.voterAddress.toLowerCase(), {
+                        address: event.args.voterAddress,
+                        registeredAt: event.timestamp,
+                        blockNumber: event.blockNumber,
+                        transactionHash: event.transactionHash,
+                        hasVoted: false
+                    });
+                } else if (['VoteCast', 'BallotCast', 'VoteCommitted'].includes(event.type)) {
+                    const voter = voters.get(event.args.voter.toLowerCase());
+                    if (voter) {
+                        voter.hasVoted = true;
+                    }
+                }
+            });
+        
+        return [...voters.values()];
+    }
+    
+    // Listen for newly indexed events, events reaching the confirmation depth and
+    // reorg rollbacks; returns an unsubscribe function
+    function subscribe({ onEvent, onConfirmed, onReorg }) {
+        if (onEvent) {
+            emitter.on('event', onEvent);
+        }
+        if (onConfirmed) {
+            emitter.on('confirmed', onConfirmed);
+        }
+        if (onReorg) {
+            emitter.on('reorg', onReorg);
+        }
+        
+        return () => {
+            if (onEvent) {
+                emitter.off('event', onEvent);
+            }
+            if (onConfirmed) {
+                emitter.off('confirmed', onConfirmed);
+            }
+            if (onReorg) {
+                emitter.off('reorg', onReorg);
+            }
+        };
+    }
+    
+    // Indexing progress
+    function getStatus() {
+        return {
+            running: timer !== null,
+            startBlock,
+            lastBlock: store.data.lastBlock,
+            headBlock,
+            confirmations,
+            eventCount: store.data.events.length,
+            lastError: lastError ? lastError.message : null
+        };
+    }
+    
+    return {
+        start,
+        stop,
+        sync,
+        getEvents,
+        getVoters,
+        getStatus,
+        subscribe
+    };
+}
+
+module.exports = {
+    createIndexer
+};
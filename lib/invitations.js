@@ -0,0 +1,210 @@
+// Voter invitation codes: single-use, expiring codes an admin hands out (by email or
+// member ID), which a voter redeems to have their own address registered
+const crypto = require('crypto');
+const { openStore } = require('./store');
+const { escapeCsvCell } = require('./resultsExport');
+
+// Statuses of an invitation. A code is redeeming while its registration is being mined
+const INVITATION_STATUSES = ['issued', 'redeeming', 'redeemed', 'revoked', 'expired'];
+
+// Code alphabet without easily confused characters (Crockford base32)
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Generate a 60-bit code, formatted as three groups of four characters
+function generateCode() {
+    const bytes = crypto.randomBytes(12);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return chars.match(/.{4}/g).join('-');
+}
+
+// Normalize a code as typed by a voter: upper case, without separators or spaces.
+// This is the form voters sign and codes are hashed in
+function normalizeCode(code) {
+    return String(code).toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+// Hash a code; only hashes are stored
+function hashCode(code) {
+    return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+// Public fields of an invitation (never the code hash)
+function describeInvitation(record) {
+    const { codeHash, ...invitation } = record;
+    return invitation;
+}
+
+// Build a CSV table of invitations. Columns are the given fields of each one
+function toInvitationsCsv(invitations, columns) {
+    const rows = [columns, ...invitations.map(invitation => columns.map(column => {
+        const value = invitation[column];
+        return value === null || value === undefined ? '' : value;
+    }))];
+    return `${rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+// Create the invitation store
+function createInvitationStore({ storeName = 'invitations' } = {}) {
+    const store = openStore(storeName, { invitations: {} });
+    
+    // Persist changes to an invitation
+    function save(invitation) {
+        invitation.updatedAt = new Date().toISOString();
+        store.data.invitations[invitation.id] = invitation;
+        store.save();
+        return invitation;
+    }
+    
+    // Mark an issued invitation past its expiry as expired. Returns whether it changed
+    function checkExpiry(invitation) {
+        if (invitation.status === 'issued' && Date.parse(invitation.expiresAt) <= Date.now()) {
+            invitation.status = 'expired';
+            invitation.updatedAt = new Date().toISOString();
+            return true;
+        }
+        return false;
+    }
+    
+    // Issue a batch of invitations to an election, one per recipient ({ recipient, weight }).
+    // Returns the invitations with their codes, which are only shown here
+    function createBatch({ election, recipients, expiresAt, createdBy }) {
+        const batchId = crypto.randomUUID();
+        const now = new Date().toISOString();
+        
+        const invitations = recipients.map(({ recipient, weight }) => {
+            const code = generateCode();
+            const record = {
+                id: crypto.randomUUID(),
+                batchId,
+                election,
+                recipient: recipient || null,
+                weight: weight !== undefined ? Number(weight) : null,
+                codeHash: hashCode(code),
+                status: 'issued',
+                voterAddress: null,
+                jobId: null,
+                transactionHash: null,
+                createdBy,
+                createdAt: now,
+                expiresAt,
+                redeemedAt: null,
+                revokedAt: null,
+                updatedAt: now
+            };
+            store.data.invitations[record.id] = record;
+            return { ...describeInvitation(record), code };
+        });
+        
+        store.save();
+        return { batchId, invitations };
+    }
+    
+    // Get an invitation by ID
+    function get(id) {
+        const invitation = store.data.invitations[id];
+        if (invitation && checkExpiry(invitation)) {
+            save(invitation);
+        }
+        return invitation ? describeInvitation(invitation) : null;
+    }
+    
+    // Find the invitation of a code to an election, or null
+    function findByCode(election, code) {
+        const codeHash = hashCode(code);
+        const invitation = Object.values(store.data.invitations)
+            .find(record => record.codeHash === codeHash && record.election.toLowerCase() === election.toLowerCase());
+        if (invitation && checkExpiry(invitation)) {
+            save(invitation);
+        }
+        return invitation || null;
+    }
+    
+    // List invitations, newest first
+    function list({ election, batchId, status, limit = 1000 } = {}) {
+        const records = Object.values(store.data.invitations);
+        if (records.filter(checkExpiry).length > 0) {
+            store.save();
+        }
+        
+        return records
+            .filter(invitation => !election || invitation.election.toLowerCase() === election.toLowerCase())
+            .filter(invitation => !batchId || invitation.batchId === batchId)
+            .filter(invitation => !status || invitation.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || a.id.localeCompare(b.id))
+            .slice(0, limit)
+            .map(describeInvitation);
+    }
+    
+    // Claim an issued invitation for a voter address before registering it, so
+    // no other redemption of the code can start
+    function claim(invitation, voterAddress) {
+        invitation.status = 'redeeming';
+        invitation.voterAddress = voterAddress;
+        return save(invitation);
+    }
+    
+    // Return a claimed invitation to issued, when its registration was not sent
+    function release(invitation) {
+        invitation.status = 'issued';
+        invitation.voterAddress = null;
+        return save(invitation);
+    }
+    
+    // Record the outcome of the registration job of a claimed invitation: redeemed
+    // once it is confirmed, otherwise issued again so the code can be retried
+    function settle(id, job) {
+        const invitation = store.data.invitations[id];
+        if (!invitation || invitation.status !== 'redeeming') {
+            return null;
+        }
+        
+        invitation.jobId = job.id;
+        if (job.status === 'confirmed') {
+            invitation.status = 'redeemed';
+            invitation.transactionHash = job.transactionHash;
+            invitation.redeemedAt = new Date().toISOString();
+            return save(invitation);
+        }
+        
+        invitation.status = 'issued';
+        invitation.voterAddress = null;
+        checkExpiry(invitation);
+        return save(invitation);
+    }
+    
+    // Revoke an issued invitation. Returns null when it is unknown, and false when
+    // it can no longer be revoked
+    function revoke(id) {
+        const invitation = store.data.invitations[id];
+        if (!invitation) {
+            return null;
+        }
+        
+        checkExpiry(invitation);
+        if (invitation.status !== 'issued') {
+            return false;
+        }
+        
+        invitation.status = 'revoked';
+        invitation.revokedAt = new Date().toISOString();
+        return describeInvitation(save(invitation));
+    }
+    
+    return {
+        createBatch,
+        get,
+        findByCode,
+        list,
+        claim,
+        release,
+        settle,
+        revoke
+    };
+}
+
+module.exports = {
+    INVITATION_STATUSES,
+    normalizeCode,
+    toInvitationsCsv,
+    createInvitationStore
+};
@@ -0,0 +1,121 @@
+// Keeper finalizing elections whose voting window has passed, so their results unlock
+const { logger } = require('./logger');
+
+// Create a keeper that periodically checks every election and sends finalize()
+// through the transaction manager for the overdue ones
+function createKeeper({
+    txManager,
+    getElectionAddresses,
+    getElectionContract,
+    account,
+    interval = 60000
+}) {
+    // Elections with a finalize transaction in flight
+    const inFlight = new Set();
+    
+    let timer = null;
+    let running = null;
+    let lastRun = null;
+    let lastError = null;
+    let finalizedCount = 0;
+    
+    // Whether an election's voting window has passed without it being marked ended
+    function isOverdue(status) {
+        return !status.isEnded && Number(status.start) > 0 && Number(status.currentTime) > Number(status.end);
+    }
+    
+    // Check every election once, returning the finalize jobs submitted
+    async function check() {
+        const submitted = [];
+        
+        for (const address of await getElectionAddresses()) {
+            const key = address.toLowerCase();
+            if (inFlight.has(key)) {
+                continue;
+            }
+            
+            const votingContract = getElectionContract(address);
+            if (!isOverdue(await votingContract.methods.getElectionStatus().call())) {
+                continue;
+            }
+            
+            const { job, completion } = txManager.submit({
+                from: account,
+                to: address,
+                data: votingContract.methods.finalize().encodeABI(),
+                label: 'finalize'
+            });
+            
+            inFlight.add(key);
+            completion
+                .then(() => {
+                    finalizedCount++;
+                }, error => {
+                    logger.warn('Keeper: finalizing an election failed', { election: address, error });
+                })
+                .finally(() => inFlight.delete(key));
+            
+            submitted.push({ election: address, jobId: job.id });
+        }
+        
+        lastRun = new Date().toISOString();
+        lastError = null;
+        return submitted;
+    }
+    
+    // Run a check, or join the one already in progress
+    function run() {
+        if (!running) {
+            running = check()
+                .catch(error => {
+                    lastError = error;
+                    throw error;
+                })
+                .finally(() => {
+                    running = null;
+                });
+        }
+        return running;
+    }
+    
+    // Start checking elections on an interval
+    function start() {
+        if (!timer) {
+            timer = setInterval(() => run().catch(error => {
+                logger.error('Keeper check failed', { error });
+            }), interval);
+            timer.unref();
+        }
+        
+        return run();
+    }
+    
+    // Stop checking elections
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+    
+    // Keeper progress
+    function getStatus() {
+        return {
+            running: timer !== null,
+            interval,
+            lastRun,
+            pending: inFlight.size,
+            finalized: finalizedCount,
+            lastError: lastError ? lastError.message : null
+        };
+    }
+    
+    return {
+        start,
+        stop,
+        run,
+        getStatus
+    };
+}
+
+module.exports = {
+    createKeeper
+};
@@ -0,0 +1,51 @@
+// Structured logging: one JSON object per line, with a timestamp, level and message
+// and any fields of the entry (such as the request ID)
+
+// Log levels by severity. LOG_LEVEL sets the least severe one written
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Serialize BigInts (as from web3) as strings
+function replaceBigInt(key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+// Create a logger whose entries carry the given fields. The level is read from
+// LOG_LEVEL on every entry, so it can be changed after the logger is created
+function createLogger(fields = {}) {
+    // Write an entry at a level: errors and warnings to stderr, the rest to stdout
+    function write(level, message, entryFields = {}) {
+        const threshold = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+        if (LOG_LEVELS[level] < threshold) {
+            return;
+        }
+        
+        const entry = { time: new Date().toISOString(), level, msg: message };
+        Object.entries({ ...fields, ...entryFields }).forEach(([key, value]) => {
+            if (value !== undefined) {
+                entry[key] = value instanceof Error ? value.message : value;
+            }
+        });
+        
+        const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${JSON.stringify(entry, replaceBigInt)}\n`);
+    }
+    
+    return {
+        debug: (message, entryFields) => write('debug', message, entryFields),
+        info: (message, entryFields) => write('info', message, entryFields),
+        warn: (message, entryFields) => write('warn', message, entryFields),
+        error: (message, entryFields) => write('error', message, entryFields),
+        
+        // Create a logger adding fields to every entry of this one
+        child: childFields => createLogger({ ...fields, ...childFields })
+    };
+}
+
+// Logger shared by the API and its background services
+const logger = createLogger();
+
+module.exports = {
+    LOG_LEVELS,
+    createLogger,
+    logger
+};
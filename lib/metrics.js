@@ -0,0 +1,144 @@
+// Prometheus metrics: counters, gauges and histograms with labels, rendered in the
+// text exposition format served by /metrics
+
+// Default latency buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Escape a label value for the exposition format
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Format label pairs ([name, value]) as {name="value",...}, or nothing without labels
+function formatLabels(pairs) {
+    return pairs.length > 0 ? `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+}
+
+// Create a registry of metrics. Collectors registered with addCollector run before
+// each render, to set gauges read on demand
+function createMetricsRegistry() {
+    const metrics = [];
+    const collectors = [];
+    
+    // Register a metric, whose series are kept by their label values
+    function register(type, { name, help, labelNames = [] }) {
+        const metric = { type, name, help, labelNames, series: new Map() };
+        metrics.push(metric);
+        
+        // Get the series of a label set, creating it with an initial value
+        metric.getSeries = (labels, create) => {
+            const values = labelNames.map(labelName => (labels[labelName] === undefined ? '' : String(labels[labelName])));
+            const key = values.join('\u0000');
+            if (!metric.series.has(key)) {
+                metric.series.set(key, { labels: labelNames.map((labelName, i) => [labelName, values[i]]), value: create() });
+            }
+            return metric.series.get(key);
+        };
+        return metric;
+    }
+    
+    // Create a counter, only ever increased
+    function counter(options) {
+        const metric = register('counter', options);
+        return {
+            inc(labels = {}, amount = 1) {
+                metric.getSeries(labels, () => 0).value += Number(amount);
+            }
+        };
+    }
+    
+    // Create a gauge, set to the current value of something
+    function gauge(options) {
+        const metric = register('gauge', options);
+        return {
+            set(labels, value) {
+                metric.getSeries(labels, () => 0).value = Number(value);
+            },
+            
+            // Drop every series, such as before collecting a fresh set
+            reset() {
+                metric.series.clear();
+            }
+        };
+    }
+    
+    // Create a histogram counting observations into cumulative buckets
+    function histogram({ buckets = DEFAULT_BUCKETS, ...options }) {
+        const metric = register('histogram', options);
+        metric.buckets = [...buckets].sort((a, b) => a - b);
+        return {
+            observe(labels, value) {
+                const series = metric.getSeries(labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+                metric.buckets.forEach((bound, i) => {
+                    if (value <= bound) {
+                        series.value.counts[i]++;
+                    }
+                });
+                series.value.sum += value;
+                series.value.count++;
+            }
+        };
+    }
+    
+    // Add a function run before each render
+    function addCollector(collect) {
+        collectors.push(collect);
+    }
+    
+    // Render every metric in the text exposition format. A failing collector
+    // leaves its metrics as they were
+    async function render() {
+        await Promise.all(collectors.map(collect => Promise.resolve().then(collect).catch(() => {})));
+        
+        const lines = [];
+        metrics.forEach(metric => {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            
+            metric.series.forEach(({ labels, value }) => {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+                    return;
+                }
+                
+                metric.buckets.forEach((bound, i) => {
+                    lines.push(`${metric.name}_bucket${formatLabels([...labels, ['le', bound]])} ${value.counts[i]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels([...labels, ['le', '+Inf']])} ${value.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(labels)} ${value.sum}`);
+                lines.push(`${metric.name}_count${formatLabels(labels)} ${value.count}`);
+            });
+        });
+        return `${lines.join('\n')}\n`;
+    }
+    
+    return {
+        counter,
+        gauge,
+        histogram,
+        addCollector,
+        render
+    };
+}
+
+// Call onRequest with the method of every JSON-RPC request a web3 instance sends,
+// and onError with the method and error of those that fail. Contracts created from
+// the instance share its request manager, so their calls are included
+function instrumentWeb3(web3, { onRequest, onError }) {
+    const send = web3.requestManager.send.bind(web3.requestManager);
+    web3.requestManager.send = async payload => {
+        onRequest(payload.method);
+        try {
+            return await send(payload);
+        } catch (error) {
+            onError(payload.method, error);
+            throw error;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    createMetricsRegistry,
+    instrumentWeb3
+};
@@ -0,0 +1,107 @@
+// Batched contract reads: several view calls in one eth_call through a Multicall3
+// aggregator, or concurrent single calls where no aggregator is deployed
+const { isMissingFunctionError } = require('./errors');
+
+// Address Multicall3 is deployed at on most chains
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// The part of the Multicall3 ABI used here
+const MULTICALL3_ABI = [{
+    type: 'function',
+    name: 'aggregate3',
+    stateMutability: 'payable',
+    inputs: [{
+        name: 'calls',
+        type: 'tuple[]',
+        components: [
+            { name: 'target', type: 'address' },
+            { name: 'allowFailure', type: 'bool' },
+            { name: 'callData', type: 'bytes' }
+        ]
+    }],
+    outputs: [{
+        name: 'returnData',
+        type: 'tuple[]',
+        components: [
+            { name: 'success', type: 'bool' },
+            { name: 'returnData', type: 'bytes' }
+        ]
+    }]
+}];
+
+// Create the batch reader. Whether the aggregator is deployed is checked on first use
+function createBatchReader({ web3, multicallAddress = MULTICALL3_ADDRESS }) {
+    const aggregator = new web3.eth.Contract(MULTICALL3_ABI, multicallAddress);
+    let available = null;
+    
+    // Check once whether the aggregator has code on this chain
+    async function isAvailable() {
+        if (available === null) {
+            const code = await web3.eth.getCode(multicallAddress);
+            available = code !== '0x' && code !== '0x0';
+        }
+        return available;
+    }
+    
+    // Find the ABI of a contract function
+    function findFunction(contract, method) {
+        const abi = contract.options.jsonInterface.find(item => item.type === 'function' && item.name === method);
+        if (!abi) {
+            throw new Error(`Unknown contract function ${method}`);
+        }
+        return abi;
+    }
+    
+    // Run view calls ({ contract, method, args, defaultValue }), returning their results
+    // in order, decoded like method.call() would. A call that reverts rejects the whole
+    // batch with a ContractExecutionError carrying the revert data, as method.call()
+    // does, except that calls with a defaultValue resolve to it when the contract lacks
+    // the function, as older deployments do
+    async function callAll(calls) {
+        if (calls.length === 0) {
+            return [];
+        }
+        
+        if (!(await isAvailable())) {
+            return Promise.all(calls.map(call => call.contract.methods[call.method](...(call.args || [])).call().catch(error => {
+                if ('defaultValue' in call && isMissingFunctionError(error)) {
+                    return call.defaultValue;
+                }
+                throw error;
+            })));
+        }
+        
+        const results = await aggregator.methods.aggregate3(calls.map(({ contract, method, args = [] }) => ({
+            target: contract.options.address,
+            allowFailure: true,
+            callData: contract.methods[method](...args).encodeABI()
+        }))).call();
+        
+        return results.map((result, i) => {
+            const { contract, method } = calls[i];
+            if (!result.success && result.returnData === '0x' && 'defaultValue' in calls[i]) {
+                return calls[i].defaultValue;
+            }
+            if (!result.success) {
+                const error = new Error(`Batched call to ${method} reverted`);
+                error.name = 'ContractExecutionError';
+                error.data = result.returnData;
+                throw error;
+            }
+            
+            const { outputs } = findFunction(contract, method);
+            const decoded = web3.eth.abi.decodeParameters(outputs, result.returnData);
+            return outputs.length === 1 ? decoded[0] : decoded;
+        });
+    }
+    
+    return {
+        isAvailable,
+        callAll
+    };
+}
+
+module.exports = {
+    MULTICALL3_ADDRESS,
+    createBatchReader
+};
@@ -0,0 +1,92 @@
+// Proposals of critical admin actions, which the API executes only once enough distinct signers approve them
+const crypto = require('crypto');
+const { openStore } = require('./store');
+
+// Actions that can be proposed
+const PROPOSAL_ACTIONS = ['startElection', 'scheduleElection', 'endElection', 'registerVoters', 'grantRole', 'revokeRole'];
+
+// Create the proposal store. A proposal goes from pending to executing and then
+// executed or failed, unless it is cancelled or expires first
+function createProposalStore({ storeName = 'proposals' } = {}) {
+    const store = openStore(storeName, { proposals: {} });
+    
+    // Persist changes to a proposal
+    function save(proposal) {
+        proposal.updatedAt = new Date().toISOString();
+        store.data.proposals[proposal.id] = proposal;
+        store.save();
+        return proposal;
+    }
+    
+    // Mark a pending proposal past its expiry as expired
+    function checkExpiry(proposal) {
+        if (proposal.status === 'pending' && Date.parse(proposal.expiresAt) <= Date.now()) {
+            proposal.status = 'expired';
+            save(proposal);
+        }
+        return proposal;
+    }
+    
+    // Create a pending proposal
+    function create({ action, election, params, paramsHash, threshold, expiresAt, proposedBy }) {
+        const now = new Date().toISOString();
+        return save({
+            id: crypto.randomUUID(),
+            action,
+            election,
+            params,
+            paramsHash,
+            threshold,
+            status: 'pending',
+            approvals: [],
+            proposedBy,
+            jobIds: [],
+            error: null,
+            createdAt: now,
+            expiresAt,
+            cancelledAt: null,
+            cancelledBy: null,
+            executedAt: null
+        });
+    }
+    
+    // Get a proposal by ID
+    function get(id) {
+        const proposal = store.data.proposals[id];
+        return proposal ? checkExpiry(proposal) : null;
+    }
+    
+    // List proposals, newest first
+    function list({ status, election, limit = 100 } = {}) {
+        return Object.values(store.data.proposals)
+            .map(checkExpiry)
+            .filter(proposal => !status || proposal.status === status)
+            .filter(proposal => !election || proposal.election.toLowerCase() === election.toLowerCase())
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+    
+    // Record a signer's approval. Returns false when the signer already approved
+    function addApproval(proposal, { signer, method, label }) {
+        if (proposal.approvals.some(approval => approval.signer === signer)) {
+            return false;
+        }
+        
+        proposal.approvals.push({ signer, method, label, approvedAt: new Date().toISOString() });
+        save(proposal);
+        return true;
+    }
+    
+    return {
+        create,
+        get,
+        list,
+        save,
+        addApproval
+    };
+}
+
+module.exports = {
+    PROPOSAL_ACTIONS,
+    createProposalStore
+};
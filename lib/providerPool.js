@@ -0,0 +1,403 @@
+// RPC provider pool: JSON-RPC requests go to the preferred available provider (the
+// lowest priority, then picked by weight) and fail over to the others when it is down
+// or rate limited. Every provider is checked to be on the pinned chain before it is used
+const { utils } = require('web3');
+const { logger } = require('./logger');
+
+// Methods that only read, so a request that failed can be retried on another provider
+const READ_METHODS = new Set([
+    'eth_blockNumber',
+    'eth_call',
+    'eth_chainId',
+    'eth_estimateGas',
+    'eth_feeHistory',
+    'eth_gasPrice',
+    'eth_getBalance',
+    'eth_getBlockByHash',
+    'eth_getBlockByNumber',
+    'eth_getCode',
+    'eth_getLogs',
+    'eth_getStorageAt',
+    'eth_getTransactionByHash',
+    'eth_getTransactionCount',
+    'eth_getTransactionReceipt',
+    'eth_maxPriorityFeePerGas',
+    'eth_syncing',
+    'net_version',
+    'web3_clientVersion'
+]);
+
+// JSON-RPC errors of a provider refusing requests rather than answering them
+const RATE_LIMIT_PATTERN = /rate limit|too many requests/i;
+
+// Errors of a signed transaction sent again to a node that already has it
+const ALREADY_SENT_PATTERN = /already known|known transaction|nonce too low/i;
+
+// Pause before a retry
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Create the error of a provider (or every provider) failing a request. Its name
+// makes the API answer 503 PROVIDER_UNAVAILABLE
+function createProviderError(message, cause) {
+    const error = new Error(message);
+    error.name = 'ProviderUnavailableError';
+    if (cause) {
+        error.cause = cause;
+    }
+    return error;
+}
+
+// Name a provider by its host, so logs, metrics and health reports don't show API
+// keys carried in URLs
+function nameProvider(url, index) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return `provider-${index + 1}`;
+    }
+}
+
+// Create a pool of HTTP JSON-RPC providers ({ url, name, priority, weight }). chainId
+// pins the chain; without it, the first chain ID a provider reports is pinned. Reads
+// and raw transaction broadcasts are retried up to retries times on other providers,
+// with exponential backoff from retryDelay. A failing provider is skipped for cooldown
+// ms, and probed again every healthInterval ms once start is called. Signed
+// transactions are tracked until they have a receipt, and broadcast again to the
+// provider the pool fails over to. pool.provider is handed to Web3
+function createProviderPool({
+    providers: entries,
+    chainId = null,
+    retries = 2,
+    retryDelay = 200,
+    timeout = 10000,
+    cooldown = 30000,
+    healthInterval = 15000,
+    pendingTtl = 3600000,
+    onProviderError = null,
+    onFailover = null
+}) {
+    if (!entries || entries.length === 0) {
+        throw new Error('The provider pool needs at least one provider');
+    }
+    
+    const names = new Set();
+    const providers = entries.map((entry, index) => {
+        let name = entry.name || nameProvider(entry.url, index);
+        if (names.has(name)) {
+            name = `${name}#${index + 1}`;
+        }
+        names.add(name);
+        
+        return {
+            url: entry.url,
+            name,
+            priority: entry.priority || 0,
+            weight: entry.weight || 1,
+            status: 'unverified',
+            chainId: null,
+            verifying: null,
+            downUntil: 0,
+            failures: 0,
+            latencyMs: null,
+            lastError: null
+        };
+    });
+    
+    let pinnedChainId = chainId;
+    let active = null;
+    let nextId = 1;
+    let healthTimer = null;
+    
+    // Signed transactions waiting for a receipt, by hash
+    const pending = new Map();
+    
+    // Build a JSON-RPC request of the pool's own
+    function buildPayload(method, params = []) {
+        return { jsonrpc: '2.0', id: `pool-${nextId++}`, method, params };
+    }
+    
+    // Send a JSON-RPC payload to one provider over HTTP. Network errors, timeouts,
+    // rate limits and server errors throw; JSON-RPC errors (such as reverts) are the
+    // node's answer and are returned
+    async function post(provider, payload) {
+        let response;
+        try {
+            response = await fetch(provider.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: AbortSignal.timeout(timeout)
+            });
+        } catch (error) {
+            const reason = error.name === 'TimeoutError' ?
+                `timed out after ${timeout} ms` :
+                (error.cause && error.cause.code) || error.message;
+            throw createProviderError(`${provider.name}: ${reason}`, error);
+        }
+        
+        if (response.status === 429 || response.status >= 500) {
+            throw createProviderError(`${provider.name}: HTTP ${response.status}${response.status === 429 ? ' (rate limited)' : ''}`);
+        }
+        
+        let body;
+        try {
+            body = await response.json();
+        } catch (error) {
+            throw createProviderError(`${provider.name}: HTTP ${response.status} without a JSON-RPC response`, error);
+        }
+        
+        const responses = Array.isArray(body) ? body : [body];
+        const limited = responses.find(item => item && item.error && (item.error.code === 429 || RATE_LIMIT_PATTERN.test(item.error.message || '')));
+        if (limited) {
+            throw createProviderError(`${provider.name}: ${limited.error.message || 'rate limited'}`);
+        }
+        return body;
+    }
+    
+    // Check that a provider is on the pinned chain. A provider on another chain is
+    // marked mismatched and never used again, so nothing is signed for the wrong network
+    function verify(provider) {
+        if (!provider.verifying) {
+            provider.verifying = (async () => {
+                const startedAt = Date.now();
+                const response = await post(provider, buildPayload('eth_chainId'));
+                if (response.error || response.result === undefined) {
+                    throw createProviderError(`${provider.name}: eth_chainId failed${response.error ? `: ${response.error.message}` : ''}`);
+                }
+                
+                const reported = Number(response.result);
+                if (pinnedChainId === null) {
+                    pinnedChainId = reported;
+                }
+                provider.chainId = reported;
+                
+                if (reported !== pinnedChainId) {
+                    provider.status = 'mismatched';
+                    provider.lastError = `Provider is on chain ${reported}, not ${pinnedChainId}`;
+                    logger.error('RPC provider is on the wrong chain and will not be used', {
+                        provider: provider.name,
+                        chainId: reported,
+                        expected: pinnedChainId
+                    });
+                    throw createProviderError(`${provider.name}: ${provider.lastError}`);
+                }
+                markUp(provider, Date.now() - startedAt);
+            })().finally(() => {
+                provider.verifying = null;
+            });
+        }
+        return provider.verifying;
+    }
+    
+    // Record a provider passing its chain ID check
+    function markUp(provider, latencyMs) {
+        if (provider.status === 'down') {
+            logger.info('RPC provider recovered', { provider: provider.name });
+        }
+        provider.status = 'healthy';
+        provider.failures = 0;
+        provider.latencyMs = latencyMs;
+        provider.lastError = null;
+    }
+    
+    // Record a provider failing, skipping it for the cooldown
+    function markDown(provider, error) {
+        if (provider.status === 'mismatched') {
+            return;
+        }
+        if (provider.status !== 'down') {
+            logger.warn('RPC provider failed', { provider: provider.name, error });
+        }
+        provider.status = 'down';
+        provider.failures++;
+        provider.downUntil = Date.now() + cooldown;
+        provider.lastError = error.message;
+        if (onProviderError) {
+            onProviderError(provider.name, error);
+        }
+    }
+    
+    // Pick the provider for a request, skipping the ones that already failed it: the
+    // lowest priority of the available ones, then by weight. When every provider is
+    // cooling down, the one that recovers first is tried rather than none
+    function pickProvider(excluded) {
+        const now = Date.now();
+        const usable = providers.filter(provider => provider.status !== 'mismatched' && !excluded.has(provider));
+        const available = usable.filter(provider => provider.status !== 'down' || now >= provider.downUntil);
+        const candidates = available.length > 0 ? available : usable.sort((a, b) => a.downUntil - b.downUntil).slice(0, 1);
+        if (candidates.length === 0) {
+            return null;
+        }
+        
+        const priority = Math.min(...candidates.map(provider => provider.priority));
+        const tier = candidates.filter(provider => provider.priority === priority);
+        let point = Math.random() * tier.reduce((sum, provider) => sum + provider.weight, 0);
+        return tier.find(provider => (point -= provider.weight) < 0) || tier[tier.length - 1];
+    }
+    
+    // Send the signed transactions still waiting for a receipt to a provider. Errors
+    // are ignored: the node may already have them, or they were mined or replaced
+    async function rebroadcast(provider) {
+        const now = Date.now();
+        pending.forEach((transaction, hash) => {
+            if (now - transaction.sentAt > pendingTtl) {
+                pending.delete(hash);
+            }
+        });
+        
+        await Promise.all([...pending.values()].map(transaction => post(provider, buildPayload('eth_sendRawTransaction', [transaction.raw])).catch(() => null)));
+        if (pending.size > 0) {
+            logger.info('Rebroadcast pending transactions to the fallback provider', { provider: provider.name, transactions: pending.size });
+        }
+    }
+    
+    // Make a provider the active one. Taking over from a provider that failed is a
+    // failover: the pending transactions it had are broadcast again
+    async function setActive(provider) {
+        const previous = active;
+        active = provider;
+        if (!previous || previous === provider || previous.status === 'healthy') {
+            return;
+        }
+        
+        logger.warn('RPC provider failover', { from: previous.name, to: provider.name });
+        if (onFailover) {
+            onFailover(previous.name, provider.name);
+        }
+        await rebroadcast(provider);
+    }
+    
+    // Track a signed transaction until it has a receipt
+    function trackTransaction(payload) {
+        const raw = payload.params[0];
+        const hash = utils.keccak256(raw);
+        pending.set(hash, { raw, sentAt: Date.now() });
+        return hash;
+    }
+    
+    // Send a JSON-RPC request (or batch) through the pool, resolving with the JSON-RPC
+    // response. Throws a provider error when no provider could answer
+    async function request(payload) {
+        const items = Array.isArray(payload) ? payload : [payload];
+        const methods = items.map(item => item.method);
+        const retryable = methods.every(method => READ_METHODS.has(method) || method === 'eth_sendRawTransaction');
+        const broadcastHash = !Array.isArray(payload) && payload.method === 'eth_sendRawTransaction' ? trackTransaction(payload) : null;
+        
+        const failed = new Set();
+        let lastError = null;
+        for (let attempt = 0; attempt <= (retryable ? retries : 0);) {
+            let provider = pickProvider(failed);
+            if (!provider && failed.size > 0) {
+                // Every provider failed this request: go around again
+                failed.clear();
+                provider = pickProvider(failed);
+            }
+            if (!provider) {
+                break;
+            }
+            
+            try {
+                if (provider.status !== 'healthy') {
+                    await verify(provider);
+                }
+                
+                const startedAt = Date.now();
+                let response = await post(provider, payload);
+                provider.latencyMs = Date.now() - startedAt;
+                
+                // A broadcast retried after a failed attempt may find the transaction
+                // already sent: answer with its hash, so it is not sent again with a new nonce
+                if (broadcastHash && attempt > 0 && response.error && ALREADY_SENT_PATTERN.test(response.error.message || '')) {
+                    response = { jsonrpc: '2.0', id: payload.id, result: broadcastHash };
+                }
+                if (!Array.isArray(payload) && payload.method === 'eth_getTransactionReceipt' && response.result) {
+                    pending.delete(String(payload.params[0]).toLowerCase());
+                }
+                
+                await setActive(provider);
+                return response;
+            } catch (error) {
+                lastError = error;
+                failed.add(provider);
+                if (provider.status === 'mismatched') {
+                    // Not an attempt: the request was never sent
+                    continue;
+                }
+                markDown(provider, error);
+                attempt++;
+                if (retryable && attempt <= retries) {
+                    await sleep(retryDelay * 2 ** (attempt - 1));
+                }
+            }
+        }
+        
+        throw createProviderError(
+            lastError ?
+                `No RPC provider could serve ${methods.join(', ')}: ${lastError.message}` :
+                `No RPC provider is on chain ${pinnedChainId}`,
+            lastError
+        );
+    }
+    
+    // Check every provider that isn't mismatched: its chain ID, and that it answers.
+    // Resolves with the status of each
+    async function probe() {
+        await Promise.all(providers
+            .filter(provider => provider.status !== 'mismatched')
+            .map(provider => verify(provider).catch(error => markDown(provider, error))));
+        return getStatus();
+    }
+    
+    // Get the status of each provider: unverified, healthy, down or mismatched
+    function getStatus() {
+        return providers.map(provider => ({
+            name: provider.name,
+            priority: provider.priority,
+            weight: provider.weight,
+            status: provider.status,
+            active: provider === active,
+            chainId: provider.chainId,
+            latencyMs: provider.latencyMs,
+            failures: provider.failures,
+            lastError: provider.lastError
+        }));
+    }
+    
+    // Probe the providers now and every healthInterval ms
+    function start() {
+        if (healthTimer) {
+            return;
+        }
+        healthTimer = setInterval(() => probe(), healthInterval);
+        healthTimer.unref();
+        probe();
+    }
+    
+    // Stop probing the providers
+    function stop() {
+        clearInterval(healthTimer);
+        healthTimer = null;
+    }
+    
+    return {
+        // EIP-1193 provider for Web3, resolving with JSON-RPC responses
+        provider: {
+            async request(payload) {
+                return request(payload);
+            }
+        },
+        request,
+        probe,
+        getStatus,
+        getChainId: () => pinnedChainId,
+        start,
+        stop
+    };
+}
+
+module.exports = {
+    READ_METHODS,
+    createProviderPool
+};
@@ -0,0 +1,120 @@
+// Deploying the election factory and provisioning elections with candidates and
+// voters, shared by the deploy CLI and dev mode
+const fs = require('fs');
+const { Web3 } = require('web3');
+const yaml = require('js-yaml');
+const { parseVoterJson } = require('./voterList');
+const { EMPTY_HASH } = require('./contentStore');
+
+// Voting method names, in the order of the VotingMethod enum in Voting.sol
+const VOTING_METHODS = ['plurality', 'approval', 'rankedChoice', 'weighted'];
+
+// Send a transaction with a 20% gas buffer, resolving with its receipt
+async function sendTransaction(web3, { from, to, data }) {
+    const gasEstimate = await web3.eth.estimateGas({ from, to, data });
+    return web3.eth.sendTransaction({ from, to, data, gas: gasEstimate + gasEstimate / BigInt(5) });
+}
+
+// Decode the first log of an event in a receipt
+function decodeEvent(web3, abi, receipt, name) {
+    const event = abi.find(item => item.type === 'event' && item.name === name);
+    const signature = web3.eth.abi.encodeEventSignature(event);
+    const log = receipt.logs.find(item => item.topics[0] === signature);
+    return web3.eth.abi.decodeLog(event.inputs, log.data, log.topics.slice(1));
+}
+
+// Deploy the election factory from its build ({ abi, bytecode }), resolving with the receipt
+async function deployFactory(web3, account, factoryBuild) {
+    const factoryContract = new web3.eth.Contract(factoryBuild.abi);
+    return sendTransaction(web3, {
+        from: account.address,
+        data: factoryContract.deploy({ data: factoryBuild.bytecode }).encodeABI()
+    });
+}
+
+// Create an election through the factory, returning its manifest entry
+async function createElection(web3, factory, account, { name, votingMethod = 'plurality', secretBallot = false, revealDurationInMinutes = 0 }) {
+    const receipt = await sendTransaction(web3, {
+        from: account.address,
+        to: factory.options.address,
+        data: factory.methods.createElection(name, VOTING_METHODS.indexOf(votingMethod), secretBallot, revealDurationInMinutes).encodeABI()
+    });
+    const created = decodeEvent(web3, factory.options.jsonInterface, receipt, 'ElectionCreated');
+    
+    return {
+        id: Number(created.electionId),
+        name,
+        address: created.election,
+        votingMethod,
+        secretBallot,
+        blockNumber: Number(receipt.blockNumber),
+        transactionHash: receipt.transactionHash
+    };
+}
+
+// Read and check an election file (JSON, or YAML by its extension). A name is only
+// required when the file creates the election
+function loadElectionFile(file, creating) {
+    const content = fs.readFileSync(file, 'utf8');
+    const definition = /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+    
+    if (!definition || typeof definition !== 'object') {
+        throw new Error(`${file} does not describe an election`);
+    }
+    if (creating && (typeof definition.name !== 'string' || !definition.name)) {
+        throw new Error(`${file} needs an election name`);
+    }
+    if (definition.votingMethod !== undefined && !VOTING_METHODS.includes(definition.votingMethod)) {
+        throw new Error(`Voting method must be one of ${VOTING_METHODS.join(', ')}`);
+    }
+    if (definition.candidates !== undefined && (!Array.isArray(definition.candidates) || definition.candidates.some(candidate => !candidate || !candidate.name))) {
+        throw new Error('Candidates must be a list of objects with a name');
+    }
+    
+    const voters = parseVoterJson(definition.voters || []);
+    if (!voters) {
+        throw new Error('Voters must be a list of addresses, or of objects with an address and weight');
+    }
+    const invalid = voters.filter(voter => !Web3.utils.isAddress(voter.address));
+    if (invalid.length > 0) {
+        throw new Error(`Invalid voter addresses: ${invalid.map(voter => voter.address).join(', ')}`);
+    }
+    
+    return { ...definition, candidates: definition.candidates || [], voters };
+}
+
+// Add candidates to an election, then register voters ({ address, weight }) in batches.
+// Weights are only sent to weighted elections. onProgress gets a message per transaction
+async function seedElection(web3, voting, account, { candidates = [], voters = [] }, { batchSize = 100, onProgress = () => {} } = {}) {
+    const to = voting.options.address;
+    
+    for (const { name, party = '', proposal = '' } of candidates) {
+        await sendTransaction(web3, {
+            from: account.address,
+            to,
+            data: voting.methods.addCandidate(name, party, proposal, EMPTY_HASH).encodeABI()
+        });
+        onProgress(`Added candidate: ${name}`);
+    }
+    
+    const isWeighted = Number(await voting.methods.votingMethod().call()) === VOTING_METHODS.indexOf('weighted');
+    for (let i = 0; i < voters.length; i += batchSize) {
+        const chunk = voters.slice(i, i + batchSize);
+        const addresses = chunk.map(voter => voter.address);
+        const method = isWeighted ?
+            voting.methods.registerVotersWithWeights(addresses, chunk.map(voter => voter.weight || '1')) :
+            voting.methods.registerVoters(addresses);
+        
+        await sendTransaction(web3, { from: account.address, to, data: method.encodeABI() });
+        onProgress(`Registered voters ${i + 1} to ${i + chunk.length} of ${voters.length}`);
+    }
+}
+
+module.exports = {
+    VOTING_METHODS,
+    sendTransaction,
+    deployFactory,
+    createElection,
+    loadElectionFile,
+    seedElection
+};
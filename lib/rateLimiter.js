@@ -0,0 +1,60 @@
+// Rate limiting: requests are counted per client key in fixed windows, in memory
+
+// Create a rate limiter counting requests in windows of windowMs
+function createRateLimiter({ windowMs = 60000 } = {}) {
+    const windows = new Map();
+    let sweptAt = Date.now();
+    
+    // Drop the counters of windows that have ended, at most once per window
+    function sweep(now) {
+        if (now - sweptAt < windowMs) {
+            return;
+        }
+        sweptAt = now;
+        windows.forEach((window, key) => {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        });
+    }
+    
+    // Get the current window of a key, starting a new one when the last has ended
+    function getWindow(key, now) {
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(key, window);
+        }
+        return window;
+    }
+    
+    // Count a request against limits ({ key, limit }), such as a client's limit on
+    // all requests and its stricter one on writes. The request is only counted
+    // when every limit allows it. Returns { allowed, limit, remaining, resetAt } of
+    // the limit closest to running out
+    function consume(limits) {
+        const now = Date.now();
+        sweep(now);
+        
+        const entries = limits.map(({ key, limit }) => ({ limit, window: getWindow(key, now) }));
+        const allowed = entries.every(({ limit, window }) => window.count < limit);
+        if (allowed) {
+            entries.forEach(({ window }) => {
+                window.count++;
+            });
+        }
+        
+        const tightest = entries
+            .map(({ limit, window }) => ({ limit, remaining: Math.max(limit - window.count, 0), resetAt: window.resetAt }))
+            .sort((a, b) => a.remaining - b.remaining || b.resetAt - a.resetAt)[0];
+        return { allowed, ...tightest };
+    }
+    
+    return {
+        consume
+    };
+}
+
+module.exports = {
+    createRateLimiter
+};
@@ -0,0 +1,126 @@
+// In-memory cache of election reads. Each entry lists the contract events that change
+// it and is dropped once a new block carries one of them for its election; entries
+// that change with time alone (such as the election phase) are dropped on every check
+// of the chain head
+
+// Create the cache. The chain head is checked at most once per pollInterval, and on
+// every read after expire() (called when the API's own transactions are mined)
+function createReadCache({ web3, votingABI, pollInterval = 1000, maxEntries = 1000 }) {
+    const eventNames = new Map();
+    votingABI.filter(item => item.type === 'event').forEach(item => {
+        eventNames.set(web3.eth.abi.encodeEventSignature(item), item.name);
+    });
+    
+    const entries = new Map();
+    let head = null;
+    let checkedAt = 0;
+    let syncing = null;
+    
+    // Drop the entries changed by the events of the blocks after the cached head
+    async function invalidate(fromBlock, toBlock) {
+        const addresses = [...new Set([...entries.values()].map(entry => entry.address))];
+        let logs;
+        try {
+            logs = await web3.eth.getPastLogs({ address: addresses, fromBlock, toBlock });
+        } catch (error) {
+            entries.clear();
+            return;
+        }
+        
+        const changed = new Map();
+        logs.forEach(log => {
+            const address = log.address.toLowerCase();
+            if (!changed.has(address)) {
+                changed.set(address, new Set());
+            }
+            changed.get(address).add(eventNames.get(log.topics[0]));
+        });
+        
+        for (const [key, entry] of entries) {
+            const events = changed.get(entry.address);
+            if (entry.invalidatedBy && events && [...events].some(name => entry.invalidatedBy.has(name))) {
+                entries.delete(key);
+            }
+        }
+    }
+    
+    // Move the cache to the latest block. A head that went back or changed its hash
+    // means a reorg, which empties the cache
+    async function refresh() {
+        const block = await web3.eth.getBlock('latest');
+        const number = Number(block.number);
+        checkedAt = Date.now();
+        
+        if (head === null || number < head.number || (number === head.number && block.hash !== head.hash)) {
+            entries.clear();
+        } else if (number > head.number && entries.size > 0) {
+            await invalidate(head.number + 1, number);
+        }
+        
+        for (const [key, entry] of entries) {
+            if (!entry.invalidatedBy) {
+                entries.delete(key);
+            }
+        }
+        
+        head = { number, hash: block.hash };
+        return number;
+    }
+    
+    // Get the latest block number the cache reflects, refreshing it when due
+    async function sync() {
+        if (head !== null && Date.now() - checkedAt < pollInterval) {
+            return head.number;
+        }
+        if (!syncing) {
+            syncing = refresh().finally(() => {
+                syncing = null;
+            });
+        }
+        return syncing;
+    }
+    
+    // Get a read of an election as { value, blockNumber }, loading it on a miss.
+    // invalidatedBy lists the events that change it, or is null when it changes with time
+    async function read(address, name, invalidatedBy, load) {
+        const blockNumber = await sync();
+        const key = `${address.toLowerCase()}:${name}`;
+        
+        if (entries.has(key)) {
+            return { value: entries.get(key).value, blockNumber };
+        }
+        
+        const loadedAt = head.hash;
+        const value = await load();
+        
+        // A read that raced a move of the head may predate events already scanned
+        if (head.hash === loadedAt) {
+            entries.set(key, {
+                address: address.toLowerCase(),
+                value,
+                invalidatedBy: invalidatedBy && new Set(invalidatedBy)
+            });
+            
+            // Maps keep insertion order, so the first key is the oldest entry
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        }
+        
+        return { value, blockNumber };
+    }
+    
+    // Make the next read check the chain head
+    function expire() {
+        checkedAt = 0;
+    }
+    
+    return {
+        read,
+        expire
+    };
+}
+
+module.exports = {
+    createReadCache
+};
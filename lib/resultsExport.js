@@ -0,0 +1,210 @@
+// Exports of election results: a CSV table, a JSON-LD document and a printable HTML
+// certificate. Each takes a certificate ({ election, finalization, generatedAt, results })
+
+// Export formats, by the extension of the file they are served as
+const RESULT_EXPORT_FORMATS = ['csv', 'json', 'html'];
+
+// Labels of the outcomes decided under an election's result rules
+const OUTCOME_LABELS = {
+    winner: 'Winner declared',
+    tie: 'Tie',
+    noWinner: 'No candidate reached the winning threshold',
+    quorumNotMet: 'Quorum not met'
+};
+
+// Labels of the winning rules
+const WINNING_RULE_LABELS = {
+    plurality: 'Plurality (most votes)',
+    absoluteMajority: 'Absolute majority (more than 50%)',
+    supermajority: 'Supermajority'
+};
+
+// Rank candidates sorted by vote count, giving tied candidates the same position (1, 1, 3)
+function rankCandidates(candidates) {
+    return candidates.map((candidate, i) => {
+        let first = i;
+        while (first > 0 && candidates[first - 1].voteCount === candidate.voteCount) {
+            first--;
+        }
+        return { position: first + 1, ...candidate };
+    });
+}
+
+// Result of a candidate under the outcome: winner, tied or nothing
+function candidateResult(results, candidateId) {
+    if (results.winner && results.winner.id === candidateId) {
+        return 'winner';
+    }
+    return results.tied.some(candidate => candidate.id === candidateId) ? 'tied' : '';
+}
+
+// Quote a CSV cell when needed. Cells that a spreadsheet would read as a formula
+// are prefixed with a quote mark
+function escapeCsvCell(value) {
+    let cell = String(value);
+    if (/^[=+\-@\t\r]/.test(cell)) {
+        cell = `'${cell}`;
+    }
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+// Build the CSV table of results, one row per candidate
+function toResultsCsv({ results }) {
+    const rows = [['position', 'id', 'name', 'votes', 'percentage', 'result']];
+    
+    rankCandidates(results.candidates).forEach(candidate => {
+        rows.push([
+            candidate.position,
+            candidate.id,
+            candidate.name,
+            candidate.voteCount,
+            candidate.percentage,
+            candidateResult(results, candidate.id)
+        ]);
+    });
+    
+    return `${rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+// Build a schema.org JSON-LD document of the results: an ItemList of the candidates
+// by votes, about the election Event, with the outcome as additional properties
+function toResultsJsonLd({ election, finalization, generatedAt, results }) {
+    const property = (name, value) => ({ '@type': 'PropertyValue', name, value });
+    
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'ItemList',
+        name: `Results of ${election.name}`,
+        dateCreated: generatedAt,
+        itemListOrder: 'https://schema.org/ItemListOrderDescending',
+        numberOfItems: results.candidates.length,
+        about: {
+            '@type': 'Event',
+            name: election.name,
+            identifier: `eip155:${election.chainId}:${election.address}`,
+            startDate: election.startTime,
+            endDate: election.endTime
+        },
+        additionalProperty: [
+            property('votingMethod', results.votingMethod),
+            property('totalVotes', results.totalVotes),
+            ...(results.totalWeight !== undefined ? [property('totalWeight', results.totalWeight)] : []),
+            property('registeredVoters', results.registeredVoters),
+            property('turnout', results.turnout),
+            property('quorum', results.rules.quorum),
+            property('winningRule', results.rules.winningRule),
+            ...(results.rules.supermajority !== null ? [property('supermajority', results.rules.supermajority)] : []),
+            property('quorumMet', results.quorumMet),
+            property('outcome', results.outcome),
+            property('winner', results.winner ? results.winner.id : null),
+            property('tied', results.tied.map(candidate => candidate.id)),
+            property('finalizationTransaction', finalization ? finalization.transactionHash : null)
+        ],
+        itemListElement: rankCandidates(results.candidates).map(candidate => ({
+            '@type': 'ListItem',
+            position: candidate.position,
+            item: {
+                '@type': 'Person',
+                identifier: candidate.id,
+                name: candidate.name,
+                interactionStatistic: {
+                    '@type': 'InteractionCounter',
+                    interactionType: 'https://schema.org/VoteAction',
+                    userInteractionCount: candidate.voteCount
+                }
+            }
+        }))
+    };
+}
+
+// Escape text for HTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Build a printable HTML certificate of the results
+function toResultsHtml({ election, finalization, generatedAt, results }) {
+    const describeOutcome = () => {
+        if (results.outcome === 'winner') {
+            return `${OUTCOME_LABELS.winner}: ${escapeHtml(results.winner.name)}`;
+        }
+        if (results.outcome === 'tie') {
+            return `${OUTCOME_LABELS.tie} between ${results.tied.map(candidate => escapeHtml(candidate.name)).join(', ')}`;
+        }
+        return OUTCOME_LABELS[results.outcome];
+    };
+    const winningRule = results.rules.winningRule === 'supermajority' ?
+        `${WINNING_RULE_LABELS.supermajority} (at least ${results.rules.supermajority}%)` :
+        WINNING_RULE_LABELS[results.rules.winningRule];
+    const details = [
+        ['Election contract', `${escapeHtml(election.address)} (chain ${escapeHtml(election.chainId)})`],
+        ['Voting opened', escapeHtml(election.startTime)],
+        ['Voting closed', escapeHtml(election.endTime)],
+        ['Finalization transaction', finalization ?
+            `${escapeHtml(finalization.transactionHash)} (block ${escapeHtml(finalization.blockNumber)})` :
+            'Not recorded'],
+        ['Voting method', escapeHtml(results.votingMethod)],
+        ['Ballots cast', `${results.totalVotes} of ${results.registeredVoters} registered voters (${results.turnout}% turnout)`],
+        ['Quorum', `${results.rules.quorum}% of registered voters (${results.quorumMet ? 'met' : 'not met'})`],
+        ['Winning rule', winningRule]
+    ];
+    const rows = rankCandidates(results.candidates).map(candidate => `
+        <tr class="${candidateResult(results, candidate.id)}">
+          <td>${candidate.position}</td>
+          <td>${escapeHtml(candidate.name)}</td>
+          <td>${candidate.voteCount}</td>
+          <td>${candidate.percentage}%</td>
+          <td>${candidateResult(results, candidate.id)}</td>
+        </tr>`).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Certificate of Results: ${escapeHtml(election.name)}</title>
+  <style>
+    body { font-family: Georgia, serif; max-width: 48rem; margin: 2rem auto; color: #111; }
+    h1 { text-align: center; margin-bottom: 0.25rem; }
+    .subtitle { text-align: center; margin-top: 0; }
+    .outcome { text-align: center; font-size: 1.25rem; font-weight: bold; margin: 1.5rem 0; }
+    table { width: 100%; border-collapse: collapse; margin: 1rem 0; }
+    th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #ccc; word-break: break-all; }
+    tr.winner td { font-weight: bold; }
+    footer { font-size: 0.8rem; color: #555; margin-top: 2rem; }
+    @media print { body { margin: 0; } @page { margin: 2cm; } }
+  </style>
+</head>
+<body>
+  <h1>Certificate of Results</h1>
+  <p class="subtitle">${escapeHtml(election.name)}</p>
+  <p class="outcome">${describeOutcome()}</p>
+  <table>
+    <thead>
+      <tr><th>Position</th><th>Candidate</th><th>Votes</th><th>Share</th><th>Result</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table>
+    <tbody>${details.map(([label, value]) => `
+      <tr><th>${label}</th><td>${value}</td></tr>`).join('')}
+    </tbody>
+  </table>
+  <footer>Generated ${escapeHtml(generatedAt)} from the election contract's on-chain results.</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    RESULT_EXPORT_FORMATS,
+    escapeCsvCell,
+    toResultsCsv,
+    toResultsJsonLd,
+    toResultsHtml
+};
@@ -0,0 +1,198 @@
+// Sign-In With Ethereum (EIP-4361) messages and voter sessions
+const crypto = require('crypto');
+const { openStore } = require('./store');
+
+// First line of a SIWE message, with the optional scheme and the requesting domain
+const HEADER_PATTERN = /^(?:([a-zA-Z][a-zA-Z0-9+.-]*):\/\/)?(\S+) wants you to sign in with your Ethereum account:$/;
+
+// Optional fields after the nonce and issue time, in message order
+const OPTIONAL_FIELDS = [
+    ['expirationTime', 'Expiration Time'],
+    ['notBefore', 'Not Before'],
+    ['requestId', 'Request ID']
+];
+
+// Build the text of a SIWE message (for clients, scripts and tests)
+function buildSiweMessage({ scheme, domain, address, statement, uri, version = '1', chainId, nonce, issuedAt, expirationTime, notBefore, requestId, resources }) {
+    const header = `${scheme ? `${scheme}://` : ''}${domain} wants you to sign in with your Ethereum account:`;
+    const lines = [header, address, ''];
+    
+    if (statement) {
+        lines.push(statement, '');
+    } else {
+        lines.push('');
+    }
+    
+    lines.push(
+        `URI: ${uri}`,
+        `Version: ${version}`,
+        `Chain ID: ${chainId}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt}`
+    );
+    
+    const fields = { expirationTime, notBefore, requestId };
+    OPTIONAL_FIELDS.forEach(([field, label]) => {
+        if (fields[field] !== undefined && fields[field] !== null) {
+            lines.push(`${label}: ${fields[field]}`);
+        }
+    });
+    
+    if (resources && resources.length > 0) {
+        lines.push('Resources:', ...resources.map(resource => `- ${resource}`));
+    }
+    
+    return lines.join('\n');
+}
+
+// Parse a SIWE message into its fields, or return null when it is malformed.
+// A message only parses when it rebuilds to exactly the same text
+function parseSiweMessage(message) {
+    if (typeof message !== 'string') {
+        return null;
+    }
+    
+    const lines = message.split('\n');
+    const header = HEADER_PATTERN.exec(lines[0] || '');
+    const uriIndex = lines.findIndex(line => line.startsWith('URI: '));
+    if (!header || uriIndex < 4) {
+        return null;
+    }
+    
+    const statement = lines.slice(3, uriIndex - 1).join('\n');
+    const values = {};
+    let resources;
+    
+    for (let i = uriIndex; i < lines.length; i++) {
+        if (lines[i] === 'Resources:') {
+            resources = lines.slice(i + 1).map(line => line.replace(/^- /, ''));
+            break;
+        }
+        const match = /^([A-Za-z ]+): (.*)$/.exec(lines[i]);
+        if (!match) {
+            return null;
+        }
+        values[match[1]] = match[2];
+    }
+    
+    const fields = {
+        scheme: header[1],
+        domain: header[2],
+        address: lines[1],
+        statement: statement || undefined,
+        uri: values.URI,
+        version: values.Version,
+        chainId: Number(values['Chain ID']),
+        nonce: values.Nonce,
+        issuedAt: values['Issued At'],
+        expirationTime: values['Expiration Time'],
+        notBefore: values['Not Before'],
+        requestId: values['Request ID'],
+        resources
+    };
+    
+    return buildSiweMessage(fields) === message ? fields : null;
+}
+
+// Hash a session token; only hashes are stored
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create the session manager: one-time sign-in nonces and bearer session tokens.
+// Nonces only live for minutes, so they are kept in memory; sessions are stored
+function createSessionManager({ sessionTtl = 3600000, nonceTtl = 600000, storeName = 'sessions' } = {}) {
+    const store = openStore(storeName, { sessions: {} });
+    const nonces = new Map();
+    
+    // Drop expired nonces and sessions
+    function prune() {
+        const now = Date.now();
+        
+        for (const [nonce, expiresAt] of nonces) {
+            if (expiresAt <= now) {
+                nonces.delete(nonce);
+            }
+        }
+        
+        Object.keys(store.data.sessions).forEach(key => {
+            if (Date.parse(store.data.sessions[key].expiresAt) <= now) {
+                delete store.data.sessions[key];
+            }
+        });
+    }
+    
+    // Issue a sign-in nonce
+    function issueNonce() {
+        prune();
+        const nonce = crypto.randomBytes(12).toString('hex');
+        const expiresAt = Date.now() + nonceTtl;
+        nonces.set(nonce, expiresAt);
+        
+        return { nonce, expiresAt: new Date(expiresAt).toISOString() };
+    }
+    
+    // Use up a nonce. Returns false when it was never issued, already used or expired
+    function consumeNonce(nonce) {
+        const expiresAt = nonces.get(nonce);
+        nonces.delete(nonce);
+        return expiresAt !== undefined && expiresAt > Date.now();
+    }
+    
+    // Start a session for a verified address. The token is only returned here
+    function createSession({ address, chainId, expiresAt }) {
+        prune();
+        const token = crypto.randomBytes(32).toString('base64url');
+        const session = {
+            address,
+            chainId,
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(Math.min(Date.now() + sessionTtl, expiresAt || Infinity)).toISOString()
+        };
+        
+        store.data.sessions[hashToken(token)] = session;
+        store.save();
+        
+        return { token, ...session };
+    }
+    
+    // Get the session of a token, or null when it is unknown or expired
+    function authenticate(token) {
+        if (typeof token !== 'string' || !token) {
+            return null;
+        }
+        
+        const session = store.data.sessions[hashToken(token)];
+        if (!session || Date.parse(session.expiresAt) <= Date.now()) {
+            return null;
+        }
+        
+        return session;
+    }
+    
+    // End the session of a token
+    function revoke(token) {
+        const key = hashToken(token);
+        if (!store.data.sessions[key]) {
+            return false;
+        }
+        
+        delete store.data.sessions[key];
+        store.save();
+        return true;
+    }
+    
+    return {
+        issueNonce,
+        consumeNonce,
+        createSession,
+        authenticate,
+        revoke
+    };
+}
+
+module.exports = {
+    buildSiweMessage,
+    parseSiweMessage,
+    createSessionManager
+};
@@ -0,0 +1,49 @@
+// Local embedded storage: one JSON document per store under DATA_DIR
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding the store files
+function getDataDir() {
+    return path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+}
+
+// Open a named store, creating it from the defaults when missing or unreadable.
+// Callers mutate store.data and call store.save() to persist it
+function openStore(name, defaults = {}) {
+    const dataDir = getDataDir();
+    const filePath = path.join(dataDir, `${name}.json`);
+    
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        data = JSON.parse(JSON.stringify(defaults));
+    }
+    
+    const store = {
+        data,
+        
+        // Write the document atomically (write to a temp file, then rename)
+        save() {
+            if (!fs.existsSync(dataDir)) {
+                fs.mkdirSync(dataDir, { recursive: true });
+            }
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(store.data));
+            fs.renameSync(tempPath, filePath);
+        },
+        
+        // Replace the document with the defaults
+        reset() {
+            store.data = JSON.parse(JSON.stringify(defaults));
+            store.save();
+        }
+    };
+    
+    return store;
+}
+
+module.exports = {
+    getDataDir,
+    openStore
+};
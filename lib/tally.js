@@ -0,0 +1,107 @@
+// Off-chain counting of ranked ballots, which the contract stores but does not count in rounds
+
+// Count ranked ballots by instant runoff. Each round counts every ballot for its
+// highest-ranked candidate still standing; a candidate with a majority of the
+// continuing ballots wins, otherwise the candidates with the fewest votes are
+// eliminated together. Ballots ranking no remaining candidate are exhausted
+function tallyInstantRunoff(candidateIds, ballots) {
+    const standing = new Set(candidateIds);
+    const rounds = [];
+    
+    while (standing.size > 0) {
+        const votes = new Map([...standing].map(candidateId => [candidateId, 0]));
+        let exhausted = 0;
+        
+        for (const ballot of ballots) {
+            const choice = ballot.find(candidateId => standing.has(candidateId));
+            if (choice === undefined) {
+                exhausted++;
+            } else {
+                votes.set(choice, votes.get(choice) + 1);
+            }
+        }
+        
+        const continuing = ballots.length - exhausted;
+        const counts = [...votes.values()];
+        const most = Math.max(...counts);
+        const fewest = Math.min(...counts);
+        const round = {
+            round: rounds.length + 1,
+            votes: [...votes.entries()].map(([candidateId, count]) => ({ candidateId, votes: count })),
+            exhausted,
+            eliminated: []
+        };
+        rounds.push(round);
+        
+        if (continuing === 0) {
+            return { winner: null, tied: [], rounds };
+        }
+        
+        const leaders = [...votes.keys()].filter(candidateId => votes.get(candidateId) === most);
+        
+        if (most * 2 > continuing) {
+            return { winner: leaders[0], tied: [], rounds };
+        }
+        
+        // Every remaining candidate has the same count: nobody can be eliminated
+        if (most === fewest) {
+            return { winner: null, tied: leaders, rounds };
+        }
+        
+        round.eliminated = [...votes.keys()].filter(candidateId => votes.get(candidateId) === fewest);
+        round.eliminated.forEach(candidateId => standing.delete(candidateId));
+    }
+    
+    return { winner: null, tied: [], rounds };
+}
+
+// Format count / base as a percentage with two decimals, rounding half up. Integer
+// arithmetic keeps it exact, so the same counts always give the same figures
+function formatPercentage(count, base) {
+    if (BigInt(base) <= 0n) {
+        return '0.00';
+    }
+    
+    const hundredths = (BigInt(count) * 20000n + BigInt(base)) / (2n * BigInt(base));
+    return `${hundredths / 100n}.${String(hundredths % 100n).padStart(2, '0')}`;
+}
+
+// Decide the outcome of a count under an election's result rules. candidates are
+// { id, votes }; base is what vote shares are of (ballots, weight, or the continuing
+// ballots of a final runoff round); ballots and registeredVoters give the turnout the
+// quorum is checked against. Shares are in basis points. The outcome is 'quorumNotMet',
+// 'tie' when several candidates share the most votes, 'noWinner' when nobody has
+// votes or the leader lacks the support the winning rule asks for, or 'winner'
+function decideOutcome({ candidates, base, ballots, registeredVoters, quorumBasisPoints = 0, winningRule = 'plurality', supermajorityBasisPoints = 0 }) {
+    const quorumMet = BigInt(ballots) * 10000n >= BigInt(quorumBasisPoints) * BigInt(registeredVoters);
+    if (!quorumMet) {
+        return { outcome: 'quorumNotMet', quorumMet, winner: null, tied: [] };
+    }
+    
+    const most = Math.max(0, ...candidates.map(candidate => candidate.votes));
+    const leaders = candidates.filter(candidate => candidate.votes === most).map(candidate => candidate.id);
+    
+    if (most === 0) {
+        return { outcome: 'noWinner', quorumMet, winner: null, tied: [] };
+    }
+    if (leaders.length > 1) {
+        return { outcome: 'tie', quorumMet, winner: null, tied: leaders };
+    }
+    
+    let supported = true;
+    if (winningRule === 'absoluteMajority') {
+        supported = BigInt(most) * 2n > BigInt(base);
+    } else if (winningRule === 'supermajority') {
+        supported = BigInt(most) * 10000n >= BigInt(supermajorityBasisPoints) * BigInt(base);
+    }
+    
+    return supported ?
+        { outcome: 'winner', quorumMet, winner: leaders[0], tied: [] } :
+        { outcome: 'noWinner', quorumMet, winner: null, tied: [] };
+}
+
+module.exports = {
+    tallyInstantRunoff,
+    formatPercentage,
+    decideOutcome
+};
@@ -0,0 +1,386 @@
+// Transaction manager: per-account nonce queue, gas bumping retries and persistent job records
+const crypto = require('crypto');
+const { openStore } = require('./store');
+const { decodeRevertReason, isRevert } = require('./errors');
+
+// Raise a fee by a percentage, using BigInt arithmetic
+function bumpValue(value, percent) {
+    return (BigInt(value) * BigInt(100 + percent) + 99n) / 100n;
+}
+
+// Pause between receipt polls
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Create a transaction manager for the given signer wallets ({ address, privateKey }).
+// Confirmed and failed jobs beyond jobLimit are dropped, oldest first
+function createTransactionManager({
+    web3,
+    signers,
+    gasMultiplier = 1.2,
+    bumpPercent = 20,
+    maxAttempts = 5,
+    confirmationTimeout = 60000,
+    pollInterval = 1000,
+    storeName = 'transactions',
+    jobLimit = 1000,
+    onSettled = null
+}) {
+    const store = openStore(storeName, { jobs: {} });
+    const privateKeys = new Map();
+    signers
+        .filter(signer => signer.address && signer.privateKey)
+        .forEach(signer => privateKeys.set(signer.address.toLowerCase(), signer.privateKey));
+    
+    // Next nonce and send queue per account
+    const nonces = new Map();
+    const queues = new Map();
+    
+    // Persist a job record
+    function saveJob(job) {
+        job.updatedAt = new Date().toISOString();
+        store.data.jobs[job.id] = job;
+        store.save();
+    }
+    
+    // Drop the oldest settled jobs beyond the job limit
+    function prune() {
+        const settled = Object.values(store.data.jobs)
+            .filter(job => job.status === 'confirmed' || job.status === 'failed')
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        settled.slice(jobLimit).forEach(job => delete store.data.jobs[job.id]);
+    }
+    
+    // Persist a job that was confirmed or failed, and tell the onSettled listener
+    function settleJob(job) {
+        job.updatedAt = new Date().toISOString();
+        store.data.jobs[job.id] = job;
+        prune();
+        store.save();
+        if (onSettled) {
+            onSettled(job);
+        }
+    }
+    
+    // Run a task after the tasks already queued for an account
+    function enqueue(account, task) {
+        const key = account.toLowerCase();
+        const run = (queues.get(key) || Promise.resolve()).then(task);
+        queues.set(key, run.catch(() => {}));
+        return run;
+    }
+    
+    // Current network fees: EIP-1559 fee fields when the chain has a base fee, else a legacy gas price
+    async function getNetworkFees() {
+        const block = await web3.eth.getBlock('latest');
+        
+        if (block.baseFeePerGas !== undefined && block.baseFeePerGas !== null) {
+            const maxPriorityFeePerGas = BigInt(await web3.eth.getMaxPriorityFeePerGas());
+            return {
+                maxPriorityFeePerGas,
+                maxFeePerGas: BigInt(block.baseFeePerGas) * 2n + maxPriorityFeePerGas
+            };
+        }
+        
+        return { gasPrice: BigInt(await web3.eth.getGasPrice()) };
+    }
+    
+    // Estimate the gas of a transaction, and the gas limit a job sends it with
+    async function estimateGas({ from, to, data }) {
+        const estimate = BigInt(await web3.eth.estimateGas({ from, to, data }));
+        return { estimate, limit: BigInt(Math.round(Number(estimate) * gasMultiplier)) };
+    }
+    
+    // Fees for a replacement: at least bumpPercent above the previous attempt
+    async function getReplacementFees(previous) {
+        const network = await getNetworkFees();
+        const fees = {};
+        
+        for (const field of Object.keys(network)) {
+            const bumped = previous[field] !== undefined ? bumpValue(previous[field], bumpPercent) : 0n;
+            fees[field] = network[field] > bumped ? network[field] : bumped;
+        }
+        
+        return fees;
+    }
+    
+    // Sign and broadcast one attempt of a job
+    async function broadcast(job, fees) {
+        const privateKey = privateKeys.get(job.from.toLowerCase());
+        if (!privateKey) {
+            throw new Error(`No signer is configured for ${job.from}`);
+        }
+        
+        const tx = {
+            from: job.from,
+            to: job.to,
+            data: job.data,
+            gas: job.gas,
+            nonce: job.nonce.toString()
+        };
+        Object.keys(fees).forEach(field => {
+            tx[field] = fees[field].toString();
+        });
+        
+        const signedTx = await web3.eth.accounts.signTransaction(tx, privateKey);
+        
+        try {
+            await web3.requestManager.send({
+                method: 'eth_sendRawTransaction',
+                params: [signedTx.rawTransaction]
+            });
+        } catch (error) {
+            if (!/already known/i.test(decodeRevertReason(error))) {
+                throw error;
+            }
+        }
+        
+        const feeRecord = {};
+        Object.keys(fees).forEach(field => {
+            feeRecord[field] = fees[field].toString();
+        });
+        job.attempts.push({
+            transactionHash: signedTx.transactionHash,
+            fees: feeRecord,
+            sentAt: new Date().toISOString()
+        });
+        job.transactionHash = signedTx.transactionHash;
+        job.status = 'pending';
+        saveJob(job);
+    }
+    
+    // Assign the account's next nonce to a job and send its first attempt
+    async function sendFirstAttempt(job) {
+        const key = job.from.toLowerCase();
+        
+        for (let retry = 0; ; retry++) {
+            if (!nonces.has(key)) {
+                nonces.set(key, Number(await web3.eth.getTransactionCount(job.from, 'pending')));
+            }
+            job.nonce = nonces.get(key);
+            
+            try {
+                await broadcast(job, await getNetworkFees());
+                nonces.set(key, job.nonce + 1);
+                return;
+            } catch (error) {
+                // Resynchronize the nonce from the chain on the next send
+                nonces.delete(key);
+                if (retry === 0 && /nonce too low/i.test(decodeRevertReason(error))) {
+                    continue;
+                }
+                throw error;
+            }
+        }
+    }
+    
+    // Get the receipt of any attempt of a job
+    async function findReceipt(job) {
+        for (const attempt of [...job.attempts].reverse()) {
+            try {
+                const receipt = await web3.eth.getTransactionReceipt(attempt.transactionHash);
+                if (receipt) {
+                    return receipt;
+                }
+            } catch (error) {
+                if (error.constructor.name !== 'TransactionNotFound') {
+                    throw error;
+                }
+            }
+        }
+        return null;
+    }
+    
+    // Record a mined receipt, decoding the revert reason of failed transactions
+    async function finalize(job, receipt) {
+        job.transactionHash = receipt.transactionHash;
+        job.receipt = {
+            transactionHash: receipt.transactionHash,
+            blockNumber: Number(receipt.blockNumber),
+            blockHash: receipt.blockHash,
+            gasUsed: receipt.gasUsed.toString(),
+            effectiveGasPrice: receipt.effectiveGasPrice !== undefined ? receipt.effectiveGasPrice.toString() : null,
+            status: Number(receipt.status) === 1,
+            logs: receipt.logs.map(log => ({
+                address: log.address,
+                topics: log.topics,
+                data: log.data,
+                logIndex: Number(log.logIndex)
+            }))
+        };
+        
+        // Look up the revert reason before marking the job failed, so it is never
+        // read as failed without one
+        if (job.receipt.status) {
+            job.status = 'confirmed';
+        } else {
+            try {
+                await web3.eth.call({ from: job.from, to: job.to, data: job.data, gas: job.gas }, receipt.blockNumber);
+                job.revertReason = null;
+            } catch (error) {
+                job.revertReason = decodeRevertReason(error);
+            }
+            job.error = job.revertReason || 'Transaction reverted';
+            job.status = 'failed';
+        }
+        
+        settleJob(job);
+    }
+    
+    // Wait for a job to be mined, replacing it with higher fees when it is stuck
+    async function waitForConfirmation(job) {
+        let deadline = Date.now() + confirmationTimeout;
+        let previousFees = job.attempts[job.attempts.length - 1].fees;
+        let sends = job.attempts.length;
+        
+        for (;;) {
+            const receipt = await findReceipt(job);
+            if (receipt) {
+                await finalize(job, receipt);
+                return;
+            }
+            
+            if (Date.now() > deadline) {
+                if (sends >= maxAttempts) {
+                    // The last attempt may have been mined since the poll; otherwise it
+                    // still holds the nonce, so the next send reads it from the chain
+                    const lastReceipt = await findReceipt(job);
+                    if (lastReceipt) {
+                        await finalize(job, lastReceipt);
+                        return;
+                    }
+                    nonces.delete(job.from.toLowerCase());
+                    throw new Error(`Transaction was not mined after ${sends} attempts`);
+                }
+                
+                const fees = await getReplacementFees(previousFees);
+                previousFees = fees;
+                sends++;
+                
+                try {
+                    await broadcast(job, fees);
+                } catch (error) {
+                    // An earlier attempt was mined (nonce too low) or the bump was
+                    // not enough (underpriced): keep polling and bump again later
+                    if (!/nonce too low|underpriced/i.test(decodeRevertReason(error))) {
+                        throw error;
+                    }
+                }
+                deadline = Date.now() + confirmationTimeout;
+            }
+            
+            await sleep(pollInterval);
+        }
+    }
+    
+    // Estimate, send and confirm a job. Estimation is queued with the send, so it
+    // runs after the account's earlier transactions were sent
+    async function run(job) {
+        try {
+            await enqueue(job.from, async () => {
+                const { limit } = await estimateGas(job);
+                job.gas = limit.toString();
+                await sendFirstAttempt(job);
+            });
+            await waitForConfirmation(job);
+        } catch (error) {
+            job.status = 'failed';
+            job.error = decodeRevertReason(error);
+            job.revertReason = isRevert(error) ? job.error : null;
+            settleJob(job);
+        }
+        
+        if (job.status === 'failed') {
+            const error = new Error(job.error);
+            error.job = job;
+            throw error;
+        }
+        
+        return job;
+    }
+    
+    // Queue a transaction. Returns the job record right away, and a completion
+    // promise resolving with the confirmed job or rejecting when it fails.
+    // requestedBy records who asked for the transaction (such as an API key)
+    function submit({ from, to, data, label, requestedBy }) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            label: label || null,
+            requestedBy: requestedBy || null,
+            status: 'queued',
+            from,
+            to,
+            data,
+            gas: null,
+            nonce: null,
+            attempts: [],
+            transactionHash: null,
+            receipt: null,
+            revertReason: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        saveJob(job);
+        
+        const completion = run(job);
+        // Callers that only keep the job ID read failures from the job record
+        completion.catch(() => {});
+        
+        return { job, completion };
+    }
+    
+    // Resume watching jobs that were pending when the process stopped. The nonce
+    // of each signer is read again from the chain before its next send
+    function resume() {
+        privateKeys.forEach((privateKey, key) => {
+            enqueue(key, async () => {
+                nonces.set(key, Number(await web3.eth.getTransactionCount(key, 'pending')));
+            }).catch(() => nonces.delete(key));
+        });
+        
+        Object.values(store.data.jobs)
+            .filter(job => job.status === 'pending' || job.status === 'queued')
+            .forEach(job => {
+                if (job.attempts.length === 0) {
+                    job.status = 'failed';
+                    job.error = 'Transaction was not sent before the server stopped';
+                    settleJob(job);
+                    return;
+                }
+                waitForConfirmation(job).catch(error => {
+                    job.status = 'failed';
+                    job.error = decodeRevertReason(error);
+                    settleJob(job);
+                });
+            });
+    }
+    
+    // Get a job record by ID
+    function getJob(id) {
+        return store.data.jobs[id] || null;
+    }
+    
+    // List job records, newest first
+    function listJobs({ status, limit = 100 } = {}) {
+        return Object.values(store.data.jobs)
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+    
+    return {
+        submit,
+        estimateGas,
+        getNetworkFees,
+        resume,
+        getJob,
+        listJobs
+    };
+}
+
+module.exports = {
+    createTransactionManager
+};
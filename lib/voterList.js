@@ -0,0 +1,98 @@
+// Parsing of voter lists uploaded for bulk registration
+
+// Split one CSV line into trimmed cells, honouring double-quoted cells
+function parseCsvLine(line) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        
+        if (char === '"') {
+            if (quoted && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (char === ',' && !quoted) {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    
+    cells.push(current.trim());
+    return cells;
+}
+
+// Read voters from CSV text. Uses the column whose header mentions "address"
+// when a header row is present, otherwise the first column, and the vote
+// weights of a "weight" column when there is one
+function parseVoterCsv(text) {
+    const rows = text.split(/\r?\n/)
+        .filter(line => line.trim() !== '')
+        .map(parseCsvLine);
+    
+    if (rows.length === 0) {
+        return [];
+    }
+    
+    let column = 0;
+    let weightColumn = -1;
+    const header = rows[0];
+    const headerColumn = header.findIndex(cell => /address/i.test(cell) && !/^0x/i.test(cell));
+    
+    if (headerColumn !== -1) {
+        column = headerColumn;
+        weightColumn = header.findIndex(cell => /^weight$/i.test(cell));
+        rows.shift();
+    }
+    
+    return rows.map(row => ({
+        address: row[column] || '',
+        weight: weightColumn !== -1 && row[weightColumn] ? row[weightColumn] : undefined
+    }));
+}
+
+// Read voters from a JSON body: { voters: [...] } or a bare array, where each
+// entry is an address string or an object with an address and optional weight
+function parseVoterJson(body) {
+    const entries = Array.isArray(body) ? body : body && body.voters;
+    
+    if (!Array.isArray(entries)) {
+        return null;
+    }
+    
+    return entries.map(entry => {
+        if (entry && typeof entry === 'object') {
+            return {
+                address: String(entry.address || entry.voterAddress || ''),
+                weight: entry.weight !== undefined ? String(entry.weight) : undefined
+            };
+        }
+        return { address: String(entry) };
+    });
+}
+
+// Read the voters ({ address, weight }) of a bulk registration request, or null
+// if the body is neither a CSV upload nor a JSON voter list
+function parseVoterList(req) {
+    if (typeof req.body === 'string') {
+        return parseVoterCsv(req.body);
+    }
+    
+    if (req.body && typeof req.body.csv === 'string') {
+        return parseVoterCsv(req.body.csv);
+    }
+    
+    return parseVoterJson(req.body);
+}
+
+module.exports = {
+    parseVoterCsv,
+    parseVoterJson,
+    parseVoterList
+};
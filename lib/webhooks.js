@@ -0,0 +1,298 @@
+// Outbound webhooks: subscriptions to election and API events, delivered as
+// HMAC-signed POSTs from a persistent queue with exponential-backoff retries
+const crypto = require('crypto');
+const { openStore } = require('./store');
+const { logger } = require('./logger');
+
+// Event types a subscription can receive
+const WEBHOOK_EVENTS = [
+    'election.started',
+    'election.scheduled',
+    'election.ended',
+    'voter.registered',
+    'candidate.added',
+    'vote.cast',
+    'ballot.cast',
+    'transaction.confirmed',
+    'transaction.failed'
+];
+
+// Sign a delivery: HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Check the signature of a delivery in constant time (for receivers)
+function verifySignature(secret, timestamp, body, signature) {
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Public fields of a subscription (never the secret)
+function describeSubscription(record) {
+    const { secret, ...subscription } = record;
+    return subscription;
+}
+
+// Create the webhook manager. A delivery is retried after baseDelay, doubling up
+// to maxDelay, and moves to the dead-letter list once maxAttempts have failed.
+// Settled deliveries beyond logLimit are dropped, oldest first
+function createWebhookManager({
+    storeName = 'webhooks',
+    maxAttempts = 8,
+    baseDelay = 1000,
+    maxDelay = 3600000,
+    timeout = 10000,
+    pollInterval = 1000,
+    concurrency = 10,
+    logLimit = 1000
+} = {}) {
+    const store = openStore(storeName, { subscriptions: {}, deliveries: {} });
+    
+    let timer = null;
+    let running = null;
+    
+    // Subscribe a URL to event types. The secret is generated when not given,
+    // and only returned here
+    function createSubscription({ url, events, secret, description }) {
+        const now = new Date().toISOString();
+        const record = {
+            id: crypto.randomUUID(),
+            url,
+            events: [...new Set(events)],
+            description: description || null,
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            createdAt: now
+        };
+        
+        store.data.subscriptions[record.id] = record;
+        store.save();
+        
+        return { subscription: describeSubscription(record), secret: record.secret };
+    }
+    
+    // List subscriptions, newest first
+    function listSubscriptions() {
+        return Object.values(store.data.subscriptions)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(describeSubscription);
+    }
+    
+    // Get a subscription by ID, or null
+    function getSubscription(id) {
+        const record = store.data.subscriptions[id];
+        return record ? describeSubscription(record) : null;
+    }
+    
+    // Delete a subscription and its undelivered deliveries
+    function deleteSubscription(id) {
+        if (!store.data.subscriptions[id]) {
+            return false;
+        }
+        
+        delete store.data.subscriptions[id];
+        Object.values(store.data.deliveries)
+            .filter(delivery => delivery.subscriptionId === id && delivery.status === 'pending')
+            .forEach(delivery => delete store.data.deliveries[delivery.id]);
+        store.save();
+        return true;
+    }
+    
+    // Drop the oldest settled deliveries beyond the log limit
+    function prune() {
+        const settled = Object.values(store.data.deliveries)
+            .filter(delivery => delivery.status !== 'pending')
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        settled.slice(logLimit).forEach(delivery => delete store.data.deliveries[delivery.id]);
+    }
+    
+    // Queue a delivery of an event to every subscription of its type
+    function publish(event, data) {
+        const now = new Date().toISOString();
+        const deliveries = Object.values(store.data.subscriptions)
+            .filter(subscription => subscription.events.includes(event))
+            .map(subscription => ({
+                id: crypto.randomUUID(),
+                subscriptionId: subscription.id,
+                event,
+                payload: data,
+                status: 'pending',
+                attempts: [],
+                attemptsLeft: maxAttempts,
+                nextAttemptAt: now,
+                deliveredAt: null,
+                createdAt: now,
+                updatedAt: now
+            }));
+        
+        if (deliveries.length === 0) {
+            return [];
+        }
+        
+        deliveries.forEach(delivery => {
+            store.data.deliveries[delivery.id] = delivery;
+        });
+        store.save();
+        
+        if (timer) {
+            run().catch(() => {});
+        }
+        return deliveries;
+    }
+    
+    // Send one attempt of a delivery, scheduling a retry or dead-lettering it on failure
+    async function attempt(delivery) {
+        const subscription = store.data.subscriptions[delivery.subscriptionId];
+        const body = JSON.stringify({
+            id: delivery.id,
+            event: delivery.event,
+            createdAt: delivery.createdAt,
+            data: delivery.payload
+        });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const started = Date.now();
+        const record = { at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: null };
+        
+        try {
+            const response = await fetch(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'voting-dapp-api-webhooks',
+                    'X-Webhook-Id': subscription.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeout)
+            });
+            record.statusCode = response.status;
+            if (!response.ok) {
+                record.error = `Endpoint responded with ${response.status}`;
+            }
+            if (response.body) {
+                await response.body.cancel();
+            }
+        } catch (error) {
+            record.error = error.name === 'TimeoutError' ? `No response within ${timeout}ms` : error.message;
+        }
+        record.durationMs = Date.now() - started;
+        
+        delivery.attempts.push(record);
+        delivery.attemptsLeft--;
+        delivery.updatedAt = new Date().toISOString();
+        
+        if (!record.error) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = delivery.updatedAt;
+            delivery.nextAttemptAt = null;
+        } else if (delivery.attemptsLeft <= 0) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+        } else {
+            const delay = Math.min(maxDelay, baseDelay * 2 ** (maxAttempts - delivery.attemptsLeft - 1));
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        }
+    }
+    
+    // Attempt the deliveries that are due, a few at a time
+    async function deliverDue() {
+        for (;;) {
+            const now = new Date().toISOString();
+            const due = Object.values(store.data.deliveries)
+                .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= now)
+                .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+                .slice(0, concurrency);
+            if (due.length === 0) {
+                return;
+            }
+            
+            await Promise.all(due.map(attempt));
+            prune();
+            store.save();
+        }
+    }
+    
+    // Deliver what is due, or join the run already in progress
+    function run() {
+        if (!running) {
+            running = deliverDue().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+    
+    // Start delivering on an interval
+    function start() {
+        if (!timer) {
+            timer = setInterval(() => run().catch(error => {
+                logger.error('Webhook delivery failed', { error });
+            }), pollInterval);
+            timer.unref();
+        }
+        
+        return run();
+    }
+    
+    // Stop delivering
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+    
+    // List deliveries, newest first, optionally of one subscription or status
+    // (failed deliveries are the dead-letter list)
+    function listDeliveries({ subscriptionId, status, limit = 100 } = {}) {
+        return Object.values(store.data.deliveries)
+            .filter(delivery => !subscriptionId || delivery.subscriptionId === subscriptionId)
+            .filter(delivery => !status || delivery.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+    
+    // Queue a dead-lettered delivery again, with a fresh set of attempts (earlier
+    // ones stay in its log). Returns null when the delivery is unknown, not failed
+    // or its subscription is gone
+    function retryDelivery(id) {
+        const delivery = store.data.deliveries[id];
+        if (!delivery || delivery.status !== 'failed' || !store.data.subscriptions[delivery.subscriptionId]) {
+            return null;
+        }
+        
+        delivery.status = 'pending';
+        delivery.attemptsLeft = maxAttempts;
+        delivery.nextAttemptAt = new Date().toISOString();
+        delivery.updatedAt = delivery.nextAttemptAt;
+        store.save();
+        
+        if (timer) {
+            run().catch(() => {});
+        }
+        return delivery;
+    }
+    
+    return {
+        createSubscription,
+        listSubscriptions,
+        getSubscription,
+        deleteSubscription,
+        publish,
+        run,
+        start,
+        stop,
+        listDeliveries,
+        retryDelivery
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    signPayload,
+    verifySignature,
+    createWebhookManager
+};
@@ -1,33 +1,59 @@
 const chai = require('chai');
 const expect = chai.expect;
 chai.use(require('chai-http'));
-const app = require('./app');
 const { Web3 } = require('web3'); 
 const dotenv = require('dotenv');
+const { signBallot } = require('./lib/ballot');
+const { buildSiweMessage } = require('./lib/siwe');
+const { buildMerkleRoot, findMismatches, hashBallot, recountBallots, verifyAuditReport } = require('./lib/audit');
+const { describeError } = require('./lib/errors');
+const { createWebhookManager, verifySignature } = require('./lib/webhooks');
+const { startDevMode, mineBlocks } = require('./lib/devMode');
+const { createHealthChecks } = require('./lib/health');
+const { createProviderPool } = require('./lib/providerPool');
+const { createRateLimiter } = require('./lib/rateLimiter');
+const { createTransactionManager } = require('./lib/txManager');
+const { createIndexer } = require('./lib/indexer');
+const { openStore } = require('./lib/store');
+const { createApiKeyStore } = require('./lib/apiKeys');
+const { createBatchReader } = require('./lib/multicall');
+const { loadNetwork } = require('./lib/deployments');
 
 dotenv.config();
 
+// Keep the API's JSON logs out of the test output unless LOG_LEVEL asks for them
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+// Every request of the suite comes from one IP, and most use one key: raise the default
+// rate limits out of its way (the limits are tested with a key of their own)
+['RATE_LIMIT_PER_IP', 'RATE_LIMIT_WRITES_PER_IP', 'RATE_LIMIT_PER_KEY', 'RATE_LIMIT_WRITES_PER_KEY'].forEach(name => {
+    process.env[name] = process.env[name] || '100000';
+});
+
 // Set a longer timeout for all blockchain operations
 // Blockchain interactions typically take longer than standard unit tests
 const TEST_TIMEOUT = 30000; // 30 seconds should be enough for test blockchain operations
 
-// Web3 instance for direct contract interaction 
-const web3 = new Web3(process.env.BLOCKCHAIN_PROVIDER_URL || 'http://localhost:8545');
+// Booting the dev chain includes compiling the contracts, which takes longer
+const DEV_MODE_TIMEOUT = 120000;
+
+// The API, loaded once the dev chain is up
+let app;
+
+// Web3 instance for direct contract interaction, connected to the dev chain
+const web3 = new Web3();
 const contractABI = require('./contract/Voting.json').abi;
-const contractAddress = process.env.CONTRACT_ADDRESS;
-const contract = new web3.eth.Contract(contractABI, contractAddress);
 
-// Test accounts setup
-const adminWallet = {
-    address: process.env.ADMIN_ADDRESS,
-    privateKey: process.env.ADMIN_PRIVATE_KEY
-};
+// Test accounts setup: the generated admin account of the dev chain
+const adminWallet = {};
 
-// Test data
-const testVoter = {
-    address: '0x2a29d860d005c927D4240667a760C70196F6fbB1', // Test voter address
-    privateKey: '0x1378ce7d064ea06e5e54bd9fbb840499d9f1fd21167dc87589b5d0314a97625d' // Test private key
-};
+// Test data: a generated voter account, registered in the fixture election
+const testVoter = {};
+
+// Secrets of the API keys listed in PROPOSAL_APPROVER_KEYS, and their owners' accounts,
+// the first of which is also in PROPOSAL_SIGNERS
+const approverKeys = [];
+const approverAccounts = [web3.eth.accounts.create(), web3.eth.accounts.create()];
 
 const testCandidate = {
     name: 'Test Candidate',
@@ -35,6 +61,29 @@ const testCandidate = {
     proposal: 'Test Proposal'
 };
 
+// Run the suite hermetically: boot an in-process chain with a fresh deployment
+// (lib/devMode.js), then load the API against it
+before(async function() {
+    this.timeout(DEV_MODE_TIMEOUT);
+    
+    const environment = await startDevMode({ port: Number(process.env.DEV_CHAIN_PORT) || 8545 });
+    web3.setProvider(environment.providerUrl);
+    Object.assign(adminWallet, environment.admin);
+    Object.assign(testVoter, environment.voters[0]);
+    
+    // Approver keys are created before the API loads, which reads PROPOSAL_APPROVER_KEYS once
+    const keyStore = createApiKeyStore();
+    const approvers = [
+        keyStore.create({ label: 'First approver', scopes: ['approvals', 'elections'] }),
+        keyStore.create({ label: 'Second approver', scopes: ['approvals'] })
+    ];
+    approverKeys.push(...approvers.map(approver => approver.secret));
+    process.env.PROPOSAL_APPROVER_KEYS = approvers.map((approver, i) => `${approver.key.id}=${approverAccounts[i].address}`).join(',');
+    process.env.PROPOSAL_SIGNERS = approverAccounts[0].address;
+    
+    app = require('./app');
+});
+
 // Properly configured before hook with async/await pattern
 before(async function() {
     // Setting timeout specifically for this hook
@@ -106,9 +155,7 @@ describe('Voting DApp API Tests', function() {
     
     it('should register a voter', async function() {
         // Create a unique voter address for this test to avoid "already registered" errors
-        const uniqueVoter = {
-            address: `0x${Math.random().toString(16).substr(2, 40)}`,
-        };
+        const uniqueVoter = web3.eth.accounts.create();
         
         const res = await chai.request(app)
             .post('/api/voters/register')
@@ -119,6 +166,17 @@ describe('Voting DApp API Tests', function() {
         expect(res.body).to.have.property('message').that.includes('Voter registered');
     });
     
+    it('should reject registering the zero address', async function() {
+        const res = await chai.request(app)
+            .post('/api/voters/register')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: '0x0000000000000000000000000000000000000000' });
+        
+        expect(res).to.have.status(400);
+        expect(res.body).to.have.property('code', 'INVALID_ADDRESS');
+        expect(res.body).to.have.property('error', 'Voter cannot be the zero address');
+    });
+    
     it('should start the election', async function() {
         const res = await chai.request(app)
             .post('/api/election/start')
@@ -126,7 +184,7 @@ describe('Voting DApp API Tests', function() {
             .send({ durationInMinutes: 60 });
             
         // This might fail if the election is already started, so we handle both cases
-        if (res.status === 500 && res.body.error && res.body.error.includes('already started')) {
+        if (res.status === 409 && res.body.error && res.body.error.includes('already started')) {
             console.log('Election already started, continuing with tests');
         } else {
             expect(res).to.have.status(200);
@@ -134,13 +192,67 @@ describe('Voting DApp API Tests', function() {
         }
     });
     
+    it('should build ballot typed data for a voter', async function() {
+        const res = await chai.request(app)
+            .get('/api/vote/typed-data')
+            .query({ voterAddress: testVoter.address, candidateId: 0 });
+            
+        expect(res).to.have.status(200);
+        expect(res.body.typedData).to.have.property('primaryType', 'Ballot');
+        expect(res.body.typedData.message).to.have.property('voter', testVoter.address);
+        expect(res.body.typedData.message).to.have.property('nonce');
+        expect(res.body.typedData.message).to.have.property('deadline');
+    });
+    
+    it('should reject a ballot signed by another account', async function() {
+        const typedDataRes = await chai.request(app)
+            .get('/api/vote/typed-data')
+            .query({ voterAddress: testVoter.address, candidateId: 0 });
+        const { message } = typedDataRes.body.typedData;
+        
+        const res = await chai.request(app)
+            .post('/api/vote')
+            .send({
+                ...message,
+                voterAddress: testVoter.address,
+                signature: signBallot(typedDataRes.body.typedData, adminWallet.privateKey)
+            });
+            
+        expect(res).to.have.status(401);
+        expect(res.body).to.have.property('error', 'Invalid ballot signature');
+    });
+    
+    it('should reject an expired ballot', async function() {
+        const typedDataRes = await chai.request(app)
+            .get('/api/vote/typed-data')
+            .query({ voterAddress: testVoter.address, candidateId: 0 });
+        const { typedData } = typedDataRes.body;
+        typedData.message.deadline = '1';
+        
+        const res = await chai.request(app)
+            .post('/api/vote')
+            .send({
+                ...typedData.message,
+                voterAddress: testVoter.address,
+                signature: signBallot(typedData, testVoter.privateKey)
+            });
+            
+        expect(res).to.have.status(400);
+        expect(res.body).to.have.property('error', 'Ballot signature has expired');
+    });
+    
     it('should cast a vote', async function() {
+        const typedDataRes = await chai.request(app)
+            .get('/api/vote/typed-data')
+            .query({ voterAddress: testVoter.address, candidateId: 0 });
+        const { typedData } = typedDataRes.body;
+        
         const res = await chai.request(app)
             .post('/api/vote')
             .send({
-                candidateId: 0,
+                ...typedData.message,
                 voterAddress: testVoter.address,
-                privateKey: testVoter.privateKey
+                signature: signBallot(typedData, testVoter.privateKey)
             });
             
         // Test voter might have already voted, so we handle that case
@@ -149,6 +261,18 @@ describe('Voting DApp API Tests', function() {
         } else {
             expect(res).to.have.status(200);
             expect(res.body).to.have.property('message').that.includes('Vote cast');
+            
+            // Replaying the same signed ballot must be rejected
+            const replayRes = await chai.request(app)
+                .post('/api/vote')
+                .send({
+                    ...typedData.message,
+                    voterAddress: testVoter.address,
+                    signature: signBallot(typedData, testVoter.privateKey)
+                });
+                
+            expect(replayRes).to.have.status(409);
+            expect(replayRes.body).to.have.property('error', 'Ballot nonce has already been used');
         }
     });
     
@@ -168,7 +292,7 @@ describe('Voting DApp API Tests', function() {
             .set('x-api-key', process.env.ADMIN_API_KEY);
             
         // This might fail if the election is already ended, so we handle both cases
-        if (res.status === 500 && res.body.error && res.body.error.includes('already ended')) {
+        if (res.status === 409 && res.body.error && res.body.error.includes('already ended')) {
             console.log('Election already ended, continuing with tests');
         } else {
             expect(res).to.have.status(200);
@@ -190,4 +314,2960 @@ describe('Voting DApp API Tests', function() {
             expect(res.body).to.have.property('candidates').that.is.an('array');
         }
     });
-});
\ No newline at end of file
+});
+describe('Election Factory API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    let createdElectionId;
+    
+    it('should create an election when admin is authenticated', async function() {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Factory Test Election' });
+            
+        expect(res).to.have.status(201);
+        expect(res.body).to.have.property('message').that.includes('Election created');
+        expect(res.body).to.have.property('electionId').that.is.a('number');
+        expect(res.body).to.have.property('address');
+        
+        createdElectionId = res.body.electionId;
+    });
+    
+    it('should reject creating an election without admin authentication', async function() {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .send({ name: 'Unauthorized Election' });
+            
+        expect(res).to.have.status(401);
+    });
+    
+    it('should list elections with their status', async function() {
+        const res = await chai.request(app)
+            .get('/api/elections');
+            
+        expect(res).to.have.status(200);
+        expect(res.body).to.be.an('array').that.is.not.empty;
+        expect(res.body[0]).to.have.property('address');
+        expect(res.body[0]).to.have.property('status');
+    });
+    
+    it('should get information about a single election', async function() {
+        const res = await chai.request(app)
+            .get(`/api/elections/${createdElectionId}`);
+            
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.property('name', 'Factory Test Election');
+        expect(res.body).to.have.property('status', 'pending');
+    });
+    
+    it('should add a candidate to a scoped election', async function() {
+        const res = await chai.request(app)
+            .post(`/api/elections/${createdElectionId}/candidates`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send(testCandidate);
+            
+        expect(res).to.have.status(201);
+        
+        const candidatesRes = await chai.request(app)
+            .get(`/api/elections/${createdElectionId}/candidates`);
+            
+        expect(candidatesRes).to.have.status(200);
+        expect(candidatesRes.body).to.have.lengthOf(1);
+    });
+    
+    it('should return 404 for an unknown election', async function() {
+        const res = await chai.request(app)
+            .get('/api/elections/999999/candidates');
+            
+        expect(res).to.have.status(404);
+    });
+});
+
+describe('Bulk Voter Registration API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    it('should register a JSON voter list and report each address', async function() {
+        const newVoter = web3.eth.accounts.create().address;
+        
+        const res = await chai.request(app)
+            .post('/api/voters/register/bulk')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voters: [newVoter, newVoter.toLowerCase(), 'not-an-address', testVoter.address] });
+            
+        expect(res).to.have.status(201);
+        expect(res.body.summary).to.include({ registered: 1, skipped: 2, invalid: 1, failed: 0 });
+        expect(res.body.voters[0]).to.include({ address: newVoter, status: 'registered' });
+        expect(res.body.voters[0]).to.have.property('transactionHash');
+        expect(res.body.voters[1]).to.include({ status: 'skipped', reason: 'Duplicate address in request' });
+        expect(res.body.voters[2]).to.include({ status: 'invalid' });
+        expect(res.body.voters[3]).to.include({ status: 'skipped', reason: 'Voter is already registered' });
+    });
+    
+    it('should register a CSV voter list', async function() {
+        const voters = [web3.eth.accounts.create().address, web3.eth.accounts.create().address];
+        
+        const res = await chai.request(app)
+            .post('/api/voters/register/bulk')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .set('content-type', 'text/csv')
+            .send(`member_id,voter_address\n1,${voters[0]}\n2,${voters[1]}\n`);
+            
+        expect(res).to.have.status(201);
+        expect(res.body.summary.registered).to.equal(2);
+        expect(res.body.voters.map(entry => entry.address)).to.deep.equal(voters);
+    });
+    
+    it('should report the zero address as invalid and register the rest of its batch', async function() {
+        const voters = [web3.eth.accounts.create().address, web3.eth.accounts.create().address];
+        
+        const res = await chai.request(app)
+            .post('/api/voters/register/bulk')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .set('content-type', 'text/csv')
+            .send(`voter_address\n${voters[0]}\n0x0000000000000000000000000000000000000000\n${voters[1]}\n`);
+            
+        expect(res).to.have.status(201);
+        expect(res.body.summary).to.include({ registered: 2, invalid: 1, failed: 0 });
+        expect(res.body.voters[1]).to.include({ status: 'invalid', reason: 'Voter cannot be the zero address' });
+        
+        const statusRes = await chai.request(app).get(`/api/voters/${voters[1]}/status`);
+        expect(statusRes.body).to.have.property('isRegistered', true);
+    });
+    
+    it('should reject bulk registration without admin authentication', async function() {
+        const res = await chai.request(app)
+            .post('/api/voters/register/bulk')
+            .send({ voters: [testVoter.address] });
+            
+        expect(res).to.have.status(401);
+    });
+});
+
+describe('Event Indexer API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    before(async function() {
+        await app.locals.indexer.sync();
+    });
+    
+    it('should list indexed events filtered by type', async function() {
+        const res = await chai.request(app)
+            .get('/api/events')
+            .query({ type: 'VoterRegistered' });
+            
+        expect(res).to.have.status(200);
+        expect(res.body.events).to.be.an('array').that.is.not.empty;
+        res.body.events.forEach(event => {
+            expect(event).to.have.property('type', 'VoterRegistered');
+            expect(event).to.have.property('transactionHash');
+            expect(event).to.have.property('blockNumber');
+        });
+    });
+    
+    it('should filter indexed events by voter address', async function() {
+        const res = await chai.request(app)
+            .get('/api/events')
+            .query({ address: testVoter.address });
+            
+        expect(res).to.have.status(200);
+        expect(res.body.events).to.be.an('array').that.is.not.empty;
+        expect(res.body.events[0].args.voterAddress).to.equal(testVoter.address);
+    });
+    
+    it('should paginate indexed events with a cursor', async function() {
+        const firstPage = await chai.request(app)
+            .get('/api/events')
+            .query({ limit: 1 });
+            
+        expect(firstPage).to.have.status(200);
+        expect(firstPage.body.events).to.have.lengthOf(1);
+        expect(firstPage.body.nextCursor).to.equal(firstPage.body.events[0].id);
+        
+        const secondPage = await chai.request(app)
+            .get('/api/events')
+            .query({ limit: 1, cursor: firstPage.body.nextCursor });
+            
+        expect(secondPage).to.have.status(200);
+        expect(secondPage.body.events[0].blockNumber).to.be.at.least(firstPage.body.events[0].blockNumber);
+        expect(secondPage.body.events[0].id).to.not.equal(firstPage.body.events[0].id);
+    });
+    
+    it('should reject an invalid address filter', async function() {
+        const res = await chai.request(app)
+            .get('/api/events')
+            .query({ address: 'not-an-address' });
+            
+        expect(res).to.have.status(400);
+    });
+    
+    it('should list registered voters from the event index', async function() {
+        const res = await chai.request(app)
+            .get('/api/voters');
+            
+        expect(res).to.have.status(200);
+        expect(res.body.voters.map(voter => voter.address)).to.include(testVoter.address);
+        expect(res.body.count).to.equal(res.body.voters.length);
+    });
+    
+    it('should store nothing from a range whose queries failed, so a retry adds no duplicates', async function() {
+        // The election events query fails once, after the factory query found the elections
+        const eth = Object.create(web3.eth);
+        let failures = 1;
+        eth.getPastLogs = async options => {
+            if (!options.topics && failures > 0) {
+                failures--;
+                throw new Error('RPC request failed');
+            }
+            return web3.eth.getPastLogs(options);
+        };
+        
+        const indexer = createIndexer({
+            web3: { eth, utils: web3.utils },
+            votingABI: contractABI,
+            factoryABI: require('./contract/ElectionFactory.json').abi,
+            factoryAddress: process.env.FACTORY_ADDRESS,
+            contractAddress: process.env.CONTRACT_ADDRESS,
+            storeName: 'events-retry-test'
+        });
+        
+        let syncError = null;
+        await indexer.sync().catch(error => {
+            syncError = error;
+        });
+        expect(syncError).to.have.property('message', 'RPC request failed');
+        await indexer.sync();
+        
+        const { elections, events } = openStore('events-retry-test').data;
+        expect(elections).to.not.be.empty;
+        expect(new Set(elections.map(election => election.address)).size).to.equal(elections.length);
+        expect(new Set(events.map(event => event.id)).size).to.equal(events.length);
+        expect(indexer.getStatus().eventCount).to.equal(app.locals.indexer.getStatus().eventCount);
+    });
+});
+
+describe('Real-time Feed Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    const http = require('http');
+    const WebSocket = require('ws');
+    const PORT = process.env.PORT || 3000;
+    
+    // Open an SSE connection and resolve with the first message matching a predicate
+    function waitForSseMessage(headers, predicate) {
+        return new Promise((resolve, reject) => {
+            const req = http.get({ port: PORT, path: '/api/stream', headers }, res => {
+                let buffer = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => {
+                    buffer += chunk;
+                    const frames = buffer.split('\n\n');
+                    buffer = frames.pop();
+                    for (const frame of frames) {
+                        const dataLine = frame.split('\n').find(line => line.startsWith('data: '));
+                        if (dataLine) {
+                            const message = JSON.parse(dataLine.slice(6));
+                            if (predicate(message)) {
+                                req.destroy();
+                                resolve(message);
+                            }
+                        }
+                    }
+                });
+            });
+            req.on('error', reject);
+        });
+    }
+    
+    it('should replay events after a Last-Event-ID over SSE', async function() {
+        const message = await waitForSseMessage({ 'Last-Event-ID': '0-0' }, msg => msg.type === 'voter.registered');
+        
+        expect(message).to.have.property('id');
+        expect(message).to.have.property('blockNumber');
+        expect(message).to.have.property('transactionHash');
+        expect(message.data).to.have.property('voterAddress');
+    });
+    
+    it('should push new registrations live over SSE', async function() {
+        const newVoter = web3.eth.accounts.create().address;
+        
+        // Resume from the latest indexed event so the registration is delivered
+        // whether it is indexed before or after the stream connects
+        const eventsRes = await chai.request(app).get('/api/events').query({ limit: 1000 });
+        const lastEventId = eventsRes.body.events[eventsRes.body.events.length - 1].id;
+        const received = waitForSseMessage({ 'Last-Event-ID': lastEventId }, msg => msg.type === 'voter.registered' && msg.data.voterAddress === newVoter);
+        
+        await chai.request(app)
+            .post('/api/voters/register')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: newVoter });
+        await app.locals.indexer.sync();
+        
+        const message = await received;
+        expect(message.data.voterAddress).to.equal(newVoter);
+    });
+    
+    it('should replay events over WebSocket', async function() {
+        const ws = new WebSocket(`ws://localhost:${PORT}/api/stream?lastEventId=0-0`);
+        
+        const message = await new Promise((resolve, reject) => {
+            ws.on('message', data => resolve(JSON.parse(data)));
+            ws.on('error', reject);
+        });
+        ws.close();
+        
+        expect(message).to.have.property('id');
+        expect(message).to.have.property('type');
+    });
+    
+    it('should include running vote counts in vote messages', async function() {
+        const message = await waitForSseMessage({ 'Last-Event-ID': '0-0' }, msg => msg.type === 'vote.cast');
+        
+        expect(message.data).to.have.property('candidateId');
+        expect(message.data).to.have.property('candidateVoteCount', 1);
+        expect(message.data).to.have.property('totalVotes', 1);
+    });
+});
+
+describe('Transaction Manager API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    // Poll a transaction job until it is confirmed or failed
+    async function waitForJob(jobId) {
+        for (;;) {
+            const res = await chai.request(app).get(`/api/transactions/${jobId}`);
+            expect(res).to.have.status(200);
+            if (res.body.status === 'confirmed' || res.body.status === 'failed') {
+                return res.body;
+            }
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    
+    it('should send concurrent admin transactions without nonce collisions', async function() {
+        const voters = [web3.eth.accounts.create().address, web3.eth.accounts.create().address, web3.eth.accounts.create().address];
+        
+        const responses = await Promise.all(voters.map(voterAddress => chai.request(app)
+            .post('/api/voters/register')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress })));
+            
+        responses.forEach(res => expect(res).to.have.status(201));
+        expect(new Set(responses.map(res => res.body.transactionHash)).size).to.equal(voters.length);
+    });
+    
+    it('should return 202 with a job ID for async admin writes', async function() {
+        const res = await chai.request(app)
+            .post('/api/voters/register')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .set('Prefer', 'respond-async')
+            .send({ voterAddress: web3.eth.accounts.create().address });
+            
+        expect(res).to.have.status(202);
+        expect(res.body).to.have.property('jobId');
+        expect(res.body).to.have.property('statusUrl', `/api/transactions/${res.body.jobId}`);
+        
+        const job = await waitForJob(res.body.jobId);
+        expect(job).to.have.property('status', 'confirmed');
+        expect(job).to.have.property('label', 'registerVoter');
+        expect(job.receipt).to.have.property('status', true);
+        expect(job.receipt).to.have.property('transactionHash', job.transactionHash);
+    });
+    
+    it('should reject a predictable revert before queueing a job', async function() {
+        const jobsBefore = await chai.request(app)
+            .get('/api/transactions')
+            .query({ limit: 1 })
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+            
+        const res = await chai.request(app)
+            .post('/api/voters/register?async=true')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: testVoter.address });
+            
+        expect(res).to.have.status(409);
+        expect(res.body).to.deep.equal({ error: 'Voter is already registered', code: 'VOTER_ALREADY_REGISTERED' });
+        
+        // No job was created for it
+        const jobsAfter = await chai.request(app)
+            .get('/api/transactions')
+            .query({ limit: 1 })
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(jobsAfter.body).to.deep.equal(jobsBefore.body);
+    });
+    
+    it('should record the decoded revert reason of a failed job', async function() {
+        // Registrations racing for the same voter both pass the preflight call, queued
+        // behind other registrations, and the one mined second fails on-chain
+        const voterAddress = web3.eth.accounts.create().address;
+        const addresses = [web3.eth.accounts.create().address, web3.eth.accounts.create().address, voterAddress, voterAddress];
+        
+        const responses = await Promise.all(addresses.map(address => chai.request(app)
+            .post('/api/voters/register?async=true')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: address })));
+        responses.forEach(res => expect(res).to.have.status(202));
+        
+        const jobs = await Promise.all(responses.slice(2).map(res => waitForJob(res.body.jobId)));
+        const failed = jobs.filter(job => job.status === 'failed');
+        expect(failed).to.have.lengthOf(1);
+        expect(failed[0]).to.have.property('revertReason', 'Voter is already registered');
+    });
+    
+    it('should settle a job mined by its last attempt instead of failing it', async function() {
+        const [sender] = (await chai.request(app).get('/api/dev/accounts').set('x-api-key', process.env.ADMIN_API_KEY)).body.voters.slice(-2);
+        
+        // The receipt is missed by the poll before the attempts run out
+        const eth = Object.create(web3.eth);
+        let missedPolls = 1;
+        eth.getTransactionReceipt = async transactionHash => {
+            if (missedPolls > 0) {
+                missedPolls--;
+                await new Promise(resolve => setTimeout(resolve, 10));
+                return null;
+            }
+            return web3.eth.getTransactionReceipt(transactionHash);
+        };
+        
+        const txManager = createTransactionManager({
+            web3: { eth, requestManager: web3.requestManager },
+            signers: [sender],
+            maxAttempts: 1,
+            confirmationTimeout: 0,
+            pollInterval: 10,
+            storeName: 'transactions-test'
+        });
+        const { completion } = txManager.submit({ from: sender.address, to: sender.address, data: '0x' });
+        
+        const job = await completion;
+        expect(job).to.have.property('status', 'confirmed');
+        expect(job.attempts).to.have.lengthOf(1);
+        expect(job.receipt).to.have.property('transactionHash', job.transactionHash);
+    });
+    
+    it('should keep only the newest settled jobs up to the job limit', async function() {
+        const [sender] = (await chai.request(app).get('/api/dev/accounts').set('x-api-key', process.env.ADMIN_API_KEY)).body.voters.slice(-2);
+        const txManager = createTransactionManager({
+            web3,
+            signers: [sender],
+            pollInterval: 10,
+            jobLimit: 1,
+            storeName: 'transactions-limit-test'
+        });
+        
+        const first = await txManager.submit({ from: sender.address, to: sender.address, data: '0x' }).completion;
+        const second = await txManager.submit({ from: sender.address, to: sender.address, data: '0x' }).completion;
+        
+        expect(txManager.getJob(first.id)).to.equal(null);
+        expect(txManager.getJob(second.id)).to.have.property('status', 'confirmed');
+        expect(Object.keys(openStore('transactions-limit-test').data.jobs)).to.deep.equal([second.id]);
+    });
+    
+    it('should list transaction jobs for admins only', async function() {
+        const unauthorized = await chai.request(app)
+            .get('/api/transactions');
+        expect(unauthorized).to.have.status(401);
+        
+        const res = await chai.request(app)
+            .get('/api/transactions')
+            .query({ status: 'failed' })
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+            
+        expect(res).to.have.status(200);
+        expect(res.body).to.be.an('array').that.is.not.empty;
+        res.body.forEach(job => expect(job).to.have.property('status', 'failed'));
+    });
+    
+    it('should return 404 for an unknown transaction job', async function() {
+        const res = await chai.request(app)
+            .get('/api/transactions/unknown-job');
+            
+        expect(res).to.have.status(404);
+    });
+});
+
+describe('Secret Ballot API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    let electionPath;
+    let commitment;
+    let salt;
+    
+    before(async function() {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Secret Test Election', secretBallot: true, revealDurationInMinutes: 60 });
+        expect(res).to.have.status(201);
+        electionPath = `/api/elections/${res.body.electionId}`;
+        
+        await chai.request(app)
+            .post(`${electionPath}/candidates`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send(testCandidate);
+        await chai.request(app)
+            .post(`${electionPath}/voters/register`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: testVoter.address });
+        await chai.request(app)
+            .post(`${electionPath}/election/start`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ durationInMinutes: 60 });
+    });
+    
+    it('should require a reveal duration for secret ballot elections', async function() {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Invalid Secret Election', secretBallot: true });
+        
+        expect(res).to.have.status(400);
+        expect(res.body).to.have.property('errors').that.is.an('array');
+    });
+    
+    it('should report the commit phase in the election information', async function() {
+        const res = await chai.request(app)
+            .get(electionPath);
+        
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.property('secretBallot', true);
+        expect(res.body).to.have.property('phase', 'commit');
+        expect(res.body).to.have.property('resultsAvailable', false);
+        expect(res.body).to.have.property('revealEndTime').that.is.a('string');
+    });
+    
+    it('should reject plain ballots in a secret ballot election', async function() {
+        const res = await chai.request(app)
+            .get(`${electionPath}/vote/typed-data`)
+            .query({ voterAddress: testVoter.address, candidateId: 0 });
+        
+        expect(res).to.have.status(400);
+        expect(res.body).to.have.property('error').that.includes('secret ballots');
+    });
+    
+    it('should commit a signed secret vote', async function() {
+        const commitmentRes = await chai.request(app)
+            .post(`${electionPath}/vote/commitment`)
+            .send({ voterAddress: testVoter.address, candidateId: 0 });
+        expect(commitmentRes).to.have.status(200);
+        ({ commitment, salt } = commitmentRes.body);
+        expect(salt).to.match(/^0x[0-9a-f]{64}$/);
+        
+        const typedDataRes = await chai.request(app)
+            .get(`${electionPath}/vote/commit/typed-data`)
+            .query({ voterAddress: testVoter.address, commitment });
+        expect(typedDataRes).to.have.status(200);
+        const { typedData } = typedDataRes.body;
+        
+        const res = await chai.request(app)
+            .post(`${electionPath}/vote/commit`)
+            .send({
+                ...typedData.message,
+                voterAddress: testVoter.address,
+                signature: signBallot(typedData, testVoter.privateKey)
+            });
+        
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.property('message').that.includes('Vote committed');
+    });
+    
+    it('should not disclose the committed candidate', async function() {
+        const res = await chai.request(app)
+            .get(`${electionPath}/voters/${testVoter.address}/status`);
+        
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.property('hasCommitted', true);
+        expect(res.body).to.have.property('hasRevealed', false);
+        expect(res.body).to.have.property('votedFor', null);
+    });
+    
+    it('should reject reveals before the reveal phase', async function() {
+        const res = await chai.request(app)
+            .post(`${electionPath}/vote/reveal`)
+            .send({ voterAddress: testVoter.address, candidateId: 0, salt });
+        
+        expect(res).to.have.status(403);
+        expect(res.body).to.have.property('error', 'Reveal phase has not started yet');
+    });
+    
+    it('should reveal a committed vote after the election ends', async function() {
+        const endRes = await chai.request(app)
+            .post(`${electionPath}/election/end`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(endRes).to.have.status(200);
+        
+        const mismatchRes = await chai.request(app)
+            .post(`${electionPath}/vote/reveal`)
+            .send({ voterAddress: testVoter.address, candidateId: 0, salt: web3.utils.randomHex(32) });
+        expect(mismatchRes).to.have.status(400);
+        expect(mismatchRes.body).to.have.property('error', 'Commitment does not match');
+        
+        const res = await chai.request(app)
+            .post(`${electionPath}/vote/reveal`)
+            .send({ voterAddress: testVoter.address, candidateId: 0, salt });
+        
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.property('message').that.includes('Vote revealed');
+        
+        const statusRes = await chai.request(app)
+            .get(`${electionPath}/voters/${testVoter.address}/status`);
+        expect(statusRes.body).to.have.property('hasRevealed', true);
+        expect(statusRes.body).to.have.property('votedFor', null);
+    });
+    
+    it('should keep results closed until the reveal phase ends', async function() {
+        const res = await chai.request(app)
+            .get(`${electionPath}/results`);
+        
+        expect(res).to.have.status(403);
+        expect(res.body).to.have.property('error', 'Reveal phase has not ended yet');
+        
+        const candidatesRes = await chai.request(app)
+            .get(`${electionPath}/candidates`);
+        expect(candidatesRes.body[0]).to.have.property('voteCount', null);
+    });
+});
+
+describe('Voting Methods API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    // Create an election with candidates, registered voters and optional result rules, and start it
+    async function setUpElection(options, candidateNames, voters, resultRules) {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: `${options.votingMethod} Test Election`, ...options });
+        expect(res).to.have.status(201);
+        const electionPath = `/api/elections/${res.body.electionId}`;
+        
+        for (const name of candidateNames) {
+            await chai.request(app)
+                .post(`${electionPath}/candidates`)
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .send({ ...testCandidate, name });
+        }
+        
+        const registerRes = await chai.request(app)
+            .post(`${electionPath}/voters/register/bulk`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voters });
+        expect(registerRes).to.have.status(201);
+        
+        if (resultRules) {
+            const rulesRes = await chai.request(app)
+                .put(`${electionPath}/election/rules`)
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .send(resultRules);
+            expect(rulesRes).to.have.status(200);
+        }
+        
+        await chai.request(app)
+            .post(`${electionPath}/election/start`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ durationInMinutes: 60 });
+        
+        return electionPath;
+    }
+    
+    // Sign and cast a ballot for an account: { candidateId } or { candidateIds }
+    async function castBallot(electionPath, account, ballot) {
+        const typedDataRes = await chai.request(app)
+            .get(`${electionPath}/vote/typed-data`)
+            .query({
+                voterAddress: account.address,
+                ...(ballot.candidateIds ? { candidateIds: ballot.candidateIds.join(',') } : ballot)
+            });
+        expect(typedDataRes).to.have.status(200);
+        const { typedData } = typedDataRes.body;
+        
+        return chai.request(app)
+            .post(`${electionPath}/vote`)
+            .send({
+                ...typedData.message,
+                voterAddress: account.address,
+                signature: signBallot(typedData, account.privateKey)
+            });
+    }
+    
+    // End an election and get its results
+    async function getFinalResults(electionPath) {
+        await chai.request(app)
+            .post(`${electionPath}/election/end`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        
+        const res = await chai.request(app)
+            .get(`${electionPath}/results`);
+        expect(res).to.have.status(200);
+        return res.body;
+    }
+    
+    it('should reject an unknown voting method', async function() {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Invalid Method Election', votingMethod: 'borda' });
+            
+        expect(res).to.have.status(400);
+    });
+    
+    it('should count approval ballots', async function() {
+        const accounts = [web3.eth.accounts.create(), web3.eth.accounts.create()];
+        const electionPath = await setUpElection({ votingMethod: 'approval' }, ['A', 'B', 'C'], accounts.map(account => account.address));
+        
+        const infoRes = await chai.request(app).get(electionPath);
+        expect(infoRes.body).to.have.property('votingMethod', 'approval');
+        
+        const duplicateRes = await chai.request(app)
+            .get(`${electionPath}/vote/typed-data`)
+            .query({ voterAddress: accounts[0].address, candidateIds: '0,0' });
+        expect(duplicateRes).to.have.status(400);
+        expect(duplicateRes.body).to.have.property('error', 'Ballot lists a candidate more than once');
+        
+        expect(await castBallot(electionPath, accounts[0], { candidateIds: [0, 1] })).to.have.status(200);
+        expect(await castBallot(electionPath, accounts[1], { candidateIds: [1, 2] })).to.have.status(200);
+        
+        const statusRes = await chai.request(app)
+            .get(`${electionPath}/voters/${accounts[0].address}/status`);
+        expect(statusRes.body).to.have.deep.property('ballot', [0, 1]);
+        
+        const results = await getFinalResults(electionPath);
+        expect(results).to.have.property('votingMethod', 'approval');
+        expect(results).to.have.property('totalVotes', 2);
+        expect(results.candidates[0]).to.include({ name: 'B', voteCount: 2, percentage: '100.00' });
+    });
+    
+    it('should send the running candidate counts of approval ballots in the feed', async function() {
+        const accounts = [web3.eth.accounts.create(), web3.eth.accounts.create()];
+        const electionPath = await setUpElection({ votingMethod: 'approval' }, ['A', 'B', 'C'], accounts.map(account => account.address));
+        expect(await castBallot(electionPath, accounts[0], { candidateIds: [0, 1] })).to.have.status(200);
+        expect(await castBallot(electionPath, accounts[1], { candidateIds: [1, 2] })).to.have.status(200);
+        await app.locals.indexer.sync();
+        
+        // Replay the election's feed and collect its ballot messages
+        const messages = await new Promise((resolve, reject) => {
+            const ballots = [];
+            const req = require('http').get({
+                port: process.env.PORT || 3000,
+                path: `${electionPath}/stream`,
+                headers: { 'Last-Event-ID': '0-0' }
+            }, res => {
+                let buffer = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => {
+                    buffer += chunk;
+                    const frames = buffer.split('\n\n');
+                    buffer = frames.pop();
+                    frames.filter(frame => frame.includes('event: ballot.cast')).forEach(frame => {
+                        ballots.push(JSON.parse(frame.split('\n').find(line => line.startsWith('data: ')).slice(6)));
+                    });
+                    if (ballots.length === 2) {
+                        req.destroy();
+                        resolve(ballots);
+                    }
+                });
+            });
+            req.on('error', reject);
+        });
+        
+        expect(messages[0].data).to.deep.include({ candidateVoteCounts: { 0: 1, 1: 1 }, totalVotes: 1 });
+        expect(messages[1].data).to.deep.include({ candidateVoteCounts: { 1: 2, 2: 1 }, totalVotes: 2 });
+    });
+    
+    it('should count ranked ballots in instant-runoff rounds', async function() {
+        const accounts = [...Array(5)].map(() => web3.eth.accounts.create());
+        const electionPath = await setUpElection({ votingMethod: 'rankedChoice' }, ['A', 'B', 'C'], accounts.map(account => account.address));
+        const rankings = [[0, 1], [0], [1, 0], [2, 1], [2, 1]];
+        
+        for (let i = 0; i < accounts.length; i++) {
+            expect(await castBallot(electionPath, accounts[i], { candidateIds: rankings[i] })).to.have.status(200);
+        }
+        
+        const results = await getFinalResults(electionPath);
+        expect(results).to.have.property('votingMethod', 'rankedChoice');
+        expect(results).to.have.property('rounds').that.has.lengthOf(2);
+        expect(results.rounds[0].eliminated).to.deep.equal([{ id: 1, name: 'B' }]);
+        expect(results.rounds[1].candidates[0]).to.deep.equal({ id: 0, name: 'A', votes: 3 });
+        expect(results).to.have.deep.property('winner', { id: 0, name: 'A' });
+    });
+    
+    it('should count weighted ballots with the weights set at registration', async function() {
+        const accounts = [web3.eth.accounts.create(), web3.eth.accounts.create()];
+        const electionPath = await setUpElection({ votingMethod: 'weighted' }, ['A', 'B'], [
+            { address: accounts[0].address, weight: 3 },
+            { address: accounts[1].address }
+        ]);
+        
+        const multipleRes = await chai.request(app)
+            .get(`${electionPath}/vote/typed-data`)
+            .query({ voterAddress: accounts[0].address, candidateIds: '0,1' });
+        expect(multipleRes).to.have.status(400);
+        expect(multipleRes.body).to.have.property('error', 'Ballot must select exactly one candidate');
+        
+        expect(await castBallot(electionPath, accounts[0], { candidateId: 1 })).to.have.status(200);
+        expect(await castBallot(electionPath, accounts[1], { candidateId: 0 })).to.have.status(200);
+        
+        const results = await getFinalResults(electionPath);
+        expect(results).to.have.property('totalWeight', 4);
+        expect(results.candidates[0]).to.include({ name: 'B', voteCount: 3, percentage: '75.00' });
+    });
+    
+    it('should reject voter weights outside weighted elections', async function() {
+        const res = await chai.request(app)
+            .post('/api/voters/register')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: web3.eth.accounts.create().address, weight: 2 });
+            
+        expect(res).to.have.status(400);
+        expect(res.body).to.have.property('error', 'Weights apply to weighted elections only');
+    });
+    
+    it('should audit results with a signed recount', async function() {
+        const accounts = [web3.eth.accounts.create(), web3.eth.accounts.create()];
+        const electionPath = await setUpElection({ votingMethod: 'approval' }, ['A', 'B'], accounts.map(account => account.address));
+        
+        const earlyRes = await chai.request(app).get(`${electionPath}/results/audit`);
+        expect(earlyRes).to.have.status(403);
+        
+        expect(await castBallot(electionPath, accounts[0], { candidateIds: [0, 1] })).to.have.status(200);
+        expect(await castBallot(electionPath, accounts[1], { candidateIds: [1] })).to.have.status(200);
+        const results = await getFinalResults(electionPath);
+        
+        const res = await chai.request(app)
+            .get(`${electionPath}/results/audit`)
+            .query({ download: 'true' });
+        expect(res).to.have.status(200);
+        expect(res).to.have.header('content-disposition', /^attachment/);
+        
+        const { report, signature } = res.body;
+        expect(report).to.include({ votingMethod: 'approval', totalVotes: 2, consistent: true });
+        expect(report.mismatches).to.be.empty;
+        expect(report.contract.codeHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(report.ballotMerkleRoot).to.equal(buildMerkleRoot(report.ballots.map(hashBallot)));
+        results.candidates.forEach(candidate => {
+            expect(report.candidates.find(entry => entry.id === candidate.id))
+                .to.include({ votes: candidate.voteCount, reportedVotes: candidate.voteCount, percentage: candidate.percentage });
+        });
+        
+        expect(verifyAuditReport({ report, signature }).toLowerCase()).to.equal(adminWallet.address.toLowerCase());
+        expect(verifyAuditReport({ report: { ...report, totalVotes: 3 }, signature })).to.be.null;
+    });
+    
+    it('should judge results by quorum and winning rules', async function() {
+        const accounts = [...Array(4)].map(() => web3.eth.accounts.create());
+        const electionPath = await setUpElection({ votingMethod: 'plurality' }, ['A', 'B'], accounts.map(account => account.address), {
+            quorum: 50,
+            winningRule: 'supermajority',
+            supermajority: 66.67
+        });
+        
+        const infoRes = await chai.request(app).get(electionPath);
+        expect(infoRes.body).to.include({ registeredVoters: 4 });
+        expect(infoRes.body.resultRules).to.deep.equal({ quorum: '50.00', winningRule: 'supermajority', supermajority: '66.67' });
+        
+        const lockedRes = await chai.request(app)
+            .put(`${electionPath}/election/rules`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ winningRule: 'plurality' });
+        expect(lockedRes).to.have.status(409);
+        
+        for (const [i, candidateId] of [0, 0, 1].entries()) {
+            expect(await castBallot(electionPath, accounts[i], { candidateId })).to.have.status(200);
+        }
+        
+        // 2 of 3 votes is 66.66...%, just short of the supermajority
+        const results = await getFinalResults(electionPath);
+        expect(results).to.include({ registeredVoters: 4, turnout: '75.00', quorumMet: true, outcome: 'noWinner', winner: null });
+        expect(results.candidates[0]).to.include({ name: 'A', percentage: '66.67' });
+    });
+    
+    it('should export results as CSV, JSON-LD and an HTML certificate', async function() {
+        const accounts = [web3.eth.accounts.create(), web3.eth.accounts.create()];
+        const electionPath = await setUpElection({ votingMethod: 'plurality' }, ['A', 'B, Jr.'], accounts.map(account => account.address));
+        
+        expect(await castBallot(electionPath, accounts[0], { candidateId: 0 })).to.have.status(200);
+        expect(await castBallot(electionPath, accounts[1], { candidateId: 1 })).to.have.status(200);
+        const results = await getFinalResults(electionPath);
+        expect(results).to.include({ outcome: 'tie', winner: null });
+        expect(results.tied).to.have.lengthOf(2);
+        
+        const csvRes = await chai.request(app).get(`${electionPath}/results/export/csv`);
+        expect(csvRes).to.have.status(200);
+        expect(csvRes).to.have.header('content-type', /text\/csv/);
+        expect(csvRes.text.split('\r\n')).to.include.members([
+            'position,id,name,votes,percentage,result',
+            '1,1,"B, Jr.",1,50.00,tied'
+        ]);
+        
+        const jsonRes = await chai.request(app).get(`${electionPath}/results/export/json`).buffer(true).parse((res, callback) => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => callback(null, JSON.parse(text)));
+        });
+        expect(jsonRes).to.have.status(200);
+        expect(jsonRes.body).to.include({ '@context': 'https://schema.org', '@type': 'ItemList', numberOfItems: 2 });
+        const finalization = jsonRes.body.additionalProperty.find(property => property.name === 'finalizationTransaction');
+        expect(finalization.value).to.match(/^0x[0-9a-f]{64}$/);
+        
+        const htmlRes = await chai.request(app).get(`${electionPath}/results/export/html`);
+        expect(htmlRes).to.have.status(200);
+        expect(htmlRes.text).to.include('plurality Test Election').and.include('Tie between').and.include(finalization.value);
+        
+        const unknownRes = await chai.request(app).get(`${electionPath}/results/export/xml`);
+        expect(unknownRes).to.have.status(400);
+    });
+    
+    it('should report duplicate and unregistered voters in a recount', function() {
+        const [registered, unregistered] = [web3.eth.accounts.create().address, web3.eth.accounts.create().address];
+        const events = [
+            { type: 'VoterRegistered', args: { voterAddress: registered } },
+            { type: 'VoteCast', args: { voter: registered, candidateId: '0' }, transactionHash: '0x01' },
+            { type: 'VoteCast', args: { voter: registered, candidateId: '1' }, transactionHash: '0x02' },
+            { type: 'VoteCast', args: { voter: unregistered, candidateId: '1' }, transactionHash: '0x03' }
+        ];
+        
+        const recount = recountBallots(events, 'plurality');
+        const mismatches = findMismatches(recount, {
+            candidates: [{ id: 0, name: 'A', voteCount: 1 }, { id: 1, name: 'B', voteCount: 1 }],
+            totalVotes: 2
+        });
+        
+        expect(mismatches.map(mismatch => mismatch.check)).to.have.members(['candidateVotes', 'totalVotes', 'duplicateVoter', 'unregisteredVoter']);
+        expect(mismatches.find(mismatch => mismatch.check === 'duplicateVoter')).to.include({ voter: registered, transactionHash: '0x02' });
+    });
+    
+    it('should hash ballot leaves and Merkle nodes with distinct prefixes', function() {
+        const ballot = { voter: web3.eth.accounts.create().address, candidateIds: [0, 2], weight: 1 };
+        const encoded = web3.eth.abi.encodeParameters(['address', 'uint256[]', 'uint256'], [ballot.voter, ballot.candidateIds, ballot.weight]);
+        const leaf = hashBallot(ballot);
+        expect(leaf).to.equal(web3.utils.keccak256(`0x00${encoded.slice(2)}`));
+        
+        const other = hashBallot({ ...ballot, candidateIds: [1] });
+        const [first, second] = [leaf, other].sort();
+        expect(buildMerkleRoot([leaf, other])).to.equal(web3.utils.keccak256(`0x01${first.slice(2)}${second.slice(2)}`));
+        
+        // An odd node is carried up unchanged, not rehashed as a leaf
+        const third = hashBallot({ ...ballot, weight: 2 });
+        const sorted = [leaf, other, third].sort();
+        expect(buildMerkleRoot([leaf, other, third])).to.equal(buildMerkleRoot([buildMerkleRoot(sorted.slice(0, 2)), sorted[2]]));
+    });
+});
+
+describe('Scheduled Election API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    // Create an election with one candidate, returning its path and address
+    async function createElectionWithCandidate(name) {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name });
+        expect(res).to.have.status(201);
+        const electionPath = `/api/elections/${res.body.electionId}`;
+        
+        await chai.request(app)
+            .post(`${electionPath}/candidates`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send(testCandidate);
+        
+        return { electionPath, address: res.body.address };
+    }
+    
+    // Poll a transaction job until it is confirmed or failed
+    async function waitForJob(jobId) {
+        for (;;) {
+            const res = await chai.request(app).get(`/api/transactions/${jobId}`);
+            if (res.body.status === 'confirmed' || res.body.status === 'failed') {
+                return res.body;
+            }
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    
+    it('should reject a schedule ending before it starts', async function() {
+        const now = Math.floor(Date.now() / 1000);
+        const res = await chai.request(app)
+            .post('/api/election/schedule')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ startTime: now + 7200, endTime: now + 3600 });
+            
+        expect(res).to.have.status(400);
+        expect(res.body).to.have.property('error', 'End time must be after the start time');
+    });
+    
+    it('should report a future election as scheduled', async function() {
+        const { electionPath } = await createElectionWithCandidate('Scheduled Test Election');
+        const startTime = new Date(Date.now() + 3600 * 1000).toISOString();
+        const endTime = new Date(Date.now() + 7200 * 1000).toISOString();
+        
+        const res = await chai.request(app)
+            .post(`${electionPath}/election/schedule`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ startTime, endTime });
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.property('message').that.includes('scheduled');
+        
+        const infoRes = await chai.request(app).get(electionPath);
+        expect(infoRes.body).to.have.property('phase', 'scheduled');
+        expect(infoRes.body).to.have.property('isStarted', false);
+        
+        const finalizeRes = await chai.request(app)
+            .post(`${electionPath}/election/finalize`);
+        expect(finalizeRes).to.have.status(403);
+    });
+    
+    it('should finalize overdue elections from the keeper', async function() {
+        const { electionPath, address } = await createElectionWithCandidate('Keeper Test Election');
+        const now = Math.floor(Date.now() / 1000);
+        
+        const scheduleRes = await chai.request(app)
+            .post(`${electionPath}/election/schedule`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ startTime: now + 2, endTime: now + 3 });
+        expect(scheduleRes).to.have.status(200);
+        
+        // Wait for the voting window to pass, then mine a block so the chain time moves on
+        await new Promise(resolve => setTimeout(resolve, 4500));
+        await chai.request(app)
+            .post('/api/voters/register')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: web3.eth.accounts.create().address });
+        
+        const pendingRes = await chai.request(app).get(electionPath);
+        expect(pendingRes.body).to.have.property('phase', 'closed-pending-finalization');
+        
+        const submitted = await app.locals.keeper.run();
+        const finalizeJob = submitted.find(entry => entry.election.toLowerCase() === address.toLowerCase());
+        expect(finalizeJob).to.exist;
+        
+        const job = await waitForJob(finalizeJob.jobId);
+        expect(job).to.have.property('status', 'confirmed');
+        expect(job).to.have.property('label', 'finalize');
+        
+        const infoRes = await chai.request(app).get(electionPath);
+        expect(infoRes.body).to.have.property('phase', 'finalized');
+        
+        const resultsRes = await chai.request(app).get(`${electionPath}/results`);
+        expect(resultsRes).to.have.status(200);
+        
+        const finalizeRes = await chai.request(app)
+            .post(`${electionPath}/election/finalize`);
+        expect(finalizeRes).to.have.status(409);
+    });
+});
+
+describe('Candidate Lifecycle API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    const metadata = {
+        photo: 'https://example.com/photo.jpg',
+        bio: 'Test biography',
+        links: ['https://example.com'],
+        proposalDocument: 'A long proposal document'
+    };
+    let electionPath;
+    
+    before(async function() {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Candidate Lifecycle Test Election' });
+        expect(res).to.have.status(201);
+        electionPath = `/api/elections/${res.body.electionId}`;
+        
+        const addRes = await chai.request(app)
+            .post(`${electionPath}/candidates`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ ...testCandidate, metadata });
+        expect(addRes).to.have.status(201);
+        expect(addRes.body.metadataHash).to.match(/^0x[0-9a-f]{64}$/);
+        
+        await chai.request(app)
+            .post(`${electionPath}/candidates`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ ...testCandidate, name: 'Withdrawing Candidate' });
+    });
+    
+    it('should serve verified candidate metadata', async function() {
+        const res = await chai.request(app)
+            .get(`${electionPath}/candidates/0`);
+            
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.property('metadataVerified', true);
+        expect(res.body.metadata).to.deep.equal(metadata);
+        
+        const missingRes = await chai.request(app)
+            .get(`${electionPath}/candidates/5`);
+        expect(missingRes).to.have.status(404);
+    });
+    
+    it('should edit a candidate before the election starts', async function() {
+        const res = await chai.request(app)
+            .patch(`${electionPath}/candidates/0`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Renamed Candidate', metadata: { ...metadata, bio: 'Updated biography' } });
+        expect(res).to.have.status(200);
+        
+        const candidateRes = await chai.request(app)
+            .get(`${electionPath}/candidates/0`);
+        expect(candidateRes.body).to.have.property('name', 'Renamed Candidate');
+        expect(candidateRes.body).to.have.property('party', testCandidate.party);
+        expect(candidateRes.body.metadata).to.have.property('bio', 'Updated biography');
+        expect(candidateRes.body).to.have.property('metadataVerified', true);
+    });
+    
+    it('should leave withdrawn candidates out of the candidate list', async function() {
+        const res = await chai.request(app)
+            .delete(`${electionPath}/candidates/1`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(res).to.have.status(200);
+        
+        const listRes = await chai.request(app)
+            .get(`${electionPath}/candidates`);
+        expect(listRes.body).to.have.lengthOf(1);
+        
+        const allRes = await chai.request(app)
+            .get(`${electionPath}/candidates`)
+            .query({ includeWithdrawn: 'true' });
+        expect(allRes.body).to.have.lengthOf(2);
+        expect(allRes.body[1]).to.have.property('withdrawn', true);
+        
+        const againRes = await chai.request(app)
+            .delete(`${electionPath}/candidates/1`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(againRes).to.have.status(409);
+    });
+    
+    it('should lock candidates once the election starts', async function() {
+        await chai.request(app)
+            .post(`${electionPath}/election/start`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ durationInMinutes: 60 });
+        
+        const patchRes = await chai.request(app)
+            .patch(`${electionPath}/candidates/0`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Late Rename' });
+        expect(patchRes).to.have.status(409);
+        
+        const voteRes = await chai.request(app)
+            .get(`${electionPath}/vote/typed-data`)
+            .query({ voterAddress: web3.eth.accounts.create().address, candidateId: 1 });
+        expect(voteRes).to.have.status(400);
+        expect(voteRes.body).to.have.property('error', 'Candidate has withdrawn');
+    });
+});
+
+describe('Access Control API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    let registrarKey;
+    
+    before(async function() {
+        const res = await chai.request(app)
+            .post('/api/keys')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ label: 'Registrar desk', scopes: ['voters'] });
+        expect(res).to.have.status(201);
+        expect(res.body.key).to.not.have.property('secretHash');
+        registrarKey = res.body;
+    });
+    
+    it('should limit scoped API keys to their scopes', async function() {
+        const registerRes = await chai.request(app)
+            .post('/api/voters/register')
+            .set('x-api-key', registrarKey.secret)
+            .send({ voterAddress: web3.eth.accounts.create().address });
+        expect(registerRes).to.have.status(201);
+        
+        const candidateRes = await chai.request(app)
+            .post('/api/candidates')
+            .set('x-api-key', registrarKey.secret)
+            .send(testCandidate);
+        expect(candidateRes).to.have.status(403);
+        
+        const keysRes = await chai.request(app)
+            .get('/api/keys')
+            .set('x-api-key', registrarKey.secret);
+        expect(keysRes).to.have.status(403);
+    });
+    
+    it('should log admin writes with the calling key', async function() {
+        const res = await chai.request(app)
+            .get('/api/admin/log')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .query({ keyId: registrarKey.key.id });
+            
+        expect(res).to.have.status(200);
+        expect(res.body[0]).to.include({ keyLabel: 'Registrar desk', method: 'POST', status: 403 });
+        expect(res.body[1]).to.include({ path: '/api/voters/register', status: 201 });
+        expect(res.body[1].jobIds).to.have.lengthOf(1);
+        
+        const jobRes = await chai.request(app)
+            .get(`/api/transactions/${res.body[1].jobIds[0]}`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(jobRes.body.requestedBy).to.deep.equal({ keyId: registrarKey.key.id, keyLabel: 'Registrar desk' });
+        
+        // Polling the job without a key shows its status, but not who requested it
+        const publicRes = await chai.request(app).get(`/api/transactions/${res.body[1].jobIds[0]}`);
+        expect(publicRes).to.have.status(200);
+        expect(publicRes.body).to.have.property('status', 'confirmed');
+        expect(publicRes.body).to.not.have.property('requestedBy');
+    });
+    
+    it('should reject revoked API keys', async function() {
+        const revokeRes = await chai.request(app)
+            .delete(`/api/keys/${registrarKey.key.id}`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(revokeRes).to.have.status(200);
+        expect(revokeRes.body.key.revokedAt).to.be.a('string');
+        
+        const res = await chai.request(app)
+            .post('/api/voters/register')
+            .set('x-api-key', registrarKey.secret)
+            .send({ voterAddress: web3.eth.accounts.create().address });
+        expect(res).to.have.status(401);
+    });
+    
+    it('should save when a key was last used at most once per interval', async function() {
+        const keyStore = createApiKeyStore({ storeName: 'apiKeys-usage-test', usageSaveInterval: 60000 });
+        const { key, secret } = keyStore.create({ label: 'Usage test', scopes: ['elections'] });
+        
+        keyStore.authenticate(secret);
+        const firstUse = openStore('apiKeys-usage-test').data.keys[key.id].lastUsedAt;
+        expect(firstUse).to.be.a('string');
+        
+        await new Promise(resolve => setTimeout(resolve, 5));
+        keyStore.authenticate(secret);
+        const [listed] = keyStore.list().filter(item => item.id === key.id);
+        expect(listed.lastUsedAt > firstUse).to.equal(true);
+        expect(openStore('apiKeys-usage-test').data.keys[key.id].lastUsedAt).to.equal(firstUse);
+        
+        keyStore.revoke(key.id);
+        expect(openStore('apiKeys-usage-test').data.keys[key.id].lastUsedAt).to.equal(listed.lastUsedAt);
+    });
+    
+    it('should grant and revoke contract roles', async function() {
+        const account = web3.eth.accounts.create().address;
+        
+        const grantRes = await chai.request(app)
+            .post('/api/roles')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ role: 'registrar', address: account });
+        expect(grantRes).to.have.status(201);
+        
+        const rolesRes = await chai.request(app).get(`/api/roles/${account}`);
+        expect(rolesRes.body).to.have.property('isElectionAdmin', false);
+        expect(rolesRes.body.roles).to.deep.equal(['registrar']);
+        
+        const revokeRes = await chai.request(app)
+            .delete(`/api/roles/registrar/${account}`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(revokeRes).to.have.status(200);
+        
+        const revokedRes = await chai.request(app).get(`/api/roles/${account}`);
+        expect(revokedRes.body.roles).to.be.empty;
+        
+        const adminRes = await chai.request(app)
+            .delete(`/api/roles/registrar/${process.env.ADMIN_ADDRESS}`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(adminRes).to.have.status(409);
+    });
+});
+
+describe('Proposal API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    let electionId;
+    let scheduleElectionId;
+    
+    before(async function() {
+        const electionIds = [];
+        for (const name of ['Proposal Test Election', 'Scheduled Proposal Test Election']) {
+            const res = await chai.request(app)
+                .post('/api/elections')
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .send({ name });
+            expect(res).to.have.status(201);
+            electionIds.push(res.body.electionId);
+            
+            await chai.request(app)
+                .post(`/api/elections/${res.body.electionId}/candidates`)
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .send(testCandidate);
+        }
+        [electionId, scheduleElectionId] = electionIds;
+    });
+    
+    // Approve a proposal with an API key
+    function approve(proposalId, apiKey) {
+        return chai.request(app)
+            .post(`/api/proposals/${proposalId}/approve`)
+            .set('x-api-key', apiKey);
+    }
+    
+    it('should register voters once a proposal is approved', async function() {
+        const voter = web3.eth.accounts.create();
+        const res = await chai.request(app)
+            .post('/api/proposals')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ action: 'registerVoters', electionId, params: { voters: [voter.address, 'not-an-address'] } });
+        expect(res).to.have.status(201);
+        expect(res.body.proposal.params.voters).to.have.lengthOf(1);
+        expect(res.body.voters[1]).to.have.property('status', 'invalid');
+        
+        const approveRes = await approve(res.body.proposal.id, approverKeys[0]);
+        expect(approveRes).to.have.status(200);
+        expect(approveRes.body.proposal).to.have.property('status', 'executed');
+        
+        const statusRes = await chai.request(app)
+            .get(`/api/elections/${electionId}/voters/${voter.address}/status`);
+        expect(statusRes.body).to.have.property('isRegistered', true);
+    });
+    
+    it('should start an election only when its threshold is met', async function() {
+        const res = await chai.request(app)
+            .post('/api/proposals')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ action: 'startElection', electionId, threshold: 2, params: { durationInMinutes: 60 } });
+        expect(res).to.have.status(201);
+        const proposalId = res.body.proposal.id;
+        
+        const firstRes = await approve(proposalId, approverKeys[0]);
+        expect(firstRes.body.proposal).to.have.property('status', 'pending');
+        
+        const repeatRes = await approve(proposalId, approverKeys[0]);
+        expect(repeatRes).to.have.status(409);
+        
+        // Signatures are accepted from PROPOSAL_SIGNERS only
+        const outsider = web3.eth.accounts.create();
+        const typedDataRes = await chai.request(app).get(`/api/proposals/${proposalId}/typed-data`);
+        const signatureRes = await chai.request(app)
+            .post(`/api/proposals/${proposalId}/approve`)
+            .send({ signer: outsider.address, signature: signBallot(typedDataRes.body.typedData, outsider.privateKey) });
+        expect(signatureRes).to.have.status(403);
+        
+        const infoRes = await chai.request(app).get(`/api/elections/${electionId}`);
+        expect(infoRes.body).to.have.property('isStarted', false);
+        
+        const secondRes = await approve(proposalId, approverKeys[1]);
+        expect(secondRes).to.have.status(200);
+        expect(secondRes.body.proposal).to.have.property('status', 'executed');
+        expect(secondRes.body.proposal.approvals).to.have.lengthOf(2);
+        
+        const startedRes = await chai.request(app).get(`/api/elections/${electionId}`);
+        expect(startedRes.body).to.have.property('isStarted', true);
+        
+        const listRes = await chai.request(app)
+            .get('/api/proposals')
+            .set('x-api-key', approverKeys[1])
+            .query({ status: 'executed', electionId });
+        expect(listRes.body.map(proposal => proposal.id)).to.include(proposalId);
+    });
+    
+    it('should count approvals from configured approver keys other than the proposer only', async function() {
+        const res = await chai.request(app)
+            .post('/api/proposals')
+            .set('x-api-key', approverKeys[0])
+            .send({ action: 'endElection', electionId, threshold: 2 });
+        expect(res).to.have.status(201);
+        const proposalId = res.body.proposal.id;
+        
+        // The root key can create keys with the approvals scope, but they are not listed
+        const mintedRes = await chai.request(app)
+            .post('/api/keys')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ label: 'Minted approver', scopes: ['approvals'] });
+        const mintedApproveRes = await approve(proposalId, mintedRes.body.secret);
+        expect(mintedApproveRes).to.have.status(403);
+        expect(mintedApproveRes.body).to.have.property('code', 'NOT_AN_APPROVER');
+        
+        const rootApproveRes = await approve(proposalId, process.env.ADMIN_API_KEY);
+        expect(rootApproveRes).to.have.status(403);
+        expect(rootApproveRes.body).to.have.property('code', 'NOT_AN_APPROVER');
+        
+        const selfApproveRes = await approve(proposalId, approverKeys[0]);
+        expect(selfApproveRes).to.have.status(403);
+        expect(selfApproveRes.body).to.have.property('code', 'SELF_APPROVAL');
+        
+        const getRes = await chai.request(app)
+            .get(`/api/proposals/${proposalId}`)
+            .set('x-api-key', approverKeys[1]);
+        expect(getRes).to.have.status(200);
+        expect(getRes.body.approvals).to.be.empty;
+    });
+    
+    it('should count a key and a signature of the same owner as one approval', async function() {
+        const res = await chai.request(app)
+            .post('/api/proposals')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ action: 'endElection', electionId, threshold: 2 });
+        const proposalId = res.body.proposal.id;
+        
+        const keyRes = await approve(proposalId, approverKeys[0]);
+        expect(keyRes.body.proposal.approvals[0]).to.include({ signer: approverAccounts[0].address, method: 'apiKey' });
+        
+        const typedDataRes = await chai.request(app).get(`/api/proposals/${proposalId}/typed-data`);
+        const signatureRes = await chai.request(app)
+            .post(`/api/proposals/${proposalId}/approve`)
+            .send({ signer: approverAccounts[0].address, signature: signBallot(typedDataRes.body.typedData, approverAccounts[0].privateKey) });
+        expect(signatureRes).to.have.status(409);
+        expect(signatureRes.body).to.have.property('code', 'ALREADY_APPROVED');
+        
+        await chai.request(app)
+            .post(`/api/proposals/${proposalId}/cancel`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+    });
+    
+    it('should require a key to read proposals', async function() {
+        const listRes = await chai.request(app)
+            .get('/api/proposals');
+        expect(listRes).to.have.status(401);
+        
+        const { body: [proposal] } = await chai.request(app)
+            .get('/api/proposals')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .query({ limit: 1 });
+        const getRes = await chai.request(app)
+            .get(`/api/proposals/${proposal.id}`);
+        expect(getRes).to.have.status(401);
+    });
+    
+    it('should schedule an election only through an approved proposal', async function() {
+        const startTime = Number((await web3.eth.getBlock('latest')).timestamp) + 3600;
+        const res = await chai.request(app)
+            .post('/api/proposals')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ action: 'scheduleElection', electionId: scheduleElectionId, params: { startTime, endTime: startTime + 3600 } });
+        expect(res).to.have.status(201);
+        expect(res.body.proposal.params).to.deep.equal({ startTime, endTime: startTime + 3600 });
+        
+        const approveRes = await approve(res.body.proposal.id, approverKeys[0]);
+        expect(approveRes).to.have.status(200);
+        expect(approveRes.body.proposal).to.have.property('status', 'executed');
+        
+        const infoRes = await chai.request(app).get(`/api/elections/${scheduleElectionId}`);
+        expect(infoRes.body).to.have.property('startTime', new Date(startTime * 1000).toISOString());
+    });
+    
+    it('should grant a contract role only through an approved proposal', async function() {
+        const manager = web3.eth.accounts.create().address;
+        const res = await chai.request(app)
+            .post('/api/proposals')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ action: 'grantRole', electionId, threshold: 2, params: { role: 'electionManager', address: manager } });
+        expect(res).to.have.status(201);
+        
+        await approve(res.body.proposal.id, approverKeys[0]);
+        const approveRes = await approve(res.body.proposal.id, approverKeys[1]);
+        expect(approveRes.body.proposal).to.have.property('status', 'executed');
+        
+        const rolesRes = await chai.request(app).get(`/api/elections/${electionId}/roles/${manager}`);
+        expect(rolesRes.body.roles).to.deep.equal(['electionManager']);
+        
+        const repeatRes = await chai.request(app)
+            .post('/api/proposals')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ action: 'grantRole', electionId, params: { role: 'electionManager', address: manager } });
+        expect(repeatRes).to.have.status(409);
+        expect(repeatRes.body).to.have.property('code', 'ROLE_ALREADY_GRANTED');
+    });
+    
+    it('should refuse single-key role grants when proposals need two approvals', async function() {
+        this.timeout(DEV_MODE_TIMEOUT);
+        
+        // PROPOSAL_THRESHOLD is read once, so a second API process runs with it
+        const { fork } = require('child_process');
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+        const port = Number(process.env.PORT || 3000) + 1;
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voting-dapp-threshold-'));
+        const api = fork(path.join(__dirname, 'app.js'), [], {
+            env: {
+                ...process.env,
+                PORT: String(port),
+                DATA_DIR: dataDir,
+                PROPOSAL_THRESHOLD: '2',
+                DEV_MODE: 'false',
+                INDEXER_ENABLED: 'false',
+                KEEPER_ENABLED: 'false',
+                WEBHOOKS_ENABLED: 'false',
+                STARTUP_CHECKS: 'off'
+            }
+        });
+        const baseUrl = `http://localhost:${port}`;
+        
+        try {
+            for (let i = 0; i < 100; i++) {
+                const ready = await chai.request(baseUrl).get('/health').then(() => true, () => false);
+                if (ready) {
+                    break;
+                }
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+            
+            const grantRes = await chai.request(baseUrl)
+                .post(`/api/elections/${electionId}/roles`)
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .send({ role: 'electionManager', address: web3.eth.accounts.create().address });
+            expect(grantRes).to.have.status(403);
+            expect(grantRes.body).to.have.property('code', 'APPROVALS_REQUIRED');
+            
+            const revokeRes = await chai.request(baseUrl)
+                .delete(`/api/elections/${electionId}/roles/electionManager/${web3.eth.accounts.create().address}`)
+                .set('x-api-key', process.env.ADMIN_API_KEY);
+            expect(revokeRes).to.have.status(403);
+        } finally {
+            await new Promise(resolve => {
+                api.once('exit', resolve);
+                api.kill();
+            });
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+    
+    it('should not execute cancelled proposals', async function() {
+        const res = await chai.request(app)
+            .post('/api/proposals')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ action: 'endElection', electionId });
+        expect(res).to.have.status(201);
+        
+        const cancelRes = await chai.request(app)
+            .post(`/api/proposals/${res.body.proposal.id}/cancel`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(cancelRes).to.have.status(200);
+        
+        const approveRes = await approve(res.body.proposal.id, approverKeys[0]);
+        expect(approveRes).to.have.status(409);
+        expect(approveRes.body).to.have.property('error', 'Proposal is cancelled');
+    });
+});
+
+describe('Voter Session API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    const host = 'voting.test';
+    const voter = web3.eth.accounts.create();
+    let token;
+    
+    // Sign in an account with a SIWE message, optionally overriding message fields
+    async function signIn(account, overrides = {}) {
+        const nonceRes = await chai.request(app)
+            .get('/api/auth/nonce')
+            .set('Host', host);
+        expect(nonceRes).to.have.status(200);
+        
+        const message = buildSiweMessage({
+            domain: nonceRes.body.domain,
+            address: account.address,
+            statement: 'Sign in to the voting API',
+            uri: `https://${host}`,
+            chainId: nonceRes.body.chainId,
+            nonce: nonceRes.body.nonce,
+            issuedAt: new Date().toISOString(),
+            ...overrides
+        });
+        
+        return chai.request(app)
+            .post('/api/auth/verify')
+            .set('Host', host)
+            .send({ message, signature: web3.eth.accounts.sign(message, account.privateKey).signature });
+    }
+    
+    before(async function() {
+        const res = await chai.request(app)
+            .post('/api/voters/register')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: voter.address });
+        expect(res).to.have.status(201);
+    });
+    
+    it('should start a session from a signed SIWE message', async function() {
+        const res = await signIn(voter);
+        
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.property('address', voter.address);
+        expect(res.body).to.have.property('token').that.is.a('string');
+        token = res.body.token;
+    });
+    
+    it('should reject SIWE messages for another domain', async function() {
+        const res = await signIn(voter, { domain: 'phishing.test' });
+        
+        expect(res).to.have.status(401);
+        expect(res.body).to.have.property('error', 'Message is for another domain');
+    });
+    
+    it('should show the signed-in voter their registration', async function() {
+        await app.locals.indexer.sync();
+        
+        const res = await chai.request(app)
+            .get('/api/voters/me')
+            .set('Authorization', `Bearer ${token}`);
+            
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.property('address', voter.address);
+        expect(res.body).to.have.property('isRegistered', true);
+        expect(res.body.transactions.map(transaction => transaction.event)).to.include('VoterRegistered');
+        
+        const anonymousRes = await chai.request(app).get('/api/voters/me');
+        expect(anonymousRes).to.have.status(401);
+    });
+    
+    it('should refuse sessions acting for another voter', async function() {
+        const res = await chai.request(app)
+            .get(`/api/voters/${testVoter.address}/status`)
+            .set('Authorization', `Bearer ${token}`);
+            
+        expect(res).to.have.status(403);
+    });
+    
+    it('should end a session on logout', async function() {
+        const res = await chai.request(app)
+            .post('/api/auth/logout')
+            .set('Authorization', `Bearer ${token}`);
+        expect(res).to.have.status(200);
+        
+        const meRes = await chai.request(app)
+            .get('/api/voters/me')
+            .set('Authorization', `Bearer ${token}`);
+        expect(meRes).to.have.status(401);
+    });
+});
+
+describe('Read Cache API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    let electionPath;
+    let electionAddress;
+    
+    before(async function() {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Read Cache Test Election' });
+        expect(res).to.have.status(201);
+        electionPath = `/api/elections/${res.body.electionId}`;
+        electionAddress = res.body.address;
+    });
+    
+    it('should serve reads with the block they reflect and revalidate them', async function() {
+        const res = await chai.request(app).get(`${electionPath}/candidates`);
+        expect(res).to.have.status(200);
+        expect(res).to.have.header('cache-control', 'no-cache');
+        expect(res).to.have.header('etag');
+        const blockNumber = Number(res.headers['x-block-number']);
+        expect(blockNumber).to.be.above(0);
+        
+        const cachedRes = await chai.request(app)
+            .get(`${electionPath}/candidates`)
+            .set('If-None-Match', res.headers.etag);
+        expect(cachedRes).to.have.status(304);
+        
+        const addRes = await chai.request(app)
+            .post(`${electionPath}/candidates`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send(testCandidate);
+        expect(addRes).to.have.status(201);
+        
+        const changedRes = await chai.request(app)
+            .get(`${electionPath}/candidates`)
+            .set('If-None-Match', res.headers.etag);
+        expect(changedRes).to.have.status(200);
+        expect(changedRes.body).to.have.lengthOf(1);
+        expect(Number(changedRes.headers['x-block-number'])).to.be.above(blockNumber);
+    });
+    
+    it('should drop cached reads on contract events sent outside the API', async function() {
+        const accounts = await web3.eth.getAccounts();
+        const manager = accounts.find(account => account.toLowerCase() !== process.env.ADMIN_ADDRESS.toLowerCase());
+        
+        const grantRes = await chai.request(app)
+            .post(`${electionPath}/roles`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ role: 'candidateManager', address: manager });
+        expect(grantRes).to.have.status(201);
+        
+        const before = await chai.request(app).get(`${electionPath}/candidates`);
+        expect(before.body).to.have.lengthOf(1);
+        
+        const election = new web3.eth.Contract(contractABI, electionAddress);
+        await election.methods.addCandidate('Direct Candidate', 'Direct Party', 'Direct Proposal', `0x${'0'.repeat(64)}`)
+            .send({ from: manager, gas: 500000 });
+        
+        // Wait for the cache's next check of the chain head
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        
+        const after = await chai.request(app).get(`${electionPath}/candidates`);
+        expect(after.body.map(candidate => candidate.name)).to.include('Direct Candidate');
+    });
+});
+
+describe('Batched Read Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    const fs = require('fs');
+    const path = require('path');
+    const solc = require('solc');
+    
+    let deployer;
+    let originalElection;
+    let multicall;
+    
+    // Compile a contract of fixtures/contracts for the dev chain
+    function compileFixture(fileName, contractName) {
+        const input = {
+            language: 'Solidity',
+            sources: { [fileName]: { content: fs.readFileSync(path.join(__dirname, 'fixtures', 'contracts', fileName), 'utf8') } },
+            settings: {
+                evmVersion: loadNetwork('development').evmVersion,
+                outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+            }
+        };
+        const compiled = JSON.parse(solc.compile(JSON.stringify(input))).contracts[fileName][contractName];
+        return { abi: compiled.abi, bytecode: `0x${compiled.evm.bytecode.object}` };
+    }
+    
+    // Deploy a fixture contract from the deployer account
+    async function deployFixture(fileName, contractName, args = []) {
+        const { abi, bytecode } = compileFixture(fileName, contractName);
+        return new web3.eth.Contract(abi).deploy({ data: bytecode, arguments: args }).send({ from: deployer, gas: 3000000 });
+    }
+    
+    // Deploy an election with the first version of the Voting contract, with one candidate
+    before(async function() {
+        const accounts = await web3.eth.getAccounts();
+        deployer = accounts.find(account => account.toLowerCase() !== process.env.ADMIN_ADDRESS.toLowerCase());
+        
+        originalElection = await deployFixture('VotingV1.sol', 'Voting', ['Original Election']);
+        await originalElection.methods.addCandidate('Original Candidate', 'Original Party', 'Original Proposal')
+            .send({ from: deployer, gas: 500000 });
+        multicall = await deployFixture('Multicall3.sol', 'Multicall3');
+    });
+    
+    it('should read elections deployed with the first contract version', async function() {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Upgraded Election' });
+        expect(res).to.have.status(201);
+        const electionPath = `/api/elections/${res.body.electionId}`;
+        
+        // The API serves factory elections only: give one the code and state of the
+        // original deployment (its admin, name, times, flags, candidates and votes)
+        const originalAddress = originalElection.options.address;
+        await web3.requestManager.send({ method: 'evm_setAccountCode', params: [res.body.address, await web3.eth.getCode(originalAddress)] });
+        const candidateSlot = BigInt(web3.utils.soliditySha3({ type: 'uint256', value: 5 }));
+        const slots = [...Array(8).keys()].map(BigInt).concat([0n, 1n, 2n, 3n, 4n].map(field => candidateSlot + field));
+        for (const slot of slots) {
+            const value = await web3.eth.getStorageAt(originalAddress, slot);
+            await web3.requestManager.send({
+                method: 'evm_setAccountStorageAt',
+                params: [res.body.address, web3.utils.padLeft(web3.utils.toHex(slot), 64), web3.utils.padLeft(value, 64)]
+            });
+        }
+        await web3.requestManager.send({ method: 'evm_mine', params: [] });
+        
+        const candidatesRes = await chai.request(app).get(`${electionPath}/candidates`);
+        expect(candidatesRes).to.have.status(200);
+        expect(candidatesRes.body).to.deep.equal([{
+            id: 0,
+            name: 'Original Candidate',
+            party: 'Original Party',
+            proposal: 'Original Proposal',
+            voteCount: 0,
+            withdrawn: false,
+            metadataHash: null
+        }]);
+        
+        const infoRes = await chai.request(app).get(electionPath);
+        expect(infoRes).to.have.status(200);
+        expect(infoRes.body).to.include({
+            name: 'Original Election',
+            votingMethod: 'plurality',
+            phase: 'pending',
+            secretBallot: false,
+            registeredVoters: 0
+        });
+        expect(infoRes.body.resultRules).to.deep.equal({ quorum: '0.00', winningRule: 'plurality', supermajority: null });
+    });
+    
+    it('should batch reads through a deployed Multicall3 aggregator', async function() {
+        const batchReader = createBatchReader({ web3, multicallAddress: multicall.options.address });
+        expect(await batchReader.isAvailable()).to.equal(true);
+        
+        // The first version's contract has neither getter
+        const original = new web3.eth.Contract(contractABI, originalElection.options.address);
+        const [electionName, candidateCount, secretBallot, votingMethod] = await batchReader.callAll([
+            { contract: original, method: 'electionName' },
+            { contract: original, method: 'getCandidateCount' },
+            { contract: original, method: 'secretBallot', defaultValue: false },
+            { contract: original, method: 'votingMethod', defaultValue: 0 }
+        ]);
+        expect(electionName).to.equal('Original Election');
+        expect(Number(candidateCount)).to.equal(1);
+        expect(secretBallot).to.equal(false);
+        expect(votingMethod).to.equal(0);
+        
+        let batchError = null;
+        await batchReader.callAll([{ contract: original, method: 'secretBallot' }]).catch(error => {
+            batchError = error;
+        });
+        expect(batchError).to.have.property('message', 'Batched call to secretBallot reverted');
+    });
+    
+    it('should keep the revert reason of a batched read that reverts', async function() {
+        const batchReader = createBatchReader({ web3, multicallAddress: multicall.options.address });
+        const election = new web3.eth.Contract(contractABI, process.env.CONTRACT_ADDRESS);
+        
+        let batchError = null;
+        await batchReader.callAll([
+            { contract: election, method: 'electionName' },
+            { contract: election, method: 'getCandidate', args: [1000] }
+        ]).catch(error => {
+            batchError = error;
+        });
+        expect(describeError(batchError)).to.deep.equal({
+            status: 422,
+            body: { error: 'Invalid candidate ID', code: 'INVALID_CANDIDATE' }
+        });
+    });
+});
+
+describe('Error Model API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    let electionPath;
+    
+    before(async function() {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Error Model Test Election' });
+        expect(res).to.have.status(201);
+        electionPath = `/api/elections/${res.body.electionId}`;
+        
+        await chai.request(app)
+            .post(`${electionPath}/candidates`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send(testCandidate);
+        await chai.request(app)
+            .post(`${electionPath}/voters/register`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: testVoter.address });
+    });
+    
+    it('should report validation failures, unknown routes and malformed bodies in one envelope', async function() {
+        const validationRes = await chai.request(app)
+            .post(`${electionPath}/voters/register`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({});
+        expect(validationRes).to.have.status(400);
+        expect(validationRes.body).to.have.property('code', 'VALIDATION_FAILED');
+        expect(validationRes.body).to.have.property('error').that.is.a('string');
+        expect(validationRes.body.errors[0]).to.have.property('path', 'voterAddress');
+        
+        const routeRes = await chai.request(app)
+            .get('/api/no-such-route');
+        expect(routeRes).to.have.status(404);
+        expect(routeRes.body).to.have.property('code', 'ROUTE_NOT_FOUND');
+        
+        const jsonRes = await chai.request(app)
+            .post(`${electionPath}/candidates`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .set('Content-Type', 'application/json')
+            .send('{"name":');
+        expect(jsonRes).to.have.status(400);
+        expect(jsonRes.body).to.have.property('code', 'INVALID_JSON');
+        
+        const keyRes = await chai.request(app)
+            .post(`${electionPath}/candidates`)
+            .send(testCandidate);
+        expect(keyRes).to.have.status(401);
+        expect(keyRes.body).to.deep.equal({ error: 'Unauthorized: Admin access required', code: 'INVALID_API_KEY' });
+    });
+    
+    it('should decode contract reverts into error codes and statuses', async function() {
+        const registerRes = await chai.request(app)
+            .post(`${electionPath}/voters/register`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: testVoter.address });
+        expect(registerRes).to.have.status(409);
+        expect(registerRes.body).to.have.property('code', 'VOTER_ALREADY_REGISTERED');
+        
+        const startRes = await chai.request(app)
+            .post(`${electionPath}/election/start`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ durationInMinutes: 60 });
+        expect(startRes).to.have.status(200);
+        
+        const restartRes = await chai.request(app)
+            .post(`${electionPath}/election/start?async=true`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ durationInMinutes: 60 });
+        expect(restartRes).to.have.status(409);
+        expect(restartRes.body).to.deep.equal({ error: 'Election has already started', code: 'ELECTION_ALREADY_STARTED' });
+        
+        const candidateRes = await chai.request(app)
+            .get(`${electionPath}/vote/typed-data`)
+            .query({ voterAddress: testVoter.address, candidateId: 5 });
+        expect(candidateRes).to.have.status(422);
+        expect(candidateRes.body).to.have.property('code', 'INVALID_CANDIDATE');
+        
+        const outsider = web3.eth.accounts.create();
+        const typedDataRes = await chai.request(app)
+            .get(`${electionPath}/vote/typed-data`)
+            .query({ voterAddress: outsider.address, candidateId: 0 });
+        const voterRes = await chai.request(app)
+            .post(`${electionPath}/vote`)
+            .send({
+                ...typedDataRes.body.typedData.message,
+                voterAddress: outsider.address,
+                signature: signBallot(typedDataRes.body.typedData, outsider.privateKey)
+            });
+        expect(voterRes).to.have.status(403);
+        expect(voterRes.body).to.have.property('code', 'VOTER_NOT_REGISTERED');
+    });
+    
+    it('should describe provider failures and contract panics', function() {
+        const failure = new Error('request to http://127.0.0.1:1/ failed, reason: connect ECONNREFUSED 127.0.0.1:1');
+        failure.name = 'FetchError';
+        failure.code = 'ECONNREFUSED';
+        expect(describeError(failure)).to.deep.equal({
+            status: 503,
+            body: { error: 'Blockchain node is unavailable', code: 'PROVIDER_UNAVAILABLE' }
+        });
+        
+        const panic = new Error('Error happened while trying to execute a function inside a smart contract');
+        panic.name = 'ContractExecutionError';
+        panic.cause = { data: web3.eth.abi.encodeFunctionCall({ name: 'Panic', type: 'function', inputs: [{ type: 'uint256' }] }, ['17']) };
+        expect(describeError(panic)).to.deep.equal({
+            status: 500,
+            body: { error: 'Contract failed with Panic(0x11)', code: 'CONTRACT_PANIC' }
+        });
+    });
+});
+
+describe('Dry Run API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    let electionPath;
+    
+    before(async function() {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Dry Run Test Election' });
+        expect(res).to.have.status(201);
+        electionPath = `/api/elections/${res.body.electionId}`;
+        
+        await chai.request(app)
+            .post(`${electionPath}/voters/register`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: testVoter.address });
+    });
+    
+    it('should preview the gas and cost of a write without sending it', async function() {
+        const voterAddress = web3.eth.accounts.create().address;
+        
+        const res = await chai.request(app)
+            .post(`${electionPath}/voters/register?dryRun=true`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress });
+            
+        expect(res).to.have.status(200);
+        expect(res.body).to.include({ dryRun: true, success: true, from: process.env.ADMIN_ADDRESS });
+        const [preview] = res.body.transactions;
+        expect(preview).to.include({ label: 'registerVoter', success: true, result: null, revert: null });
+        expect(Number(preview.gas.estimate)).to.be.above(21000);
+        expect(Number(preview.gas.limit)).to.be.at.least(Number(preview.gas.estimate));
+        expect(res.body.totalCost).to.deep.equal(preview.cost);
+        expect(Number(res.body.totalCost.eth)).to.be.above(0);
+        expect(res.body.balance).to.have.property('sufficient', true);
+        
+        const statusRes = await chai.request(app)
+            .get(`${electionPath}/voters/${voterAddress}/status`);
+        expect(statusRes.body).to.have.property('isRegistered', false);
+        
+        const createRes = await chai.request(app)
+            .post('/api/elections?dryRun=true')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Previewed Election' });
+        expect(createRes).to.have.status(200);
+        expect(createRes.body.transactions[0].result).to.be.an('array').with.lengthOf(2);
+        expect(web3.utils.isAddress(createRes.body.transactions[0].result[1])).to.equal(true);
+    });
+    
+    it('should preview a revert with its error code', async function() {
+        const res = await chai.request(app)
+            .post(`${electionPath}/voters/register?dryRun=true`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: testVoter.address });
+            
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.property('success', false);
+        expect(res.body.transactions[0]).to.include({ success: false, gas: null, cost: null });
+        expect(res.body.transactions[0].revert).to.deep.equal({ error: 'Voter is already registered', code: 'VOTER_ALREADY_REGISTERED' });
+    });
+    
+    it('should project the total cost of a bulk registration', async function() {
+        const voters = [testVoter.address, web3.eth.accounts.create().address, web3.eth.accounts.create().address];
+        
+        const res = await chai.request(app)
+            .post(`${electionPath}/voters/register/bulk?dryRun=true`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voters });
+            
+        expect(res).to.have.status(200);
+        expect(res.body).to.have.property('success', true);
+        expect(res.body.transactions).to.have.lengthOf(1);
+        expect(res.body.transactions[0]).to.have.property('label', 'registerVoters');
+        expect(res.body.voters.map(voter => voter.status)).to.deep.equal(['skipped', 'pending', 'pending']);
+        expect(res.body.totalCost.wei).to.equal(res.body.transactions[0].cost.wei);
+        expect(BigInt(res.body.balance.wei) >= BigInt(res.body.totalCost.wei)).to.equal(res.body.balance.sufficient);
+        
+        const statusRes = await chai.request(app)
+            .get(`${electionPath}/voters/${voters[1]}/status`);
+        expect(statusRes.body).to.have.property('isRegistered', false);
+    });
+});
+
+describe('Webhook API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    const http = require('http');
+    const secret = 'webhook-test-secret-0123456789';
+    const received = [];
+    const failures = [];
+    let receiver;
+    let receiverUrl;
+    let webhookId;
+    let electionPath;
+    
+    // Wait for the receiver to get deliveries matching a predicate
+    async function waitForDeliveries(predicate, count = 1) {
+        for (let i = 0; i < 100; i++) {
+            const matching = received.filter(predicate);
+            if (matching.length >= count) {
+                return matching;
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        throw new Error('Webhook was not delivered');
+    }
+    
+    // Mine blocks until the indexed events reach the confirmation depth, and index them
+    async function confirmEvents() {
+        await mineBlocks(web3, app.locals.indexer.getStatus().confirmations);
+        await app.locals.indexer.sync();
+    }
+    
+    before(async function() {
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const payload = JSON.parse(body);
+                received.push({ headers: req.headers, body, payload });
+                
+                // Fail the deliveries listed in failures, once per entry
+                const failure = failures.findIndex(({ predicate }) => predicate(payload));
+                res.writeHead(failure === -1 ? 200 : failures.splice(failure, 1)[0].status);
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, resolve));
+        receiverUrl = `http://localhost:${receiver.address().port}/hooks`;
+        
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Webhook Test Election' });
+        electionPath = `/api/elections/${res.body.electionId}`;
+    });
+    
+    after(async function() {
+        if (webhookId) {
+            await chai.request(app)
+                .delete(`/api/webhooks/${webhookId}`)
+                .set('x-api-key', process.env.ADMIN_API_KEY);
+        }
+        receiver.close();
+    });
+    
+    it('should create a webhook subscription', async function() {
+        const res = await chai.request(app)
+            .post('/api/webhooks')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ url: receiverUrl, events: ['voter.registered', 'transaction.confirmed'], secret });
+            
+        expect(res).to.have.status(201);
+        expect(res.body).to.have.property('secret', secret);
+        expect(res.body.webhook).to.include({ url: receiverUrl });
+        expect(res.body.webhook).to.not.have.property('secret');
+        webhookId = res.body.webhook.id;
+        
+        const getRes = await chai.request(app)
+            .get(`/api/webhooks/${webhookId}`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(getRes).to.have.status(200);
+        expect(getRes.body.events).to.deep.equal(['voter.registered', 'transaction.confirmed']);
+    });
+    
+    it('should reject unknown events and unauthenticated requests', async function() {
+        const res = await chai.request(app)
+            .post('/api/webhooks')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ url: receiverUrl, events: ['voter.deleted'] });
+        expect(res).to.have.status(400);
+        expect(res.body).to.have.property('code', 'VALIDATION_FAILED');
+        
+        const anonRes = await chai.request(app)
+            .get('/api/webhooks');
+        expect(anonRes).to.have.status(401);
+        
+        const missingRes = await chai.request(app)
+            .get('/api/webhooks/unknown')
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(missingRes).to.have.status(404);
+        expect(missingRes.body).to.have.property('code', 'WEBHOOK_NOT_FOUND');
+    });
+    
+    it('should deliver signed contract and transaction events', async function() {
+        const voterAddress = web3.eth.accounts.create().address;
+        
+        await chai.request(app)
+            .post(`${electionPath}/voters/register`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress });
+        await confirmEvents();
+        
+        const [delivery] = await waitForDeliveries(({ payload }) => payload.event === 'voter.registered' && payload.data.data.voterAddress === voterAddress);
+        expect(delivery.headers).to.include({ 'x-webhook-id': webhookId, 'x-webhook-event': 'voter.registered' });
+        expect(verifySignature(secret, delivery.headers['x-webhook-timestamp'], delivery.body, delivery.headers['x-webhook-signature'])).to.equal(true);
+        expect(verifySignature('wrong-secret', delivery.headers['x-webhook-timestamp'], delivery.body, delivery.headers['x-webhook-signature'])).to.equal(false);
+        expect(delivery.payload.data).to.include.keys('id', 'election', 'blockNumber', 'transactionHash');
+        
+        const [confirmed] = await waitForDeliveries(({ payload }) => payload.event === 'transaction.confirmed' && payload.data.transactionHash === delivery.payload.data.transactionHash);
+        expect(confirmed.payload.data).to.include({ label: 'registerVoter', status: 'confirmed' });
+    });
+    
+    it('should retry a failed delivery and log every attempt', async function() {
+        const voterAddress = web3.eth.accounts.create().address;
+        failures.push({ status: 500, predicate: payload => payload.event === 'voter.registered' && payload.data.data.voterAddress === voterAddress });
+        
+        await chai.request(app)
+            .post(`${electionPath}/voters/register`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress });
+        await confirmEvents();
+        
+        const attempts = await waitForDeliveries(({ payload }) => payload.event === 'voter.registered' && payload.data.data.voterAddress === voterAddress, 2);
+        expect(attempts[0].headers['x-webhook-delivery']).to.equal(attempts[1].headers['x-webhook-delivery']);
+        
+        // The log is saved once the attempt settles, just after the receiver responds
+        let delivery;
+        for (let i = 0; i < 20 && !(delivery && delivery.status === 'delivered'); i++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            const res = await chai.request(app)
+                .get(`/api/webhooks/${webhookId}/deliveries`)
+                .set('x-api-key', process.env.ADMIN_API_KEY);
+            delivery = res.body.find(item => item.id === attempts[0].headers['x-webhook-delivery']);
+        }
+        expect(delivery).to.have.property('status', 'delivered');
+        expect(delivery.attempts.map(attempt => attempt.statusCode)).to.deep.equal([500, 200]);
+    });
+    
+    it('should deliver ballot.cast events once they are confirmed', async function() {
+        const account = web3.eth.accounts.create();
+        const createRes = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Webhook Approval Election', votingMethod: 'approval' });
+        const approvalPath = `/api/elections/${createRes.body.electionId}`;
+        for (const name of ['A', 'B']) {
+            await chai.request(app)
+                .post(`${approvalPath}/candidates`)
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .send({ ...testCandidate, name });
+        }
+        await chai.request(app)
+            .post(`${approvalPath}/voters/register`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: account.address });
+        await chai.request(app)
+            .post(`${approvalPath}/election/start`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ durationInMinutes: 60 });
+        
+        const subscriptionRes = await chai.request(app)
+            .post('/api/webhooks')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ url: receiverUrl, events: ['ballot.cast'] });
+        expect(subscriptionRes).to.have.status(201);
+        
+        const typedDataRes = await chai.request(app)
+            .get(`${approvalPath}/vote/typed-data`)
+            .query({ voterAddress: account.address, candidateIds: '0,1' });
+        const { typedData } = typedDataRes.body;
+        const voteRes = await chai.request(app)
+            .post(`${approvalPath}/vote`)
+            .send({ ...typedData.message, voterAddress: account.address, signature: signBallot(typedData, account.privateKey) });
+        expect(voteRes).to.have.status(200);
+        
+        const isBallot = ({ payload }) => payload.event === 'ballot.cast' && payload.data.data.voter === account.address;
+        await app.locals.indexer.sync();
+        await new Promise(resolve => setTimeout(resolve, 200));
+        expect(received.filter(isBallot)).to.be.empty;
+        
+        await confirmEvents();
+        const [delivery] = await waitForDeliveries(isBallot);
+        expect(delivery.payload.data.data).to.deep.include({ candidateIds: ['0', '1'] });
+        
+        await chai.request(app)
+            .delete(`/api/webhooks/${subscriptionRes.body.webhook.id}`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+    });
+    
+    it('should deliver election.scheduled events with the voting window', async function() {
+        const createRes = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Webhook Scheduled Election' });
+        const scheduledPath = `/api/elections/${createRes.body.electionId}`;
+        await chai.request(app)
+            .post(`${scheduledPath}/candidates`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send(testCandidate);
+        
+        const subscriptionRes = await chai.request(app)
+            .post('/api/webhooks')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ url: receiverUrl, events: ['election.scheduled'] });
+        expect(subscriptionRes).to.have.status(201);
+        
+        const startTime = Number((await web3.eth.getBlock('latest')).timestamp) + 3600;
+        const scheduleRes = await chai.request(app)
+            .post(`${scheduledPath}/election/schedule`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ startTime, endTime: startTime + 3600 });
+        expect(scheduleRes).to.have.status(200);
+        await confirmEvents();
+        
+        const [delivery] = await waitForDeliveries(({ payload }) => payload.event === 'election.scheduled' && payload.data.election === createRes.body.address);
+        expect(delivery.payload.data.data).to.deep.include({ startTime: String(startTime), endTime: String(startTime + 3600) });
+        
+        await chai.request(app)
+            .delete(`/api/webhooks/${subscriptionRes.body.webhook.id}`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+    });
+    
+    it('should dead-letter a delivery after its last attempt and retry it on request', async function() {
+        const manager = createWebhookManager({ storeName: 'webhooks-test', maxAttempts: 2, baseDelay: 10 });
+        const { subscription } = manager.createSubscription({ url: receiverUrl, events: ['election.ended'] });
+        const isTestDelivery = payload => payload.data.election === 'dead-letter-test';
+        failures.push({ status: 500, predicate: isTestDelivery }, { status: 503, predicate: isTestDelivery });
+        
+        const [queued] = manager.publish('election.ended', { election: 'dead-letter-test' });
+        await manager.run();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await manager.run();
+        
+        const [deadLetter] = manager.listDeliveries({ subscriptionId: subscription.id, status: 'failed' });
+        expect(deadLetter).to.have.property('id', queued.id);
+        expect(deadLetter.attempts.map(attempt => attempt.statusCode)).to.deep.equal([500, 503]);
+        expect(manager.retryDelivery(queued.id)).to.have.property('status', 'pending');
+        expect(manager.retryDelivery(queued.id)).to.equal(null);
+        
+        await manager.run();
+        const [delivered] = manager.listDeliveries({ subscriptionId: subscription.id });
+        expect(delivered).to.have.property('status', 'delivered');
+        expect(delivered.attempts).to.have.lengthOf(3);
+        manager.deleteSubscription(subscription.id);
+        
+        const res = await chai.request(app)
+            .get('/api/webhooks/dead-letters')
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(res).to.have.status(200);
+        expect(res.body).to.be.an('array');
+    });
+});
+
+describe('Invitation API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    let electionPath;
+    
+    // Issue invitation codes, returning the issued invitations
+    async function issueInvitations(fields) {
+        const res = await chai.request(app)
+            .post(`${electionPath}/invitations`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send(fields);
+        expect(res).to.have.status(201);
+        return res.body.invitations;
+    }
+    
+    // Sign the redemption of a code by a new account
+    async function signRedemption(code, account = web3.eth.accounts.create()) {
+        const res = await chai.request(app)
+            .get(`${electionPath}/invitations/typed-data`)
+            .query({ code, voterAddress: account.address });
+        expect(res).to.have.status(200);
+        return { code, voterAddress: account.address, signature: signBallot(res.body.typedData, account.privateKey) };
+    }
+    
+    before(async function() {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Invitation Test Election' });
+        expect(res).to.have.status(201);
+        electionPath = `/api/elections/${res.body.electionId}`;
+    });
+    
+    it('should issue a batch of codes as CSV', async function() {
+        const res = await chai.request(app)
+            .post(`${electionPath}/invitations?format=csv`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ recipients: ['alice@example.com', { recipient: 'M-1002' }] });
+            
+        expect(res).to.have.status(201);
+        expect(res).to.have.header('content-type', /text\/csv/);
+        const rows = res.text.trim().split('\r\n').map(line => line.split(','));
+        expect(rows[0]).to.deep.equal(['id', 'recipient', 'code', 'weight', 'expiresAt']);
+        expect(rows.slice(1).map(row => row[1])).to.deep.equal(['alice@example.com', 'M-1002']);
+        rows.slice(1).forEach(row => expect(row[2]).to.match(/^[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4}$/));
+        
+        const invalidRes = await chai.request(app)
+            .post(`${electionPath}/invitations`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ count: 2, recipients: ['bob@example.com'] });
+        expect(invalidRes).to.have.status(400);
+        expect(invalidRes.body).to.have.property('code', 'RECIPIENTS_REQUIRED');
+    });
+    
+    it('should register the address that signs the redemption of a code', async function() {
+        const [invitation] = await issueInvitations({ recipients: ['carol@example.com'] });
+        expect(invitation).to.include({ status: 'issued', recipient: 'carol@example.com' });
+        expect(invitation).to.not.have.property('codeHash');
+        
+        // Codes are accepted in any case and without separators
+        const redemption = await signRedemption(invitation.code.replace(/-/g, '').toLowerCase());
+        const res = await chai.request(app)
+            .post(`${electionPath}/invitations/redeem`)
+            .send(redemption);
+            
+        expect(res).to.have.status(201);
+        expect(res.body).to.include({ invitationId: invitation.id, voterAddress: redemption.voterAddress });
+        
+        const statusRes = await chai.request(app)
+            .get(`${electionPath}/voters/${redemption.voterAddress}/status`);
+        expect(statusRes.body).to.have.property('isRegistered', true);
+        
+        const getRes = await chai.request(app)
+            .get(`${electionPath}/invitations/${invitation.id}`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(getRes.body).to.include({ status: 'redeemed', voterAddress: redemption.voterAddress, transactionHash: res.body.transactionHash });
+        
+        const againRes = await chai.request(app)
+            .post(`${electionPath}/invitations/redeem`)
+            .send(await signRedemption(invitation.code));
+        expect(againRes).to.have.status(409);
+        expect(againRes.body).to.have.property('code', 'INVITATION_ALREADY_REDEEMED');
+    });
+    
+    it('should reject a redemption signed by another account', async function() {
+        const [invitation] = await issueInvitations({ count: 1 });
+        const redemption = await signRedemption(invitation.code);
+        
+        const res = await chai.request(app)
+            .post(`${electionPath}/invitations/redeem`)
+            .send({ ...redemption, voterAddress: web3.eth.accounts.create().address });
+            
+        expect(res).to.have.status(401);
+        expect(res.body).to.have.property('code', 'INVALID_SIGNATURE');
+    });
+    
+    it('should register only one address when a code is redeemed concurrently', async function() {
+        const [invitation] = await issueInvitations({ count: 1 });
+        const redemptions = [await signRedemption(invitation.code), await signRedemption(invitation.code)];
+        
+        const responses = await Promise.all(redemptions.map(redemption => chai.request(app)
+            .post(`${electionPath}/invitations/redeem`)
+            .send(redemption)));
+            
+        expect(responses.map(res => res.status).sort()).to.deep.equal([201, 409]);
+        
+        const statuses = await Promise.all(redemptions.map(({ voterAddress }) => chai.request(app)
+            .get(`${electionPath}/voters/${voterAddress}/status`)));
+        expect(statuses.filter(res => res.body.isRegistered)).to.have.lengthOf(1);
+    });
+    
+    it('should return a code to issued when its registration reverts', async function() {
+        const [invitation] = await issueInvitations({ count: 1 });
+        
+        const res = await chai.request(app)
+            .post(`${electionPath}/invitations/redeem`)
+            .send(await signRedemption(invitation.code, testVoter));
+        expect(res).to.have.status(201);
+        
+        const [second] = await issueInvitations({ count: 1 });
+        const failedRes = await chai.request(app)
+            .post(`${electionPath}/invitations/redeem`)
+            .send(await signRedemption(second.code, testVoter));
+        expect(failedRes).to.have.status(409);
+        expect(failedRes.body).to.have.property('code', 'VOTER_ALREADY_REGISTERED');
+        
+        const getRes = await chai.request(app)
+            .get(`${electionPath}/invitations/${second.id}`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(getRes.body).to.include({ status: 'issued', voterAddress: null });
+    });
+    
+    it('should revoke a code and export the state of every invitation', async function() {
+        const [invitation] = await issueInvitations({ recipients: ['dave@example.com'] });
+        
+        const res = await chai.request(app)
+            .delete(`${electionPath}/invitations/${invitation.id}`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(res).to.have.status(200);
+        expect(res.body.invitation).to.include({ status: 'revoked' });
+        
+        const redeemRes = await chai.request(app)
+            .post(`${electionPath}/invitations/redeem`)
+            .send(await signRedemption(invitation.code));
+        expect(redeemRes).to.have.status(410);
+        expect(redeemRes.body).to.have.property('code', 'INVITATION_REVOKED');
+        
+        const againRes = await chai.request(app)
+            .delete(`${electionPath}/invitations/${invitation.id}`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(againRes).to.have.status(409);
+        
+        const exportRes = await chai.request(app)
+            .get(`${electionPath}/invitations?format=csv`)
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        expect(exportRes).to.have.status(200);
+        const rows = exportRes.text.trim().split('\r\n').map(line => line.split(','));
+        expect(rows[0]).to.include.members(['status', 'voterAddress']).and.not.include('code');
+        const statuses = rows.slice(1).map(row => row[rows[0].indexOf('status')]);
+        expect(statuses).to.include.members(['issued', 'redeemed', 'revoked']);
+    });
+});
+
+describe('Dev Mode API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    let electionPath;
+    
+    // Give every test a fresh election with a candidate and a registered voter
+    beforeEach(async function() {
+        const res = await chai.request(app)
+            .post('/api/elections')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ name: 'Dev Mode Test Election' });
+        expect(res).to.have.status(201);
+        electionPath = `/api/elections/${res.body.electionId}`;
+        
+        await chai.request(app)
+            .post(`${electionPath}/candidates`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send(testCandidate);
+        await chai.request(app)
+            .post(`${electionPath}/voters/register`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ voterAddress: testVoter.address });
+    });
+    
+    // Start the election for a number of minutes
+    async function startElection(durationInMinutes) {
+        const res = await chai.request(app)
+            .post(`${electionPath}/election/start`)
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ durationInMinutes });
+        expect(res).to.have.status(200);
+    }
+    
+    it('should list the generated accounts to admins', async function() {
+        const res = await chai.request(app)
+            .get('/api/dev/accounts')
+            .set('x-api-key', process.env.ADMIN_API_KEY);
+        
+        expect(res).to.have.status(200);
+        expect(res.body.admin).to.have.property('address', process.env.ADMIN_ADDRESS);
+        expect(res.body.voters).to.have.lengthOf(9);
+        expect(res.body.voters[0]).to.deep.equal(testVoter);
+        expect(res.body.election).to.include({ name: 'Dev Election', address: process.env.CONTRACT_ADDRESS });
+        
+        const anonymousRes = await chai.request(app).get('/api/dev/accounts');
+        expect(anonymousRes).to.have.status(401);
+    });
+    
+    it('should load the fixture election with its voters registered', async function() {
+        const res = await chai.request(app)
+            .get('/api/candidates');
+        expect(res).to.have.status(200);
+        expect(res.body.map(candidate => candidate.name)).to.include.members(['Alice Johnson', 'Bob Smith', 'Carol Lee']);
+        
+        const statusRes = await chai.request(app)
+            .get(`/api/voters/${testVoter.address}/status`);
+        expect(statusRes).to.have.status(200);
+        expect(statusRes.body).to.have.property('isRegistered', true);
+    });
+    
+    it('should close the voting window once chain time passes its end', async function() {
+        await startElection(1);
+        
+        const activeRes = await chai.request(app)
+            .get(`${electionPath}/election`);
+        expect(activeRes.body).to.include({ status: 'active', phase: 'open' });
+        
+        const before = await chai.request(app).get('/api/dev/time');
+        const res = await chai.request(app)
+            .post('/api/dev/time/increase')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ seconds: 120 });
+        expect(res).to.have.status(200);
+        expect(res.body.timestamp - before.body.timestamp).to.be.at.least(120);
+        expect(res.body.blockNumber).to.equal(before.body.blockNumber + 1);
+        
+        const closedRes = await chai.request(app)
+            .get(`${electionPath}/election`);
+        expect(closedRes.body).to.include({ status: 'closed', phase: 'closed-pending-finalization' });
+        
+        const typedDataRes = await chai.request(app)
+            .get(`${electionPath}/vote/typed-data`)
+            .query({ voterAddress: testVoter.address, candidateId: 0 });
+        const voteRes = await chai.request(app)
+            .post(`${electionPath}/vote`)
+            .send({
+                ...typedDataRes.body.typedData.message,
+                voterAddress: testVoter.address,
+                signature: signBallot(typedDataRes.body.typedData, testVoter.privateKey)
+            });
+        expect(voteRes).to.have.status(403);
+        expect(voteRes.body).to.have.property('code', 'ELECTION_NOT_ACTIVE');
+    });
+    
+    it('should mine blocks and reject invalid time travel', async function() {
+        const before = await chai.request(app).get('/api/dev/time');
+        
+        const res = await chai.request(app)
+            .post('/api/dev/mine')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ blocks: 3 });
+        expect(res).to.have.status(200);
+        expect(res.body.blockNumber).to.equal(before.body.blockNumber + 3);
+        
+        const invalidRes = await chai.request(app)
+            .post('/api/dev/time/increase')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ seconds: -60 });
+        expect(invalidRes).to.have.status(400);
+        expect(invalidRes.body).to.have.property('code', 'VALIDATION_FAILED');
+    });
+});
+
+describe('Health and Metrics API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    it('should report liveness with a request ID', async function() {
+        const res = await chai.request(app)
+            .get('/health');
+        
+        expect(res).to.have.status(200);
+        expect(res.body).to.include({ status: 'pass' });
+        expect(res.body.checks).to.include.keys('rpc', 'chainId', 'contracts', 'adminKey', 'adminRole', 'signerBalance');
+        expect(res.body.services.indexer).to.have.property('running');
+        expect(res).to.have.header('x-request-id', /^[0-9a-f-]{36}$/);
+        
+        const tracedRes = await chai.request(app)
+            .get('/health')
+            .set('X-Request-Id', 'trace-123');
+        expect(tracedRes).to.have.header('x-request-id', 'trace-123');
+    });
+    
+    it('should be ready when every dependency check passes', async function() {
+        const res = await chai.request(app)
+            .get('/ready');
+        
+        expect(res).to.have.status(200);
+        expect(res.body.status).to.equal('pass');
+        expect(res.body.checks.rpc.blockNumber).to.be.a('number');
+        expect(res.body.checks.contracts.contracts.every(contract => contract.hasCode)).to.equal(true);
+        expect(res.body.checks.adminKey).to.include({ status: 'pass', address: process.env.ADMIN_ADDRESS });
+        expect(res.body.checks.adminRole).to.include({ status: 'pass', election: process.env.CONTRACT_ADDRESS });
+        expect(res.body.checks.providers.status).to.equal('pass');
+        expect(res.body.checks.providers.providers[0]).to.include({ status: 'healthy', active: true });
+    });
+    
+    it('should fail checks for a mismatched admin key, a contract without code and a wrong chain', async function() {
+        const other = web3.eth.accounts.create();
+        const healthChecks = createHealthChecks({
+            web3,
+            expectedChainId: 1,
+            getContracts: async () => [{ name: 'Voting', address: other.address }],
+            getElection: async () => process.env.CONTRACT_ADDRESS,
+            votingABI: contractABI,
+            adminRole: web3.utils.sha3Raw('ADMIN_ROLE'),
+            adminWallet: { address: adminWallet.address, privateKey: other.privateKey },
+            signers: [other.address]
+        });
+        
+        const report = await healthChecks.check();
+        expect(report.status).to.equal('fail');
+        expect(report.checks.rpc.status).to.equal('pass');
+        expect(report.checks.chainId).to.include({ status: 'fail', expected: 1 });
+        expect(report.checks.contracts.status).to.equal('fail');
+        expect(report.checks.adminKey).to.include({ status: 'fail', keyAddress: other.address });
+        expect(report.checks.adminRole.status).to.equal('pass');
+        expect(report.checks.signerBalance.status).to.equal('fail');
+    });
+    
+    it('should expose request, RPC, transaction and turnout metrics', async function() {
+        await chai.request(app).get('/api/elections/0/election');
+        await chai.request(app)
+            .post('/api/candidates')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ ...testCandidate, name: 'Metrics Candidate' });
+        
+        const res = await chai.request(app)
+            .get('/metrics');
+        
+        expect(res).to.have.status(200);
+        expect(res).to.have.header('content-type', /^text\/plain/);
+        expect(res.text).to.match(/^http_request_duration_seconds_count\{method="GET",route="\/api\/elections\/:electionId\/election",status="200"\} [1-9]/m);
+        expect(res.text).to.match(/^rpc_requests_total\{method="eth_call"\} [1-9]/m);
+        expect(res.text).to.match(/^transactions_total\{label="addCandidate",status="confirmed"\} [1-9]/m);
+        expect(res.text).to.match(/^transaction_gas_used_total\{label="addCandidate"\} [1-9]/m);
+        expect(res.text).to.include(`election_registered_voters{election="${process.env.CONTRACT_ADDRESS}"}`);
+        expect(res.text).to.match(/^election_turnout_ratio\{election="0x[0-9a-fA-F]{40}"\} [0-9.]+$/m);
+    });
+});
+
+describe('RPC Provider Pool Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    const http = require('http');
+    
+    let chainId;
+    let fakeProvider;
+    
+    // Start a JSON-RPC endpoint that reports a chain ID and accepts raw transactions
+    // without relaying them. In mode 'down' or 'limited' it fails every request
+    async function startFakeProvider(reportedChainId) {
+        const state = { mode: 'up', methods: [] };
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                const payload = JSON.parse(body);
+                state.methods.push(payload.method);
+                if (state.mode !== 'up') {
+                    res.writeHead(state.mode === 'limited' ? 429 : 503);
+                    res.end();
+                    return;
+                }
+                
+                let result = null;
+                if (payload.method === 'eth_chainId') {
+                    result = web3.utils.toHex(reportedChainId);
+                } else if (payload.method === 'eth_sendRawTransaction') {
+                    result = web3.utils.keccak256(payload.params[0]);
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ jsonrpc: '2.0', id: payload.id, result }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        
+        return {
+            state,
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(resolve => {
+                server.closeAllConnections();
+                server.close(resolve);
+            })
+        };
+    }
+    
+    before(async function() {
+        chainId = Number(await web3.eth.getChainId());
+    });
+    
+    afterEach(async function() {
+        if (fakeProvider) {
+            await fakeProvider.close();
+            fakeProvider = null;
+        }
+    });
+    
+    it('should fail over from a rate-limited provider and retry reads on the fallback', async function() {
+        fakeProvider = await startFakeProvider(chainId);
+        fakeProvider.state.mode = 'limited';
+        const failovers = [];
+        const pool = createProviderPool({
+            providers: [
+                { url: fakeProvider.url, name: 'primary', priority: 0 },
+                { url: process.env.BLOCKCHAIN_PROVIDER_URL, name: 'fallback', priority: 1 }
+            ],
+            chainId,
+            retryDelay: 10,
+            onFailover: (from, to) => failovers.push({ from, to })
+        });
+        
+        const blockNumber = await new Web3(pool.provider).eth.getBlockNumber();
+        expect(Number(blockNumber)).to.be.above(0);
+        
+        const [primary, fallback] = pool.getStatus();
+        expect(primary).to.include({ status: 'down', active: false, failures: 1 });
+        expect(primary.lastError).to.match(/HTTP 429/);
+        expect(fallback).to.include({ status: 'healthy', active: true, chainId });
+        
+        // The primary is skipped while it cools down
+        await new Web3(pool.provider).eth.getBlockNumber();
+        expect(fakeProvider.state.methods).to.have.lengthOf(1);
+        expect(failovers).to.deep.equal([]);
+    });
+    
+    it('should never use a provider on another chain', async function() {
+        fakeProvider = await startFakeProvider(chainId + 1);
+        const pool = createProviderPool({
+            providers: [
+                { url: fakeProvider.url, name: 'wrong-chain', priority: 0 },
+                { url: process.env.BLOCKCHAIN_PROVIDER_URL, name: 'right-chain', priority: 1 }
+            ],
+            chainId
+        });
+        
+        await new Web3(pool.provider).eth.getBlockNumber();
+        const [wrongChain, rightChain] = pool.getStatus();
+        expect(wrongChain).to.include({ status: 'mismatched', chainId: chainId + 1 });
+        expect(rightChain.status).to.equal('healthy');
+        expect(fakeProvider.state.methods).to.deep.equal(['eth_chainId']);
+        
+        const isolatedPool = createProviderPool({ providers: [{ url: fakeProvider.url }], chainId });
+        try {
+            await new Web3(isolatedPool.provider).eth.getBlockNumber();
+            expect.fail('Expected the request to fail');
+        } catch (error) {
+            const { status, body } = describeError(error);
+            expect(status).to.equal(503);
+            expect(body.code).to.equal('PROVIDER_UNAVAILABLE');
+        }
+    });
+    
+    it('should rebroadcast a pending transaction to the provider it fails over to', async function() {
+        fakeProvider = await startFakeProvider(chainId);
+        const failovers = [];
+        const pool = createProviderPool({
+            providers: [
+                { url: fakeProvider.url, name: 'primary', priority: 0 },
+                { url: process.env.BLOCKCHAIN_PROVIDER_URL, name: 'fallback', priority: 1 }
+            ],
+            chainId,
+            retryDelay: 10,
+            onFailover: (from, to) => failovers.push({ from, to })
+        });
+        const poolWeb3 = new Web3(pool.provider);
+        
+        // Sent to the primary, which swallows it
+        const [sender] = (await chai.request(app).get('/api/dev/accounts').set('x-api-key', process.env.ADMIN_API_KEY)).body.voters.slice(-1);
+        const signedTx = await web3.eth.accounts.signTransaction({
+            from: sender.address,
+            to: sender.address,
+            value: '1',
+            gas: '21000',
+            gasPrice: (await web3.eth.getGasPrice()).toString(),
+            nonce: (await web3.eth.getTransactionCount(sender.address, 'pending')).toString(),
+            chainId: chainId.toString()
+        }, sender.privateKey);
+        const transactionHash = await poolWeb3.requestManager.send({
+            method: 'eth_sendRawTransaction',
+            params: [signedTx.rawTransaction]
+        });
+        expect(transactionHash).to.equal(signedTx.transactionHash);
+        expect(await web3.eth.getTransaction(signedTx.transactionHash).catch(() => null)).to.equal(null);
+        
+        // The primary goes down: the receipt poll fails over and the fallback gets the transaction
+        fakeProvider.state.mode = 'down';
+        await poolWeb3.requestManager.send({ method: 'eth_getTransactionReceipt', params: [transactionHash] });
+        expect(failovers).to.deep.equal([{ from: 'primary', to: 'fallback' }]);
+        
+        const receipt = await poolWeb3.eth.getTransactionReceipt(transactionHash);
+        expect(Number(receipt.status)).to.equal(1);
+    });
+});
+
+describe('Abuse Protection API Tests', function() {
+    this.timeout(TEST_TIMEOUT);
+    
+    it('should count writes against their own limit without using up the general one', async function() {
+        const rateLimiter = createRateLimiter({ windowMs: 50 });
+        const writeLimits = [{ key: 'client', limit: 3 }, { key: 'client:writes', limit: 1 }];
+        
+        expect(rateLimiter.consume(writeLimits)).to.include({ allowed: true, limit: 1, remaining: 0 });
+        expect(rateLimiter.consume(writeLimits)).to.include({ allowed: false, remaining: 0 });
+        expect(rateLimiter.consume([{ key: 'client', limit: 3 }])).to.include({ allowed: true, limit: 3, remaining: 1 });
+        
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(rateLimiter.consume(writeLimits)).to.include({ allowed: true, remaining: 0 });
+    });
+    
+    it('should rate limit an API key with its own limit', async function() {
+        const keyRes = await chai.request(app)
+            .post('/api/keys')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ label: 'Rate limited', scopes: ['elections'], rateLimit: 2 });
+        expect(keyRes).to.have.status(201);
+        expect(keyRes.body.key).to.have.property('rateLimit', 2);
+        
+        const first = await chai.request(app).get('/api/elections').set('x-api-key', keyRes.body.secret);
+        const second = await chai.request(app).get('/api/elections').set('x-api-key', keyRes.body.secret);
+        const third = await chai.request(app).get('/api/elections').set('x-api-key', keyRes.body.secret);
+        
+        expect(first).to.have.status(200);
+        expect(first).to.have.header('ratelimit-limit', '2');
+        expect(first).to.have.header('ratelimit-remaining', '1');
+        expect(second).to.have.status(200);
+        expect(third).to.have.status(429);
+        expect(third.body).to.include({ code: 'RATE_LIMITED' });
+        expect(Number(third.headers['retry-after'])).to.be.within(1, 60);
+        
+        // Other clients keep their own limits
+        const otherRes = await chai.request(app).get('/api/elections');
+        expect(otherRes).to.have.status(200);
+    });
+    
+    it('should reject an invalid rate limit for a new key', async function() {
+        const res = await chai.request(app)
+            .post('/api/keys')
+            .set('x-api-key', process.env.ADMIN_API_KEY)
+            .send({ label: 'Invalid limit', scopes: ['elections'], rateLimit: 0 });
+        
+        expect(res).to.have.status(400);
+        expect(res.body).to.have.property('code', 'VALIDATION_FAILED');
+    });
+    
+    describe('Idempotency keys and vote locks', function() {
+        let electionPath;
+        let voter;
+        
+        before(async function() {
+            const res = await chai.request(app)
+                .post('/api/elections')
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .send({ name: 'Idempotency Test Election' });
+            expect(res).to.have.status(201);
+            electionPath = `/api/elections/${res.body.electionId}`;
+            
+            const accountsRes = await chai.request(app)
+                .get('/api/dev/accounts')
+                .set('x-api-key', process.env.ADMIN_API_KEY);
+            voter = accountsRes.body.voters[1];
+        });
+        
+        it('should replay the response of a retried write without sending it again', async function() {
+            const idempotencyKey = `candidate-${Date.now()}`;
+            const send = () => chai.request(app)
+                .post(`${electionPath}/candidates`)
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .set('Idempotency-Key', idempotencyKey)
+                .send(testCandidate);
+            
+            // A retry sent while the first request runs waits for it
+            const responses = await Promise.all([send(), send()]);
+            responses.push(await send());
+            
+            responses.forEach(res => {
+                expect(res).to.have.status(201);
+                expect(res.body).to.deep.equal(responses[0].body);
+            });
+            expect(responses[0].body).to.have.property('transactionHash');
+            expect(responses.filter(res => res.headers['idempotent-replayed'] === 'true')).to.have.lengthOf(2);
+            
+            const candidatesRes = await chai.request(app)
+                .get(`${electionPath}/candidates`);
+            expect(candidatesRes.body).to.have.lengthOf(1);
+        });
+        
+        it('should refuse an idempotency key reused for another request', async function() {
+            const idempotencyKey = `reused-${Date.now()}`;
+            const firstRes = await chai.request(app)
+                .post(`${electionPath}/candidates`)
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .set('Idempotency-Key', idempotencyKey)
+                .send({ ...testCandidate, name: 'Second Candidate' });
+            expect(firstRes).to.have.status(201);
+            
+            const res = await chai.request(app)
+                .post(`${electionPath}/candidates`)
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .set('Idempotency-Key', idempotencyKey)
+                .send({ ...testCandidate, name: 'Third Candidate' });
+            
+            expect(res).to.have.status(422);
+            expect(res.body).to.have.property('code', 'IDEMPOTENCY_KEY_REUSED');
+        });
+        
+        it('should run a failed request again on retry', async function() {
+            const idempotencyKey = `invalid-${Date.now()}`;
+            const invalidRes = await chai.request(app)
+                .post(`${electionPath}/voters/register`)
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .set('Idempotency-Key', idempotencyKey)
+                .send({ voterAddress: voter.address.slice(0, 12) });
+            expect(invalidRes).to.have.status(400);
+            
+            const res = await chai.request(app)
+                .post(`${electionPath}/voters/register`)
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .set('Idempotency-Key', idempotencyKey)
+                .send({ voterAddress: voter.address.slice(0, 12) });
+            expect(res).to.have.status(400);
+            expect(res).to.not.have.header('idempotent-replayed');
+        });
+        
+        it('should allow one pending vote transaction per voter', async function() {
+            await chai.request(app)
+                .post(`${electionPath}/voters/register`)
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .send({ voterAddress: voter.address });
+            const startRes = await chai.request(app)
+                .post(`${electionPath}/election/start`)
+                .set('x-api-key', process.env.ADMIN_API_KEY)
+                .send({ durationInMinutes: 60 });
+            expect(startRes).to.have.status(200);
+            
+            const typedDataRes = await chai.request(app)
+                .get(`${electionPath}/vote/typed-data`)
+                .query({ voterAddress: voter.address, candidateId: 0 });
+            const { typedData } = typedDataRes.body;
+            const ballot = {
+                ...typedData.message,
+                voterAddress: voter.address,
+                signature: signBallot(typedData, voter.privateKey)
+            };
+            
+            const responses = await Promise.all([
+                chai.request(app).post(`${electionPath}/vote`).send(ballot),
+                chai.request(app).post(`${electionPath}/vote`).send(ballot)
+            ]);
+            const statuses = responses.map(res => res.status).sort();
+            expect(statuses).to.deep.equal([200, 409]);
+            const locked = responses.find(res => res.status === 409);
+            expect(locked.body).to.have.property('code', 'VOTE_IN_PROGRESS');
+            
+            // Once the vote is mined, the lock is released and the contract's own checks apply
+            const retryRes = await chai.request(app).post(`${electionPath}/vote`).send(ballot);
+            expect(retryRes).to.have.status(409);
+            expect(retryRes.body).to.have.property('code', 'NONCE_ALREADY_USED');
+        });
+    });
+});